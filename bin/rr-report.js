@@ -0,0 +1,132 @@
+#!/usr/bin/env node
+// Headless RR report processing for scheduled runs. The dashboard's modules
+// are ES modules written for the browser build, so they're compiled on the
+// fly. See `npm run rr-report -- --help`.
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+
+require('@babel/register')({
+  babelrc: false,
+  configFile: false,
+  only: [path.join(__dirname, '..', 'src')],
+  presets: [
+    [require.resolve('@babel/preset-env'), { targets: { node: 'current' } }],
+    [require.resolve('@babel/preset-react'), { runtime: 'automatic' }]
+  ]
+});
+
+const {
+  CLI_OPTIONS,
+  CLI_USAGE,
+  EXIT_CODES,
+  buildCliOutputs,
+  exitCodeFor,
+  resolveCliOptions,
+  runSummary,
+  unmappedSourceMessage
+} = require('../src/reportCli');
+const { readFileSources } = require('../src/ingestion');
+const { detectLayout } = require('../src/columnMapping');
+const { processSources, sortedAndFilteredUnits } = require('../src/rrCore');
+const { normalizeCategoryRules } = require('../src/categoryRules');
+const { normalizeValidationConfig } = require('../src/validationRules');
+const { normalizeIssueResolutions } = require('../src/issueResolutions');
+
+const readJson = (file, flag) => {
+  if (!file) return undefined;
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Could not read ${flag} file ${file}: ${err.message}`);
+  }
+};
+
+// readFileSources expects a browser File
+const reportFile = (file) => ({
+  name: path.basename(file),
+  arrayBuffer: async () => {
+    const bytes = fs.readFileSync(file);
+    return bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length);
+  }
+});
+
+const main = async () => {
+  const { values, positionals } = parseArgs({ options: CLI_OPTIONS, allowPositionals: true });
+  const log = values.quiet ? () => {} : (line) => console.log(line);
+
+  if (values.help) {
+    console.log(CLI_USAGE);
+    return EXIT_CODES.ok;
+  }
+  if (positionals.length === 0) {
+    throw new Error('No report files given. Run with --help for usage.');
+  }
+
+  const options = resolveCliOptions(values);
+  const savedMappings = readJson(values.mappings, '--mappings') || {};
+  const categoryRules = values['category-rules'] && normalizeCategoryRules(readJson(values['category-rules'], '--category-rules'));
+  const validationRules = values['quality-rules'] && normalizeValidationConfig(readJson(values['quality-rules'], '--quality-rules'));
+  const issueResolutions = normalizeIssueResolutions(readJson(values.resolutions, '--resolutions'));
+
+  const sources = [];
+  for (const file of positionals) {
+    let fileSources;
+    try {
+      fileSources = await readFileSources(reportFile(file));
+    } catch (err) {
+      throw new Error(`Could not read ${file}: ${err.message}`);
+    }
+    sources.push(...fileSources.map(source => ({ ...source, layout: detectLayout(source.rows, savedMappings) })));
+  }
+
+  const unmapped = sources.filter(source => source.layout.missing.length > 0);
+  if (unmapped.length > 0) {
+    throw new Error(unmapped.map(unmappedSourceMessage).join('\n'));
+  }
+  if (sources.length === 0) {
+    throw new Error('No RR report data was found in the given files.');
+  }
+  sources
+    .filter(source => !source.layout.headerFound)
+    .forEach(source => log(`"${source.label}": no header row was recognised, so the standard Yardi column positions were used.`));
+
+  const { units, duplicates } = processSources(sources, {
+    dateOrder: options.dateOrder,
+    categoryRules,
+    validationRules,
+    today: options.today
+  });
+  const exported = sortedAndFilteredUnits(units, options.view.filters, options.view.sortConfig);
+
+  const files = buildCliOutputs({
+    units: exported,
+    totalUnitCount: units.length,
+    sources,
+    duplicates,
+    view: options.view,
+    issueResolutions,
+    outputs: options.outputs,
+    today: options.today
+  });
+
+  runSummary({ units, exported, sources, duplicates, issueResolutions, today: options.today }).forEach(log);
+  fs.mkdirSync(options.outDir, { recursive: true });
+  files.forEach(file => {
+    const target = path.join(options.outDir, file.name);
+    fs.writeFileSync(target, file.content);
+    log(`Wrote ${target}`);
+  });
+
+  return exitCodeFor(exported, issueResolutions);
+};
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(err => {
+    console.error(`rr-report: ${err.message}`);
+    process.exitCode = EXIT_CODES.error;
+  });
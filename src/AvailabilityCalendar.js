@@ -0,0 +1,193 @@
+import React, { useState } from 'react';
+import { categoryColorClass } from './categoryRules';
+import {
+  CALENDAR_EVENT_TYPES,
+  DEFAULT_BUSY_THRESHOLD,
+  WEEKDAY_LABELS,
+  busyProperties,
+  dayKey,
+  groupEventsByDay,
+  monthGrid,
+  weekGrid
+} from './calendarData';
+import { addDays } from './chartData';
+
+const AvailabilityCalendar = ({ units, totalUnitCount, onClose }) => {
+  const [view, setView] = useState('month');
+  const [anchor, setAnchor] = useState(() => new Date());
+  const [selectedDay, setSelectedDay] = useState(null);
+  const [busyThreshold, setBusyThreshold] = useState(DEFAULT_BUSY_THRESHOLD);
+  const [visibleTypes, setVisibleTypes] = useState(Object.keys(CALENDAR_EVENT_TYPES));
+
+  const eventsByDay = groupEventsByDay(units);
+  const eventsFor = (date) => (eventsByDay[dayKey(date)] || []).filter(event => visibleTypes.includes(event.type));
+  const days = view === 'month' ? monthGrid(anchor) : weekGrid(anchor);
+  const todayKey = dayKey(new Date());
+  const chipLimit = view === 'month' ? 3 : 12;
+
+  const move = (direction) => {
+    setAnchor(view === 'month'
+      ? new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1)
+      : addDays(anchor, direction * 7));
+  };
+
+  const title = view === 'month'
+    ? anchor.toLocaleDateString(undefined, { month: 'long', year: 'numeric' })
+    : `Week of ${days[0].toLocaleDateString()}`;
+
+  const selectedEvents = selectedDay ? (eventsByDay[selectedDay] || []).filter(event => visibleTypes.includes(event.type)) : [];
+
+  return (
+    <div className="p-4 bg-sky-50 rounded-lg border border-sky-200 space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h3 className="font-semibold text-sky-800">📅 Availability Calendar</h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <div className="flex rounded overflow-hidden border border-sky-300">
+            {['month', 'week'].map(option => (
+              <button
+                key={option}
+                onClick={() => setView(option)}
+                className={`px-3 py-1 text-sm ${view === option ? 'bg-sky-600 text-white' : 'bg-white text-sky-700 hover:bg-sky-100'}`}
+              >
+                {option === 'month' ? 'Month' : 'Week'}
+              </button>
+            ))}
+          </div>
+          <button onClick={() => move(-1)} className="px-2 py-1 bg-white border rounded text-sm hover:bg-gray-100">◀</button>
+          <button onClick={() => setAnchor(new Date())} className="px-2 py-1 bg-white border rounded text-sm hover:bg-gray-100">Today</button>
+          <button onClick={() => move(1)} className="px-2 py-1 bg-white border rounded text-sm hover:bg-gray-100">▶</button>
+          <button
+            onClick={onClose}
+            className="px-3 py-1 bg-gray-300 text-gray-700 rounded text-sm hover:bg-gray-400 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h4 className="text-lg font-semibold text-gray-800">{title}</h4>
+        <div className="flex flex-wrap items-center gap-3 text-xs text-gray-700">
+          {Object.entries(CALENDAR_EVENT_TYPES).map(([type, { label, icon }]) => (
+            <label key={type} className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={visibleTypes.includes(type)}
+                onChange={(e) => setVisibleTypes(e.target.checked
+                  ? [...visibleTypes, type]
+                  : visibleTypes.filter(existing => existing !== type))}
+              />
+              {icon} {label}
+            </label>
+          ))}
+          <label className="flex items-center gap-1">
+            Highlight when a property has
+            <input
+              type="number"
+              min="2"
+              value={busyThreshold}
+              onChange={(e) => setBusyThreshold(Math.max(2, parseInt(e.target.value) || DEFAULT_BUSY_THRESHOLD))}
+              className="w-12 p-1 border border-gray-300 rounded text-xs"
+            />
+            units ready on one day
+          </label>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-600">
+        Showing the {units.length}{units.length !== totalUnitCount ? ` of ${totalUnitCount}` : ''} units in the current filter.
+      </p>
+
+      <div className="grid grid-cols-7 gap-1">
+        {WEEKDAY_LABELS.map(label => (
+          <div key={label} className="text-xs font-semibold text-gray-600 text-center">{label}</div>
+        ))}
+        {days.map(date => {
+          const key = dayKey(date);
+          const events = eventsFor(date);
+          const busy = busyProperties(events, busyThreshold);
+          const outsideMonth = view === 'month' && date.getMonth() !== anchor.getMonth();
+
+          return (
+            <button
+              key={key}
+              onClick={() => setSelectedDay(selectedDay === key ? null : key)}
+              title={busy.map(({ property, count }) => `${property}: ${count} units ready`).join('\n') || undefined}
+              className={`text-left p-1 rounded border align-top ${view === 'month' ? 'min-h-[88px]' : 'min-h-[220px]'} ${
+                busy.length > 0 ? 'bg-red-50 border-red-300' : outsideMonth ? 'bg-gray-50' : 'bg-white'
+              } ${selectedDay === key ? 'ring-2 ring-sky-500' : ''}`}
+            >
+              <div className="flex justify-between items-center">
+                <span className={`text-xs ${key === todayKey ? 'px-1 rounded bg-sky-600 text-white' : outsideMonth ? 'text-gray-400' : 'text-gray-700'}`}>
+                  {date.getDate()}
+                </span>
+                {busy.length > 0 && (
+                  <span className="text-xs text-red-700 font-semibold">🔥 {busy.map(({ property }) => property).join(', ')}</span>
+                )}
+              </div>
+              <div className="space-y-0.5 mt-1">
+                {events.slice(0, chipLimit).map((event, index) => (
+                  <div
+                    key={`${event.type}-${event.unit.property}-${event.unit.unitCode}-${index}`}
+                    className={`px-1 rounded text-[10px] leading-tight truncate ${categoryColorClass(event.unit.categoryColor)}`}
+                  >
+                    {CALENDAR_EVENT_TYPES[event.type].icon} {event.unit.unitCode}
+                    {view === 'week' && <span className="text-gray-600"> · {event.unit.property}</span>}
+                  </div>
+                ))}
+                {events.length > chipLimit && (
+                  <div className="text-[10px] text-gray-500">+{events.length - chipLimit} more</div>
+                )}
+              </div>
+            </button>
+          );
+        })}
+      </div>
+
+      {selectedDay && (
+        <div className="bg-white rounded border">
+          <div className="px-3 py-2 bg-gray-50 border-b text-sm font-medium text-gray-800">
+            {new Date(`${selectedDay}T00:00:00`).toLocaleDateString(undefined, { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}
+            <span className="text-gray-500 font-normal"> ({selectedEvents.length})</span>
+          </div>
+          {selectedEvents.length === 0 ? (
+            <p className="p-3 text-sm text-gray-600">No units on this day.</p>
+          ) : (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-gray-600">
+                  <th className="p-2">Event</th>
+                  <th className="p-2">Unit</th>
+                  <th className="p-2">Property</th>
+                  <th className="p-2">Category</th>
+                  <th className="p-2">Description</th>
+                  <th className="p-2">Rent</th>
+                </tr>
+              </thead>
+              <tbody>
+                {selectedEvents.map((event, index) => (
+                  <tr key={`${event.type}-${event.unit.property}-${event.unit.unitCode}-${index}`} className="border-t">
+                    <td className="p-2 whitespace-nowrap">
+                      {CALENDAR_EVENT_TYPES[event.type].icon} {CALENDAR_EVENT_TYPES[event.type].label}
+                    </td>
+                    <td className="p-2 font-medium">{event.unit.unitCode}</td>
+                    <td className="p-2">{event.unit.property}</td>
+                    <td className="p-2">
+                      <span className={`px-2 py-0.5 rounded ${categoryColorClass(event.unit.categoryColor)}`}>
+                        {event.unit.category}
+                      </span>
+                    </td>
+                    <td className="p-2">{event.unit.unitDescription}</td>
+                    <td className="p-2">${event.unit.askingRent.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AvailabilityCalendar;
@@ -0,0 +1,286 @@
+import React, { useState } from 'react';
+import ConditionEditor from './ConditionEditor';
+import {
+  CATEGORY_COLORS,
+  DEFAULT_CATEGORY_RULES,
+  UNIT_STATUSES,
+  categoryColorClass,
+  newCategoryId
+} from './categoryRules';
+import { newCondition } from './ruleConditions';
+
+const cloneRules = (rules) => JSON.parse(JSON.stringify(rules));
+
+const cleanRules = (rules) => rules.map(rule => ({
+  ...rule,
+  name: rule.name.trim(),
+  priority: Number(rule.priority) || 0,
+  conditions: rule.conditions.map(condition => (
+    condition.type === 'keywords'
+      ? { ...condition, keywords: condition.keywords.map(keyword => keyword.trim()).filter(Boolean) }
+      : condition
+  ))
+}));
+
+const validateRules = (rules) => {
+  const names = rules.map(rule => rule.name.trim().toLowerCase());
+  if (names.some(name => !name)) return 'Every category needs a name.';
+  if (new Set(names).size !== names.length) return 'Category names must be unique.';
+  const withoutConditions = rules.find(rule => rule.conditions.length === 0);
+  if (withoutConditions) return `"${withoutConditions.name}" needs at least one condition.`;
+  return '';
+};
+
+const CategoryRulesEditor = ({ config, properties, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => ({
+    default: cloneRules(config.default),
+    properties: cloneRules(config.properties || {})
+  }));
+  const [scope, setScope] = useState('default');
+  const [validationError, setValidationError] = useState('');
+
+  const rules = scope === 'default' ? draft.default : draft.properties[scope];
+
+  const setRules = (nextRules) => {
+    setValidationError('');
+    if (scope === 'default') {
+      setDraft({ ...draft, default: nextRules });
+    } else {
+      setDraft({ ...draft, properties: { ...draft.properties, [scope]: nextRules } });
+    }
+  };
+
+  const updateRule = (index, patch) => {
+    setRules(rules.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)));
+  };
+
+  const moveRule = (index, delta) => {
+    const target = index + delta;
+    if (target < 0 || target >= rules.length) return;
+    const next = [...rules];
+    [next[index], next[target]] = [next[target], next[index]];
+    setRules(next);
+  };
+
+  const addRule = () => {
+    const highestPriority = rules.reduce((max, rule) => Math.max(max, Number(rule.priority) || 0), 0);
+    setRules([...rules, {
+      id: newCategoryId(),
+      name: 'New Category',
+      color: 'teal',
+      status: 'Not Available',
+      priority: highestPriority + 1,
+      conditions: [newCondition('keywords')]
+    }]);
+  };
+
+  const updateCondition = (ruleIndex, conditionIndex, condition) => {
+    const rule = rules[ruleIndex];
+    updateRule(ruleIndex, {
+      conditions: rule.conditions.map((existing, i) => (i === conditionIndex ? condition : existing))
+    });
+  };
+
+  const addCondition = (ruleIndex) => {
+    const rule = rules[ruleIndex];
+    updateRule(ruleIndex, {
+      conditions: [...rule.conditions, newCondition('keywords')]
+    });
+  };
+
+  const removeCondition = (ruleIndex, conditionIndex) => {
+    const rule = rules[ruleIndex];
+    updateRule(ruleIndex, { conditions: rule.conditions.filter((_, i) => i !== conditionIndex) });
+  };
+
+  const customizeProperty = () => {
+    setDraft({ ...draft, properties: { ...draft.properties, [scope]: cloneRules(draft.default) } });
+  };
+
+  const resetScope = () => {
+    setValidationError('');
+    if (scope === 'default') {
+      setDraft({ ...draft, default: cloneRules(DEFAULT_CATEGORY_RULES) });
+    } else {
+      const { [scope]: removed, ...remaining } = draft.properties;
+      setDraft({ ...draft, properties: remaining });
+    }
+  };
+
+  const handleSave = () => {
+    const ruleSets = [draft.default, ...Object.values(draft.properties)];
+    for (const ruleSet of ruleSets) {
+      const problem = validateRules(ruleSet);
+      if (problem) {
+        setValidationError(problem);
+        return;
+      }
+    }
+
+    const properties = {};
+    Object.entries(draft.properties).forEach(([property, propertyRules]) => {
+      properties[property] = cleanRules(propertyRules);
+    });
+    onSave({ default: cleanRules(draft.default), properties });
+  };
+
+  return (
+    <div className="p-4 bg-teal-50 rounded-lg border border-teal-200 space-y-4">
+      <div className="flex justify-between items-center">
+        <h3 className="font-semibold text-teal-800">🏷️ Category Rules</h3>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-gray-700">Rules for</label>
+          <select
+            value={scope}
+            onChange={(e) => {
+              setScope(e.target.value);
+              setValidationError('');
+            }}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            <option value="default">All properties (default)</option>
+            {properties.map(property => (
+              <option key={property} value={property}>
+                {property}{draft.properties[property] ? ' (custom)' : ''}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-600">
+        Categories are listed in display order. A unit goes to the matching category with the lowest priority number; all of a category's conditions must match.
+      </p>
+
+      {!rules ? (
+        <div className="p-4 bg-white rounded border text-sm text-gray-700 flex justify-between items-center">
+          <span>{scope} uses the default rules.</span>
+          <button
+            onClick={customizeProperty}
+            className="px-3 py-1 bg-teal-600 text-white rounded text-sm hover:bg-teal-700"
+          >
+            Customize for {scope}
+          </button>
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {rules.map((rule, ruleIndex) => (
+            <div key={rule.id || ruleIndex} className="p-3 bg-white rounded border space-y-2">
+              <div className="flex flex-wrap items-center gap-2">
+                <div className="flex flex-col">
+                  <button
+                    onClick={() => moveRule(ruleIndex, -1)}
+                    disabled={ruleIndex === 0}
+                    className="text-xs text-gray-600 disabled:text-gray-300"
+                    title="Move up"
+                  >
+                    ▲
+                  </button>
+                  <button
+                    onClick={() => moveRule(ruleIndex, 1)}
+                    disabled={ruleIndex === rules.length - 1}
+                    className="text-xs text-gray-600 disabled:text-gray-300"
+                    title="Move down"
+                  >
+                    ▼
+                  </button>
+                </div>
+                <input
+                  type="text"
+                  value={rule.name}
+                  onChange={(e) => updateRule(ruleIndex, { name: e.target.value })}
+                  className="flex-1 min-w-[200px] p-1 border border-gray-300 rounded text-sm font-medium"
+                />
+                <span className={`px-2 py-1 rounded text-xs ${categoryColorClass(rule.color)}`}>Preview</span>
+                <select
+                  value={rule.color}
+                  onChange={(e) => updateRule(ruleIndex, { color: e.target.value })}
+                  className="p-1 border border-gray-300 rounded text-xs"
+                >
+                  {Object.entries(CATEGORY_COLORS).map(([color, { label }]) => (
+                    <option key={color} value={color}>{label}</option>
+                  ))}
+                </select>
+                <select
+                  value={rule.status}
+                  onChange={(e) => updateRule(ruleIndex, { status: e.target.value })}
+                  className="p-1 border border-gray-300 rounded text-xs"
+                  title="Unit status"
+                >
+                  {UNIT_STATUSES.map(status => (
+                    <option key={status} value={status}>{status}</option>
+                  ))}
+                </select>
+                <label className="flex items-center gap-1 text-xs text-gray-700">
+                  Priority
+                  <input
+                    type="number"
+                    value={rule.priority}
+                    onChange={(e) => updateRule(ruleIndex, { priority: e.target.value })}
+                    className="w-16 p-1 border border-gray-300 rounded text-xs"
+                  />
+                </label>
+                <button
+                  onClick={() => setRules(rules.filter((_, i) => i !== ruleIndex))}
+                  className="text-xs text-red-600 hover:underline"
+                >
+                  Delete
+                </button>
+              </div>
+
+              {rule.conditions.map((condition, conditionIndex) => (
+                <ConditionEditor
+                  key={conditionIndex}
+                  condition={condition}
+                  prefix={conditionIndex === 0 ? 'If' : 'and'}
+                  onChange={(updated) => updateCondition(ruleIndex, conditionIndex, updated)}
+                  onRemove={() => removeCondition(ruleIndex, conditionIndex)}
+                />
+              ))}
+              <button
+                onClick={() => addCondition(ruleIndex)}
+                className="ml-6 text-xs text-teal-700 hover:underline"
+              >
+                + Add condition
+              </button>
+            </div>
+          ))}
+
+          <button
+            onClick={addRule}
+            className="px-3 py-1 bg-white border border-teal-300 text-teal-700 rounded text-sm hover:bg-teal-100"
+          >
+            + Add Category
+          </button>
+        </div>
+      )}
+
+      {validationError && (
+        <div className="p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm">{validationError}</div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleSave}
+          className="px-4 py-2 bg-teal-600 text-white rounded hover:bg-teal-700 transition-colors"
+        >
+          💾 Save & Re-process
+        </button>
+        <button
+          onClick={resetScope}
+          className="px-4 py-2 bg-gray-300 text-gray-700 rounded hover:bg-gray-400 transition-colors"
+        >
+          {scope === 'default' ? 'Reset to Defaults' : `Use Default Rules for ${scope}`}
+        </button>
+        <button
+          onClick={onClose}
+          className="px-4 py-2 bg-gray-300 text-gray-700 rounded hover:bg-gray-400 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default CategoryRulesEditor;
@@ -0,0 +1,148 @@
+import React from 'react';
+import { UNIT_STATUSES } from './categoryRules';
+import {
+  CONDITION_TYPES,
+  RENT_OPERATORS,
+  RULE_DATE_FIELDS,
+  TEXT_FIELDS,
+  newCondition
+} from './ruleConditions';
+
+// One editable condition row, shared by the category and data-quality rule editors.
+const ConditionEditor = ({ condition, prefix, onChange, onRemove, allowAfterCategorization = false }) => {
+  const update = (patch) => onChange({ ...condition, ...patch });
+
+  const renderFields = () => {
+    switch (condition.type) {
+      case 'keywords':
+        return (
+          <div className="flex-1 space-y-1">
+            <input
+              type="text"
+              value={condition.keywords.join(', ')}
+              onChange={(e) => update({
+                keywords: e.target.value.split(',').map(keyword => keyword.trimStart())
+              })}
+              placeholder="reno, staff unit, insurance claim"
+              className="w-full p-1 border border-gray-300 rounded text-xs"
+            />
+            <div className="flex flex-wrap gap-2">
+              {Object.entries(TEXT_FIELDS).map(([field, label]) => (
+                <label key={field} className="flex items-center text-xs">
+                  <input
+                    type="checkbox"
+                    checked={condition.fields.includes(field)}
+                    onChange={(e) => update({
+                      fields: e.target.checked
+                        ? [...condition.fields, field]
+                        : condition.fields.filter(existing => existing !== field)
+                    })}
+                    className="mr-1"
+                  />
+                  {label}
+                </label>
+              ))}
+            </div>
+          </div>
+        );
+      case 'hasDate':
+      case 'missingDate':
+      case 'datePast':
+        return (
+          <select
+            value={condition.field}
+            onChange={(e) => update({ field: e.target.value })}
+            className="p-1 border border-gray-300 rounded text-xs"
+          >
+            {Object.entries(RULE_DATE_FIELDS).map(([field, label]) => (
+              <option key={field} value={field}>{label}</option>
+            ))}
+          </select>
+        );
+      case 'rentReady':
+        return (
+          <select
+            value={condition.value}
+            onChange={(e) => update({ value: e.target.value })}
+            className="p-1 border border-gray-300 rounded text-xs"
+          >
+            <option value="yes">Yes</option>
+            <option value="no">No</option>
+          </select>
+        );
+      case 'readyWithinDays':
+        return (
+          <input
+            type="number"
+            min="0"
+            value={condition.days}
+            onChange={(e) => update({ days: parseInt(e.target.value) || 0 })}
+            className="w-20 p-1 border border-gray-300 rounded text-xs"
+          />
+        );
+      case 'askingRent':
+        return (
+          <div className="flex items-center gap-1">
+            <select
+              value={condition.operator}
+              onChange={(e) => update({ operator: e.target.value })}
+              className="p-1 border border-gray-300 rounded text-xs"
+            >
+              {Object.entries(RENT_OPERATORS).map(([operator, label]) => (
+                <option key={operator} value={operator}>{label}</option>
+              ))}
+            </select>
+            <span className="text-xs text-gray-500">$</span>
+            <input
+              type="number"
+              min="0"
+              value={condition.amount}
+              onChange={(e) => update({ amount: parseFloat(e.target.value) || 0 })}
+              className="w-24 p-1 border border-gray-300 rounded text-xs"
+            />
+          </div>
+        );
+      case 'statusIs':
+        return (
+          <select
+            value={condition.value}
+            onChange={(e) => update({ value: e.target.value })}
+            className="p-1 border border-gray-300 rounded text-xs"
+          >
+            {UNIT_STATUSES.map(status => (
+              <option key={status} value={status}>{status}</option>
+            ))}
+          </select>
+        );
+      default:
+        return null;
+    }
+  };
+
+  return (
+    <div className="flex items-start gap-2 pl-6">
+      <span className="text-xs text-gray-500 mt-1 w-8">{prefix}</span>
+      <select
+        value={condition.type}
+        onChange={(e) => onChange(newCondition(e.target.value))}
+        className="p-1 border border-gray-300 rounded text-xs"
+      >
+        {Object.entries(CONDITION_TYPES)
+          .filter(([, { afterCategorization }]) => allowAfterCategorization || !afterCategorization)
+          .map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+      </select>
+      {renderFields()}
+      <button
+        onClick={onRemove}
+        className="text-xs text-gray-500 hover:text-red-600 mt-1"
+        title="Remove condition"
+      >
+        ✕
+      </button>
+    </div>
+  );
+};
+
+export default ConditionEditor;
@@ -0,0 +1,145 @@
+import React from 'react';
+import { CHART_TITLES, niceCeiling } from './chartData';
+
+// Plain SVG charts. Titles, legends and labels live inside the SVG with
+// inline attributes rather than the app's styles.
+
+const WIDTH = 560;
+const HEIGHT = 280;
+const MARGIN = { left: 40, right: 12, bottom: 44 };
+const FONT = 'Arial, sans-serif';
+
+const layoutLegend = (legend) => {
+  const lines = [[]];
+  let x = MARGIN.left;
+  legend.forEach(item => {
+    const itemWidth = 18 + item.label.length * 6;
+    if (x + itemWidth > WIDTH - MARGIN.right && lines[lines.length - 1].length > 0) {
+      lines.push([]);
+      x = MARGIN.left;
+    }
+    lines[lines.length - 1].push({ ...item, x });
+    x += itemWidth + 8;
+  });
+  return lines;
+};
+
+const shortLabel = (label) => (label.length > 10 ? `${label.slice(0, 9)}…` : label);
+
+export const StackedBarChart = ({ title, chart, onSegmentClick, emptyMessage = 'No data for the current filters' }) => {
+  const legendLines = layoutLegend(chart.legend);
+  const plotTop = 32 + legendLines.length * 16 + 8;
+  const plotBottom = HEIGHT - MARGIN.bottom;
+  const plotHeight = plotBottom - plotTop;
+  const plotWidth = WIDTH - MARGIN.left - MARGIN.right;
+
+  const totals = chart.bars.map(bar => bar.segments.reduce((sum, segment) => sum + segment.value, 0));
+  const maxValue = niceCeiling(Math.max(0, ...totals));
+  const ticks = [0, 0.25, 0.5, 0.75, 1].map(fraction => Math.round(maxValue * fraction * 10) / 10);
+
+  const slot = chart.bars.length > 0 ? plotWidth / chart.bars.length : plotWidth;
+  const barWidth = Math.min(48, slot * 0.7);
+  const rotateLabels = chart.bars.length > 8;
+  const scale = (value) => (value / maxValue) * plotHeight;
+
+  return (
+    <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} width="100%" role="img" aria-label={title} style={{ fontFamily: FONT }}>
+      <text x={MARGIN.left} y={18} fontSize="13" fontWeight="bold" fill="#1f2937">{title}</text>
+
+      {legendLines.map((line, lineIndex) => line.map(item => (
+        <g key={item.key}>
+          <rect x={item.x} y={28 + lineIndex * 16} width="10" height="10" rx="2" fill={item.color} />
+          <text x={item.x + 14} y={37 + lineIndex * 16} fontSize="10" fill="#4b5563">{item.label}</text>
+        </g>
+      )))}
+
+      {ticks.map(tick => (
+        <g key={tick}>
+          <line
+            x1={MARGIN.left}
+            x2={WIDTH - MARGIN.right}
+            y1={plotBottom - scale(tick)}
+            y2={plotBottom - scale(tick)}
+            stroke="#e5e7eb"
+          />
+          <text x={MARGIN.left - 6} y={plotBottom - scale(tick) + 3} fontSize="9" fill="#6b7280" textAnchor="end">
+            {tick}
+          </text>
+        </g>
+      ))}
+
+      {totals.every(total => total === 0) && (
+        <text x={MARGIN.left + plotWidth / 2} y={plotTop + plotHeight / 2} fontSize="11" fill="#9ca3af" textAnchor="middle">
+          {emptyMessage}
+        </text>
+      )}
+
+      {chart.bars.map((bar, barIndex) => {
+        const x = MARGIN.left + barIndex * slot + (slot - barWidth) / 2;
+        const labelX = x + barWidth / 2;
+        let stacked = 0;
+
+        return (
+          <g key={`${bar.label}-${barIndex}`}>
+            {bar.segments.map(segment => {
+              const height = scale(segment.value);
+              const y = plotBottom - scale(stacked) - height;
+              stacked += segment.value;
+              return (
+                <rect
+                  key={segment.key}
+                  x={x}
+                  y={y}
+                  width={barWidth}
+                  height={height}
+                  fill={segment.color}
+                  stroke="#ffffff"
+                  strokeWidth="0.5"
+                  style={onSegmentClick ? { cursor: 'pointer' } : undefined}
+                  onClick={onSegmentClick ? () => onSegmentClick(segment.filter) : undefined}
+                >
+                  <title>{`${bar.label} · ${segment.label}: ${segment.value}`}</title>
+                </rect>
+              );
+            })}
+            {totals[barIndex] > 0 && (
+              <text x={labelX} y={plotBottom - scale(totals[barIndex]) - 3} fontSize="9" fill="#374151" textAnchor="middle">
+                {totals[barIndex]}
+              </text>
+            )}
+            <text
+              x={labelX}
+              y={plotBottom + 14}
+              fontSize="9"
+              fill="#4b5563"
+              textAnchor={rotateLabels ? 'end' : 'middle'}
+              transform={rotateLabels ? `rotate(-35 ${labelX} ${plotBottom + 14})` : undefined}
+            >
+              {shortLabel(bar.label)}
+            </text>
+          </g>
+        );
+      })}
+
+      <line x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={plotBottom} y2={plotBottom} stroke="#9ca3af" />
+    </svg>
+  );
+};
+
+const DashboardCharts = ({ charts, onSegmentClick }) => (
+  <div className="space-y-2">
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+      {Object.entries(CHART_TITLES).map(([key, title]) => (
+        <div key={key} className="p-3 bg-white rounded-lg border">
+          <StackedBarChart title={title} chart={charts[key]} onSegmentClick={onSegmentClick} />
+          {key === 'readyTimeline' && charts.readyTimeline.undated > 0 && (
+            <p className="text-xs text-gray-500 mt-1">{charts.readyTimeline.undated} units have no estimated ready date.</p>
+          )}
+        </div>
+      ))}
+    </div>
+    <p className="text-xs text-gray-500">💡 Click a bar segment to filter the table to those units.</p>
+  </div>
+);
+
+export default DashboardCharts;
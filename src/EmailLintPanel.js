@@ -0,0 +1,77 @@
+import React, { useState } from 'react';
+import { SEVERITIES } from './validationRules';
+import { LINT_RULES } from './emailLint';
+
+// Deliverability findings for the composer, each linked back to its line
+const EmailLintPanel = ({ findings, onJumpToLine, onApplyFix }) => {
+  const [expanded, setExpanded] = useState(true);
+
+  const counts = Object.keys(SEVERITIES)
+    .map(severity => ({ severity, count: findings.filter(finding => finding.severity === severity).length }))
+    .filter(entry => entry.count > 0);
+
+  return (
+    <div className="mt-3 p-3 bg-white rounded-lg border border-gray-200">
+      <div className="flex justify-between items-center">
+        <button
+          onClick={() => setExpanded(!expanded)}
+          className="text-sm font-semibold text-gray-800 hover:underline"
+        >
+          🩺 Deliverability Check {expanded ? '▾' : '▸'}
+        </button>
+        <div className="flex gap-1">
+          {counts.length === 0 ? (
+            <span className="px-2 py-0.5 rounded text-xs bg-green-100 text-green-800">No problems found</span>
+          ) : (
+            counts.map(({ severity, count }) => (
+              <span key={severity} className={`px-2 py-0.5 rounded text-xs ${SEVERITIES[severity].className}`}>
+                {count} {SEVERITIES[severity].label.toLowerCase()}{count === 1 ? '' : 's'}
+              </span>
+            ))
+          )}
+        </div>
+      </div>
+
+      {expanded && findings.length > 0 && (
+        <ul className="mt-2 divide-y max-h-72 overflow-y-auto">
+          {findings.map(finding => (
+            <li key={finding.id} className="py-2 text-xs">
+              <div className="flex flex-wrap items-center gap-2">
+                <span className={`px-1.5 py-0.5 rounded ${SEVERITIES[finding.severity].className}`}>
+                  {LINT_RULES[finding.rule]}
+                </span>
+                {finding.line !== null ? (
+                  <button
+                    onClick={() => onJumpToLine(finding.line)}
+                    className="text-blue-600 hover:underline"
+                    title="Select this line in the editor"
+                  >
+                    Line {finding.line}
+                  </button>
+                ) : (
+                  <span className="text-gray-500">Whole message</span>
+                )}
+                {finding.excerpt && <code className="text-gray-600 truncate max-w-xs">{finding.excerpt}</code>}
+              </div>
+              <p className="mt-1 text-gray-800">{finding.message}</p>
+              <div className="mt-1 flex flex-wrap items-center gap-2 text-gray-600">
+                <span>💡 {finding.suggestion}</span>
+                {finding.replacement !== undefined && (
+                  <button
+                    onClick={() => onApplyFix(finding)}
+                    className="px-2 py-0.5 bg-blue-600 text-white rounded hover:bg-blue-700"
+                    title={finding.replacement}
+                  >
+                    Apply fix
+                  </button>
+                )}
+              </div>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default EmailLintPanel;
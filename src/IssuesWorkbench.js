@@ -0,0 +1,162 @@
+import React, { useState } from 'react';
+import { RESOLUTION_STATES, collectIssues } from './issueResolutions';
+import { SEVERITIES } from './validationRules';
+
+const STATE_FILTERS = {
+  active: { label: 'Needs attention', matches: state => state === 'open' || state === 'acknowledged' },
+  open: { label: 'Open only', matches: state => state === 'open' },
+  all: { label: 'All issues', matches: () => true }
+};
+
+const IssuesWorkbench = ({ units, resolutions, onResolve, onShowUnit, onClose }) => {
+  const [groupBy, setGroupBy] = useState('rule');
+  const [stateFilter, setStateFilter] = useState('active');
+
+  const issues = collectIssues(units, resolutions);
+  const stateCounts = {};
+  issues.forEach(issue => {
+    stateCounts[issue.resolution.state] = (stateCounts[issue.resolution.state] || 0) + 1;
+  });
+
+  const visibleIssues = issues.filter(issue => (
+    STATE_FILTERS[stateFilter]
+      ? STATE_FILTERS[stateFilter].matches(issue.resolution.state)
+      : issue.resolution.state === stateFilter
+  ));
+
+  const groups = {};
+  visibleIssues.forEach(issue => {
+    const group = groupBy === 'rule' ? issue.name : (issue.unit.property || 'Unknown property');
+    if (!groups[group]) groups[group] = [];
+    groups[group].push(issue);
+  });
+  const sortedGroups = Object.entries(groups).sort(([a, aIssues], [b, bIssues]) => (
+    bIssues.length - aIssues.length || a.localeCompare(b)
+  ));
+
+  return (
+    <div className="p-4 bg-orange-50 rounded-lg border border-orange-200 space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h3 className="font-semibold text-orange-800">🛠️ Issues Workbench</h3>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-gray-700">Group by</label>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            <option value="rule">Rule</option>
+            <option value="property">Property</option>
+          </select>
+          <select
+            value={stateFilter}
+            onChange={(e) => setStateFilter(e.target.value)}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            {Object.entries(STATE_FILTERS).map(([key, { label }]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+            {Object.entries(RESOLUTION_STATES).filter(([state]) => state !== 'open').map(([state, { label }]) => (
+              <option key={state} value={state}>{label} only</option>
+            ))}
+          </select>
+          <button
+            onClick={onClose}
+            className="px-3 py-1 bg-gray-300 text-gray-700 rounded text-sm hover:bg-gray-400 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(RESOLUTION_STATES).map(([state, { label, className }]) => (
+          <button
+            key={state}
+            onClick={() => setStateFilter(stateFilter === state ? 'active' : state)}
+            className={`px-3 py-2 rounded-lg text-left ${className} ${stateFilter === state ? 'ring-2 ring-orange-400' : ''}`}
+          >
+            <div className="text-lg font-bold">{stateCounts[state] || 0}</div>
+            <div className="text-xs">{label}</div>
+          </button>
+        ))}
+      </div>
+
+      <p className="text-xs text-gray-600">
+        Triage is remembered by property + unit code, so issues you've already handled stay resolved when next week's report flags them again.
+      </p>
+
+      {issues.length === 0 ? (
+        <p className="text-sm text-gray-600">No data-quality issues in this report.</p>
+      ) : sortedGroups.length === 0 ? (
+        <p className="text-sm text-gray-600">Nothing matches this filter.</p>
+      ) : (
+        <div className="space-y-3 max-h-[32rem] overflow-y-auto">
+          {sortedGroups.map(([group, groupIssues]) => (
+            <div key={group} className="bg-white rounded border">
+              <div className="px-3 py-2 bg-gray-50 border-b text-sm font-medium text-gray-800">
+                {group} <span className="text-gray-500 font-normal">({groupIssues.length})</span>
+              </div>
+              <table className="w-full text-xs">
+                <tbody>
+                  {groupIssues.map(issue => (
+                    <tr key={issue.key} className="border-t first:border-t-0 align-top">
+                      <td className="p-2 whitespace-nowrap">
+                        <button
+                          onClick={() => onShowUnit(issue.unit)}
+                          className="font-medium text-blue-700 hover:underline"
+                          title="Show this unit in the table"
+                        >
+                          {issue.unit.unitCode}
+                        </button>
+                        <div className="text-gray-500">
+                          {groupBy === 'rule' ? issue.unit.property : issue.name}
+                        </div>
+                      </td>
+                      <td className="p-2">
+                        <span className={`px-2 py-0.5 rounded ${SEVERITIES[issue.severity].className}`}>
+                          {SEVERITIES[issue.severity].label}
+                        </span>
+                      </td>
+                      <td className="p-2 text-gray-700">
+                        {issue.message}
+                        <div className="text-gray-500">{issue.unit.category}</div>
+                      </td>
+                      <td className="p-2">
+                        <select
+                          value={issue.resolution.state}
+                          onChange={(e) => onResolve(issue.key, { state: e.target.value })}
+                          className={`p-1 border border-gray-300 rounded text-xs ${RESOLUTION_STATES[issue.resolution.state].className}`}
+                        >
+                          {Object.entries(RESOLUTION_STATES).map(([state, { label }]) => (
+                            <option key={state} value={state}>{label}</option>
+                          ))}
+                        </select>
+                      </td>
+                      <td className="p-2 w-1/3">
+                        <input
+                          type="text"
+                          value={issue.resolution.note || ''}
+                          onChange={(e) => onResolve(issue.key, { note: e.target.value })}
+                          placeholder="Add a note..."
+                          className="w-full p-1 border border-gray-300 rounded text-xs"
+                        />
+                        {issue.resolution.updatedAt && (
+                          <div className="text-gray-400 mt-1">
+                            Updated {new Date(issue.resolution.updatedAt).toLocaleDateString()}
+                          </div>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default IssuesWorkbench;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import * as XLSX from 'xlsx';
+import { readFileSources } from './ingestion';
+import { extractVariables } from './templateEngine';
+import { LOOP_ITEM_FIELDS } from './inquiryBuilder';
+import {
+  MERGE_FORMATS,
+  guessEmailColumn,
+  guessFieldMapping,
+  mergeAll,
+  mergeFiles,
+  mergeWorkbook,
+  recipientsFromRows
+} from './mailMerge';
+import { createZip, crc32 } from './zipArchive';
+
+const MailMergePanel = ({ template, templateName, baseValues, lists, onClose }) => {
+  const [fileName, setFileName] = useState('');
+  const [columns, setColumns] = useState([]);
+  const [recipients, setRecipients] = useState([]);
+  const [mappingOverrides, setMappingOverrides] = useState({});
+  const [emailColumn, setEmailColumn] = useState('');
+  const [subject, setSubject] = useState(templateName || '');
+  const [page, setPage] = useState(0);
+  const [format, setFormat] = useState('html');
+  const [skipIncomplete, setSkipIncomplete] = useState(false);
+  const [download, setDownload] = useState(null);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    return () => {
+      if (download) {
+        window.URL.revokeObjectURL(download.url);
+      }
+    };
+  }, [download]);
+
+  const handleFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const sources = await readFileSources(file);
+      if (sources.length === 0) throw new Error('The file has no rows.');
+      const parsed = recipientsFromRows(sources[0].rows);
+      if (parsed.recipients.length === 0) throw new Error('No recipient rows were found under the header row.');
+
+      setFileName(sources.length > 1 ? `${file.name} (first sheet)` : file.name);
+      setColumns(parsed.columns);
+      setRecipients(parsed.recipients);
+      setMappingOverrides({});
+      setEmailColumn(guessEmailColumn(parsed.columns));
+      setPage(0);
+      setError('');
+    } catch (err) {
+      setError(`Could not read recipients: ${err.message}`);
+    }
+  };
+
+  const variables = extractVariables(`${subject}\n${template}`, lists, LOOP_ITEM_FIELDS);
+  const guessed = guessFieldMapping(variables, columns);
+  const mapping = Object.fromEntries(variables.map(variable => [
+    variable.name,
+    mappingOverrides[variable.name] !== undefined ? mappingOverrides[variable.name] : guessed[variable.name]
+  ]));
+
+  const messages = mergeAll(template, subject, recipients, mapping, emailColumn, baseValues, lists);
+  const incomplete = messages.filter(message => message.unresolved.length > 0);
+  const included = skipIncomplete ? messages.filter(message => message.unresolved.length === 0) : messages;
+  const current = messages[Math.min(page, messages.length - 1)];
+
+  // A prepared download only stays offered while it matches what's on screen
+  const signature = `${format}:${crc32(new TextEncoder().encode(JSON.stringify(included)))}`;
+  const downloadReady = download && download.signature === signature;
+
+  const prepareDownload = () => {
+    const blob = format === 'xlsx'
+      ? new Blob([XLSX.write(mergeWorkbook(included), { bookType: 'xlsx', type: 'array' })], {
+        type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      })
+      : new Blob([createZip(mergeFiles(included, format))], { type: 'application/zip' });
+    setDownload({ url: window.URL.createObjectURL(blob), signature });
+  };
+
+  return (
+    <div className="p-4 bg-indigo-50 rounded-lg border border-indigo-200 space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h4 className="font-semibold text-indigo-800">📬 Mail Merge</h4>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-gray-300 text-gray-700 rounded text-sm hover:bg-gray-400 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+
+      <p className="text-xs text-indigo-900">
+        Upload a CSV or Excel list with one recipient per row. Columns named like a placeholder
+        (e.g. "Tenant Name" for [TENANT NAME]) fill it automatically; values typed in Template Fields apply to everyone.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-3">
+        <label className="px-3 py-1 bg-white border border-indigo-300 text-indigo-700 rounded text-sm hover:bg-indigo-100 cursor-pointer">
+          📂 {fileName ? 'Replace Recipients' : 'Upload Recipients'}
+          <input type="file" accept=".csv,.xlsx,.xls,.txt" onChange={handleFile} className="hidden" />
+        </label>
+        {fileName && (
+          <span className="text-xs text-gray-700">{fileName}: {recipients.length} recipient{recipients.length === 1 ? '' : 's'}</span>
+        )}
+      </div>
+
+      {error && (
+        <div className="p-2 bg-red-50 border-l-4 border-red-400 text-red-700 text-xs">{error}</div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+        <label className="block">
+          <span className="text-xs font-medium text-gray-700">Subject (placeholders allowed)</span>
+          <input
+            type="text"
+            value={subject}
+            onChange={(e) => setSubject(e.target.value)}
+            placeholder="e.g. Welcome to [ADDRESS], [TENANT NAME]!"
+            className="w-full p-2 border border-gray-300 rounded text-sm"
+          />
+        </label>
+        <label className="block">
+          <span className="text-xs font-medium text-gray-700">Recipient email column (for .eml drafts)</span>
+          <select
+            value={emailColumn}
+            onChange={(e) => setEmailColumn(e.target.value)}
+            className="w-full p-2 border border-gray-300 rounded text-sm"
+          >
+            <option value="">None</option>
+            {columns.map(column => <option key={column} value={column}>{column}</option>)}
+          </select>
+        </label>
+      </div>
+
+      {columns.length > 0 && variables.length > 0 && (
+        <div className="bg-white rounded border p-3">
+          <p className="text-xs font-semibold text-gray-700 mb-2">Placeholder → Column</p>
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+            {variables.map(variable => (
+              <label key={variable.name} className="flex items-center gap-2 text-xs">
+                <span className="w-32 truncate font-medium text-gray-700" title={variable.name}>[{variable.name}]</span>
+                <select
+                  value={mapping[variable.name]}
+                  onChange={(e) => setMappingOverrides({ ...mappingOverrides, [variable.name]: e.target.value })}
+                  className={`flex-1 p-1 border rounded ${mapping[variable.name] ? 'border-gray-300' : 'border-amber-300 bg-amber-50'}`}
+                >
+                  <option value="">(not from the list)</option>
+                  {columns.map(column => <option key={column} value={column}>{column}</option>)}
+                </select>
+              </label>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {current && (
+        <div className="bg-white rounded border">
+          <div className="flex flex-wrap justify-between items-center gap-2 p-2 border-b bg-gray-50 text-xs">
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => setPage(Math.max(0, page - 1))}
+                disabled={page === 0}
+                className="px-2 py-1 border rounded disabled:text-gray-300"
+              >
+                ◀ Prev
+              </button>
+              <span>Recipient {Math.min(page, messages.length - 1) + 1} of {messages.length} (row {current.row})</span>
+              <button
+                onClick={() => setPage(Math.min(messages.length - 1, page + 1))}
+                disabled={page >= messages.length - 1}
+                className="px-2 py-1 border rounded disabled:text-gray-300"
+              >
+                Next ▶
+              </button>
+            </div>
+            {current.unresolved.length > 0 && (
+              <span className="text-red-700">Unfilled: {current.unresolved.map(name => `[${name}]`).join(', ')}</span>
+            )}
+          </div>
+          <div className="p-3 text-xs text-gray-700 border-b">
+            <div><span className="font-semibold">To:</span> {current.to || '—'}</div>
+            <div><span className="font-semibold">Subject:</span> {current.subject || '—'}</div>
+          </div>
+          <div className="p-4 max-h-96 overflow-y-auto" dangerouslySetInnerHTML={{ __html: current.html }} />
+        </div>
+      )}
+
+      {messages.length > 0 && (
+        <div className="flex flex-wrap items-center gap-3">
+          <select
+            value={format}
+            onChange={(e) => setFormat(e.target.value)}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            {MERGE_FORMATS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+          </select>
+          {incomplete.length > 0 && (
+            <label className="flex items-center gap-1 text-xs text-gray-700">
+              <input type="checkbox" checked={skipIncomplete} onChange={(e) => setSkipIncomplete(e.target.checked)} />
+              Leave out {incomplete.length} email{incomplete.length === 1 ? '' : 's'} with unfilled placeholders
+            </label>
+          )}
+          {!downloadReady ? (
+            <button
+              onClick={prepareDownload}
+              disabled={included.length === 0}
+              className="px-3 py-2 bg-indigo-600 text-white rounded text-sm hover:bg-indigo-700 disabled:bg-gray-300"
+            >
+              📦 Prepare {included.length} Email{included.length === 1 ? '' : 's'}
+            </button>
+          ) : (
+            <a
+              href={download.url}
+              download={`Mail_Merge_${new Date().toISOString().split('T')[0]}.${format === 'xlsx' ? 'xlsx' : 'zip'}`}
+              className="px-3 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700"
+            >
+              📄 Download {format === 'xlsx' ? 'Spreadsheet' : 'ZIP'}
+            </a>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default MailMergePanel;
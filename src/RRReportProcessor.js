@@ -1,5 +1,86 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import * as XLSX from 'xlsx';
+import {
+  DATE_LOCALES,
+  formatUnitDate,
+  hasDateEntry,
+  loadDateLocale,
+  saveDateLocale
+} from './dateParsing';
+import CategoryRulesEditor from './CategoryRulesEditor';
+import {
+  categoryColorClass,
+  loadCategoryRules,
+  saveCategoryRules
+} from './categoryRules';
+import SnapshotHistory from './SnapshotHistory';
+import {
+  DEFAULT_SMS_OPTIONS,
+  OUTPUT_TARGETS,
+  SMS_LIMITS,
+  renderForTarget,
+  writeToClipboard
+} from './outputTargets';
+import ValidationRulesEditor from './ValidationRulesEditor';
+import {
+  SEVERITIES,
+  describeIssues,
+  highestSeverity,
+  loadValidationRules,
+  saveValidationRules
+} from './validationRules';
+import IssuesWorkbench from './IssuesWorkbench';
+import {
+  hasOpenIssues,
+  loadIssueResolutions,
+  saveIssueResolutions,
+  updateResolution
+} from './issueResolutions';
+import VacancyLossPanel from './VacancyLossPanel';
+import { bedroomLabel } from './vacancyAnalytics';
+import DashboardCharts from './DashboardCharts';
+import AvailabilityCalendar from './AvailabilityCalendar';
+import { LOOP_ITEM_FIELDS, buildInquiryEmail, buildTemplateLists } from './inquiryBuilder';
+import TemplateFieldsForm from './TemplateFieldsForm';
+import TemplateLibraryManager from './TemplateLibraryManager';
+import MailMergePanel from './MailMergePanel';
+import ReportBuilderPanel from './ReportBuilderPanel';
+import {
+  DEFAULT_PDF_OPTIONS,
+  loadSavedViews,
+  sameView,
+  saveSavedViews,
+  upsertView,
+  urlWithView,
+  viewFromQuery
+} from './dashboardViews';
+import EmailLintPanel from './EmailLintPanel';
+import { applyLintFix, lintEmail } from './emailLint';
+import {
+  defaultTemplateFor,
+  groupTemplatesByCategory,
+  loadTemplateLibrary,
+  saveTemplateLibrary
+} from './templateLibrary';
+import { extractVariables, renderTemplate } from './templateEngine';
+import { buildDashboardCharts } from './chartData';
+import { buildRentReadyPdf } from './pdfReport';
+import { buildRentReadyWorkbook } from './excelReport';
+import { createXlsx } from './xlsxWriter';
+import { REPORT_COLUMNS } from './reportColumns';
+import TurnTimePanel from './TurnTimePanel';
+import { CHANGE_TYPES } from './snapshotDiff';
+import { saveSnapshot } from './snapshotStore';
+import { readFileSources } from './ingestion';
+import { DEFAULT_SORT, EMPTY_FILTERS, classifyUnits, processSources, sortedAndFilteredUnits } from './rrCore';
+import {
+  RR_FIELDS,
+  detectLayout,
+  getMissingRequiredFields,
+  loadSavedMappings,
+  saveMapping,
+  columnLetter
+} from './columnMapping';
 import { 
   Mail, 
   FileSpreadsheet,
@@ -22,120 +103,64 @@ const RRDashboardWithEmailFormatter = () => {
   const [activeTab, setActiveTab] = useState('dashboard');
   
   // Dashboard states (from V6)
-  const [file, setFile] = useState(null);
+  const [files, setFiles] = useState([]);
   const [processing, setProcessing] = useState(false);
   const [status, setStatus] = useState('');
   const [error, setError] = useState('');
   const [cleanedData, setCleanedData] = useState(null);
   const [showDashboard, setShowDashboard] = useState(false);
   const [downloadUrl, setDownloadUrl] = useState(null);
-  const [filters, setFilters] = useState({
-    property: '',
-    properties: [],
-    category: '',
-    rentReady: '',
-    search: '',
-    rentMin: 0,
-    rentMax: 5000,
-    dateRange: {
-      start: '',
-      end: '',
-      dateType: 'estimated'
-    },
-    showFlaggedOnly: false
-  });
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+  const [pdfDownloadUrl, setPdfDownloadUrl] = useState(null);
+  const [pendingImport, setPendingImport] = useState(null);
+  const [duplicateUnits, setDuplicateUnits] = useState([]);
+  const [showHistory, setShowHistory] = useState(false);
+  const [snapshotVersion, setSnapshotVersion] = useState(0);
+  const [diffDownloadUrl, setDiffDownloadUrl] = useState(null);
+  const [rememberMapping, setRememberMapping] = useState(true);
+  const [dateLocale, setDateLocale] = useState(loadDateLocale);
+  const [categoryRules, setCategoryRules] = useState(loadCategoryRules);
+  const [showRulesEditor, setShowRulesEditor] = useState(false);
+  const [validationConfig, setValidationConfig] = useState(loadValidationRules);
+  const [showValidationEditor, setShowValidationEditor] = useState(false);
+  const [issueResolutions, setIssueResolutions] = useState(loadIssueResolutions);
+  const [showIssues, setShowIssues] = useState(false);
+  const [showVacancyLoss, setShowVacancyLoss] = useState(false);
+  const [showTurnTimes, setShowTurnTimes] = useState(false);
+  const [showCalendar, setShowCalendar] = useState(false);
+  const [showReportBuilder, setShowReportBuilder] = useState(false);
+  const pendingSource = pendingImport ? pendingImport.queue[0] : null;
+  const pendingLayout = pendingSource ? pendingSource.layout : null;
+  const sourceNames = cleanedData ? [...new Set(cleanedData.map(unit => unit.source))] : [];
+  const dateIssueCounts = {
+    invalid: cleanedData ? cleanedData.filter(unit => unit.dateIssues.some(issue => issue.status === 'invalid')).length : 0,
+    ambiguous: cleanedData ? cleanedData.filter(unit => unit.dateIssues.some(issue => issue.status === 'ambiguous')).length : 0
+  };
+  const openIssueUnitCount = cleanedData ? cleanedData.filter(unit => hasOpenIssues(unit, issueResolutions)).length : 0;
+  // A shared link's view is applied as soon as a report is loaded
+  const [urlView] = useState(() => viewFromQuery(window.location.search));
+  const [filters, setFilters] = useState(urlView ? urlView.filters : EMPTY_FILTERS);
+  const [showCharts, setShowCharts] = useState(true);
+  const [sortConfig, setSortConfig] = useState(urlView ? urlView.sortConfig : DEFAULT_SORT);
   const [showAdvancedFilters, setShowAdvancedFilters] = useState(false);
   const [showPdfOptions, setShowPdfOptions] = useState(false);
-  const [pdfOptions, setPdfOptions] = useState({
-    format: 'table',
-    includeColumns: {
-      unitCode: true,
-      property: true,
-      category: true,
-      unitDescription: true,
-      askingRent: true,
-      rentReady: true,
-      estimatedReadyDate: true,
-      actualReadyDate: true,
-      daysUntilReady: true,
-      comments: false,
-      rentalType: false,
-      vacateType: false,
-      futureMoveInDate: false
-    }
-  });
+  const [pdfOptions, setPdfOptions] = useState(urlView ? urlView.pdfOptions : DEFAULT_PDF_OPTIONS);
+  const [savedViews, setSavedViews] = useState(loadSavedViews);
+  const [viewLinkCopied, setViewLinkCopied] = useState(false);
   
   // Email Formatter states
   const [emailContent, setEmailContent] = useState('');
-  const [formattedOutput, setFormattedOutput] = useState('');
+  const [templateValues, setTemplateValues] = useState({});
+  const [copyWarning, setCopyWarning] = useState('');
+  const [copyError, setCopyError] = useState('');
   const [showPreview, setShowPreview] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [outputTarget, setOutputTarget] = useState('rhenti');
+  const [smsOptions, setSmsOptions] = useState(DEFAULT_SMS_OPTIONS);
   const [selectedTemplate, setSelectedTemplate] = useState('');
-  
-  // Email templates
-  const emailTemplates = {
-    inquiry: {
-      name: 'Initial Inquiry Response',
-      template: `Thank you for your inquiry!
-
-***** NOW OFFERING!!! 2 MONTHS FREE!!!!!!!!! *****
-(Select units, limited time offer, move in by [DATE] to qualify)
-
-I'm [NAME], the Leasing Consultant for [PROPERTIES].
-
-=== CURRENT AVAILABILITY & PRICING ===
-
->> AVAILABLE NOW (Immediate Move-in):
-• 1-bedroom suites starting at $[PRICE]/month
-• 2-bedroom suites starting at $[PRICE]/month
-
->> [MONTH] MOVE-IN READY:
-• Bachelor suites starting at $[PRICE]/month
-• 1-bedroom suites starting at $[PRICE]/month
-• 2-bedroom suites starting at $[PRICE]/month
-
-⚠️ IMPORTANT: Availability depends on units not being leased by the time you contact us.
-💧 UTILITIES: Water and heat included, hydro extra.
-📱 CONTACT: Virtual tours available! Call me directly at [PHONE].
-
-Looking forward to seeing you soon!`
-    },
-    approval: {
-      name: 'Approval Welcome Email',
-      template: `Dear [TENANT NAME],
-
-🏠 Welcome to Your New Home at Unit [NUMBER], [ADDRESS]!
-
-You have officially been APPROVED! 
-
-📋 PRE-MOVE-IN CHECKLIST
-
-✅ STEP 1: TENANT INSURANCE (Required)
-• $2,000,000 personal liability coverage
-• Effective date must match key pickup date
-• Recommended: Apollo Tenant Insurance
-
-✅ STEP 2: UTILITY SETUP (Required)
-• Provider: [UTILITY PROVIDER]
-• Submit confirmation with name, address, start date
-
-✅ STEP 3: RENT CAFÉ APP
-• Registration code: T-CODE: [CODE]
-
-✅ STEP 4: FINANCIAL REQUIREMENTS
-• Last Month's Rent: $[AMOUNT]
-• Key/Fob Deposit: $[AMOUNT]
-• Less Application Deposit: -$500
-• TOTAL DUE: $[AMOUNT]
-
-Contact me at [PHONE] with questions!`
-    },
-    custom: {
-      name: 'Custom Message',
-      template: ''
-    }
-  };
+  const [availabilityNote, setAvailabilityNote] = useState('');
+  const [emailTemplates, setEmailTemplates] = useState(loadTemplateLibrary);
+  const [showTemplateLibrary, setShowTemplateLibrary] = useState(false);
+  const [showMailMerge, setShowMailMerge] = useState(false);
 
   // Cleanup
   useEffect(() => {
@@ -146,243 +171,117 @@ Contact me at [PHONE] with questions!`
     };
   }, [downloadUrl]);
 
-  // Helper functions from V6
-  const parseDate = (dateStr) => {
-    if (!dateStr || dateStr === '') return null;
-    try {
-      const trimmed = dateStr.toString().trim();
-      if (!trimmed) return null;
-      
-      const parts = trimmed.split('/');
-      if (parts.length === 3) {
-        const month = parseInt(parts[0]);
-        const day = parseInt(parts[1]);
-        const year = parseInt(parts[2]);
-        return new Date(year, month - 1, day);
+  useEffect(() => {
+    return () => {
+      if (pdfDownloadUrl) {
+        window.URL.revokeObjectURL(pdfDownloadUrl);
       }
-    } catch (e) {
-      console.warn('Date parsing error:', e);
-    }
-    return null;
-  };
-
-  const extractPropertyFromUnitType = (unitType) => {
-    if (!unitType) return '';
-    
-    const trimmed = unitType.toString().trim();
-    const withoutLeadingZeros = trimmed.replace(/^0+/, '');
-    const match = withoutLeadingZeros.match(/^(\d+[a-z]+)/i);
-    
-    return match ? match[1] : '';
-  };
+    };
+  }, [pdfDownloadUrl]);
 
-  const extractBedroomCount = (description) => {
-    const desc = description.toLowerCase();
-    
-    const match = desc.match(/(\d+)[\s-]*bedroom/);
-    if (match) return parseInt(match[1]);
-    
-    if (desc.includes('bachelor') || desc.includes('studio') || desc.includes('0 bedroom')) return 0;
-    
-    return 999;
-  };
+  // Prepared exports are only offered while they match what's on screen
+  useEffect(() => {
+    setPdfDownloadUrl(null);
+    setDownloadUrl(null);
+  }, [cleanedData, filters, sortConfig, pdfOptions]);
 
-  const categorizeUnit = (unit) => {
-    const today = new Date();
-    
-    const rentalType = unit.rentalType.toLowerCase();
-    const comments = unit.comments.toLowerCase();
-    if (rentalType.includes('development') || rentalType.includes('model') || 
-        rentalType.includes('hold') || rentalType.includes('down') || 
-        comments.includes('development') || comments.includes('hold') || 
-        comments.includes('model') || comments.includes('down')) {
-      return 'Down/Hold/Model/Development';
-    }
-    
-    if (unit.futureMoveInDate && unit.futureMoveInDate.toString().trim() !== '') {
-      return 'Already Rented';
-    }
-    
-    if (unit.rentReady === 'yes') {
-      const hasActualReadyDate = unit.actualReadyDate && 
-                                unit.actualReadyDate !== '' && 
-                                unit.actualReadyDate !== null;
-      
-      if (hasActualReadyDate) {
-        return 'Available & Rent Ready';
-      } else {
-        return 'Available & Rent Ready (Flagged)';
+  useEffect(() => {
+    return () => {
+      if (diffDownloadUrl) {
+        window.URL.revokeObjectURL(diffDownloadUrl);
       }
-    }
-    
-    if (unit.estimatedReadyDate) {
-      const diffTime = unit.estimatedReadyDate - today;
-      const diffDays = Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-      
-      if (diffDays <= 30) return 'Available in Next 30 Days';
-      if (diffDays <= 60) return 'Available in Next 31-60 Days';
-      return 'Available in More than 60 Days';
-    }
-    
-    return 'Unknown';
-  };
-
-  const getUnitStatus = (unit) => {
-    if (unit.category === 'Already Rented') return 'Rented';
-    if (unit.category === 'Down/Hold/Model/Development') return 'Not Available';
-    if (unit.category === 'Available & Rent Ready') return 'Ready Now';
-    return 'Future';
-  };
+    };
+  }, [diffDownloadUrl]);
 
-  const calculateDaysUntilReady = (unit) => {
-    const today = new Date();
-    
-    if (unit.rentReady === 'yes' && unit.actualReadyDate && unit.actualReadyDate !== '' && unit.actualReadyDate !== null) {
-      let actualDate;
-      
-      if (unit.actualReadyDate instanceof Date) {
-        actualDate = unit.actualReadyDate;
-      } else {
-        actualDate = new Date(unit.actualReadyDate);
-        if (isNaN(actualDate)) {
-          if (!unit.estimatedReadyDate) return null;
-          const diffTime = unit.estimatedReadyDate - today;
-          return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
-        }
-      }
-      
-      const diffTime = actualDate - today;
-      return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+  // Keep the address bar in step with the view so it can be shared
+  useEffect(() => {
+    const href = urlWithView(window.location.href, { filters, sortConfig, pdfOptions });
+    if (href !== window.location.href) {
+      window.history.replaceState(window.history.state, '', href);
     }
+  }, [filters, sortConfig, pdfOptions]);
+
+  const finishProcessing = (sources) => {
+    setStatus('Processing units and extracting properties...');
+    const { units: processed, duplicates } = processSources(sources, {
+      dateOrder: DATE_LOCALES[dateLocale].order,
+      categoryRules,
+      validationRules: validationConfig
+    });
     
-    if (!unit.estimatedReadyDate) return null;
-    const diffTime = unit.estimatedReadyDate - today;
-    return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
+    const sourceCount = new Set(processed.map(unit => unit.source)).size;
+    const unreadableDates = processed.filter(unit => unit.dateIssues.some(issue => issue.status === 'invalid')).length;
+    setStatus(`✅ Success! Processed ${processed.length} units from ${sourceCount > 1 ? `${sourceCount} sources` : 'your RR report'}.` +
+      (duplicates.length > 0 ? ` ⚠️ ${duplicates.length} unit codes appear in more than one source.` : '') +
+      (unreadableDates > 0 ? ` ⚠️ ${unreadableDates} units have dates that could not be read.` : ''));
+    setDuplicateUnits(duplicates);
+    setCleanedData(processed);
+    setShowDashboard(true);
+
+    saveSnapshot({
+      name: [...new Set(sources.map(source => source.fileName))].join(', '),
+      sources: sources.map(source => source.label),
+      units: processed
+    })
+      .then(() => setSnapshotVersion(version => version + 1))
+      .catch(err => console.warn('Could not save report snapshot:', err));
   };
 
-  const checkForIssues = (unit) => {
-      const hasActualReadyDate = unit.actualReadyDate && 
-                                unit.actualReadyDate !== '' && 
-                                unit.actualReadyDate !== null;
-      
-      const hasMoveinDate = unit.futureMoveInDate && unit.futureMoveInDate.toString().trim() !== '';
-      
-      const isDownHoldModel = unit.category === 'Down/Hold/Model/Development';
-      
-      // Flag if rent ready is "yes" but actual ready date is empty
-      if (unit.rentReady === 'yes' && !hasActualReadyDate) {
-        return true;
-      }
-      
-      // Flag if unit is rented (has future move-in date) but not rent ready
-      if (hasMoveinDate && unit.rentReady !== 'yes') {
-        return true;
-      }
-      
-      // Flag if unit is Down/Hold/Model/Development but marked as rent ready
-      if (isDownHoldModel && unit.rentReady === 'yes') {
-        return true;
-      }
-      
-      // Flag if moveout date equals ready date (indicates in-suite hasn't scoped yet)
-      if (unit.vacantAsOf && unit.estimatedReadyDate) {
-        const moveoutDate = parseDate(unit.vacantAsOf);
-        if (moveoutDate && moveoutDate.getTime() === unit.estimatedReadyDate.getTime()) {
-          return true;
-        }
-      }
-      
-      // Flag if make ready notes indicate new unscoped unit
-      if (unit.makeReadyNotes && 
-          unit.makeReadyNotes.toLowerCase().includes('new make ready - add notes')) {
-        return true;
+  // Resolves as many queued sources as possible from saved mappings, then
+  // either asks for the next mapping or finishes the import.
+  const continueImport = (resolved, queue) => {
+    const savedMappings = loadSavedMappings();
+    const stillPending = [];
+    const nowResolved = [...resolved];
+
+    queue.forEach(source => {
+      const layout = source.layout.headerFound ? detectLayout(source.rows, savedMappings) : source.layout;
+      if (layout.needsConfirmation) {
+        stillPending.push({ ...source, layout });
+      } else {
+        nowResolved.push({ ...source, layout });
       }
-      
-      return false;
-    };
+    });
 
-  const cleanAndProcessData = (jsonData) => {
-    const cleanedUnits = [];
-    
-    for (let i = 6; i < jsonData.length; i++) {
-      const row = jsonData[i];
-      const firstCell = (row[0] || '').toString().trim();
-      
-      if (!row.some(cell => cell && cell.toString().trim() !== '')) continue;
-      
-      if (firstCell.toLowerCase().includes('total')) {
-        continue;
-      }
-      
-      if (firstCell.match(/^\s*[A-Z0-9-]+\s*$/i)) {
-        const hasUnitData = row[1] && row[1].toString().trim() !== '' && 
-                           (row[2] && row[2].toString().trim() !== '' || 
-                            row[8] && parseFloat(row[8]) > 0);
-        
-        if (!hasUnitData) {
-          continue;
-        }
+    if (stillPending.length > 0) {
+      setPendingImport({ resolved: nowResolved, queue: stillPending });
+      setStatus(stillPending[0].layout.headerFound
+        ? `Some required columns in "${stillPending[0].label}" could not be matched. Please confirm the column mapping below.`
+        : `No header row was recognised in "${stillPending[0].label}". Please confirm the column mapping below.`);
+      return;
+    }
 
-        const propertyCode = extractPropertyFromUnitType(row[1]);
-        
-        const unitData = {
-          unitCode: firstCell,
-          unitType: row[1] || '',
-          unitDescription: row[2] || '',
-          rentalType: row[3] || '',
-          vacantAsOf: row[4] || '',
-          vacateType: row[5] || '',
-          futureMoveInDate: row[6] || '',
-          workOrder: row[7] || '',
-          askingRent: parseFloat(row[8]) || 0,
-          makeReadyNotes: row[9] || '',
-          estimatedReadyDate: parseDate(row[10]),
-          rentReady: (row[11] || '').toString().toLowerCase(),
-          actualReadyDate: row[12] || '',
-          jobCode: row[13] || '',
-          comments: row[14] || '',
-          property: propertyCode,
-          category: '',
-          status: '',
-          daysUntilReady: 0,
-          hasIssues: false
-        };
-        
-        unitData.category = categorizeUnit(unitData);
-        unitData.status = getUnitStatus(unitData);
-        unitData.daysUntilReady = calculateDaysUntilReady(unitData);
-        unitData.hasIssues = checkForIssues(unitData);
-        
-        cleanedUnits.push(unitData);
-      }
+    setPendingImport(null);
+    if (nowResolved.length === 0) {
+      setStatus('');
+      setError('No RR report data was found in the selected files.');
+      return;
     }
-    
-    return cleanedUnits;
+    finishProcessing(nowResolved);
   };
 
-  const processFile = async (file) => {
+  const processFiles = async (selectedFiles) => {
     setProcessing(true);
-    setStatus('Reading Excel file...');
+    setStatus(`Reading ${selectedFiles.length > 1 ? `${selectedFiles.length} report files` : 'report file'}...`);
     setError('');
+    setPendingImport(null);
 
     try {
-      const buffer = await file.arrayBuffer();
-      const workbook = XLSX.read(buffer, { cellStyles: true, cellDates: true });
-      const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-      
-      setStatus('Parsing and cleaning data...');
+      const sources = [];
+      for (const selectedFile of selectedFiles) {
+        sources.push(...await readFileSources(selectedFile));
+      }
       
-      const jsonData = XLSX.utils.sheet_to_json(worksheet, { 
-        header: 1, 
-        defval: ''
+      setStatus('Matching report columns...');
+      const savedMappings = loadSavedMappings();
+      const resolved = [];
+      const queue = [];
+      sources.forEach(source => {
+        const layout = detectLayout(source.rows, savedMappings);
+        (layout.needsConfirmation ? queue : resolved).push({ ...source, layout });
       });
 
-      setStatus('Processing units and extracting properties...');
-      const processed = cleanAndProcessData(jsonData);
-      
-      setStatus(`✅ Success! Processed ${processed.length} units from your RR report.`);
-      setCleanedData(processed);
-      setShowDashboard(true);
+      continueImport(resolved, queue);
       
     } catch (err) {
       setError(`Processing failed: ${err.message}`);
@@ -392,267 +291,56 @@ Contact me at [PHONE] with questions!`
     }
   };
 
-  const generatePDF = () => {
-    if (!cleanedData) return;
+  const updatePendingMapping = (fieldKey, value) => {
+    const [current, ...rest] = pendingImport.queue;
+    const mapping = { ...current.layout.mapping };
+    if (value === '') {
+      delete mapping[fieldKey];
+    } else {
+      mapping[fieldKey] = parseInt(value);
+    }
+    setPendingImport({
+      ...pendingImport,
+      queue: [{ ...current, layout: { ...current.layout, mapping, missing: getMissingRequiredFields(mapping) } }, ...rest]
+    });
+  };
 
-    const filteredData = sortedAndFilteredData();
-    const stats = getCategoryStats();
-
-    const htmlContent = `
-      <!DOCTYPE html>
-      <html>
-      <head>
-        <title>RR Report Dashboard - ${new Date().toLocaleDateString()}</title>
-        <style>
-          * { margin: 0; padding: 0; box-sizing: border-box; }
-          body { 
-            font-family: Arial, sans-serif; 
-            font-size: 12px; 
-            line-height: 1.4;
-            color: #333;
-            padding: 20px;
-          }
-          .header { 
-            text-align: center; 
-            margin-bottom: 30px;
-            border-bottom: 2px solid #333;
-            padding-bottom: 15px;
-          }
-          .header h1 { font-size: 24px; margin-bottom: 5px; }
-          .header p { color: #666; }
-          .stats-grid { 
-            display: grid; 
-            grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); 
-            gap: 15px; 
-            margin-bottom: 30px;
-          }
-          .stat-card { 
-            border: 1px solid #ddd; 
-            padding: 12px; 
-            border-radius: 4px;
-            background: #f9f9f9;
-          }
-          .stat-card .number { font-size: 20px; font-weight: bold; color: #2563eb; }
-          .stat-card .label { font-size: 11px; color: #666; margin-top: 4px; }
-          table { 
-            width: 100%; 
-            border-collapse: collapse; 
-            margin-bottom: 20px;
-            font-size: 10px;
-          }
-          th, td { 
-            border: 1px solid #ddd; 
-            padding: 8px; 
-            text-align: left;
-            vertical-align: top;
-          }
-          th { 
-            background-color: #f5f5f5; 
-            font-weight: bold;
-            font-size: 10px;
-          }
-          .category-ready { background-color: #d4edda; }
-          .category-flagged { background-color: #fff3cd; }
-          .category-30days { background-color: #cce5ff; }
-          .category-60days { background-color: #e2d5f0; }
-          .category-future { background-color: #f8f9fa; }
-          .category-rented { background-color: #ffd6cc; }
-          .category-down { background-color: #f8d7da; }
-          .category-unknown { background-color: #fff3cd; }
-          .flagged-row { background-color: #ffebee; }
-          .rent-ready-yes { 
-            background-color: #d4edda; 
-            color: #155724; 
-            padding: 2px 6px; 
-            border-radius: 3px;
-            font-size: 9px;
-          }
-          .rent-ready-no { 
-            background-color: #f8f9fa; 
-            color: #6c757d; 
-            padding: 2px 6px; 
-            border-radius: 3px;
-            font-size: 9px;
-          }
-          .property-badge {
-            background-color: #cce5ff;
-            color: #004085;
-            padding: 2px 6px;
-            border-radius: 3px;
-            font-size: 9px;
-          }
-          .days-ready { background-color: #d4edda; color: #155724; }
-          .days-soon { background-color: #cce5ff; color: #004085; }
-          .days-future { background-color: #f8f9fa; color: #6c757d; }
-          .text-center { text-align: center; }
-          .truncate { 
-            max-width: 150px; 
-            overflow: hidden; 
-            text-overflow: ellipsis; 
-            white-space: nowrap; 
-          }
-          .footer {
-            margin-top: 30px;
-            padding-top: 15px;
-            border-top: 1px solid #ddd;
-            text-align: center;
-            color: #666;
-            font-size: 10px;
-          }
-          @media print {
-            body { font-size: 10px; margin: 0; padding: 15px; }
-            .header { margin-bottom: 20px; }
-            .stats-grid { margin-bottom: 20px; }
-            table { font-size: 8px; }
-            th, td { padding: 4px; }
-            .stat-card .number { font-size: 16px; }
-            .no-print { display: none; }
-          }
-        </style>
-      </head>
-      <body>
-        <div class="header">
-          <h1>🏢 RR Report Dashboard</h1>
-          <p>Generated on ${new Date().toLocaleDateString()} at ${new Date().toLocaleTimeString()}</p>
-          <p>Showing ${filteredData.length} of ${cleanedData.length} units</p>
-        </div>
+  const confirmColumnMapping = () => {
+    if (!pendingLayout || pendingLayout.missing.length > 0) return;
 
-        ${pdfOptions.format === 'summary' ? `
-          <div class="stats-grid">
-            ${Object.entries(stats).map(([category, count]) => `
-              <div class="stat-card">
-                <div class="number">${count}</div>
-                <div class="label">${category}</div>
-              </div>
-            `).join('')}
-          </div>
-        ` : ''}
-
-        <table>
-          <thead>
-            <tr>
-              ${pdfOptions.includeColumns.unitCode ? '<th>Unit</th>' : ''}
-              ${pdfOptions.includeColumns.property ? '<th>Property</th>' : ''}
-              ${pdfOptions.includeColumns.category ? '<th>Category</th>' : ''}
-              ${pdfOptions.includeColumns.unitDescription ? '<th>Description</th>' : ''}
-              ${pdfOptions.includeColumns.rentalType ? '<th>Type</th>' : ''}
-              ${pdfOptions.includeColumns.askingRent ? '<th>Rent</th>' : ''}
-              ${pdfOptions.includeColumns.rentReady ? '<th>Ready</th>' : ''}
-              ${pdfOptions.includeColumns.estimatedReadyDate ? '<th>Est. Date</th>' : ''}
-              ${pdfOptions.includeColumns.actualReadyDate ? '<th>Actual Date</th>' : ''}
-              ${pdfOptions.includeColumns.daysUntilReady ? '<th>Days</th>' : ''}
-              ${pdfOptions.includeColumns.vacateType ? '<th>Vacate</th>' : ''}
-              ${pdfOptions.includeColumns.futureMoveInDate ? '<th>Move In</th>' : ''}
-              ${pdfOptions.includeColumns.comments ? '<th>Comments</th>' : ''}
-            </tr>
-          </thead>
-          <tbody>
-            ${filteredData.map(unit => {
-              const categoryClass = {
-                'Available & Rent Ready': 'category-ready',
-                'Available & Rent Ready (Flagged)': 'category-flagged',
-                'Available in Next 30 Days': 'category-30days',
-                'Available in Next 31-60 Days': 'category-60days',
-                'Available in More than 60 Days': 'category-future',
-                'Already Rented': 'category-rented',
-                'Down/Hold/Model/Development': 'category-down',
-                'Unknown': 'category-unknown'
-              }[unit.category] || '';
-
-              const daysClass = unit.daysUntilReady !== null ? (
-                unit.daysUntilReady <= 0 ? 'days-ready' :
-                unit.daysUntilReady <= 30 ? 'days-soon' : 'days-future'
-              ) : '';
-
-              return `
-                <tr class="${unit.hasIssues ? 'flagged-row' : ''}">
-                  ${pdfOptions.includeColumns.unitCode ? `<td><strong>${unit.unitCode}</strong></td>` : ''}
-                  ${pdfOptions.includeColumns.property ? `<td><span class="property-badge">${unit.property}</span></td>` : ''}
-                  ${pdfOptions.includeColumns.category ? `<td><div class="${categoryClass}" style="padding: 2px 6px; border-radius: 3px; font-size: 9px;">${unit.category}</div></td>` : ''}
-                  ${pdfOptions.includeColumns.unitDescription ? `<td class="truncate">${unit.unitDescription}</td>` : ''}
-                  ${pdfOptions.includeColumns.rentalType ? `<td>${unit.rentalType}</td>` : ''}
-                  ${pdfOptions.includeColumns.askingRent ? `<td>$${unit.askingRent.toLocaleString()}</td>` : ''}
-                  ${pdfOptions.includeColumns.rentReady ? `<td><span class="rent-ready-${unit.rentReady}">${unit.rentReady}${unit.hasIssues ? ' ⚠️' : ''}</span></td>` : ''}
-                  ${pdfOptions.includeColumns.estimatedReadyDate ? `<td>${unit.estimatedReadyDate ? unit.estimatedReadyDate.toLocaleDateString() : '—'}</td>` : ''}
-                  ${pdfOptions.includeColumns.actualReadyDate ? `<td>${unit.actualReadyDate ? (unit.actualReadyDate instanceof Date ? unit.actualReadyDate.toLocaleDateString() : unit.actualReadyDate.toString()) : '—'}</td>` : ''}
-                  ${pdfOptions.includeColumns.daysUntilReady ? `<td class="text-center"><span class="${daysClass}" style="padding: 2px 6px; border-radius: 3px; font-size: 9px;">${unit.daysUntilReady !== null ? (unit.daysUntilReady <= 0 ? 'Ready' : `${unit.daysUntilReady}d`) : '—'}</span></td>` : ''}
-                  ${pdfOptions.includeColumns.vacateType ? `<td>${unit.vacateType || '—'}</td>` : ''}
-                  ${pdfOptions.includeColumns.futureMoveInDate ? `<td>${unit.futureMoveInDate || '—'}</td>` : ''}
-                  ${pdfOptions.includeColumns.comments ? `<td class="truncate">${unit.comments}</td>` : ''}
-                </tr>
-              `;
-            }).join('')}
-          </tbody>
-        </table>
-
-        <div class="footer">
-          <p>RR Report Dashboard - Data processed from Yardi Rent Ready export</p>
-          <p>Flagged units (⚠️) indicate data quality issues that may need attention</p>
-        </div>
+    const [current, ...rest] = pendingImport.queue;
+    if (rememberMapping && current.layout.headerFound) {
+      saveMapping(current.layout.signature, current.layout.mapping);
+    }
 
-        <script>
-          window.onload = function() {
-            setTimeout(function() {
-              window.print();
-            }, 500);
-          };
-        </script>
-      </body>
-      </html>
-    `;
-
-    const printWindow = window.open('', '_blank', 'width=1200,height=800,scrollbars=yes,resizable=yes');
-    
-    if (printWindow) {
-      printWindow.document.write(htmlContent);
-      printWindow.document.close();
-      printWindow.focus();
-    } else {
-      alert('Popup blocked! Please allow popups for this site to generate PDF reports.');
+    try {
+      continueImport([...pendingImport.resolved, current], rest);
+    } catch (err) {
+      setError(`Processing failed: ${err.message}`);
+      console.error('Processing error:', err);
     }
   };
 
-  const exportToExcel = () => {
-    if (!cleanedData) return;
-
-    const workbook = XLSX.utils.book_new();
+  const skipPendingSource = () => {
+    if (!pendingImport) return;
+    const [, ...rest] = pendingImport.queue;
+    continueImport(pendingImport.resolved, rest);
+  };
 
-    const exportData = [
-      [
-        'Unit Code', 'Unit Type', 'Unit Description', 'Rental Type', 'Vacant As Of', 'Vacate Type',
-        'Future Move In Date', 'Work Order', 'Asking Rent', 'Make Ready Notes', 'Estimated Ready Date',
-        'Rent Ready', 'Actual Ready Date', 'Job Code', 'Comments', 'Property', 'Category', 'Status',
-        'Days Until Ready', 'Has Issues'
-      ],
-      ...sortedAndFilteredData().map(unit => [
-        unit.unitCode,
-        unit.unitType,
-        unit.unitDescription,
-        unit.rentalType,
-        unit.vacantAsOf,
-        unit.vacateType,
-        unit.futureMoveInDate,
-        unit.workOrder,
-        unit.askingRent,
-        unit.makeReadyNotes,
-        unit.estimatedReadyDate ? unit.estimatedReadyDate.toLocaleDateString() : '',
-        unit.rentReady,
-        unit.actualReadyDate ? (unit.actualReadyDate instanceof Date ? 
-          unit.actualReadyDate.toLocaleDateString() : 
-          unit.actualReadyDate.toString()) : '',
-        unit.jobCode,
-        unit.comments,
-        unit.property,
-        unit.category,
-        unit.status,
-        unit.daysUntilReady,
-        unit.hasIssues ? 'Yes' : 'No'
-      ])
-    ];
+  const generatePDF = () => {
+    if (!cleanedData) return;
 
-    const worksheet = XLSX.utils.aoa_to_sheet(exportData);
-    XLSX.utils.book_append_sheet(workbook, worksheet, 'RR Dashboard');
+    const bytes = buildRentReadyPdf({
+      units: filteredUnits,
+      totalUnitCount: cleanedData.length,
+      includeColumns: pdfOptions.includeColumns,
+      format: pdfOptions.format,
+      orientation: pdfOptions.orientation
+    });
+    setPdfDownloadUrl(window.URL.createObjectURL(new Blob([bytes], { type: 'application/pdf' })));
+  };
 
+  const createExcelDownloadUrl = (workbook) => {
     const excelBuffer = XLSX.write(workbook, { 
       bookType: 'xlsx', 
       type: 'array'
@@ -662,22 +350,70 @@ Contact me at [PHONE] with questions!`
       type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
     });
 
+    return window.URL.createObjectURL(blob);
+  };
+
+  const exportToExcel = () => {
+    if (!cleanedData) return;
+
+    const bytes = createXlsx(buildRentReadyWorkbook({
+      units: filteredUnits,
+      includeColumns: pdfOptions.includeColumns,
+      issueResolutions
+    }));
+
     if (downloadUrl) {
       window.URL.revokeObjectURL(downloadUrl);
     }
+    setDownloadUrl(window.URL.createObjectURL(new Blob([bytes], {
+      type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+    })));
+  };
+
+  const exportDiffToExcel = (changes, fromSnapshot, toSnapshot) => {
+    const workbook = XLSX.utils.book_new();
+
+    const exportData = [
+      [`Changes from ${fromSnapshot.name} (${fromSnapshot.createdAt.toLocaleString()}) to ${toSnapshot.name} (${toSnapshot.createdAt.toLocaleString()})`],
+      [],
+      ['Change', 'Property', 'Unit Code', 'Unit Description', 'Before', 'After', 'Detail'],
+      ...changes.map(item => [
+        CHANGE_TYPES[item.type].label,
+        item.property,
+        item.unitCode,
+        item.unitDescription,
+        item.before,
+        item.after,
+        item.detail
+      ])
+    ];
 
-    const url = window.URL.createObjectURL(blob);
-    setDownloadUrl(url);
+    const worksheet = XLSX.utils.aoa_to_sheet(exportData);
+    XLSX.utils.book_append_sheet(workbook, worksheet, 'RR Changes');
+
+    resetDiffDownload();
+    setDiffDownloadUrl(createExcelDownloadUrl(workbook));
+  };
+
+  const resetDiffDownload = () => {
+    if (diffDownloadUrl) {
+      window.URL.revokeObjectURL(diffDownloadUrl);
+      setDiffDownloadUrl(null);
+    }
   };
 
   const handleFileUpload = (event) => {
-    const uploadedFile = event.target.files[0];
-    if (uploadedFile) {
-      setFile(uploadedFile);
-      setStatus('File selected. Ready to process.');
+    const uploadedFiles = Array.from(event.target.files || []);
+    if (uploadedFiles.length > 0) {
+      setFiles(uploadedFiles);
+      setStatus(uploadedFiles.length > 1
+        ? `${uploadedFiles.length} files selected. Ready to process.`
+        : 'File selected. Ready to process.');
       setError('');
       setCleanedData(null);
       setShowDashboard(false);
+      setPendingImport(null);
+      setDuplicateUnits([]);
       
       if (downloadUrl) {
         window.URL.revokeObjectURL(downloadUrl);
@@ -687,107 +423,30 @@ Contact me at [PHONE] with questions!`
   };
 
   const handleProcess = () => {
-    if (file) {
-      processFile(file);
+    if (files.length > 0) {
+      processFiles(files);
     }
   };
 
-  const sortedAndFilteredData = () => {
-    if (!cleanedData) return [];
-    
-    let filtered = [...cleanedData];
-    
-    if (filters.property) {
-      filtered = filtered.filter(unit => unit.property.toLowerCase().includes(filters.property.toLowerCase()));
-    }
-    
-    if (filters.properties && filters.properties.length > 0) {
-      filtered = filtered.filter(unit => filters.properties.includes(unit.property));
-    }
-    
-    if (filters.category) {
-      filtered = filtered.filter(unit => unit.category === filters.category);
-    }
-    if (filters.rentReady) {
-      filtered = filtered.filter(unit => unit.rentReady === filters.rentReady);
-    }
-    if (filters.search) {
-      filtered = filtered.filter(unit => 
-        unit.unitCode.toLowerCase().includes(filters.search.toLowerCase()) ||
-        unit.unitDescription.toLowerCase().includes(filters.search.toLowerCase()) ||
-        unit.rentalType.toLowerCase().includes(filters.search.toLowerCase()) ||
-        unit.makeReadyNotes.toLowerCase().includes(filters.search.toLowerCase()) ||
-        unit.comments.toLowerCase().includes(filters.search.toLowerCase()) ||
-        unit.jobCode.toLowerCase().includes(filters.search.toLowerCase())
-      );
-    }
-    
-    if (filters.rentMin > 0 || filters.rentMax < 5000) {
-      filtered = filtered.filter(unit => 
-        unit.askingRent >= filters.rentMin && unit.askingRent <= filters.rentMax
-      );
-    }
-    
-    if (filters.showFlaggedOnly) {
-      filtered = filtered.filter(unit => unit.hasIssues === true);
-    }
-    
-    if (filters.dateRange.start && filters.dateRange.end) {
-      const startDate = new Date(filters.dateRange.start);
-      const endDate = new Date(filters.dateRange.end);
-      
-      filtered = filtered.filter(unit => {
-        let dateToCheck;
-        if (filters.dateRange.dateType === 'actual') {
-          if (!unit.actualReadyDate) return false;
-          dateToCheck = unit.actualReadyDate instanceof Date ? 
-            unit.actualReadyDate : new Date(unit.actualReadyDate);
-        } else {
-          if (!unit.estimatedReadyDate) return false;
-          dateToCheck = unit.estimatedReadyDate;
-        }
-        
-        return dateToCheck >= startDate && dateToCheck <= endDate;
-      });
-    }
-    
-    if (sortConfig.key) {
-      filtered.sort((a, b) => {
-        const aVal = a[sortConfig.key];
-        const bVal = b[sortConfig.key];
-        
-        if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
-        if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
-        return 0;
-      });
-    } else {
-      const categoryOrder = {
-        'Available & Rent Ready': 1,
-        'Available & Rent Ready (Flagged)': 2,
-        'Available in Next 30 Days': 3,
-        'Available in Next 31-60 Days': 4,
-        'Available in More than 60 Days': 5,
-        'Already Rented': 6,
-        'Down/Hold/Model/Development': 7,
-        'Unknown': 8
-      };
-      
-      filtered.sort((a, b) => {
-        const categoryA = categoryOrder[a.category] || 999;
-        const categoryB = categoryOrder[b.category] || 999;
-        
-        if (categoryA !== categoryB) return categoryA - categoryB;
-        
-        const bedroomsA = extractBedroomCount(a.unitDescription);
-        const bedroomsB = extractBedroomCount(b.unitDescription);
-        
-        if (bedroomsA !== bedroomsB) return bedroomsA - bedroomsB;
-        
-        return a.askingRent - b.askingRent;
-      });
-    }
+  const filteredUnits = useMemo(
+    () => (cleanedData ? sortedAndFilteredUnits(cleanedData, filters, sortConfig) : []),
+    [cleanedData, filters, sortConfig]
+  );
+
+  const renderDateIssueMark = (unit, field) => {
+    const issue = unit.dateIssues.find(dateIssue => dateIssue.field === field);
+    if (!issue) return null;
     
-    return filtered;
+    return (
+      <span
+        className={`ml-1 font-bold ${issue.status === 'invalid' ? 'text-red-500' : 'text-yellow-600'}`}
+        title={issue.status === 'invalid'
+          ? `Could not read date "${issue.raw}"`
+          : `Ambiguous date "${issue.raw}" — day and month could be swapped`}
+      >
+        ?
+      </span>
+    );
   };
 
   const handleSort = (key) => {
@@ -802,24 +461,53 @@ Contact me at [PHONE] with questions!`
     if (!cleanedData) return {};
     
     const stats = {};
-    cleanedData.forEach(unit => {
-      stats[unit.category] = (stats[unit.category] || 0) + 1;
-    });
+    [...cleanedData]
+      .sort((a, b) => a.categoryOrder - b.categoryOrder)
+      .forEach(unit => {
+        stats[unit.category] = (stats[unit.category] || 0) + 1;
+      });
     return stats;
   };
 
   const getCategoryColor = (category) => {
-    const colors = {
-      'Available & Rent Ready': 'bg-green-100 text-green-800',
-      'Available & Rent Ready (Flagged)': 'bg-yellow-100 text-yellow-800',
-      'Available in Next 30 Days': 'bg-blue-100 text-blue-800',
-      'Available in Next 31-60 Days': 'bg-purple-100 text-purple-800',
-      'Available in More than 60 Days': 'bg-gray-100 text-gray-800',
-      'Already Rented': 'bg-orange-100 text-orange-800',
-      'Down/Hold/Model/Development': 'bg-red-100 text-red-800',
-      'Unknown': 'bg-yellow-100 text-yellow-800'
-    };
-    return colors[category] || 'bg-gray-100 text-gray-800';
+    const unit = (cleanedData || []).find(candidate => candidate.category === category);
+    return categoryColorClass(unit ? unit.categoryColor : 'gray');
+  };
+
+  const saveRulesAndReprocess = (config) => {
+    saveCategoryRules(config);
+    setCategoryRules(config);
+    
+    if (cleanedData) {
+      setCleanedData(classifyUnits(cleanedData, { categoryRules: config, validationRules: validationConfig }));
+      setStatus('✅ Category rules saved and applied to the current report.');
+    }
+  };
+
+  const saveValidationAndRecheck = (config) => {
+    saveValidationRules(config);
+    setValidationConfig(config);
+    setShowValidationEditor(false);
+    
+    if (cleanedData) {
+      setCleanedData(classifyUnits(cleanedData, { categoryRules, validationRules: config }));
+      setStatus('✅ Data-quality rules saved and re-checked on the current report.');
+    }
+  };
+
+  const resolveIssue = (key, patch) => {
+    const next = updateResolution(issueResolutions, key, patch);
+    saveIssueResolutions(next);
+    setIssueResolutions(next);
+  };
+
+  const showUnitInTable = (unit) => {
+    setFilters({ ...EMPTY_FILTERS, properties: [unit.property], search: unit.unitCode });
+  };
+
+  // Chart segments narrow the current filters rather than replacing them
+  const applyChartFilter = (patch) => {
+    setFilters({ ...filters, ...patch });
   };
 
   const applyPresetFilter = (presetName) => {
@@ -848,89 +536,79 @@ Contact me at [PHONE] with questions!`
     }
   };
 
-  // Email formatting functions
-  const formatForRhenti = (text) => {
-    let formatted = text;
-    
-    formatted = formatted.replace(/^=== (.+) ===/gm, '<h3 style="color: #2563eb; margin: 20px 0 10px 0;">$1</h3>');
-    formatted = formatted.replace(/^--- (.+) ---/gm, '<h4 style="color: #4b5563; margin: 15px 0 8px 0;">$1</h4>');
-    
-    formatted = formatted.replace(/\*\*\*\*\* (.+?) \*\*\*\*\*/g, '<strong style="color: #dc2626; font-size: 16px;">$1</strong>');
-    formatted = formatted.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
-    formatted = formatted.replace(/\*(.+?)\*/g, '<em>$1</em>');
-    
-    formatted = formatted.replace(/^>> (.+)$/gm, '<div style="background: #eff6ff; padding: 8px; margin: 10px 0; border-left: 3px solid #2563eb;"><strong>$1</strong></div>');
-    
-    formatted = formatted.replace(/^• (.+)$/gm, '<li style="margin: 5px 0;">$1</li>');
-    formatted = formatted.replace(/(<li.*?<\/li>\n?)+/g, '<ul style="margin: 10px 0; padding-left: 20px;">$&</ul>');
-    
-    formatted = formatted.replace(/✅/g, '<span style="color: #10b981;">✅</span>');
-    formatted = formatted.replace(/⚠️/g, '<span style="color: #f59e0b;">⚠️</span>');
-    formatted = formatted.replace(/💧/g, '<span style="color: #3b82f6;">💧</span>');
-    formatted = formatted.replace(/📱/g, '<span style="color: #8b5cf6;">📱</span>');
-    formatted = formatted.replace(/📋/g, '<span style="color: #6366f1;">📋</span>');
-    formatted = formatted.replace(/🏠/g, '<span style="color: #059669;">🏠</span>');
-    
-    formatted = formatted.replace(/https?:\/\/[^\s<]+/g, '<a href="$&" style="color: #2563eb; text-decoration: underline;">$&</a>');
-    formatted = formatted.replace(/[\w._%+-]+@[\w.-]+\.[A-Za-z]{2,}/g, '<a href="mailto:$&" style="color: #2563eb; text-decoration: underline;">$&</a>');
-    
-    formatted = formatted.replace(/\[([A-Z\s]+)\]/g, '<span style="background: #fef3c7; padding: 2px 4px; border-radius: 3px; font-weight: bold;">[<span style="color: #d97706;">$1</span>]</span>');
-    
-    formatted = formatted.replace(/\n{2,}/g, '</p><p style="margin: 10px 0;">');
-    formatted = formatted.replace(/\n/g, '<br>');
-    
-    formatted = `<div style="font-family: Arial, sans-serif; font-size: 14px; line-height: 1.6; color: #1f2937;"><p style="margin: 10px 0;">${formatted}</p></div>`;
-    
-    return formatted;
+  const currentView = { filters, sortConfig, pdfOptions };
+  const activeView = savedViews.find(view => sameView(view, currentView));
+
+  const applySavedView = (viewId) => {
+    const view = savedViews.find(candidate => candidate.id === viewId);
+    if (!view) return;
+    setFilters(view.filters);
+    setSortConfig(view.sortConfig);
+    setPdfOptions(view.pdfOptions);
   };
 
-const generatePlainTextForRhenti = (html) => {
-  let rhentiFormat = html;
-
-  // 1. Remove wrapping div/p tags
-  rhentiFormat = rhentiFormat.replace(/<\/?(div|p)[^>]*>/g, '');
-
-  // 2. Add newline after breaks, strong, span, headers
-  rhentiFormat = rhentiFormat
-    .replace(/<br\s*\/?>/gi, '<br>\n')
-    .replace(/<\/strong>/gi, '</strong>\n')
-    .replace(/<\/span>/gi, '</span>\n')
-    .replace(/<\/h[1-6]>/gi, match => match + '\n')
-    .replace(/<\/li>/gi, '</li>\n')
-    .replace(/<\/ul>/gi, '</ul>\n');
-
-  // 3. Clean up spacing artifacts (optional)
-  rhentiFormat = rhentiFormat
-    .replace(/\n{2,}/g, '</p>\n<p style="margin: 10px 0;">')
-    .replace(/\n{3,}/g, '\n\n')
-    .replace(/<\/strong>\s*<br>/g, '</strong><br><br>')
-    .replace(/<\/ul>/g, '</ul><br>')
-    .replace(/<\/h3>/g, '</h3><br>')
-    .replace(/<\/p>/g, '</p><br>');
-
-  return rhentiFormat.trim();
-};
+  const saveCurrentView = () => {
+    const name = window.prompt('Save the current filters, sort and columns as:', activeView ? activeView.name : '');
+    if (!name || !name.trim()) return;
+    const next = upsertView(savedViews, name.trim(), currentView);
+    saveSavedViews(next);
+    setSavedViews(next);
+  };
+
+  const deleteSavedView = () => {
+    if (!activeView || !window.confirm(`Delete the saved view "${activeView.name}"?`)) return;
+    const next = savedViews.filter(view => view.id !== activeView.id);
+    saveSavedViews(next);
+    setSavedViews(next);
+  };
 
+  const copyViewLink = () => {
+    navigator.clipboard.writeText(urlWithView(window.location.href, currentView)).then(() => {
+      setViewLinkCopied(true);
+      setTimeout(() => setViewLinkCopied(false), 2000);
+    });
+  };
 
   const copyToClipboard = () => {
-    const textToCopy = generatePlainTextForRhenti(formattedOutput);
-    navigator.clipboard.writeText(textToCopy).then(() => {
+    if (renderedEmail.unresolved.length > 0) {
+      setCopyWarning(`Fill in ${renderedEmail.unresolved.map(name => `[${name}]`).join(', ')} before copying.`);
+      return;
+    }
+    setCopyWarning('');
+    setCopyError('');
+    writeToClipboard(output, outputTarget).then(() => {
       setCopied(true);
       setTimeout(() => setCopied(false), 2000);
-    });
+    }).catch(err => setCopyError(`Could not copy to the clipboard: ${err.message}`));
   };
 
-  const applyTemplate = (templateKey) => {
-    setSelectedTemplate(templateKey);
-    setEmailContent(emailTemplates[templateKey].template);
-    if (emailTemplates[templateKey].template) {
-      setFormattedOutput(formatForRhenti(emailTemplates[templateKey].template));
-    }
+  const applyTemplate = (templateId) => {
+    const template = emailTemplates.find(candidate => candidate.id === templateId);
+    setSelectedTemplate(templateId);
+    setAvailabilityNote('');
+    setEmailContent(template ? template.template : '');
+    setCopyWarning('');
+  };
+
+  const saveEmailTemplates = (templates) => {
+    saveTemplateLibrary(templates);
+    setEmailTemplates(templates);
+  };
+
+  const buildInquiryFromAvailability = () => {
+    // Falls back to the shipped template if the team deleted theirs
+    const inquiryTemplate = emailTemplates.find(template => template.id === 'inquiry') || defaultTemplateFor('inquiry');
+    const { email, summary } = buildInquiryEmail(inquiryTemplate.template, filteredUnits);
+    setSelectedTemplate('inquiry');
+    setEmailContent(email);
+    setCopyWarning('');
+    setAvailabilityNote(summary.buckets.length > 0
+      ? `Built from ${filteredUnits.length} units in the current dashboard filter.`
+      : 'No available or next-month units match the current dashboard filter, so the pricing section is empty.');
   };
 
   const handleEmailContentChange = (e) => {
     setEmailContent(e.target.value);
-    setFormattedOutput(formatForRhenti(e.target.value));
   };
 
   const insertFormatting = (before, after = '') => {
@@ -940,7 +618,6 @@ const generatePlainTextForRhenti = (html) => {
     const selectedText = emailContent.substring(start, end);
     const newText = emailContent.substring(0, start) + before + selectedText + after + emailContent.substring(end);
     setEmailContent(newText);
-    setFormattedOutput(formatForRhenti(newText));
     
     setTimeout(() => {
       textarea.focus();
@@ -948,6 +625,34 @@ const generatePlainTextForRhenti = (html) => {
     }, 0);
   };
 
+  const selectEditorLine = (lineNumber) => {
+    const textarea = document.getElementById('email-textarea');
+    const lines = emailContent.split('\n');
+    const start = lines.slice(0, lineNumber - 1).reduce((sum, line) => sum + line.length + 1, 0);
+    textarea.focus();
+    textarea.setSelectionRange(start, start + lines[lineNumber - 1].length);
+  };
+
+  // The editor holds the template; the output is rendered from it on every change
+  const templateLists = useMemo(() => buildTemplateLists(filteredUnits), [filteredUnits]);
+  const templateVariables = useMemo(
+    () => extractVariables(emailContent, templateLists, LOOP_ITEM_FIELDS),
+    [emailContent, templateLists]
+  );
+  const renderedEmail = useMemo(
+    () => renderTemplate(emailContent, templateValues, templateLists),
+    [emailContent, templateValues, templateLists]
+  );
+  const output = useMemo(
+    () => renderForTarget(renderedEmail.text, outputTarget, smsOptions),
+    [renderedEmail, outputTarget, smsOptions]
+  );
+  const activeTarget = OUTPUT_TARGETS.find(target => target.id === outputTarget);
+  const lintFindings = useMemo(
+    () => lintEmail(emailContent, renderedEmail.text, renderedEmail.unresolved, output.html),
+    [emailContent, renderedEmail, output]
+  );
+
   return (
     <div className="min-h-screen bg-gray-50">
       {/* Header */}
@@ -1006,22 +711,50 @@ const generatePlainTextForRhenti = (html) => {
                   </p>
                 </div>
 
+                {urlView && !cleanedData && (
+                  <div className="mb-6 p-4 bg-indigo-50 border-l-4 border-indigo-400 text-indigo-800 text-sm">
+                    🔗 This link carries a dashboard view (filters, sort and columns). Load the same report and it opens with that view applied.
+                  </div>
+                )}
+
                 <div className="mb-6">
                   <label className="block text-sm font-medium text-gray-700 mb-2">
-                    Select your RR Report Excel file:
+                    Select your RR Report file(s) — Excel, CSV or saved HTML/XML report:
                   </label>
                   <input
                     type="file"
-                    accept=".xlsx,.xls"
+                    multiple
+                    accept=".xlsx,.xls,.csv,.txt,.htm,.html,.xml"
                     onChange={handleFileUpload}
                     className="block w-full text-sm text-gray-500 file:mr-4 file:py-2 file:px-4 file:rounded-full file:border-0 file:text-sm file:font-semibold file:bg-blue-50 file:text-blue-700 hover:file:bg-blue-100"
                   />
                 </div>
 
+                <div className="mb-6">
+                  <label className="block text-sm font-medium text-gray-700 mb-2">
+                    Date format for text dates:
+                  </label>
+                  <select
+                    value={dateLocale}
+                    onChange={(e) => {
+                      setDateLocale(e.target.value);
+                      saveDateLocale(e.target.value);
+                    }}
+                    className="w-full p-2 border border-gray-300 rounded text-sm"
+                  >
+                    {Object.entries(DATE_LOCALES).map(([key, locale]) => (
+                      <option key={key} value={key}>{locale.label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Used for dates like 03/04/2025 when the report itself doesn't make the order clear. Excel dates and YYYY-MM-DD are always read exactly.
+                  </p>
+                </div>
+
                 <div className="mb-6">
                   <button
                     onClick={handleProcess}
-                    disabled={!file || processing}
+                    disabled={files.length === 0 || processing}
                     className="w-full py-3 px-6 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
                   >
                     {processing ? (
@@ -1047,18 +780,101 @@ const generatePlainTextForRhenti = (html) => {
                   </div>
                 )}
 
+                {pendingLayout && (
+                  <div className="mb-6 p-4 bg-yellow-50 rounded-lg border border-yellow-200">
+                    <h3 className="font-semibold text-yellow-800 mb-1">🧭 Confirm Column Mapping</h3>
+                    <p className="text-xs font-medium text-yellow-900 mb-1">
+                      {pendingSource.label}
+                      {pendingImport.queue.length > 1 && ` (${pendingImport.queue.length - 1} more source${pendingImport.queue.length > 2 ? 's' : ''} waiting)`}
+                    </p>
+                    <p className="text-xs text-gray-600 mb-3">
+                      {pendingLayout.headerFound
+                        ? `Header row found on row ${pendingLayout.headerRowIndex + 1}. Pick the report column for each field; fields marked * are required.`
+                        : 'We couldn\'t find the header row, so the standard Yardi column positions are pre-filled. Check each field; fields marked * are required.'}
+                    </p>
+                    <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+                      {RR_FIELDS.map(field => (
+                        <div key={field.key}>
+                          <label className="block text-xs font-medium text-gray-700 mb-1">
+                            {field.label}{field.required ? ' *' : ''}
+                          </label>
+                          <select
+                            value={pendingLayout.mapping[field.key] ?? ''}
+                            onChange={(e) => updatePendingMapping(field.key, e.target.value)}
+                            className={`w-full p-2 border rounded text-sm ${
+                              pendingLayout.missing.includes(field.key) ? 'border-red-400 bg-red-50' : 'border-gray-300'
+                            }`}
+                          >
+                            <option value="">{field.required ? 'Select a column...' : '— Not in report —'}</option>
+                            {pendingLayout.headers.map((header, index) => (
+                              <option key={index} value={index}>
+                                {columnLetter(index)} · {header}
+                              </option>
+                            ))}
+                          </select>
+                        </div>
+                      ))}
+                    </div>
+                    <div className="mt-4 flex items-center justify-between">
+                      <label className="flex items-center text-xs text-gray-700">
+                        <input
+                          type="checkbox"
+                          checked={rememberMapping}
+                          disabled={!pendingLayout.headerFound}
+                          onChange={(e) => setRememberMapping(e.target.checked)}
+                          className="mr-2"
+                        />
+                        Remember this mapping for reports with the same layout
+                      </label>
+                      <div className="flex gap-2">
+                        <button
+                          onClick={() => setPendingImport(null)}
+                          className="px-4 py-2 bg-gray-300 text-gray-700 rounded hover:bg-gray-400 transition-colors text-sm"
+                        >
+                          Cancel
+                        </button>
+                        <button
+                          onClick={skipPendingSource}
+                          className="px-4 py-2 bg-gray-300 text-gray-700 rounded hover:bg-gray-400 transition-colors text-sm"
+                        >
+                          Skip This Sheet
+                        </button>
+                        <button
+                          onClick={confirmColumnMapping}
+                          disabled={pendingLayout.missing.length > 0}
+                          className="px-4 py-2 bg-blue-600 text-white rounded hover:bg-blue-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors text-sm"
+                        >
+                          Use Mapping & Process
+                        </button>
+                      </div>
+                    </div>
+                  </div>
+                )}
+
                 <div className="mt-8 p-6 bg-gray-50 rounded-lg">
                   <h3 className="font-semibold text-gray-800 mb-4">🔧 What This Does:</h3>
                   <ol className="list-decimal list-inside space-y-2 text-sm text-gray-600">
+                    <li><strong>Header-driven import:</strong> Finds the header row and matches columns by name, so added or reordered columns don't break the import</li>
+                    <li><strong>Portfolio merge:</strong> Upload several workbooks or multi-sheet workbooks; units are tagged with their source and duplicates are reported</li>
+                    <li><strong>Any export format:</strong> Reads .xlsx/.xls workbooks, CSV downloads and the saved HTML/XML print view</li>
+                    <li><strong>Date normalization:</strong> Excel dates, serial numbers, ISO and day- or month-first text dates, with unreadable or ambiguous dates marked</li>
+                    <li><strong>Report history:</strong> Every processed report is kept as a snapshot; compare any two to see what became ready, got rented, slipped or changed rent</li>
                     <li><strong>Enhanced unit detection:</strong> Processes alphanumeric units (A16, BB2, 001A, E-003, PH04)</li>
                     <li><strong>Smart property extraction:</strong> Extracts property codes from Unit Type (e.g., 0014t11c → 14t)</li>
-                    <li><strong>Advanced categorization:</strong> Available & Ready, Flagged, Next 30/60 days, Rented, Hold/Development</li>
+                    <li><strong>Advanced categorization:</strong> Available & Ready, Flagged, Next 30/60 days, Rented, Hold/Development — editable per property in Category Rules</li>
+                    <li><strong>Charts:</strong> Category mix per property, weekly ready timeline and rent distribution by bedrooms; click a bar to filter the table</li>
+                    <li><strong>Availability calendar:</strong> Month or week view of ready and move-in dates by category, highlighting days when one property has several units ready</li>
+                    <li><strong>Saved views:</strong> Save filters, sort and PDF columns by name, and share a link that reopens the same view on the same report</li>
                     <li><strong>Advanced filtering:</strong> Rent sliders, date ranges, multi-property selection, visual filter indicators</li>
                     <li><strong>Smart presets:</strong> "Ready This Week" (estimated dates), "Flagged Units" (data issues)</li>
-                    <li><strong>Enhanced flagging:</strong> Rent ready without dates, rented but not ready, development but ready</li>
+                    <li><strong>Enhanced flagging:</strong> Named data-quality rules with severities and explanations; add your own in Quality Rules</li>
+                    <li><strong>Issues workbench:</strong> Triage flagged units by rule or property as acknowledged, fixed in Yardi or ignored; decisions carry over to next week's report</li>
+                    <li><strong>Vacancy loss:</strong> Lost rent per day and rent at risk by property, category and bedroom count, plus rent coming back online in 30/60/90 days</li>
+                    <li><strong>Turn times:</strong> Days vacant, moveout-to-ready and ready-date slippage rolled up by property, vacate type and job code, with outliers</li>
                     <li><strong>Smart days calculation:</strong> Uses actual ready date for ready units, estimated for others</li>
-                    <li><strong>Excel export:</strong> Download cleaned data with all analysis columns</li>
-                    <li><strong>PDF export:</strong> Print-optimized reports with customizable columns</li>
+                    <li><strong>Excel export:</strong> Formatted units sheet with real dates, plus per-property summary, category pivot and issues sheets</li>
+                    <li><strong>PDF export:</strong> Downloadable reports with a summary cover page, page numbers and customizable columns, in portrait or landscape</li>
+                    <li><strong>Owner reports:</strong> Pick and order sections for an owner's properties, save the layout as a template and produce one PDF per property in a single run</li>
                   </ol>
                 </div>
               </div>
@@ -1068,7 +884,10 @@ const generatePlainTextForRhenti = (html) => {
                 <div className="flex justify-between items-center">
                   <div>
                     <h2 className="text-2xl font-bold text-gray-800">📊 Interactive RR Dashboard</h2>
-                    <p className="text-gray-600">{cleanedData.length} units processed</p>
+                    <p className="text-gray-600">
+                      {cleanedData.length} units processed
+                      {sourceNames.length > 1 && ` from ${sourceNames.length} sources`}
+                    </p>
                   </div>
                   <div className="flex gap-3">
                     <button
@@ -1078,6 +897,13 @@ const generatePlainTextForRhenti = (html) => {
                       📄 Generate PDF
                     </button>
                     
+                    <button
+                      onClick={() => setShowReportBuilder(!showReportBuilder)}
+                      className="px-4 py-2 bg-slate-700 text-white rounded-lg hover:bg-slate-800 transition-colors"
+                    >
+                      📑 Owner Reports
+                    </button>
+                    
                     {!downloadUrl ? (
                       <button
                         onClick={exportToExcel}
@@ -1100,6 +926,55 @@ const generatePlainTextForRhenti = (html) => {
                       </div>
                     )}
                     
+                    <button
+                      onClick={() => setShowRulesEditor(!showRulesEditor)}
+                      className="px-4 py-2 bg-teal-600 text-white rounded-lg hover:bg-teal-700 transition-colors"
+                    >
+                      🏷️ Category Rules
+                    </button>
+                    
+                    <button
+                      onClick={() => setShowValidationEditor(!showValidationEditor)}
+                      className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors"
+                    >
+                      🩺 Quality Rules
+                    </button>
+                    
+                    <button
+                      onClick={() => setShowCalendar(!showCalendar)}
+                      className="px-4 py-2 bg-sky-600 text-white rounded-lg hover:bg-sky-700 transition-colors"
+                    >
+                      📅 Calendar
+                    </button>
+                    
+                    <button
+                      onClick={() => setShowVacancyLoss(!showVacancyLoss)}
+                      className="px-4 py-2 bg-emerald-600 text-white rounded-lg hover:bg-emerald-700 transition-colors"
+                    >
+                      💸 Vacancy Loss
+                    </button>
+                    
+                    <button
+                      onClick={() => setShowTurnTimes(!showTurnTimes)}
+                      className="px-4 py-2 bg-cyan-600 text-white rounded-lg hover:bg-cyan-700 transition-colors"
+                    >
+                      ⏱️ Turn Times
+                    </button>
+                    
+                    <button
+                      onClick={() => setShowIssues(!showIssues)}
+                      className="px-4 py-2 bg-orange-600 text-white rounded-lg hover:bg-orange-700 transition-colors"
+                    >
+                      🛠️ Issues{openIssueUnitCount > 0 ? ` (${openIssueUnitCount})` : ''}
+                    </button>
+                    
+                    <button
+                      onClick={() => setShowHistory(!showHistory)}
+                      className="px-4 py-2 bg-indigo-600 text-white rounded-lg hover:bg-indigo-700 transition-colors"
+                    >
+                      🕘 History
+                    </button>
+                    
                     <button
                       onClick={() => setShowDashboard(false)}
                       className="px-4 py-2 bg-gray-600 text-white rounded-lg hover:bg-gray-700 transition-colors"
@@ -1112,37 +987,36 @@ const generatePlainTextForRhenti = (html) => {
                 {/* PDF Export Options */}
                 {showPdfOptions && (
                   <div className="p-4 bg-purple-50 rounded-lg border border-purple-200">
-                    <h3 className="font-semibold text-purple-800 mb-3">📄 PDF Export Options</h3>
+                    <h3 className="font-semibold text-purple-800 mb-3">📄 PDF & Excel Export Options</h3>
                     <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-                      <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
-                        <select
-                          value={pdfOptions.format}
-                          onChange={(e) => setPdfOptions({...pdfOptions, format: e.target.value})}
-                          className="w-full p-2 border border-gray-300 rounded text-sm"
-                        >
-                          <option value="table">Table Format (Detailed)</option>
-                          <option value="summary">Summary Report (with Stats)</option>
-                        </select>
+                      <div className="space-y-3">
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Format</label>
+                          <select
+                            value={pdfOptions.format}
+                            onChange={(e) => setPdfOptions({...pdfOptions, format: e.target.value})}
+                            className="w-full p-2 border border-gray-300 rounded text-sm"
+                          >
+                            <option value="table">Table Format (Detailed)</option>
+                            <option value="summary">Summary Report (with Stats & Charts)</option>
+                          </select>
+                        </div>
+                        <div>
+                          <label className="block text-sm font-medium text-gray-700 mb-2">Orientation</label>
+                          <select
+                            value={pdfOptions.orientation}
+                            onChange={(e) => setPdfOptions({...pdfOptions, orientation: e.target.value})}
+                            className="w-full p-2 border border-gray-300 rounded text-sm"
+                          >
+                            <option value="landscape">Landscape (wide tables)</option>
+                            <option value="portrait">Portrait</option>
+                          </select>
+                        </div>
                       </div>
                       <div>
-                        <label className="block text-sm font-medium text-gray-700 mb-2">Include Columns</label>
+                        <label className="block text-sm font-medium text-gray-700 mb-2">Include Columns (PDF and Excel)</label>
                         <div className="grid grid-cols-2 gap-2 max-h-40 overflow-y-auto">
-                          {Object.entries({
-                            unitCode: 'Unit Code',
-                            property: 'Property',
-                            category: 'Category',
-                            unitDescription: 'Description',
-                            rentalType: 'Rental Type',
-                            askingRent: 'Asking Rent',
-                            rentReady: 'Rent Ready',
-                            estimatedReadyDate: 'Est. Date',
-                            actualReadyDate: 'Actual Date',
-                            daysUntilReady: 'Days Until Ready',
-                            vacateType: 'Vacate Type',
-                            futureMoveInDate: 'Move In Date',
-                            comments: 'Comments'
-                          }).map(([key, label]) => (
+                          {REPORT_COLUMNS.map(({ key, label }) => (
                             <label key={key} className="flex items-center">
                               <input
                                 type="checkbox"
@@ -1160,12 +1034,22 @@ const generatePlainTextForRhenti = (html) => {
                       </div>
                     </div>
                     <div className="mt-4 flex gap-2">
-                      <button
-                        onClick={generatePDF}
-                        className="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 transition-colors"
-                      >
-                        🖨️ Open Print Preview
-                      </button>
+                      {!pdfDownloadUrl ? (
+                        <button
+                          onClick={generatePDF}
+                          className="px-4 py-2 bg-purple-600 text-white rounded hover:bg-purple-700 transition-colors"
+                        >
+                          📄 Prepare PDF
+                        </button>
+                      ) : (
+                        <a
+                          href={pdfDownloadUrl}
+                          download={`RR_Dashboard_${new Date().toISOString().split('T')[0]}.pdf`}
+                          className="px-4 py-2 bg-green-600 text-white rounded hover:bg-green-700 transition-colors"
+                        >
+                          📥 Download PDF
+                        </a>
+                      )}
                       <button
                         onClick={() => setShowPdfOptions(false)}
                         className="px-4 py-2 bg-gray-300 text-gray-700 rounded hover:bg-gray-400 transition-colors"
@@ -1174,11 +1058,90 @@ const generatePlainTextForRhenti = (html) => {
                       </button>
                     </div>
                     <p className="text-xs text-gray-600 mt-2">
-                      💡 This will open a new window with print-optimized formatting. Use your browser's Print → Save as PDF option.
+                      💡 The PDF has a cover page with the summary stats, page numbers and the table headers repeated on every page. The Excel export uses the same columns. Changing filters or options prepares a fresh copy.
                     </p>
                   </div>
                 )}
 
+                {/* Owner Report Builder */}
+                {showReportBuilder && (
+                  <ReportBuilderPanel
+                    units={filteredUnits}
+                    totalUnitCount={cleanedData.length}
+                    includeColumns={pdfOptions.includeColumns}
+                    issueResolutions={issueResolutions}
+                    onClose={() => setShowReportBuilder(false)}
+                  />
+                )}
+
+                {/* Category Rules Editor */}
+                {showRulesEditor && (
+                  <CategoryRulesEditor
+                    config={categoryRules}
+                    properties={[...new Set(cleanedData.map(unit => unit.property))].filter(Boolean).sort()}
+                    onSave={saveRulesAndReprocess}
+                    onClose={() => setShowRulesEditor(false)}
+                  />
+                )}
+
+                {/* Data-Quality Rules Editor */}
+                {showValidationEditor && (
+                  <ValidationRulesEditor
+                    config={validationConfig}
+                    onSave={saveValidationAndRecheck}
+                    onClose={() => setShowValidationEditor(false)}
+                  />
+                )}
+
+                {/* Availability Calendar */}
+                {showCalendar && (
+                  <AvailabilityCalendar
+                    units={filteredUnits}
+                    totalUnitCount={cleanedData.length}
+                    onClose={() => setShowCalendar(false)}
+                  />
+                )}
+
+                {/* Vacancy Loss Analytics */}
+                {showVacancyLoss && (
+                  <VacancyLossPanel
+                    units={filteredUnits}
+                    totalUnitCount={cleanedData.length}
+                    onClose={() => setShowVacancyLoss(false)}
+                  />
+                )}
+
+                {/* Turn Time Metrics */}
+                {showTurnTimes && (
+                  <TurnTimePanel
+                    units={filteredUnits}
+                    totalUnitCount={cleanedData.length}
+                    onClose={() => setShowTurnTimes(false)}
+                  />
+                )}
+
+                {/* Data-Quality Issues Workbench */}
+                {showIssues && (
+                  <IssuesWorkbench
+                    units={cleanedData}
+                    resolutions={issueResolutions}
+                    onResolve={resolveIssue}
+                    onShowUnit={showUnitInTable}
+                    onClose={() => setShowIssues(false)}
+                  />
+                )}
+
+                {/* Snapshot History & Diff */}
+                {showHistory && (
+                  <SnapshotHistory
+                    refreshKey={snapshotVersion}
+                    onExportDiff={exportDiffToExcel}
+                    onResetExport={resetDiffDownload}
+                    diffDownloadUrl={diffDownloadUrl}
+                    onClose={() => setShowHistory(false)}
+                  />
+                )}
+
                 {/* Category Summary Cards */}
                 <div className="grid grid-cols-2 md:grid-cols-4 lg:grid-cols-8 gap-4">
                   {Object.entries(getCategoryStats()).map(([category, count]) => (
@@ -1189,6 +1152,50 @@ const generatePlainTextForRhenti = (html) => {
                   ))}
                 </div>
 
+                {/* Charts */}
+                <div className="space-y-2">
+                  <div className="flex justify-between items-center">
+                    <h3 className="font-semibold text-gray-800">📊 Charts</h3>
+                    <button
+                      onClick={() => setShowCharts(!showCharts)}
+                      className="text-sm text-blue-600 hover:underline"
+                    >
+                      {showCharts ? 'Hide charts' : 'Show charts'}
+                    </button>
+                  </div>
+                  {showCharts && (
+                    <DashboardCharts
+                      charts={buildDashboardCharts(filteredUnits)}
+                      onSegmentClick={applyChartFilter}
+                    />
+                  )}
+                </div>
+
+                {/* Duplicate Units Across Sources */}
+                {duplicateUnits.length > 0 && (
+                  <div className="p-4 bg-yellow-50 rounded-lg border border-yellow-200">
+                    <h3 className="font-semibold text-yellow-800 mb-2">
+                      ⚠️ {duplicateUnits.length} duplicate unit code{duplicateUnits.length > 1 ? 's' : ''} across sources
+                    </h3>
+                    <ul className="text-xs text-yellow-900 space-y-1 max-h-40 overflow-y-auto">
+                      {duplicateUnits.map(duplicate => (
+                        <li key={duplicate.key}>
+                          <strong>{duplicate.property} {duplicate.unitCode}</strong> — {duplicate.sources.join(', ')}
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                {/* Date Parsing Issues */}
+                {dateIssueCounts.invalid + dateIssueCounts.ambiguous > 0 && (
+                  <div className="p-3 bg-yellow-50 rounded-lg border border-yellow-200 text-sm text-yellow-900">
+                    📅 {dateIssueCounts.invalid > 0 && `${dateIssueCounts.invalid} units have dates that could not be read. `}
+                    {dateIssueCounts.ambiguous > 0 && `${dateIssueCounts.ambiguous} units have ambiguous day/month dates read as ${DATE_LOCALES[dateLocale].label}. `}
+                    Look for the <span className="font-bold">?</span> marker in the table.
+                  </div>
+                )}
+
                 {/* Filters */}
                 <div className="bg-gray-50 rounded-lg p-4 space-y-4">
                   <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
@@ -1253,8 +1260,8 @@ const generatePlainTextForRhenti = (html) => {
                     </div>
                   </div>
 
-                  <div className="flex justify-between items-center">
-                    <div className="flex gap-2">
+                  <div className="flex flex-wrap justify-between items-center gap-2">
+                    <div className="flex flex-wrap items-center gap-2">
                       <button
                         onClick={() => setShowAdvancedFilters(!showAdvancedFilters)}
                         className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700"
@@ -1284,20 +1291,45 @@ const generatePlainTextForRhenti = (html) => {
                           Flagged Units
                         </button>
                       </div>
+
+                      <div className="flex items-center gap-1">
+                        <select
+                          value={activeView ? activeView.id : ''}
+                          onChange={(e) => applySavedView(e.target.value)}
+                          className="p-1 border border-gray-300 rounded text-xs"
+                        >
+                          <option value="">{savedViews.length > 0 ? 'Saved views...' : 'No saved views'}</option>
+                          {savedViews.map(view => (
+                            <option key={view.id} value={view.id}>{view.name}</option>
+                          ))}
+                        </select>
+                        <button
+                          onClick={saveCurrentView}
+                          className="px-2 py-1 bg-gray-200 text-gray-700 rounded text-xs hover:bg-gray-300"
+                          title="Save the current filters, sort and PDF columns as a named view"
+                        >
+                          💾 Save View
+                        </button>
+                        {activeView && (
+                          <button
+                            onClick={deleteSavedView}
+                            className="px-2 py-1 text-red-600 text-xs hover:underline"
+                          >
+                            Delete
+                          </button>
+                        )}
+                        <button
+                          onClick={copyViewLink}
+                          className="px-2 py-1 bg-gray-200 text-gray-700 rounded text-xs hover:bg-gray-300"
+                          title="Copy a link that opens this view once the same report is loaded"
+                        >
+                          {viewLinkCopied ? '✅ Link Copied' : '🔗 Copy Link'}
+                        </button>
+                      </div>
                     </div>
                     
                     <button
-                      onClick={() => setFilters({
-                        property: '',
-                        properties: [],
-                        category: '',
-                        rentReady: '',
-                        search: '',
-                        rentMin: 0,
-                        rentMax: 5000,
-                        dateRange: { start: '', end: '', dateType: 'estimated' },
-                        showFlaggedOnly: false
-                      })}
+                      onClick={() => setFilters(EMPTY_FILTERS)}
                       className="px-3 py-1 bg-red-600 text-white rounded text-sm hover:bg-red-700"
                     >
                       Clear All
@@ -1325,6 +1357,11 @@ const generatePlainTextForRhenti = (html) => {
                         Rent Ready: {filters.rentReady}
                       </span>
                     )}
+                    {filters.bedrooms !== '' && (
+                      <span className="px-2 py-1 bg-sky-100 text-sky-800 rounded-full text-xs">
+                        Bedrooms: {bedroomLabel(Number(filters.bedrooms))}
+                      </span>
+                    )}
                     {filters.search && (
                       <span className="px-2 py-1 bg-orange-100 text-orange-800 rounded-full text-xs">
                         Search: "{filters.search}"
@@ -1473,7 +1510,8 @@ const generatePlainTextForRhenti = (html) => {
                             {key: 'daysUntilReady', label: 'Days'},
                             {key: 'vacateType', label: 'Vacate'},
                             {key: 'futureMoveInDate', label: 'Move In'},
-                            {key: 'comments', label: 'Comments'}
+                            {key: 'comments', label: 'Comments'},
+                            ...(sourceNames.length > 1 ? [{key: 'source', label: 'Source'}] : [])
                           ].map(col => (
                             <th 
                               key={col.key}
@@ -1493,17 +1531,22 @@ const generatePlainTextForRhenti = (html) => {
                         </tr>
                       </thead>
                       <tbody>
-                        {sortedAndFilteredData().map((unit, index) => (
-                          <tr key={`${unit.property}-${unit.unitCode}`} 
+                        {filteredUnits.map((unit, index) => (
+                          <tr key={`${unit.source}-${unit.property}-${unit.unitCode}-${index}`} 
                               className={`hover:bg-gray-50 ${unit.hasIssues ? 'bg-red-50' : ''}`}>
-                            <td className="p-3 font-medium">{unit.unitCode}</td>
+                            <td className="p-3 font-medium">
+                              {unit.unitCode}
+                              {unit.isDuplicate && (
+                                <span className="ml-1 text-yellow-600" title="This unit code appears in more than one source">⧉</span>
+                              )}
+                            </td>
                             <td className="p-3">
                               <span className="px-2 py-1 bg-blue-100 text-blue-800 rounded text-xs">
                                 {unit.property}
                               </span>
                             </td>
                             <td className="p-3">
-                              <span className={`px-2 py-1 rounded text-xs ${getCategoryColor(unit.category)}`}>
+                              <span className={`px-2 py-1 rounded text-xs ${categoryColorClass(unit.categoryColor)}`}>
                                 {unit.category}
                               </span>
                             </td>
@@ -1516,17 +1559,26 @@ const generatePlainTextForRhenti = (html) => {
                               }`}>
                                 {unit.rentReady}
                               </span>
-                              {unit.hasIssues && <span className="text-red-500 ml-1">⚠️</span>}
+                              {unit.hasIssues && (
+                                <span
+                                  className={`ml-1 cursor-help ${SEVERITIES[highestSeverity(unit.issues)].iconClass} ${
+                                    hasOpenIssues(unit, issueResolutions) ? '' : 'opacity-40'
+                                  }`}
+                                  title={describeIssues(unit.issues)}
+                                >
+                                  ⚠️
+                                </span>
+                              )}
                             </td>
                             <td className="p-3">
-                              {unit.estimatedReadyDate ? unit.estimatedReadyDate.toLocaleDateString() : '—'}
+                              {formatUnitDate(unit, 'estimatedReadyDate', '—')}
+                              {renderDateIssueMark(unit, 'estimatedReadyDate')}
                             </td>
                             <td className="p-3">
-                              {unit.actualReadyDate ? (
+                              {hasDateEntry(unit, 'actualReadyDate') ? (
                                 <span className="px-2 py-1 bg-green-100 text-green-800 rounded text-xs">
-                                  {unit.actualReadyDate instanceof Date ? 
-                                    unit.actualReadyDate.toLocaleDateString() : 
-                                    unit.actualReadyDate.toString()}
+                                  {formatUnitDate(unit, 'actualReadyDate')}
+                                  {renderDateIssueMark(unit, 'actualReadyDate')}
                                 </span>
                               ) : (
                                 <span className="text-gray-400">—</span>
@@ -1544,15 +1596,21 @@ const generatePlainTextForRhenti = (html) => {
                               ) : '—'}
                             </td>
                             <td className="p-3 text-xs">{unit.vacateType || '—'}</td>
-                            <td className="p-3 text-xs">{unit.futureMoveInDate || '—'}</td>
+                            <td className="p-3 text-xs">
+                              {formatUnitDate(unit, 'futureMoveInDate', '—')}
+                              {renderDateIssueMark(unit, 'futureMoveInDate')}
+                            </td>
                             <td className="p-3 max-w-xs truncate">{unit.comments}</td>
+                            {sourceNames.length > 1 && (
+                              <td className="p-3 text-xs whitespace-nowrap">{unit.source}</td>
+                            )}
                           </tr>
                         ))}
                       </tbody>
                     </table>
                   </div>
 
-                  {sortedAndFilteredData().length === 0 && (
+                  {filteredUnits.length === 0 && (
                     <div className="p-8 text-center text-gray-500">
                       No units match your current filters.
                     </div>
@@ -1560,7 +1618,7 @@ const generatePlainTextForRhenti = (html) => {
                 </div>
 
                 <div className="text-sm text-gray-600 text-center">
-                  Showing {sortedAndFilteredData().length} of {cleanedData.length} units
+                  Showing {filteredUnits.length} of {cleanedData.length} units
                 </div>
               </>
             )}
@@ -1580,20 +1638,68 @@ const generatePlainTextForRhenti = (html) => {
                 </div>
               </div>
 
+              {showTemplateLibrary && (
+                <TemplateLibraryManager
+                  templates={emailTemplates}
+                  editorContent={emailContent}
+                  onSave={saveEmailTemplates}
+                  onUseTemplate={(template) => {
+                    setSelectedTemplate(emailTemplates.some(candidate => candidate.id === template.id) ? template.id : '');
+                    setAvailabilityNote('');
+                    setEmailContent(template.template);
+                    setCopyWarning('');
+                  }}
+                  onClose={() => setShowTemplateLibrary(false)}
+                />
+              )}
+
               <div className="mb-4">
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  Quick Templates
-                </label>
+                <div className="flex justify-between items-center mb-2">
+                  <label className="block text-sm font-medium text-gray-700">
+                    Quick Templates
+                  </label>
+                  <div className="flex gap-3">
+                    <button
+                      onClick={() => setShowMailMerge(!showMailMerge)}
+                      className="text-xs text-indigo-600 hover:underline"
+                    >
+                      📬 Mail Merge
+                    </button>
+                    <button
+                      onClick={() => setShowTemplateLibrary(!showTemplateLibrary)}
+                      className="text-xs text-blue-600 hover:underline"
+                    >
+                      📚 Manage Templates
+                    </button>
+                  </div>
+                </div>
                 <select
                   value={selectedTemplate}
                   onChange={(e) => applyTemplate(e.target.value)}
                   className="w-full p-2 border border-gray-300 rounded-lg text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
                 >
                   <option value="">Select a template...</option>
-                  {Object.entries(emailTemplates).map(([key, template]) => (
-                    <option key={key} value={key}>{template.name}</option>
+                  {groupTemplatesByCategory(emailTemplates).map(([category, templates]) => (
+                    <optgroup key={category} label={category}>
+                      {templates.map(template => (
+                        <option key={template.id} value={template.id}>{template.name}</option>
+                      ))}
+                    </optgroup>
                   ))}
                 </select>
+                <div className="mt-2 flex items-center gap-2">
+                  <button
+                    onClick={buildInquiryFromAvailability}
+                    disabled={!cleanedData}
+                    className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+                    title={cleanedData ? 'Fill the inquiry response with current availability and starting prices' : 'Process an RR report on the dashboard first'}
+                  >
+                    🏗️ Build from availability
+                  </button>
+                  <span className="text-xs text-gray-600">
+                    {cleanedData ? availabilityNote : 'Process an RR report on the dashboard to use live availability.'}
+                  </span>
+                </div>
               </div>
 
               <div className="flex flex-wrap gap-1 mb-3 p-2 bg-gray-50 rounded-lg">
@@ -1660,7 +1766,10 @@ Use formatting:
 === Header ===
 >> Section header
 • Bullet points
+1. Numbered items
+| Table | Row |
 [PLACEHOLDER] for variables
+[#if PROMO]...[/if] for optional sections
 ***** HIGHLIGHT TEXT *****"
                 className="w-full h-96 p-4 border border-gray-300 rounded-lg font-mono text-sm focus:ring-2 focus:ring-blue-500 focus:border-blue-500"
               />
@@ -1671,10 +1780,15 @@ Use formatting:
                   <div className="text-xs text-blue-800">
                     <p className="font-semibold mb-1">Pro Tips:</p>
                     <ul className="space-y-1">
-                      <li>• Use [PLACEHOLDERS] for dynamic content</li>
+                      <li>• Use [PLACEHOLDERS] for dynamic content, [NAME|default] for a fallback</li>
+                      <li>• [#if PROMO]...[/if] shows a section only when PROMO is filled</li>
+                      <li>• [#each AVAILABLE UNITS]...[/each] repeats for each unit ([UNIT], [RENT], [READY DATE]...)</li>
+                      <li>• Lines starting with "1." become a numbered list; "| a | b |" rows become a table (add a "|---|---|" row under the first for headers)</li>
+                      <li>• Put a backslash before * or [ to show it literally</li>
+                      <li>• 📬 Mail Merge fills the template once per row of a CSV/Excel recipient list</li>
                       <li>• Emojis are preserved and styled</li>
                       <li>• URLs and emails are auto-linked</li>
-                      <li>• Copy output directly to Rhenti</li>
+                      <li>• Pick where you're pasting (Rhenti, Outlook/Gmail, plain text or SMS) above the output</li>
                     </ul>
                   </div>
                 </div>
@@ -1688,54 +1802,147 @@ Use formatting:
                   Formatted Output
                 </h3>
                 <div className="flex gap-2">
-                  <button
-                    onClick={() => setShowPreview(!showPreview)}
-                    className={`px-3 py-1 rounded-lg text-sm flex items-center gap-1 transition-colors ${
-                      showPreview 
-                        ? 'bg-purple-100 text-purple-700' 
-                        : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
-                    }`}
-                  >
-                    <Eye size={14} />
-                    {showPreview ? 'Preview' : 'HTML'}
-                  </button>
+                  {activeTarget.rich && (
+                    <button
+                      onClick={() => setShowPreview(!showPreview)}
+                      className={`px-3 py-1 rounded-lg text-sm flex items-center gap-1 transition-colors ${
+                        showPreview 
+                          ? 'bg-purple-100 text-purple-700' 
+                          : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                      }`}
+                    >
+                      <Eye size={14} />
+                      {showPreview ? 'Preview' : 'HTML'}
+                    </button>
+                  )}
                   <button
                     onClick={copyToClipboard}
+                    title={renderedEmail.unresolved.length > 0 ? 'Fill in every placeholder before copying' : undefined}
                     className={`px-3 py-1 rounded-lg text-sm flex items-center gap-1 transition-colors ${
                       copied 
                         ? 'bg-green-100 text-green-700' 
-                        : 'bg-blue-600 text-white hover:bg-blue-700'
+                        : renderedEmail.unresolved.length > 0
+                          ? 'bg-gray-300 text-gray-600 cursor-not-allowed'
+                          : 'bg-blue-600 text-white hover:bg-blue-700'
                     }`}
                   >
                     {copied ? <Check size={14} /> : <Copy size={14} />}
-                    {copied ? 'Copied!' : 'Copy for Rhenti'}
+                    {copied ? 'Copied!' : `Copy for ${activeTarget.label}`}
                   </button>
                 </div>
               </div>
 
+              <div className="mb-4 flex flex-wrap gap-2">
+                {OUTPUT_TARGETS.map(target => (
+                  <button
+                    key={target.id}
+                    onClick={() => setOutputTarget(target.id)}
+                    className={`px-3 py-1 rounded-full text-xs border transition-colors ${
+                      outputTarget === target.id
+                        ? 'bg-blue-600 text-white border-blue-600'
+                        : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-100'
+                    }`}
+                  >
+                    {target.icon} {target.label}
+                  </button>
+                ))}
+              </div>
+
+              {outputTarget === 'sms' && (
+                <div className="mb-4 p-3 bg-gray-50 rounded-lg border flex flex-wrap items-center gap-3 text-xs text-gray-700">
+                  <label className="flex items-center gap-1">
+                    Limit
+                    <select
+                      value={smsOptions.limit}
+                      onChange={(e) => setSmsOptions({ ...smsOptions, limit: parseInt(e.target.value) })}
+                      className="p-1 border border-gray-300 rounded"
+                    >
+                      {SMS_LIMITS.map(limit => <option key={limit} value={limit}>{limit} characters</option>)}
+                    </select>
+                  </label>
+                  <label className="flex items-center gap-1">
+                    <input
+                      type="checkbox"
+                      checked={smsOptions.keepEmoji}
+                      onChange={(e) => setSmsOptions({ ...smsOptions, keepEmoji: e.target.checked })}
+                    />
+                    Keep emojis
+                  </label>
+                  {output.sms && (
+                    <span className={output.sms.truncated ? 'text-red-700' : 'text-gray-600'}>
+                      {output.sms.stats.length}/{smsOptions.limit} · {output.sms.stats.encoding} · {output.sms.stats.segments} segment{output.sms.stats.segments === 1 ? '' : 's'}
+                      {output.sms.truncated && ' · trimmed to fit'}
+                    </span>
+                  )}
+                </div>
+              )}
+
+              {copyWarning && renderedEmail.unresolved.length > 0 && (
+                <div className="mb-4 p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm">
+                  ⚠️ {copyWarning}
+                </div>
+              )}
+              {copyError && (
+                <div className="mb-4 p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm">
+                  ⚠️ {copyError}
+                </div>
+              )}
+
+              <TemplateFieldsForm
+                variables={templateVariables}
+                values={templateValues}
+                unresolved={renderedEmail.unresolved}
+                errors={renderedEmail.errors}
+                lists={templateLists}
+                onChange={(name, value) => setTemplateValues({ ...templateValues, [name]: value })}
+                onReset={() => setTemplateValues({})}
+              />
+
               <div className="border border-gray-200 rounded-lg overflow-hidden">
-                {showPreview ? (
+                {!activeTarget.rich ? (
+                  <pre className="p-4 bg-gray-50 text-gray-800 text-sm whitespace-pre-wrap min-h-[400px] max-h-[600px] overflow-y-auto">
+                    {output.text || 'Your formatted text will appear here...'}
+                  </pre>
+                ) : showPreview ? (
                   <div 
                     className="p-4 bg-gray-50 min-h-[400px] max-h-[600px] overflow-y-auto"
-                    dangerouslySetInnerHTML={{ __html: formattedOutput || '<p style="color: #9ca3af;">Your formatted email will appear here...</p>' }}
+                    dangerouslySetInnerHTML={{ __html: output.preview || output.html || '<p style="color: #9ca3af;">Your formatted email will appear here...</p>' }}
                   />
                 ) : (
                   <pre className="p-4 bg-gray-900 text-green-400 text-xs overflow-x-auto min-h-[400px] max-h-[600px] overflow-y-auto">
-                    <code>{generatePlainTextForRhenti(formattedOutput) || '// HTML output will appear here...'}</code>
+                    <code>{output.html || '// HTML output will appear here...'}</code>
                   </pre>
                 )}
               </div>
 
+              <EmailLintPanel
+                findings={lintFindings}
+                onJumpToLine={selectEditorLine}
+                onApplyFix={(finding) => setEmailContent(applyLintFix(emailContent, finding))}
+              />
+
               <div className="mt-3 p-3 bg-green-50 rounded-lg">
                 <div className="flex items-start gap-2">
                   <Check className="text-green-600 mt-0.5" size={16} />
                   <div className="text-xs text-green-800">
-                    <p className="font-semibold mb-1">Ready for Rhenti!</p>
-                    <p>This output is optimized for Rhenti's email system and will display correctly in prospect emails.</p>
+                    <p className="font-semibold mb-1">Ready for {activeTarget.label}!</p>
+                    <p>{activeTarget.description} {activeTarget.copiesHtml ? 'Copies carry both HTML and plain text, so the paste picks whichever the app accepts.' : 'Copies as plain text.'}</p>
                   </div>
                 </div>
               </div>
             </div>
+
+            {showMailMerge && (
+              <div className="lg:col-span-2">
+                <MailMergePanel
+                  template={emailContent}
+                  templateName={(emailTemplates.find(template => template.id === selectedTemplate) || {}).name}
+                  baseValues={templateValues}
+                  lists={templateLists}
+                  onClose={() => setShowMailMerge(false)}
+                />
+              </div>
+            )}
           </div>
         )}
       </div>
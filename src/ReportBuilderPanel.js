@@ -0,0 +1,308 @@
+import React, { useState, useEffect } from 'react';
+import {
+  DEFAULT_REPORT_TEMPLATE,
+  REPORT_SECTIONS,
+  enabledSections,
+  loadReportTemplates,
+  moveSection,
+  normalizeReportTemplate,
+  reportPackages,
+  saveReportTemplates,
+  upsertReportTemplate
+} from './reportBuilder';
+import { buildOwnerReportPdf } from './pdfReport';
+import { createZip, crc32 } from './zipArchive';
+import { toInputDate } from './chartData';
+
+const ReportBuilderPanel = ({ units, totalUnitCount, includeColumns, issueResolutions, onClose }) => {
+  const [templates, setTemplates] = useState(loadReportTemplates);
+  const [selectedId, setSelectedId] = useState('');
+  const [draft, setDraft] = useState(() => normalizeReportTemplate(DEFAULT_REPORT_TEMPLATE));
+  const [download, setDownload] = useState(null);
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    return () => {
+      if (download) {
+        window.URL.revokeObjectURL(download.url);
+      }
+    };
+  }, [download]);
+
+  const properties = [...new Set(units.map(unit => unit.property))].sort();
+  const packages = reportPackages(units, draft);
+  const sections = enabledSections(draft);
+
+  // A prepared download only stays offered while it matches the builder
+  const signature = `${JSON.stringify(draft)}:${JSON.stringify(includeColumns)}:${crc32(new TextEncoder().encode(
+    units.map(unit => `${unit.property}/${unit.unitCode}/${unit.category}`).join('|')
+  ))}`;
+  const downloadReady = download && download.signature === signature;
+
+  const update = (patch) => {
+    setDraft({ ...draft, ...patch });
+    setMessage('');
+  };
+
+  const selectTemplate = (id) => {
+    const template = templates.find(candidate => candidate.id === id);
+    setSelectedId(id);
+    setDraft(normalizeReportTemplate(template || DEFAULT_REPORT_TEMPLATE));
+    setMessage('');
+  };
+
+  const saveTemplate = () => {
+    if (!draft.name.trim()) {
+      setMessage('Give the template a name (e.g. the owner) to save it.');
+      return;
+    }
+    const next = upsertReportTemplate(templates, draft);
+    saveReportTemplates(next);
+    setTemplates(next);
+    setSelectedId(next.find(template => template.name.toLowerCase() === draft.name.trim().toLowerCase()).id);
+    setMessage(`Saved "${draft.name.trim()}".`);
+  };
+
+  const deleteTemplate = () => {
+    const template = templates.find(candidate => candidate.id === selectedId);
+    if (!template || !window.confirm(`Delete the report template "${template.name}"?`)) return;
+    const next = templates.filter(candidate => candidate.id !== selectedId);
+    saveReportTemplates(next);
+    setTemplates(next);
+    setSelectedId('');
+    setMessage(`Deleted "${template.name}".`);
+  };
+
+  const toggleProperty = (property) => update({
+    properties: draft.properties.includes(property)
+      ? draft.properties.filter(name => name !== property)
+      : [...draft.properties, property]
+  });
+
+  const prepareDownload = () => {
+    const generatedAt = new Date();
+    const files = packages.map(reportPackage => ({
+      name: reportPackage.fileName,
+      content: buildOwnerReportPdf({
+        title: draft.title,
+        subtitle: reportPackage.subtitle,
+        units: reportPackage.units,
+        sections,
+        includeColumns,
+        issueResolutions,
+        orientation: draft.orientation,
+        generatedAt
+      })
+    }));
+
+    const single = files.length === 1;
+    const blob = single
+      ? new Blob([files[0].content], { type: 'application/pdf' })
+      : new Blob([createZip(files, generatedAt)], { type: 'application/zip' });
+    setDownload({
+      url: window.URL.createObjectURL(blob),
+      fileName: single ? files[0].name : `Owner_Reports_${toInputDate(generatedAt)}.zip`,
+      single,
+      signature
+    });
+  };
+
+  return (
+    <div className="p-4 bg-slate-50 rounded-lg border border-slate-300 space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h3 className="font-semibold text-slate-800">📑 Owner Report Builder</h3>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-gray-300 text-gray-700 rounded text-sm hover:bg-gray-400 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+
+      <p className="text-xs text-gray-600">
+        Based on the {units.length}{units.length !== totalUnitCount ? ` of ${totalUnitCount}` : ''} units in the current filter.
+        Pick the sections, put them in order and choose the owner's properties; save the layout to reuse it every week.
+      </p>
+
+      <div className="flex flex-wrap items-center gap-2">
+        <select
+          value={selectedId}
+          onChange={(e) => selectTemplate(e.target.value)}
+          className="p-2 border border-gray-300 rounded text-sm"
+        >
+          <option value="">New report</option>
+          {templates.map(template => (
+            <option key={template.id} value={template.id}>{template.name}</option>
+          ))}
+        </select>
+        <input
+          type="text"
+          value={draft.name}
+          onChange={(e) => update({ name: e.target.value })}
+          placeholder="Template name (e.g. Smith Holdings)"
+          className="flex-1 min-w-[200px] p-2 border border-gray-300 rounded text-sm"
+        />
+        <button
+          onClick={saveTemplate}
+          className="px-3 py-2 bg-slate-700 text-white rounded text-sm hover:bg-slate-800"
+        >
+          💾 Save Template
+        </button>
+        {selectedId && (
+          <button
+            onClick={deleteTemplate}
+            className="px-3 py-2 bg-white border border-red-300 text-red-700 rounded text-sm hover:bg-red-50"
+          >
+            Delete
+          </button>
+        )}
+      </div>
+      {message && <p className="text-xs text-slate-700">{message}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-3">
+          <label className="block">
+            <span className="text-xs font-medium text-gray-700">Report title</span>
+            <input
+              type="text"
+              value={draft.title}
+              onChange={(e) => update({ title: e.target.value })}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+            />
+          </label>
+          <label className="block">
+            <span className="text-xs font-medium text-gray-700">Orientation</span>
+            <select
+              value={draft.orientation}
+              onChange={(e) => update({ orientation: e.target.value })}
+              className="w-full p-2 border border-gray-300 rounded text-sm"
+            >
+              <option value="portrait">Portrait</option>
+              <option value="landscape">Landscape (wide tables)</option>
+            </select>
+          </label>
+
+          <div>
+            <p className="text-xs font-medium text-gray-700 mb-1">Sections</p>
+            <ul className="bg-white rounded border divide-y">
+              {draft.sections.map((section, index) => (
+                <li key={section.id} className="flex items-center gap-2 p-2">
+                  <div className="flex flex-col">
+                    <button
+                      onClick={() => update(moveSection(draft, index, -1))}
+                      disabled={index === 0}
+                      className="text-xs text-gray-600 disabled:text-gray-300"
+                      title="Move up"
+                    >
+                      ▲
+                    </button>
+                    <button
+                      onClick={() => update(moveSection(draft, index, 1))}
+                      disabled={index === draft.sections.length - 1}
+                      className="text-xs text-gray-600 disabled:text-gray-300"
+                      title="Move down"
+                    >
+                      ▼
+                    </button>
+                  </div>
+                  <label className="flex items-start gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={section.enabled}
+                      onChange={(e) => update({
+                        sections: draft.sections.map(candidate => (
+                          candidate.id === section.id ? { ...candidate, enabled: e.target.checked } : candidate
+                        ))
+                      })}
+                      className="mt-1"
+                    />
+                    <span>
+                      <span className={section.enabled ? 'font-medium text-gray-800' : 'text-gray-400'}>
+                        {REPORT_SECTIONS[section.id].label}
+                      </span>
+                      <span className="block text-xs text-gray-500">{REPORT_SECTIONS[section.id].description}</span>
+                    </span>
+                  </label>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+
+        <div className="space-y-3">
+          <div>
+            <div className="flex justify-between items-center mb-1">
+              <p className="text-xs font-medium text-gray-700">
+                Properties ({draft.properties.length === 0 ? 'all' : `${draft.properties.length} chosen`})
+              </p>
+              {draft.properties.length > 0 && (
+                <button onClick={() => update({ properties: [] })} className="text-xs text-blue-600 hover:underline">
+                  Use all
+                </button>
+              )}
+            </div>
+            <div className="bg-white rounded border p-2 max-h-48 overflow-y-auto space-y-1">
+              {properties.map(property => (
+                <label key={property} className="flex items-center gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    checked={draft.properties.includes(property)}
+                    onChange={() => toggleProperty(property)}
+                  />
+                  {property || 'Unknown'}
+                </label>
+              ))}
+              {draft.properties
+                .filter(property => !properties.includes(property))
+                .map(property => (
+                  <p key={property} className="text-xs text-amber-700">{property} has no units in the current filter.</p>
+                ))}
+            </div>
+          </div>
+
+          <label className="flex items-center gap-2 text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={draft.perProperty}
+              onChange={(e) => update({ perProperty: e.target.checked })}
+            />
+            One document per property (downloaded together as a ZIP)
+          </label>
+
+          <div className="p-3 bg-white rounded border text-xs text-gray-700 space-y-1">
+            <p>
+              {packages.length} document{packages.length === 1 ? '' : 's'}, {sections.length} section{sections.length === 1 ? '' : 's'} each:
+              {' '}{sections.map(id => REPORT_SECTIONS[id].label).join(' → ') || 'none'}
+            </p>
+            {packages.slice(0, 5).map(reportPackage => (
+              <p key={reportPackage.fileName} className="text-gray-500">
+                {reportPackage.fileName} ({reportPackage.units.length} units)
+              </p>
+            ))}
+            {packages.length > 5 && <p className="text-gray-500">…and {packages.length - 5} more</p>}
+          </div>
+
+          {!downloadReady ? (
+            <button
+              onClick={prepareDownload}
+              disabled={packages.length === 0 || sections.length === 0}
+              className="px-4 py-2 bg-slate-700 text-white rounded text-sm hover:bg-slate-800 disabled:bg-gray-300"
+            >
+              📄 Prepare {packages.length === 1 ? 'Report' : `${packages.length} Reports`}
+            </button>
+          ) : (
+            <a
+              href={download.url}
+              download={download.fileName}
+              className="inline-block px-4 py-2 bg-green-600 text-white rounded text-sm hover:bg-green-700"
+            >
+              📥 Download {download.single ? 'PDF' : 'ZIP'}
+            </a>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ReportBuilderPanel;
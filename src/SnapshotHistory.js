@@ -0,0 +1,241 @@
+import React, { useState, useEffect } from 'react';
+import { deleteSnapshot, getSnapshot, listSnapshots } from './snapshotStore';
+import { CHANGE_TYPES, countChangesByType, diffSnapshots } from './snapshotDiff';
+
+const formatSnapshotDate = (date) =>
+  `${date.toLocaleDateString()} ${date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+
+const SnapshotHistory = ({ refreshKey, onExportDiff, onResetExport, diffDownloadUrl, onClose }) => {
+  const [snapshots, setSnapshots] = useState([]);
+  const [loadError, setLoadError] = useState('');
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [comparison, setComparison] = useState(null);
+  const [typeFilter, setTypeFilter] = useState('');
+  const [comparing, setComparing] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    listSnapshots()
+      .then(list => {
+        if (cancelled) return;
+        setSnapshots(list);
+        setLoadError('');
+        // Default to last week's report vs. this one
+        if (list.length > 0) setToId(String(list[0].id));
+        if (list.length > 1) setFromId(String(list[1].id));
+      })
+      .catch(err => {
+        if (!cancelled) setLoadError(`Snapshot history is unavailable: ${err.message}`);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [refreshKey]);
+
+  const handleCompare = async () => {
+    if (!fromId || !toId) return;
+    setComparing(true);
+    try {
+      const [from, to] = await Promise.all([getSnapshot(Number(fromId)), getSnapshot(Number(toId))]);
+      setComparison({ from, to, changes: diffSnapshots(from.units, to.units) });
+      setTypeFilter('');
+      onResetExport();
+    } catch (err) {
+      setLoadError(`Could not compare snapshots: ${err.message}`);
+    } finally {
+      setComparing(false);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this snapshot? This cannot be undone.')) return;
+    try {
+      await deleteSnapshot(id);
+      const remaining = snapshots.filter(snapshot => snapshot.id !== id);
+      setSnapshots(remaining);
+      if (String(id) === fromId) setFromId('');
+      if (String(id) === toId) setToId('');
+      if (comparison && (comparison.from.id === id || comparison.to.id === id)) setComparison(null);
+    } catch (err) {
+      setLoadError(`Could not delete snapshot: ${err.message}`);
+    }
+  };
+
+  const counts = comparison ? countChangesByType(comparison.changes) : {};
+  const visibleChanges = comparison
+    ? comparison.changes.filter(item => !typeFilter || item.type === typeFilter)
+    : [];
+
+  return (
+    <div className="p-4 bg-indigo-50 rounded-lg border border-indigo-200 space-y-4">
+      <div className="flex justify-between items-center">
+        <h3 className="font-semibold text-indigo-800">🕘 Report History & Changes</h3>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-gray-300 text-gray-700 rounded text-sm hover:bg-gray-400 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+
+      {loadError && (
+        <div className="p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm">{loadError}</div>
+      )}
+
+      {snapshots.length === 0 && !loadError ? (
+        <p className="text-sm text-gray-600">No snapshots yet. Each processed report is saved here automatically.</p>
+      ) : (
+        <>
+          <div className="max-h-48 overflow-y-auto bg-white rounded border">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="p-2 text-left">Processed</th>
+                  <th className="p-2 text-left">Report</th>
+                  <th className="p-2 text-left">Units</th>
+                  <th className="p-2"></th>
+                </tr>
+              </thead>
+              <tbody>
+                {snapshots.map(snapshot => (
+                  <tr key={snapshot.id} className="border-t">
+                    <td className="p-2 whitespace-nowrap">{formatSnapshotDate(snapshot.createdAt)}</td>
+                    <td className="p-2">{snapshot.name}</td>
+                    <td className="p-2">{snapshot.unitCount}</td>
+                    <td className="p-2 text-right">
+                      <button
+                        onClick={() => handleDelete(snapshot.id)}
+                        className="text-red-600 hover:underline"
+                      >
+                        Delete
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-3 items-end">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">Compare From (older)</label>
+              <select
+                value={fromId}
+                onChange={(e) => setFromId(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded text-sm"
+              >
+                <option value="">Select a snapshot...</option>
+                {snapshots.map(snapshot => (
+                  <option key={snapshot.id} value={snapshot.id}>
+                    {formatSnapshotDate(snapshot.createdAt)} — {snapshot.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-1">To (newer)</label>
+              <select
+                value={toId}
+                onChange={(e) => setToId(e.target.value)}
+                className="w-full p-2 border border-gray-300 rounded text-sm"
+              >
+                <option value="">Select a snapshot...</option>
+                {snapshots.map(snapshot => (
+                  <option key={snapshot.id} value={snapshot.id}>
+                    {formatSnapshotDate(snapshot.createdAt)} — {snapshot.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <button
+              onClick={handleCompare}
+              disabled={!fromId || !toId || fromId === toId || comparing}
+              className="px-4 py-2 bg-indigo-600 text-white rounded hover:bg-indigo-700 disabled:bg-gray-300 disabled:cursor-not-allowed transition-colors"
+            >
+              {comparing ? 'Comparing...' : '🔍 Compare Snapshots'}
+            </button>
+          </div>
+        </>
+      )}
+
+      {comparison && (
+        <div className="space-y-3">
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(CHANGE_TYPES).map(([type, { label, color }]) => (
+              <button
+                key={type}
+                onClick={() => setTypeFilter(typeFilter === type ? '' : type)}
+                className={`px-3 py-2 rounded-lg text-left ${color} ${typeFilter === type ? 'ring-2 ring-indigo-400' : ''}`}
+              >
+                <div className="text-lg font-bold">{counts[type] || 0}</div>
+                <div className="text-xs">{label}</div>
+              </button>
+            ))}
+          </div>
+
+          <div className="flex justify-between items-center">
+            <p className="text-sm text-gray-700">
+              {comparison.changes.length} changes between {formatSnapshotDate(comparison.from.createdAt)} and {formatSnapshotDate(comparison.to.createdAt)}
+            </p>
+            {!diffDownloadUrl ? (
+              <button
+                onClick={() => onExportDiff(comparison.changes, comparison.from, comparison.to)}
+                disabled={comparison.changes.length === 0}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 disabled:bg-gray-300 transition-colors text-sm"
+              >
+                📥 Prepare Changes Export
+              </button>
+            ) : (
+              <a
+                href={diffDownloadUrl}
+                download={`RR_Changes_${new Date().toISOString().split('T')[0]}.xlsx`}
+                className="px-4 py-2 bg-green-600 text-white rounded-lg hover:bg-green-700 transition-colors text-sm"
+              >
+                📄 Download Changes
+              </a>
+            )}
+          </div>
+
+          <div className="bg-white rounded border max-h-96 overflow-y-auto">
+            <table className="w-full text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="p-2 text-left">Change</th>
+                  <th className="p-2 text-left">Property</th>
+                  <th className="p-2 text-left">Unit</th>
+                  <th className="p-2 text-left">Before</th>
+                  <th className="p-2 text-left">After</th>
+                  <th className="p-2 text-left">Detail</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleChanges.map((item, index) => (
+                  <tr key={`${item.type}-${item.property}-${item.unitCode}-${index}`} className="border-t">
+                    <td className="p-2">
+                      <span className={`px-2 py-1 rounded text-xs ${CHANGE_TYPES[item.type].color}`}>
+                        {CHANGE_TYPES[item.type].label}
+                      </span>
+                    </td>
+                    <td className="p-2">{item.property}</td>
+                    <td className="p-2 font-medium">{item.unitCode}</td>
+                    <td className="p-2 text-xs">{item.before || '—'}</td>
+                    <td className="p-2 text-xs">{item.after || '—'}</td>
+                    <td className="p-2 text-xs">{item.detail}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            {visibleChanges.length === 0 && (
+              <div className="p-6 text-center text-gray-500 text-sm">No changes between these reports.</div>
+            )}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotHistory;
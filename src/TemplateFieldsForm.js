@@ -0,0 +1,53 @@
+import React from 'react';
+
+// Side form listing every placeholder in the current template
+const TemplateFieldsForm = ({ variables, values, unresolved, errors, lists, onChange, onReset }) => {
+  if (variables.length === 0 && errors.length === 0) return null;
+
+  return (
+    <div className="mb-4 p-3 bg-amber-50 rounded-lg border border-amber-200 space-y-2">
+      <div className="flex justify-between items-center">
+        <h4 className="text-sm font-semibold text-amber-800">🧩 Template Fields</h4>
+        <div className="flex items-center gap-2">
+          <span className={`text-xs ${unresolved.length > 0 ? 'text-red-700' : 'text-green-700'}`}>
+            {unresolved.length > 0 ? `${unresolved.length} still to fill` : 'All filled'}
+          </span>
+          <button onClick={onReset} className="text-xs text-amber-700 hover:underline">Clear</button>
+        </div>
+      </div>
+
+      {errors.length > 0 && (
+        <div className="p-2 bg-red-50 border-l-4 border-red-400 text-red-700 text-xs">
+          {errors.map(error => <div key={error}>{error}</div>)}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-2">
+        {variables.map(variable => {
+          const missing = unresolved.includes(variable.name);
+          return (
+            <label key={variable.name} className="block">
+              <span className="text-xs font-medium text-gray-700">
+                {variable.name}
+                {variable.conditionOnly && <span className="font-normal text-gray-500"> (optional, shows a section)</span>}
+              </span>
+              <input
+                type="text"
+                value={values[variable.name] || ''}
+                onChange={(e) => onChange(variable.name, e.target.value)}
+                placeholder={variable.defaultValue !== undefined ? `Default: ${variable.defaultValue}` : ''}
+                className={`w-full p-1 border rounded text-sm ${missing ? 'border-red-400 bg-red-50' : 'border-gray-300'}`}
+              />
+            </label>
+          );
+        })}
+      </div>
+
+      <p className="text-xs text-gray-600">
+        Loops: {Object.entries(lists).map(([name, items]) => `[#each ${name}] (${items.length})`).join(', ')}
+      </p>
+    </div>
+  );
+};
+
+export default TemplateFieldsForm;
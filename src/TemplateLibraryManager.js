@@ -0,0 +1,264 @@
+import React, { useState, useEffect } from 'react';
+import {
+  defaultTemplateFor,
+  exportTemplateLibrary,
+  groupTemplatesByCategory,
+  isModifiedDefault,
+  mergeImportedTemplates,
+  newTemplateId,
+  parseTemplateImport,
+  resetDefaultTemplates,
+  resetTemplate,
+  templateCategories
+} from './templateLibrary';
+
+const TemplateLibraryManager = ({ templates, editorContent, onSave, onUseTemplate, onClose }) => {
+  const [selectedId, setSelectedId] = useState(templates.length > 0 ? templates[0].id : null);
+  const [draft, setDraft] = useState(templates.length > 0 ? { ...templates[0] } : null);
+  const [message, setMessage] = useState('');
+  const [importError, setImportError] = useState('');
+  const [exportUrl, setExportUrl] = useState(null);
+
+  useEffect(() => {
+    return () => {
+      if (exportUrl) {
+        window.URL.revokeObjectURL(exportUrl);
+      }
+    };
+  }, [exportUrl]);
+
+  const saved = templates.find(template => template.id === selectedId);
+  const unsaved = Boolean(draft && saved) && (
+    draft.name !== saved.name || draft.category !== saved.category || draft.template !== saved.template
+  );
+
+  const commit = (nextTemplates, note) => {
+    onSave(nextTemplates);
+    setExportUrl(null);
+    setMessage(note);
+  };
+
+  const select = (template) => {
+    if (unsaved && !window.confirm('Discard your unsaved changes to this template?')) return;
+    setSelectedId(template ? template.id : null);
+    setDraft(template ? { ...template } : null);
+    setMessage('');
+  };
+
+  const addTemplate = (template, note) => {
+    const created = { id: newTemplateId(), ...template };
+    commit([...templates, created], note);
+    setSelectedId(created.id);
+    setDraft({ ...created });
+  };
+
+  const handleSave = () => {
+    if (!draft.name.trim()) {
+      setMessage('A template needs a name.');
+      return;
+    }
+    const cleaned = { ...draft, name: draft.name.trim(), category: draft.category.trim() };
+    commit(templates.map(template => (template.id === cleaned.id ? cleaned : template)), `Saved "${cleaned.name}".`);
+    setDraft(cleaned);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm(`Delete "${saved.name}"?${defaultTemplateFor(saved.id) ? ' You can bring it back with Reset Defaults.' : ''}`)) return;
+    const remaining = templates.filter(template => template.id !== saved.id);
+    commit(remaining, `Deleted "${saved.name}".`);
+    setSelectedId(remaining.length > 0 ? remaining[0].id : null);
+    setDraft(remaining.length > 0 ? { ...remaining[0] } : null);
+  };
+
+  const handleResetTemplate = () => {
+    const next = resetTemplate(templates, saved.id);
+    commit(next, `"${defaultTemplateFor(saved.id).name}" is back to its original text.`);
+    setDraft({ ...next.find(template => template.id === saved.id) });
+  };
+
+  const handleResetDefaults = () => {
+    if (!window.confirm('Restore all shipped templates to their original text? Your own templates are kept.')) return;
+    const next = resetDefaultTemplates(templates);
+    commit(next, 'Shipped templates restored.');
+    const current = next.find(template => template.id === selectedId) || next[0];
+    setSelectedId(current.id);
+    setDraft({ ...current });
+  };
+
+  const handleImport = (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    file.text()
+      .then(text => {
+        const { templates: imported, skipped } = parseTemplateImport(text);
+        if (imported.length === 0) throw new Error('No usable templates were found in the file.');
+        const next = mergeImportedTemplates(templates, imported);
+        commit(next, `Imported ${imported.length} template${imported.length === 1 ? '' : 's'}${skipped > 0 ? ` (${skipped} skipped)` : ''}.`);
+        setImportError('');
+        const current = next.find(template => template.id === selectedId) || next[0];
+        setSelectedId(current.id);
+        setDraft({ ...current });
+      })
+      .catch(err => setImportError(`Could not import templates: ${err.message}`));
+  };
+
+  const prepareExport = () => {
+    const blob = new Blob([exportTemplateLibrary(templates)], { type: 'application/json' });
+    setExportUrl(window.URL.createObjectURL(blob));
+  };
+
+  const categories = templateCategories(templates);
+
+  return (
+    <div className="mb-4 p-4 bg-blue-50 rounded-lg border border-blue-200 space-y-3">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h4 className="font-semibold text-blue-800">📚 Template Library</h4>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-gray-300 text-gray-700 rounded text-sm hover:bg-gray-400 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => addTemplate({ name: 'New Template', category: '', template: '' }, 'New template added.')}
+          className="px-3 py-1 bg-white border border-blue-300 text-blue-700 rounded text-sm hover:bg-blue-100"
+        >
+          + New
+        </button>
+        <button
+          onClick={() => addTemplate({ name: 'From Editor', category: '', template: editorContent }, 'Saved the editor text as a new template.')}
+          disabled={!editorContent.trim()}
+          className="px-3 py-1 bg-white border border-blue-300 text-blue-700 rounded text-sm hover:bg-blue-100 disabled:text-gray-400 disabled:border-gray-200"
+        >
+          + New from Editor
+        </button>
+        <label className="px-3 py-1 bg-white border border-blue-300 text-blue-700 rounded text-sm hover:bg-blue-100 cursor-pointer">
+          📂 Import JSON
+          <input type="file" accept=".json,application/json" onChange={handleImport} className="hidden" />
+        </label>
+        {!exportUrl ? (
+          <button
+            onClick={prepareExport}
+            className="px-3 py-1 bg-white border border-blue-300 text-blue-700 rounded text-sm hover:bg-blue-100"
+          >
+            📤 Prepare Export
+          </button>
+        ) : (
+          <a
+            href={exportUrl}
+            download={`RR_Email_Templates_${new Date().toISOString().split('T')[0]}.json`}
+            className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700"
+          >
+            📄 Download Templates
+          </a>
+        )}
+        <button
+          onClick={handleResetDefaults}
+          className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded text-sm hover:bg-gray-100"
+        >
+          Reset Defaults
+        </button>
+      </div>
+
+      {importError && (
+        <div className="p-2 bg-red-50 border-l-4 border-red-400 text-red-700 text-xs">{importError}</div>
+      )}
+      {message && <p className="text-xs text-blue-800">{message}</p>}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        <div className="bg-white rounded border max-h-80 overflow-y-auto">
+          {templates.length === 0 && <p className="p-3 text-xs text-gray-600">The library is empty.</p>}
+          {groupTemplatesByCategory(templates).map(([category, categoryTemplates]) => (
+            <div key={category}>
+              <div className="px-2 py-1 bg-gray-50 text-xs font-semibold text-gray-600">{category}</div>
+              {categoryTemplates.map(template => (
+                <button
+                  key={template.id}
+                  onClick={() => select(template)}
+                  className={`block w-full text-left px-3 py-1 text-sm hover:bg-blue-50 ${
+                    template.id === selectedId ? 'bg-blue-100 font-medium' : ''
+                  }`}
+                >
+                  {template.name}
+                  {isModifiedDefault(template) && <span className="text-xs text-gray-500"> (edited)</span>}
+                </button>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        {draft && saved && (
+          <div className="md:col-span-2 space-y-2">
+            <div className="grid grid-cols-2 gap-2">
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+                placeholder="Template name"
+                className="p-2 border border-gray-300 rounded text-sm font-medium"
+              />
+              <input
+                type="text"
+                list="template-categories"
+                value={draft.category}
+                onChange={(e) => setDraft({ ...draft, category: e.target.value })}
+                placeholder="Category (e.g. Leasing)"
+                className="p-2 border border-gray-300 rounded text-sm"
+              />
+              <datalist id="template-categories">
+                {categories.map(category => <option key={category} value={category} />)}
+              </datalist>
+            </div>
+            <textarea
+              value={draft.template}
+              onChange={(e) => setDraft({ ...draft, template: e.target.value })}
+              className="w-full h-48 p-2 border border-gray-300 rounded font-mono text-xs"
+            />
+            <div className="flex flex-wrap gap-2">
+              <button
+                onClick={handleSave}
+                disabled={!unsaved}
+                className="px-3 py-1 bg-blue-600 text-white rounded text-sm hover:bg-blue-700 disabled:bg-gray-300"
+              >
+                💾 Save
+              </button>
+              <button
+                onClick={() => onUseTemplate(draft)}
+                className="px-3 py-1 bg-green-600 text-white rounded text-sm hover:bg-green-700"
+              >
+                Use in Editor
+              </button>
+              <button
+                onClick={() => addTemplate({ name: `${draft.name} (copy)`, category: draft.category, template: draft.template }, `Duplicated "${draft.name}".`)}
+                className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded text-sm hover:bg-gray-100"
+              >
+                Duplicate
+              </button>
+              {isModifiedDefault(saved) && (
+                <button
+                  onClick={handleResetTemplate}
+                  className="px-3 py-1 bg-white border border-gray-300 text-gray-700 rounded text-sm hover:bg-gray-100"
+                >
+                  Reset to Original
+                </button>
+              )}
+              <button
+                onClick={handleDelete}
+                className="px-3 py-1 text-red-600 text-sm hover:underline"
+              >
+                Delete
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TemplateLibraryManager;
@@ -0,0 +1,135 @@
+import React, { useState } from 'react';
+import { TURN_GROUPINGS, TURN_METRICS, analyzeTurnTimes, formatDays } from './turnTimeMetrics';
+
+const TurnTimePanel = ({ units, totalUnitCount, onClose }) => {
+  const [groupBy, setGroupBy] = useState('property');
+
+  const { overall, groups, outliers } = analyzeTurnTimes(units, groupBy);
+
+  return (
+    <div className="p-4 bg-cyan-50 rounded-lg border border-cyan-200 space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h3 className="font-semibold text-cyan-800">⏱️ Turn Time & Days Vacant</h3>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-gray-700">Roll up by</label>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            {Object.entries(TURN_GROUPINGS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={onClose}
+            className="px-3 py-1 bg-gray-300 text-gray-700 rounded text-sm hover:bg-gray-400 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-600">
+        Based on the {units.length}{units.length !== totalUnitCount ? ` of ${totalUnitCount}` : ''} units in the current filter.
+        Moveout to ready uses the estimated date until an actual ready date is entered; slippage is actual minus estimated.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {Object.entries(TURN_METRICS).map(([metric, { label }]) => (
+          <div key={metric} className="p-3 bg-white rounded-lg border">
+            <div className="text-xs text-gray-600">{label}</div>
+            <div className="text-lg font-bold text-gray-900">
+              {formatDays(overall[metric].average)} <span className="text-sm font-normal text-gray-600">avg</span>
+            </div>
+            <div className="text-xs text-gray-600">
+              Median {formatDays(overall[metric].median)} · Max {formatDays(overall[metric].max)} · {overall[metric].count} units
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {groups.length > 0 && (
+        <div className="bg-white rounded border overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="p-2 text-left">{TURN_GROUPINGS[groupBy]}</th>
+                <th className="p-2 text-right">Units</th>
+                {Object.entries(TURN_METRICS).map(([metric, { shortLabel }]) => (
+                  <React.Fragment key={metric}>
+                    <th className="p-2 text-right">{shortLabel} Avg</th>
+                    <th className="p-2 text-right">{shortLabel} Median</th>
+                  </React.Fragment>
+                ))}
+                <th className="p-2 text-right">Outliers</th>
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map(group => (
+                <tr key={group.name} className="border-t">
+                  <td className="p-2 font-medium">{group.name}</td>
+                  <td className="p-2 text-right">{group.units}</td>
+                  {Object.keys(TURN_METRICS).map(metric => (
+                    <React.Fragment key={metric}>
+                      <td className="p-2 text-right">{formatDays(group[metric].average)}</td>
+                      <td className="p-2 text-right">{formatDays(group[metric].median)}</td>
+                    </React.Fragment>
+                  ))}
+                  <td className={`p-2 text-right ${group.outliers > 0 ? 'text-red-700 font-semibold' : ''}`}>
+                    {group.outliers}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {outliers.length > 0 && (
+        <div className="space-y-2">
+          <h4 className="text-sm font-semibold text-gray-800">Outliers ({outliers.length})</h4>
+          <p className="text-xs text-gray-600">
+            Units well above the portfolio's typical range (more than 1.5× the interquartile range past the upper quartile).
+          </p>
+          <div className="bg-white rounded border max-h-64 overflow-y-auto">
+            <table className="w-full text-xs">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="p-2 text-left">Unit</th>
+                  <th className="p-2 text-left">Property</th>
+                  <th className="p-2 text-left">Vacate Type</th>
+                  <th className="p-2 text-left">Job Code</th>
+                  {Object.entries(TURN_METRICS).map(([metric, { label }]) => (
+                    <th key={metric} className="p-2 text-right">{label}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {outliers.map(({ unit, metrics }) => (
+                  <tr key={`${unit.source}-${unit.property}-${unit.unitCode}`} className="border-t">
+                    <td className="p-2 font-medium">{unit.unitCode}</td>
+                    <td className="p-2">{unit.property}</td>
+                    <td className="p-2">{unit.vacateType}</td>
+                    <td className="p-2">{unit.jobCode}</td>
+                    {Object.keys(TURN_METRICS).map(metric => (
+                      <td
+                        key={metric}
+                        className={`p-2 text-right ${metrics.includes(metric) ? 'text-red-700 font-semibold' : ''}`}
+                      >
+                        {formatDays(unit.turnMetrics[metric])}
+                        {metric === 'turnDays' && unit.turnMetrics.turnProjected && unit.turnMetrics.turnDays !== null ? ' (est.)' : ''}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default TurnTimePanel;
@@ -0,0 +1,105 @@
+import React, { useState } from 'react';
+import { VACANCY_GROUPINGS, analyzeVacancyLoss, formatCurrency } from './vacancyAnalytics';
+
+const VacancyLossPanel = ({ units, totalUnitCount, onClose }) => {
+  const [groupBy, setGroupBy] = useState('property');
+
+  const { totals, groups, projection } = analyzeVacancyLoss(units, groupBy);
+
+  return (
+    <div className="p-4 bg-emerald-50 rounded-lg border border-emerald-200 space-y-4">
+      <div className="flex flex-wrap justify-between items-center gap-2">
+        <h3 className="font-semibold text-emerald-800">💸 Vacancy Loss & Revenue at Risk</h3>
+        <div className="flex items-center gap-2">
+          <label className="text-sm text-gray-700">Totals by</label>
+          <select
+            value={groupBy}
+            onChange={(e) => setGroupBy(e.target.value)}
+            className="p-2 border border-gray-300 rounded text-sm"
+          >
+            {Object.entries(VACANCY_GROUPINGS).map(([key, label]) => (
+              <option key={key} value={key}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={onClose}
+            className="px-3 py-1 bg-gray-300 text-gray-700 rounded text-sm hover:bg-gray-400 transition-colors"
+          >
+            Close
+          </button>
+        </div>
+      </div>
+
+      <p className="text-xs text-gray-600">
+        Based on the {units.length}{units.length !== totalUnitCount ? ` of ${totalUnitCount}` : ''} units in the current filter.
+        Lost rent is annualized asking rent ÷ 365 for every vacant unit without a future move-in; rent at risk runs until each unit's ready date.
+      </p>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+        <div className="p-3 bg-white rounded-lg border">
+          <div className="text-lg font-bold text-gray-900">{totals.units}</div>
+          <div className="text-xs text-gray-600">Unleased vacancies{totals.onNotice > 0 ? ` (${totals.onNotice} on notice)` : ''}</div>
+        </div>
+        <div className="p-3 bg-white rounded-lg border">
+          <div className="text-lg font-bold text-red-700">{formatCurrency(totals.dailyLoss)}</div>
+          <div className="text-xs text-gray-600">Lost rent per day</div>
+        </div>
+        <div className="p-3 bg-white rounded-lg border">
+          <div className="text-lg font-bold text-red-700">{formatCurrency(totals.dailyLoss * 7)}</div>
+          <div className="text-xs text-gray-600">Lost rent per week</div>
+        </div>
+        <div className="p-3 bg-white rounded-lg border">
+          <div className="text-lg font-bold text-orange-700">{formatCurrency(totals.lossUntilReady)}</div>
+          <div className="text-xs text-gray-600">Rent at risk until ready</div>
+        </div>
+      </div>
+
+      {(totals.withoutReadyDate > 0 || totals.withoutRent > 0) && (
+        <div className="p-3 bg-yellow-50 border-l-4 border-yellow-400 text-yellow-800 text-xs">
+          {totals.withoutReadyDate > 0 && <div>{totals.withoutReadyDate} units have no ready date, so their rent at risk isn't counted.</div>}
+          {totals.withoutRent > 0 && <div>{totals.withoutRent} units have no asking rent and add nothing to the totals.</div>}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+        {projection.map(window => (
+          <div key={window.days} className="p-3 bg-emerald-100 rounded-lg">
+            <div className="text-lg font-bold text-emerald-900">{formatCurrency(window.monthlyRent)}/mo</div>
+            <div className="text-xs text-emerald-800">
+              Back online within {window.days} days ({window.units} units)
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {groups.length > 0 && (
+        <div className="bg-white rounded border overflow-x-auto">
+          <table className="w-full text-xs">
+            <thead className="bg-gray-50">
+              <tr>
+                <th className="p-2 text-left">{VACANCY_GROUPINGS[groupBy]}</th>
+                <th className="p-2 text-right">Units</th>
+                <th className="p-2 text-right">Lost / Day</th>
+                <th className="p-2 text-right">Lost / Month</th>
+                <th className="p-2 text-right">At Risk Until Ready</th>
+              </tr>
+            </thead>
+            <tbody>
+              {groups.map(group => (
+                <tr key={group.name} className="border-t">
+                  <td className="p-2 font-medium">{group.name}</td>
+                  <td className="p-2 text-right">{group.units}</td>
+                  <td className="p-2 text-right">{formatCurrency(group.dailyLoss)}</td>
+                  <td className="p-2 text-right">{formatCurrency((group.dailyLoss * 365) / 12)}</td>
+                  <td className="p-2 text-right">{formatCurrency(group.lossUntilReady)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default VacancyLossPanel;
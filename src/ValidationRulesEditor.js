@@ -0,0 +1,197 @@
+import React, { useState } from 'react';
+import ConditionEditor from './ConditionEditor';
+import { newCondition } from './ruleConditions';
+import {
+  BUILT_IN_VALIDATION_RULES,
+  CUSTOM_RULE_PRESETS,
+  SEVERITIES,
+  newValidationRuleId
+} from './validationRules';
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const ValidationRulesEditor = ({ config, onSave, onClose }) => {
+  const [draft, setDraft] = useState(() => clone(config));
+  const [validationError, setValidationError] = useState('');
+
+  const updateBuiltIn = (id, patch) => {
+    setDraft({ ...draft, builtIn: { ...draft.builtIn, [id]: { ...draft.builtIn[id], ...patch } } });
+  };
+
+  const updateCustom = (index, patch) => {
+    setValidationError('');
+    setDraft({ ...draft, custom: draft.custom.map((rule, i) => (i === index ? { ...rule, ...patch } : rule)) });
+  };
+
+  const addCustom = (presetKey) => {
+    if (!presetKey) return;
+    setDraft({
+      ...draft,
+      custom: [...draft.custom, { id: newValidationRuleId(), enabled: true, ...clone(CUSTOM_RULE_PRESETS[presetKey]) }]
+    });
+  };
+
+  const handleSave = () => {
+    const unnamed = draft.custom.find(rule => !rule.name.trim());
+    if (unnamed) {
+      setValidationError('Every custom rule needs a name.');
+      return;
+    }
+    const withoutConditions = draft.custom.find(rule => rule.conditions.length === 0);
+    if (withoutConditions) {
+      setValidationError(`"${withoutConditions.name}" needs at least one condition.`);
+      return;
+    }
+
+    onSave({
+      builtIn: draft.builtIn,
+      custom: draft.custom.map(rule => ({
+        ...rule,
+        name: rule.name.trim(),
+        message: rule.message.trim(),
+        conditions: rule.conditions.map(condition => (
+          condition.type === 'keywords'
+            ? { ...condition, keywords: condition.keywords.map(keyword => keyword.trim()).filter(Boolean) }
+            : condition
+        ))
+      }))
+    });
+  };
+
+  const renderSeveritySelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="p-1 border border-gray-300 rounded text-xs"
+    >
+      {Object.entries(SEVERITIES).map(([severity, { label }]) => (
+        <option key={severity} value={severity}>{label}</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div className="p-4 bg-red-50 rounded-lg border border-red-200 space-y-4">
+      <div className="flex justify-between items-center">
+        <h3 className="font-semibold text-red-800">🩺 Data-Quality Rules</h3>
+        <button
+          onClick={onClose}
+          className="px-3 py-1 bg-gray-300 text-gray-700 rounded text-sm hover:bg-gray-400 transition-colors"
+        >
+          Close
+        </button>
+      </div>
+
+      <div className="bg-white rounded border divide-y">
+        {BUILT_IN_VALIDATION_RULES.map(rule => {
+          const override = draft.builtIn[rule.id] || {};
+          return (
+            <div key={rule.id} className="p-3 flex items-center gap-3">
+              <input
+                type="checkbox"
+                checked={override.enabled !== false}
+                onChange={(e) => updateBuiltIn(rule.id, { enabled: e.target.checked })}
+              />
+              <div className="flex-1">
+                <div className="text-sm font-medium">{rule.name}</div>
+                <div className="text-xs text-gray-600">{rule.message}</div>
+              </div>
+              {renderSeveritySelect(override.severity || rule.severity, severity => updateBuiltIn(rule.id, { severity }))}
+            </div>
+          );
+        })}
+      </div>
+
+      <div className="space-y-3">
+        <h4 className="text-sm font-semibold text-gray-800">Custom Rules</h4>
+        {draft.custom.length === 0 && (
+          <p className="text-xs text-gray-600">No custom rules yet.</p>
+        )}
+        {draft.custom.map((rule, ruleIndex) => (
+          <div key={rule.id} className="p-3 bg-white rounded border space-y-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                type="checkbox"
+                checked={rule.enabled !== false}
+                onChange={(e) => updateCustom(ruleIndex, { enabled: e.target.checked })}
+              />
+              <input
+                type="text"
+                value={rule.name}
+                onChange={(e) => updateCustom(ruleIndex, { name: e.target.value })}
+                placeholder="Rule name"
+                className="flex-1 min-w-[180px] p-1 border border-gray-300 rounded text-sm font-medium"
+              />
+              {renderSeveritySelect(rule.severity, severity => updateCustom(ruleIndex, { severity }))}
+              <button
+                onClick={() => setDraft({ ...draft, custom: draft.custom.filter((_, i) => i !== ruleIndex) })}
+                className="text-xs text-red-600 hover:underline"
+              >
+                Delete
+              </button>
+            </div>
+            <input
+              type="text"
+              value={rule.message}
+              onChange={(e) => updateCustom(ruleIndex, { message: e.target.value })}
+              placeholder="Message shown to coordinators"
+              className="w-full p-1 border border-gray-300 rounded text-xs"
+            />
+            {rule.conditions.map((condition, conditionIndex) => (
+              <ConditionEditor
+                key={conditionIndex}
+                condition={condition}
+                prefix={conditionIndex === 0 ? 'If' : 'and'}
+                allowAfterCategorization
+                onChange={(updated) => updateCustom(ruleIndex, {
+                  conditions: rule.conditions.map((existing, i) => (i === conditionIndex ? updated : existing))
+                })}
+                onRemove={() => updateCustom(ruleIndex, {
+                  conditions: rule.conditions.filter((_, i) => i !== conditionIndex)
+                })}
+              />
+            ))}
+            <button
+              onClick={() => updateCustom(ruleIndex, { conditions: [...rule.conditions, newCondition('keywords')] })}
+              className="ml-6 text-xs text-red-700 hover:underline"
+            >
+              + Add condition
+            </button>
+          </div>
+        ))}
+
+        <select
+          value=""
+          onChange={(e) => addCustom(e.target.value)}
+          className="p-2 border border-red-300 rounded text-sm bg-white"
+        >
+          <option value="">+ Add rule...</option>
+          <option value="zeroRent">Asking rent is 0</option>
+          <option value="estimatedDatePast">Estimated ready date in the past</option>
+          <option value="blank">Blank rule</option>
+        </select>
+      </div>
+
+      {validationError && (
+        <div className="p-3 bg-red-50 border-l-4 border-red-400 text-red-700 text-sm">{validationError}</div>
+      )}
+
+      <div className="flex gap-2">
+        <button
+          onClick={handleSave}
+          className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
+        >
+          💾 Save & Re-check
+        </button>
+        <button
+          onClick={onClose}
+          className="px-4 py-2 bg-gray-300 text-gray-700 rounded hover:bg-gray-400 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ValidationRulesEditor;
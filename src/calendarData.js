@@ -0,0 +1,69 @@
+import { addDays, startOfWeek, toInputDate } from './chartData';
+
+// Calendar events for the availability view. A unit appears on its ready
+// date (actual when entered, estimated otherwise) and on its move-in date.
+
+export const CALENDAR_EVENT_TYPES = {
+  ready: { label: 'Ready', icon: '🔑' },
+  estimatedReady: { label: 'Est. ready', icon: '🛠️' },
+  moveIn: { label: 'Move-in', icon: '📦' }
+};
+
+export const WEEKDAY_LABELS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+export const DEFAULT_BUSY_THRESHOLD = 3;
+
+export const dayKey = (date) => toInputDate(date);
+
+export const unitCalendarEvents = (unit) => {
+  const events = [];
+  if (unit.actualReadyDate instanceof Date) {
+    events.push({ type: 'ready', date: unit.actualReadyDate, unit });
+  } else if (unit.estimatedReadyDate instanceof Date) {
+    events.push({ type: 'estimatedReady', date: unit.estimatedReadyDate, unit });
+  }
+  if (unit.futureMoveInDate instanceof Date) {
+    events.push({ type: 'moveIn', date: unit.futureMoveInDate, unit });
+  }
+  return events;
+};
+
+// Events keyed by YYYY-MM-DD
+export const groupEventsByDay = (units) => {
+  const days = {};
+  units.flatMap(unitCalendarEvents).forEach(event => {
+    const key = dayKey(event.date);
+    if (!days[key]) days[key] = [];
+    days[key].push(event);
+  });
+  return days;
+};
+
+// Properties with at least `threshold` units becoming ready on the same day
+export const busyProperties = (events, threshold = DEFAULT_BUSY_THRESHOLD) => {
+  const counts = {};
+  events
+    .filter(event => event.type !== 'moveIn')
+    .forEach(event => {
+      counts[event.unit.property] = (counts[event.unit.property] || 0) + 1;
+    });
+  return Object.entries(counts)
+    .filter(([, count]) => count >= threshold)
+    .map(([property, count]) => ({ property, count }))
+    .sort((a, b) => b.count - a.count);
+};
+
+// Monday-start grid of whole weeks covering the month
+export const monthGrid = (anchor) => {
+  const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+  const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+  const start = startOfWeek(first);
+  const days = Math.round((last - start) / (1000 * 60 * 60 * 24)) + 1;
+  const weeks = Math.ceil(days / 7);
+  return Array.from({ length: weeks * 7 }, (_, index) => addDays(start, index));
+};
+
+export const weekGrid = (anchor) => {
+  const start = startOfWeek(anchor);
+  return Array.from({ length: 7 }, (_, index) => addDays(start, index));
+};
@@ -0,0 +1,162 @@
+import { matchesCondition } from './ruleConditions';
+
+// Categorization rules as data. A rule set is an ordered list of categories;
+// a unit lands in the first category whose conditions all match. Rule sets
+// are stored per property, with a default set for everything else.
+
+export const CATEGORY_COLORS = {
+  green: { label: 'Green', className: 'bg-green-100 text-green-800', hex: '#d4edda', chartHex: '#22c55e' },
+  yellow: { label: 'Yellow', className: 'bg-yellow-100 text-yellow-800', hex: '#fff3cd', chartHex: '#eab308' },
+  blue: { label: 'Blue', className: 'bg-blue-100 text-blue-800', hex: '#cce5ff', chartHex: '#3b82f6' },
+  purple: { label: 'Purple', className: 'bg-purple-100 text-purple-800', hex: '#e2d5f0', chartHex: '#a855f7' },
+  gray: { label: 'Gray', className: 'bg-gray-100 text-gray-800', hex: '#f8f9fa', chartHex: '#9ca3af' },
+  orange: { label: 'Orange', className: 'bg-orange-100 text-orange-800', hex: '#ffd6cc', chartHex: '#f97316' },
+  red: { label: 'Red', className: 'bg-red-100 text-red-800', hex: '#f8d7da', chartHex: '#ef4444' },
+  indigo: { label: 'Indigo', className: 'bg-indigo-100 text-indigo-800', hex: '#e0e7ff', chartHex: '#6366f1' },
+  pink: { label: 'Pink', className: 'bg-pink-100 text-pink-800', hex: '#fce7f3', chartHex: '#ec4899' },
+  teal: { label: 'Teal', className: 'bg-teal-100 text-teal-800', hex: '#ccfbf1', chartHex: '#14b8a6' }
+};
+
+export const UNIT_STATUSES = ['Ready Now', 'Future', 'Rented', 'Not Available'];
+
+// Listed in display order (the dashboard's default sort). Matching runs in
+// priority order instead, so "Down" wins over "Rent Ready" even though it
+// sorts near the bottom.
+export const DEFAULT_CATEGORY_RULES = [
+  {
+    id: 'ready',
+    name: 'Available & Rent Ready',
+    color: 'green',
+    status: 'Ready Now',
+    priority: 3,
+    conditions: [{ type: 'rentReady', value: 'yes' }, { type: 'hasDate', field: 'actualReadyDate' }]
+  },
+  {
+    id: 'readyFlagged',
+    name: 'Available & Rent Ready (Flagged)',
+    color: 'yellow',
+    status: 'Future',
+    priority: 4,
+    conditions: [{ type: 'rentReady', value: 'yes' }]
+  },
+  {
+    id: 'next30',
+    name: 'Available in Next 30 Days',
+    color: 'blue',
+    status: 'Future',
+    priority: 5,
+    conditions: [{ type: 'readyWithinDays', days: 30 }]
+  },
+  {
+    id: 'next60',
+    name: 'Available in Next 31-60 Days',
+    color: 'purple',
+    status: 'Future',
+    priority: 6,
+    conditions: [{ type: 'readyWithinDays', days: 60 }]
+  },
+  {
+    id: 'future',
+    name: 'Available in More than 60 Days',
+    color: 'gray',
+    status: 'Future',
+    priority: 7,
+    conditions: [{ type: 'hasDate', field: 'estimatedReadyDate' }]
+  },
+  {
+    id: 'rented',
+    name: 'Already Rented',
+    color: 'orange',
+    status: 'Rented',
+    priority: 2,
+    conditions: [{ type: 'hasDate', field: 'futureMoveInDate' }]
+  },
+  {
+    id: 'down',
+    name: 'Down/Hold/Model/Development',
+    color: 'red',
+    status: 'Not Available',
+    priority: 1,
+    conditions: [{ type: 'keywords', fields: ['rentalType', 'comments'], keywords: ['development', 'model', 'hold', 'down'] }]
+  },
+  {
+    id: 'unknown',
+    name: 'Unknown',
+    color: 'yellow',
+    status: 'Future',
+    priority: 99,
+    conditions: [{ type: 'always' }]
+  }
+];
+
+export const FALLBACK_CATEGORY = { id: 'uncategorized', name: 'Unknown', color: 'yellow', status: 'Future', priority: 999 };
+
+const CATEGORY_RULES_KEY = 'rrCategoryRules';
+
+export const defaultRulesConfig = () => ({
+  default: JSON.parse(JSON.stringify(DEFAULT_CATEGORY_RULES)),
+  properties: {}
+});
+
+const isValidRuleSet = (rules) =>
+  Array.isArray(rules) && rules.length > 0 &&
+  rules.every(rule => rule && rule.name && Array.isArray(rule.conditions));
+
+// Keeps the valid rule sets of a saved config and falls back to the defaults
+export const normalizeCategoryRules = (saved) => {
+  const properties = {};
+  Object.entries((saved && saved.properties) || {}).forEach(([property, rules]) => {
+    if (isValidRuleSet(rules)) properties[property] = rules;
+  });
+  return {
+    default: saved && isValidRuleSet(saved.default) ? saved.default : defaultRulesConfig().default,
+    properties
+  };
+};
+
+export const loadCategoryRules = () => {
+  try {
+    const raw = window.localStorage.getItem(CATEGORY_RULES_KEY);
+    if (!raw) return defaultRulesConfig();
+    return normalizeCategoryRules(JSON.parse(raw));
+  } catch (e) {
+    console.warn('Could not read category rules:', e);
+    return defaultRulesConfig();
+  }
+};
+
+export const saveCategoryRules = (config) => {
+  try {
+    window.localStorage.setItem(CATEGORY_RULES_KEY, JSON.stringify(config));
+  } catch (e) {
+    console.warn('Could not save category rules:', e);
+  }
+};
+
+export const rulesForProperty = (config, property) =>
+  (config.properties && config.properties[property]) || config.default;
+
+export const newCategoryId = () => `category-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Returns the matching category along with its display position, which the
+// dashboard uses as the default sort order.
+export const categorizeWithRules = (unit, rules, today = new Date()) => {
+  const byPriority = rules
+    .map((rule, index) => ({ ...rule, order: index + 1 }))
+    .sort((a, b) => (Number(a.priority) || 0) - (Number(b.priority) || 0));
+
+  const match = byPriority.find(rule =>
+    rule.conditions.length > 0 && rule.conditions.every(condition => matchesCondition(unit, condition, today))
+  );
+
+  return match || { ...FALLBACK_CATEGORY, order: rules.length + 1 };
+};
+
+export const categoryColorClass = (color) =>
+  (CATEGORY_COLORS[color] || CATEGORY_COLORS.gray).className;
+
+export const categoryColorHex = (color) =>
+  (CATEGORY_COLORS[color] || CATEGORY_COLORS.gray).hex;
+
+export const categoryChartColor = (color) =>
+  (CATEGORY_COLORS[color] || CATEGORY_COLORS.gray).chartHex;
@@ -0,0 +1,154 @@
+import { categoryChartColor } from './categoryRules';
+import { bedroomLabel } from './vacancyAnalytics';
+import { extractBedroomCount } from './rrCore';
+
+// Chart series for the dashboard. Every segment carries the filter patch
+// that narrows the table down to exactly the units it counts.
+
+const BEDROOM_COLORS = ['#0ea5e9', '#22c55e', '#f59e0b', '#8b5cf6', '#ef4444', '#14b8a6'];
+const UNKNOWN_BEDROOM_COLOR = '#9ca3af';
+
+export const toInputDate = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+export const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+// Weeks start on Monday
+export const startOfWeek = (date) => addDays(date, -((date.getDay() + 6) % 7));
+
+const categoryLegend = (units) => {
+  const seen = new Map();
+  [...units]
+    .sort((a, b) => a.categoryOrder - b.categoryOrder)
+    .forEach(unit => {
+      if (!seen.has(unit.category)) seen.set(unit.category, categoryChartColor(unit.categoryColor));
+    });
+  return [...seen.entries()].map(([label, color]) => ({ key: label, label, color }));
+};
+
+const stackByCategory = (units, legend, filterFor) => legend
+  .map(({ key, label, color }) => {
+    const value = units.filter(unit => unit.category === key).length;
+    return { key, label, color, value, filter: filterFor(key) };
+  })
+  .filter(segment => segment.value > 0);
+
+export const categoryByPropertyChart = (units) => {
+  const legend = categoryLegend(units);
+  const properties = [...new Set(units.map(unit => unit.property))].sort();
+
+  return {
+    legend,
+    bars: properties.map(property => {
+      const propertyUnits = units.filter(unit => unit.property === property);
+      return {
+        label: property || 'Unknown',
+        segments: stackByCategory(propertyUnits, legend, category => ({
+          properties: [property],
+          category
+        }))
+      };
+    })
+  };
+};
+
+// Units by the week their estimated ready date falls in. Anything before
+// this week is "Earlier"; anything past the window is "Later".
+export const readyTimelineChart = (units, today = new Date(), weeks = 12) => {
+  const dated = units.filter(unit => unit.estimatedReadyDate instanceof Date);
+  const legend = categoryLegend(dated);
+  const firstWeek = startOfWeek(today);
+  const windowEnd = addDays(firstWeek, weeks * 7);
+
+  const bucket = (label, bucketUnits, start, end) => ({
+    label,
+    segments: stackByCategory(bucketUnits, legend, category => ({
+      category,
+      dateRange: { start: toInputDate(start), end: toInputDate(end), dateType: 'estimated' }
+    }))
+  });
+
+  const earlier = dated.filter(unit => unit.estimatedReadyDate < firstWeek);
+  const later = dated.filter(unit => unit.estimatedReadyDate >= windowEnd);
+  const bars = [];
+
+  if (earlier.length > 0) {
+    const earliest = new Date(Math.min(...earlier.map(unit => unit.estimatedReadyDate)));
+    bars.push(bucket('Earlier', earlier, earliest, addDays(firstWeek, -1)));
+  }
+  for (let week = 0; week < weeks; week++) {
+    const start = addDays(firstWeek, week * 7);
+    const end = addDays(start, 6);
+    const weekUnits = dated.filter(unit => unit.estimatedReadyDate >= start && unit.estimatedReadyDate < addDays(end, 1));
+    bars.push(bucket(`${start.getMonth() + 1}/${start.getDate()}`, weekUnits, start, end));
+  }
+  if (later.length > 0) {
+    const latest = new Date(Math.max(...later.map(unit => unit.estimatedReadyDate)));
+    bars.push(bucket('Later', later, windowEnd, latest));
+  }
+
+  return { legend, bars, undated: units.length - dated.length };
+};
+
+const RENT_BIN_SIZES = [100, 250, 500, 1000];
+
+// Rent bins stacked by bedroom count; the bin size grows with the rent
+// spread so the histogram stays around a dozen bars.
+export const rentHistogramChart = (units, maxBins = 12) => {
+  const rented = units.filter(unit => unit.askingRent > 0);
+  if (rented.length === 0) return { legend: [], bars: [] };
+
+  const rents = rented.map(unit => unit.askingRent);
+  const min = Math.min(...rents);
+  const max = Math.max(...rents);
+  const binSize = RENT_BIN_SIZES.find(size => (Math.floor(max / size) - Math.floor(min / size) + 1) <= maxBins) ||
+    Math.ceil((max - min + 1) / maxBins / 1000) * 1000;
+
+  const bedroomCounts = [...new Set(rented.map(unit => extractBedroomCount(unit.unitDescription)))].sort((a, b) => a - b);
+  const legend = bedroomCounts.map((count, index) => ({
+    key: String(count),
+    label: bedroomLabel(count),
+    color: count === 999 ? UNKNOWN_BEDROOM_COLOR : BEDROOM_COLORS[index % BEDROOM_COLORS.length]
+  }));
+
+  const bars = [];
+  for (let binStart = Math.floor(min / binSize) * binSize; binStart <= max; binStart += binSize) {
+    // Inclusive upper bound for the table's rent filter, so cents still land in one bin
+    const binEnd = binStart + binSize - 0.01;
+    const binUnits = rented.filter(unit => unit.askingRent >= binStart && unit.askingRent < binStart + binSize);
+    bars.push({
+      label: `$${binStart.toLocaleString()}`,
+      segments: legend
+        .map(({ key, label, color }) => ({
+          key,
+          label,
+          color,
+          value: binUnits.filter(unit => String(extractBedroomCount(unit.unitDescription)) === key).length,
+          filter: { rentMin: binStart, rentMax: binEnd, bedrooms: key }
+        }))
+        .filter(segment => segment.value > 0)
+    });
+  }
+
+  return { legend, bars, binSize };
+};
+
+export const CHART_TITLES = {
+  categoryByProperty: 'Units by Category per Property',
+  readyTimeline: 'Units Becoming Ready by Week (Estimated)',
+  rentHistogram: 'Asking Rent Distribution by Bedrooms'
+};
+
+// Axis maximum with round gridline steps, shared by the SVG and PDF charts
+export const niceCeiling = (value) => {
+  if (value <= 5) return 5;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 2.5, 5, 10].find(candidate => candidate * magnitude >= value / 4) * magnitude;
+  return Math.ceil(value / step) * step;
+};
+
+export const buildDashboardCharts = (units, today = new Date()) => ({
+  categoryByProperty: categoryByPropertyChart(units),
+  readyTimeline: readyTimelineChart(units, today),
+  rentHistogram: rentHistogramChart(units)
+});
@@ -0,0 +1,199 @@
+// Header-driven column mapping for the Yardi Rent Ready report.
+// Instead of trusting fixed offsets we look for the header row, match each
+// column against the known field names (and their synonyms) and fall back to
+// a user-confirmed mapping when a required field can't be found.
+
+export const RR_FIELDS = [
+  { key: 'unitCode', label: 'Unit', required: true,
+    synonyms: ['unit', 'unit code', 'unit #', 'unit no', 'unit number', 'unit id', 'suite', 'apt', 'apartment'] },
+  { key: 'unitType', label: 'Unit Type', required: true,
+    synonyms: ['unit type', 'type code', 'floor plan', 'floorplan', 'unit type code'] },
+  { key: 'unitDescription', label: 'Unit Description', required: true,
+    synonyms: ['unit description', 'description', 'unit type description', 'floor plan description', 'unit desc'] },
+  { key: 'rentalType', label: 'Rental Type', required: false,
+    synonyms: ['rental type', 'rent type', 'unit status', 'status type'] },
+  { key: 'vacantAsOf', label: 'Vacant As Of', required: false,
+    synonyms: ['vacant as of', 'vacant date', 'vacant since', 'move out date', 'moveout date', 'move out', 'moveout', 'vacated'] },
+  { key: 'vacateType', label: 'Vacate Type', required: false,
+    synonyms: ['vacate type', 'vacancy type', 'move out type', 'moveout type', 'notice type'] },
+  { key: 'futureMoveInDate', label: 'Future Move In Date', required: false,
+    synonyms: ['future move in date', 'future move in', 'move in date', 'movein date', 'move in', 'future movein'] },
+  { key: 'workOrder', label: 'Work Order', required: false,
+    synonyms: ['work order', 'work order #', 'wo', 'wo #', 'work order number'] },
+  { key: 'askingRent', label: 'Asking Rent', required: true,
+    synonyms: ['asking rent', 'market rent', 'rent', 'asking', 'advertised rent', 'list rent'] },
+  { key: 'makeReadyNotes', label: 'Make Ready Notes', required: false,
+    synonyms: ['make ready notes', 'make ready note', 'makeready notes', 'notes', 'turn notes'] },
+  { key: 'estimatedReadyDate', label: 'Estimated Ready Date', required: true,
+    synonyms: ['estimated ready date', 'est ready date', 'estimated ready', 'est ready', 'expected ready date', 'ready date est'] },
+  { key: 'rentReady', label: 'Rent Ready', required: true,
+    synonyms: ['rent ready', 'ready', 'rent ready?', 'is rent ready', 'ready y n'] },
+  { key: 'actualReadyDate', label: 'Actual Ready Date', required: false,
+    synonyms: ['actual ready date', 'actual ready', 'date ready', 'ready date', 'made ready date'] },
+  { key: 'jobCode', label: 'Job Code', required: false,
+    synonyms: ['job code', 'job', 'job #', 'contractor code'] },
+  { key: 'comments', label: 'Comments', required: false,
+    synonyms: ['comments', 'comment', 'remarks', 'unit comments'] }
+];
+
+// Column positions of the original fixed-offset importer, used to pre-fill
+// the mapping screen when no header row can be recognised at all.
+export const LEGACY_COLUMN_MAPPING = {
+  unitCode: 0,
+  unitType: 1,
+  unitDescription: 2,
+  rentalType: 3,
+  vacantAsOf: 4,
+  vacateType: 5,
+  futureMoveInDate: 6,
+  workOrder: 7,
+  askingRent: 8,
+  makeReadyNotes: 9,
+  estimatedReadyDate: 10,
+  rentReady: 11,
+  actualReadyDate: 12,
+  jobCode: 13,
+  comments: 14
+};
+export const LEGACY_DATA_START_ROW = 6;
+
+const HEADER_SCAN_ROWS = 40;
+const MIN_HEADER_MATCHES = 3;
+const SAVED_MAPPINGS_KEY = 'rrColumnMappings';
+
+export const normalizeHeader = (value) => {
+  if (value === null || value === undefined) return '';
+  return value.toString()
+    .toLowerCase()
+    .replace(/[\r\n]+/g, ' ')
+    .replace(/[^a-z0-9#?]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+const SYNONYM_LOOKUP = RR_FIELDS.reduce((lookup, field) => {
+  field.synonyms.forEach(synonym => {
+    const normalized = normalizeHeader(synonym);
+    if (!lookup[normalized]) lookup[normalized] = field.key;
+  });
+  return lookup;
+}, {});
+
+export const columnLetter = (index) => {
+  let letters = '';
+  let n = index + 1;
+  while (n > 0) {
+    const remainder = (n - 1) % 26;
+    letters = String.fromCharCode(65 + remainder) + letters;
+    n = Math.floor((n - 1) / 26);
+  }
+  return letters;
+};
+
+export const matchHeaderToField = (header) => SYNONYM_LOOKUP[normalizeHeader(header)] || null;
+
+export const matchColumns = (headerRow) => {
+  const mapping = {};
+
+  headerRow.forEach((cell, index) => {
+    const fieldKey = matchHeaderToField(cell);
+    // First column wins when a report repeats a header
+    if (fieldKey && mapping[fieldKey] === undefined) {
+      mapping[fieldKey] = index;
+    }
+  });
+
+  return mapping;
+};
+
+export const findHeaderRow = (rows) => {
+  let bestIndex = -1;
+  let bestScore = 0;
+  const limit = Math.min(rows.length, HEADER_SCAN_ROWS);
+
+  for (let i = 0; i < limit; i++) {
+    const row = rows[i] || [];
+    const score = Object.keys(matchColumns(row)).length;
+    if (score > bestScore) {
+      bestScore = score;
+      bestIndex = i;
+    }
+  }
+
+  return bestScore >= MIN_HEADER_MATCHES ? bestIndex : -1;
+};
+
+export const getMissingRequiredFields = (mapping) =>
+  RR_FIELDS
+    .filter(field => field.required && (mapping[field.key] === undefined || mapping[field.key] === null))
+    .map(field => field.key);
+
+export const layoutSignature = (headerRow) =>
+  headerRow.map(normalizeHeader).join('|').replace(/\|+$/, '');
+
+export const loadSavedMappings = () => {
+  try {
+    const raw = window.localStorage.getItem(SAVED_MAPPINGS_KEY);
+    return raw ? JSON.parse(raw) : {};
+  } catch (e) {
+    console.warn('Could not read saved column mappings:', e);
+    return {};
+  }
+};
+
+export const saveMapping = (signature, mapping) => {
+  if (!signature) return;
+  try {
+    const saved = loadSavedMappings();
+    saved[signature] = { mapping, savedAt: new Date().toISOString() };
+    window.localStorage.setItem(SAVED_MAPPINGS_KEY, JSON.stringify(saved));
+  } catch (e) {
+    console.warn('Could not save column mapping:', e);
+  }
+};
+
+// Works out where the data lives in a sheet: which row holds the headers,
+// which column each field comes from and whether the user needs to confirm it.
+// Without a header row the standard Yardi positions are a guess, so they're
+// always confirmed even though every field is mapped.
+export const detectLayout = (rows, savedMappings = {}) => {
+  const headerRowIndex = findHeaderRow(rows);
+
+  if (headerRowIndex === -1) {
+    const width = rows.reduce((max, row) => Math.max(max, (row || []).length), 0);
+    return {
+      headerRowIndex: LEGACY_DATA_START_ROW - 1,
+      headerFound: false,
+      headers: Array.from({ length: width }, (_, index) => `Column ${columnLetter(index)}`),
+      signature: '',
+      mapping: { ...LEGACY_COLUMN_MAPPING },
+      missing: getMissingRequiredFields(LEGACY_COLUMN_MAPPING),
+      needsConfirmation: true,
+      fromSavedMapping: false
+    };
+  }
+
+  const headerRow = (rows[headerRowIndex] || []).map(cell => (cell === null || cell === undefined ? '' : cell.toString().trim()));
+  const signature = layoutSignature(headerRow);
+  const saved = savedMappings[signature];
+  const mapping = saved ? { ...saved.mapping } : matchColumns(headerRow);
+  const missing = getMissingRequiredFields(mapping);
+
+  return {
+    headerRowIndex,
+    headerFound: true,
+    headers: headerRow.map((header, index) => header || `Column ${columnLetter(index)}`),
+    signature,
+    mapping,
+    missing,
+    needsConfirmation: missing.length > 0,
+    fromSavedMapping: Boolean(saved)
+  };
+};
+
+export const getMappedCell = (row, mapping, fieldKey) => {
+  const index = mapping[fieldKey];
+  if (index === undefined || index === null || index < 0) return '';
+  const value = row[index];
+  return value === undefined || value === null ? '' : value;
+};
@@ -0,0 +1,31 @@
+/**
+ * @jest-environment node
+ */
+import { LEGACY_COLUMN_MAPPING, detectLayout } from './columnMapping';
+
+const HEADER = ['Unit', 'Unit Type', 'Unit Description', 'Asking Rent', 'Estimated Ready Date', 'Rent Ready'];
+
+describe('detectLayout', () => {
+  test('maps columns from a recognised header row', () => {
+    const layout = detectLayout([['Rent Ready Report'], HEADER, ['101', '0014t11c', '1 Bedroom', 1450, '06/20/2025', 'No']]);
+    expect(layout.headerFound).toBe(true);
+    expect(layout.headerRowIndex).toBe(1);
+    expect(layout.mapping).toMatchObject({ unitCode: 0, unitType: 1, askingRent: 3, rentReady: 5 });
+    expect(layout.missing).toEqual([]);
+    expect(layout.needsConfirmation).toBe(false);
+  });
+
+  test('asks for confirmation when a required column is not found', () => {
+    const layout = detectLayout([HEADER.filter(header => header !== 'Asking Rent')]);
+    expect(layout.missing).toEqual(['askingRent']);
+    expect(layout.needsConfirmation).toBe(true);
+  });
+
+  test('pre-fills the standard positions without a header row and only asks to confirm them', () => {
+    const layout = detectLayout([['101', '0014t11c', '1 Bedroom']]);
+    expect(layout.headerFound).toBe(false);
+    expect(layout.mapping).toEqual(LEGACY_COLUMN_MAPPING);
+    expect(layout.missing).toEqual([]);
+    expect(layout.needsConfirmation).toBe(true);
+  });
+});
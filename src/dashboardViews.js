@@ -0,0 +1,202 @@
+import { EMPTY_FILTERS } from './rrCore';
+
+// Dashboard "views": the filters, sort and export columns a user is looking
+// at. Views can be saved by name (in localStorage) and are mirrored in the
+// URL query string so a link opens the same view once the report is loaded.
+
+const SAVED_VIEWS_KEY = 'rrSavedViews';
+
+export const DEFAULT_PDF_OPTIONS = {
+  format: 'table',
+  orientation: 'landscape',
+  includeColumns: {
+    unitCode: true,
+    property: true,
+    category: true,
+    unitType: false,
+    unitDescription: true,
+    rentalType: false,
+    askingRent: true,
+    rentReady: true,
+    status: false,
+    vacantAsOf: false,
+    estimatedReadyDate: true,
+    actualReadyDate: true,
+    daysUntilReady: true,
+    vacateType: false,
+    futureMoveInDate: false,
+    daysVacant: false,
+    turnDays: false,
+    readySlippage: false,
+    workOrder: false,
+    jobCode: false,
+    makeReadyNotes: false,
+    comments: false,
+    source: false,
+    issues: true
+  }
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const text = (value) => (typeof value === 'string' ? value : '');
+const number = (value, fallback) => (Number.isFinite(Number(value)) && value !== '' && value !== null ? Number(value) : fallback);
+
+// Fills in anything missing or malformed, so old saves and hand-edited links
+// can't break the dashboard.
+export const normalizeView = (view = {}) => {
+  const filters = view.filters || {};
+  const dateRange = filters.dateRange || {};
+  const sortConfig = view.sortConfig || {};
+  const pdfOptions = view.pdfOptions || {};
+  const columns = pdfOptions.includeColumns || {};
+
+  return {
+    filters: {
+      property: text(filters.property),
+      properties: Array.isArray(filters.properties) ? filters.properties.filter(name => typeof name === 'string') : [],
+      category: text(filters.category),
+      rentReady: text(filters.rentReady),
+      bedrooms: text(filters.bedrooms),
+      search: text(filters.search),
+      rentMin: number(filters.rentMin, EMPTY_FILTERS.rentMin),
+      rentMax: number(filters.rentMax, EMPTY_FILTERS.rentMax),
+      dateRange: {
+        start: DATE_PATTERN.test(dateRange.start) ? dateRange.start : '',
+        end: DATE_PATTERN.test(dateRange.end) ? dateRange.end : '',
+        dateType: dateRange.dateType === 'actual' ? 'actual' : 'estimated'
+      },
+      showFlaggedOnly: filters.showFlaggedOnly === true
+    },
+    sortConfig: {
+      key: typeof sortConfig.key === 'string' && sortConfig.key ? sortConfig.key : null,
+      direction: sortConfig.direction === 'desc' ? 'desc' : 'asc'
+    },
+    pdfOptions: {
+      format: pdfOptions.format === 'summary' ? 'summary' : 'table',
+      orientation: pdfOptions.orientation === 'portrait' ? 'portrait' : 'landscape',
+      includeColumns: Object.fromEntries(Object.entries(DEFAULT_PDF_OPTIONS.includeColumns).map(([key, fallback]) => [
+        key,
+        typeof columns[key] === 'boolean' ? columns[key] : fallback
+      ]))
+    }
+  };
+};
+
+// ---- Saved views ----
+
+export const loadSavedViews = () => {
+  try {
+    const raw = window.localStorage.getItem(SAVED_VIEWS_KEY);
+    if (!raw) return [];
+    const saved = JSON.parse(raw);
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter(view => view && typeof view.id === 'string' && typeof view.name === 'string')
+      .map(view => ({ id: view.id, name: view.name, savedAt: view.savedAt, ...normalizeView(view) }));
+  } catch (e) {
+    console.warn('Could not read saved views:', e);
+    return [];
+  }
+};
+
+export const saveSavedViews = (views) => {
+  try {
+    window.localStorage.setItem(SAVED_VIEWS_KEY, JSON.stringify(views));
+  } catch (e) {
+    console.warn('Could not save views:', e);
+  }
+};
+
+// Saving under an existing name replaces that view
+export const upsertView = (views, name, state) => {
+  const existing = views.find(view => view.name.toLowerCase() === name.toLowerCase());
+  const view = {
+    id: existing ? existing.id : `view-${Date.now().toString(36)}`,
+    name,
+    savedAt: new Date().toISOString(),
+    ...normalizeView(state)
+  };
+  return existing
+    ? views.map(candidate => (candidate.id === existing.id ? view : candidate))
+    : [...views, view].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+export const sameView = (a, b) => JSON.stringify(normalizeView(a)) === JSON.stringify(normalizeView(b));
+
+// ---- URL query string ----
+
+const COLUMN_KEYS = Object.keys(DEFAULT_PDF_OPTIONS.includeColumns);
+
+// Only values that differ from the defaults are written, to keep links short
+export const viewToQuery = (state) => {
+  const { filters, sortConfig, pdfOptions } = normalizeView(state);
+  const params = new URLSearchParams();
+
+  if (filters.property) params.set('property', filters.property);
+  filters.properties.forEach(name => params.append('properties', name));
+  if (filters.category) params.set('category', filters.category);
+  if (filters.rentReady) params.set('rentReady', filters.rentReady);
+  if (filters.bedrooms !== '') params.set('bedrooms', filters.bedrooms);
+  if (filters.search) params.set('q', filters.search);
+  if (filters.rentMin !== EMPTY_FILTERS.rentMin) params.set('rentMin', filters.rentMin);
+  if (filters.rentMax !== EMPTY_FILTERS.rentMax) params.set('rentMax', filters.rentMax);
+  if (filters.dateRange.start) params.set('from', filters.dateRange.start);
+  if (filters.dateRange.end) params.set('to', filters.dateRange.end);
+  if (filters.dateRange.dateType !== 'estimated') params.set('dateType', filters.dateRange.dateType);
+  if (filters.showFlaggedOnly) params.set('flagged', '1');
+  if (sortConfig.key) params.set('sort', `${sortConfig.key}:${sortConfig.direction}`);
+  if (pdfOptions.format !== DEFAULT_PDF_OPTIONS.format) params.set('pdf', pdfOptions.format);
+  if (pdfOptions.orientation !== DEFAULT_PDF_OPTIONS.orientation) params.set('orient', pdfOptions.orientation);
+  if (COLUMN_KEYS.some(key => pdfOptions.includeColumns[key] !== DEFAULT_PDF_OPTIONS.includeColumns[key])) {
+    params.set('cols', COLUMN_KEYS.filter(key => pdfOptions.includeColumns[key]).join(','));
+  }
+
+  return params.toString();
+};
+
+const VIEW_PARAMS = ['property', 'properties', 'category', 'rentReady', 'bedrooms', 'q', 'rentMin', 'rentMax',
+  'from', 'to', 'dateType', 'flagged', 'sort', 'pdf', 'orient', 'cols'];
+
+// Returns null when the query string carries no view at all
+export const viewFromQuery = (search) => {
+  const params = new URLSearchParams(search);
+  if (!VIEW_PARAMS.some(name => params.has(name))) return null;
+
+  const [sortKey, sortDirection] = (params.get('sort') || '').split(':');
+  const columns = params.has('cols') ? params.get('cols').split(',') : null;
+
+  return normalizeView({
+    filters: {
+      property: params.get('property') || '',
+      properties: params.getAll('properties'),
+      category: params.get('category') || '',
+      rentReady: params.get('rentReady') || '',
+      bedrooms: params.get('bedrooms') || '',
+      search: params.get('q') || '',
+      rentMin: params.get('rentMin'),
+      rentMax: params.get('rentMax'),
+      dateRange: {
+        start: params.get('from') || '',
+        end: params.get('to') || '',
+        dateType: params.get('dateType') || 'estimated'
+      },
+      showFlaggedOnly: params.get('flagged') === '1'
+    },
+    sortConfig: { key: sortKey, direction: sortDirection },
+    pdfOptions: {
+      format: params.get('pdf') || DEFAULT_PDF_OPTIONS.format,
+      orientation: params.get('orient') || DEFAULT_PDF_OPTIONS.orientation,
+      includeColumns: columns
+        ? Object.fromEntries(COLUMN_KEYS.map(key => [key, columns.includes(key)]))
+        : DEFAULT_PDF_OPTIONS.includeColumns
+    }
+  });
+};
+
+// Replaces the view parameters in a URL and leaves any others alone
+export const urlWithView = (href, state) => {
+  const url = new URL(href);
+  VIEW_PARAMS.forEach(name => url.searchParams.delete(name));
+  new URLSearchParams(viewToQuery(state)).forEach((value, name) => url.searchParams.append(name, value));
+  return url.toString();
+};
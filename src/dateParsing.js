@@ -0,0 +1,199 @@
+// One date normalization layer for every date column in the RR report.
+// Cells arrive as Date objects (xlsx with cellDates), Excel serial numbers,
+// ISO strings or slash/dash/dot separated text in either month-first or
+// day-first order. Each value comes back with a status so the dashboard can
+// tell a missing date from one it couldn't read.
+
+export const DATE_FIELDS = ['vacantAsOf', 'futureMoveInDate', 'estimatedReadyDate', 'actualReadyDate'];
+
+export const DATE_LOCALES = {
+  'en-US': { label: 'US (MM/DD/YYYY)', order: 'MDY' },
+  'en-GB': { label: 'Day first (DD/MM/YYYY)', order: 'DMY' }
+};
+export const DEFAULT_DATE_LOCALE = 'en-US';
+
+const DATE_LOCALE_KEY = 'rrDateLocale';
+
+// Serial numbers outside this window are much more likely to be rents or
+// work order numbers than dates (20000 = 1954, 80000 = 2119).
+const MIN_TEXT_SERIAL = 20000;
+const MAX_TEXT_SERIAL = 80000;
+const MAX_SERIAL = 2958465;
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+export const loadDateLocale = () => {
+  try {
+    const saved = window.localStorage.getItem(DATE_LOCALE_KEY);
+    return DATE_LOCALES[saved] ? saved : DEFAULT_DATE_LOCALE;
+  } catch (e) {
+    return DEFAULT_DATE_LOCALE;
+  }
+};
+
+export const saveDateLocale = (locale) => {
+  try {
+    window.localStorage.setItem(DATE_LOCALE_KEY, locale);
+  } catch (e) {
+    console.warn('Could not save date locale:', e);
+  }
+};
+
+const buildDate = (year, month, day) => {
+  const fullYear = year < 100 ? 2000 + year : year;
+  const date = new Date(fullYear, month - 1, day);
+  // Reject roll-overs such as 2/30 becoming March 2nd
+  if (date.getFullYear() !== fullYear || date.getMonth() !== month - 1 || date.getDate() !== day) {
+    return null;
+  }
+  return date;
+};
+
+const result = (date, status, source) => ({ date, status, source });
+
+export const excelSerialToDate = (serial) => {
+  if (typeof serial !== 'number' || !Number.isFinite(serial) || serial <= 0 || serial > MAX_SERIAL) return null;
+  // Excel's epoch is 1899-12-30 once its phantom 29-Feb-1900 is accounted for
+  const utc = new Date(Date.UTC(1899, 11, 30) + Math.floor(serial) * 86400000);
+  return new Date(utc.getUTCFullYear(), utc.getUTCMonth(), utc.getUTCDate());
+};
+
+// SheetJS date cells can land a few seconds before midnight; snap them to the
+// calendar day they were meant to be.
+const fromDateObject = (value) => {
+  if (isNaN(value)) return null;
+  const snapped = value.getHours() === 23 && value.getMinutes() >= 59
+    ? new Date(value.getTime() + 60 * 1000)
+    : value;
+  return new Date(snapped.getFullYear(), snapped.getMonth(), snapped.getDate());
+};
+
+const monthFromName = (name) => {
+  const index = MONTHS.indexOf(name.slice(0, 3).toLowerCase());
+  return index === -1 ? null : index + 1;
+};
+
+// Returns 'MDY', 'DMY' or null for a numeric a/b/year value when the numbers
+// themselves settle the order.
+const impliedOrder = (first, second) => {
+  if (first > 12 && second <= 12) return 'DMY';
+  if (second > 12 && first <= 12) return 'MDY';
+  return null;
+};
+
+export const normalizeDate = (value, { order = DATE_LOCALES[DEFAULT_DATE_LOCALE].order } = {}) => {
+  if (value === null || value === undefined) return result(null, 'empty', null);
+
+  if (value instanceof Date) {
+    const date = fromDateObject(value);
+    return date ? result(date, 'ok', 'date') : result(null, 'invalid', 'date');
+  }
+
+  if (typeof value === 'number') {
+    const date = excelSerialToDate(value);
+    return date ? result(date, 'ok', 'serial') : result(null, 'invalid', 'serial');
+  }
+
+  const text = value.toString().trim();
+  if (!text) return result(null, 'empty', null);
+
+  if (/^\d{5}(\.\d+)?$/.test(text)) {
+    const serial = parseFloat(text);
+    if (serial >= MIN_TEXT_SERIAL && serial <= MAX_TEXT_SERIAL) {
+      return result(excelSerialToDate(serial), 'ok', 'serial');
+    }
+  }
+
+  const iso = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})(?:[T\s].*)?$/);
+  if (iso) {
+    const date = buildDate(parseInt(iso[1]), parseInt(iso[2]), parseInt(iso[3]));
+    return date ? result(date, 'ok', 'iso') : result(null, 'invalid', 'iso');
+  }
+
+  const numeric = text.match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})(?:\s.*)?$/);
+  if (numeric) {
+    const first = parseInt(numeric[1]);
+    const second = parseInt(numeric[2]);
+    const year = parseInt(numeric[3]);
+    const implied = impliedOrder(first, second);
+    const useOrder = implied || order;
+    const date = useOrder === 'DMY'
+      ? buildDate(year, second, first)
+      : buildDate(year, first, second);
+
+    if (!date) return result(null, 'invalid', 'text');
+    // 3/4/2025 reads as March 4th or April 3rd depending on who typed it
+    const ambiguous = !implied && first !== second;
+    return result(date, ambiguous ? 'ambiguous' : 'ok', 'text');
+  }
+
+  const dayMonthName = text.match(/^(\d{1,2})[-\s]([a-z]{3,})\.?[-\s,]+(\d{2}|\d{4})$/i);
+  if (dayMonthName) {
+    const month = monthFromName(dayMonthName[2]);
+    const date = month && buildDate(parseInt(dayMonthName[3]), month, parseInt(dayMonthName[1]));
+    return date ? result(date, 'ok', 'text') : result(null, 'invalid', 'text');
+  }
+
+  const monthNameDay = text.match(/^([a-z]{3,})\.?\s+(\d{1,2})(?:st|nd|rd|th)?,?\s+(\d{4})$/i);
+  if (monthNameDay) {
+    const month = monthFromName(monthNameDay[1]);
+    const date = month && buildDate(parseInt(monthNameDay[3]), month, parseInt(monthNameDay[2]));
+    return date ? result(date, 'ok', 'text') : result(null, 'invalid', 'text');
+  }
+
+  return result(null, 'invalid', 'text');
+};
+
+// Looks at every numeric date in a report: if some of them can only be read
+// day-first (or only month-first) the whole report was written that way.
+export const inferDateOrder = (values) => {
+  let dayFirst = 0;
+  let monthFirst = 0;
+
+  values.forEach(value => {
+    if (value === null || value === undefined || value instanceof Date || typeof value === 'number') return;
+    const match = value.toString().trim().match(/^(\d{1,2})[-/.](\d{1,2})[-/.](\d{2}|\d{4})/);
+    if (!match) return;
+    const implied = impliedOrder(parseInt(match[1]), parseInt(match[2]));
+    if (implied === 'DMY') dayFirst++;
+    if (implied === 'MDY') monthFirst++;
+  });
+
+  if (dayFirst > 0 && monthFirst === 0) return 'DMY';
+  if (monthFirst > 0 && dayFirst === 0) return 'MDY';
+  return null;
+};
+
+// Normalizes all date fields of one unit. When the report's order was
+// inferred, values that would otherwise be ambiguous are trusted.
+export const normalizeUnitDates = (rawValues, { order, inferred = false }) => {
+  const dates = {};
+  const dateQuality = {};
+  const dateIssues = [];
+
+  DATE_FIELDS.forEach(field => {
+    const raw = rawValues[field];
+    const parsed = normalizeDate(raw, { order });
+    const status = parsed.status === 'ambiguous' && inferred ? 'ok' : parsed.status;
+
+    dates[field] = parsed.date;
+    dateQuality[field] = status;
+    if (status === 'ambiguous' || status === 'invalid') {
+      dateIssues.push({ field, status, raw: raw instanceof Date ? raw.toISOString() : raw.toString() });
+    }
+  });
+
+  return { dates, dateQuality, dateIssues };
+};
+
+// A date cell counts as filled in even if we couldn't read it; "TBD" in the
+// move-in column still means someone is moving in.
+export const hasDateEntry = (unit, field) =>
+  unit[field] instanceof Date || (unit.dateQuality ? unit.dateQuality[field] === 'invalid' : false);
+
+export const formatUnitDate = (unit, field, emptyValue = '') => {
+  const value = unit[field];
+  if (value instanceof Date) return value.toLocaleDateString();
+  const issue = (unit.dateIssues || []).find(dateIssue => dateIssue.field === field);
+  return issue ? issue.raw : emptyValue;
+};
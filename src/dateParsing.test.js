@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+import { excelSerialToDate, inferDateOrder, normalizeDate, normalizeUnitDates } from './dateParsing';
+
+const day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+const read = (value, options) => {
+  const { date, status, source } = normalizeDate(value, options);
+  return { day: date && day(date), status, source };
+};
+
+describe('normalizeDate', () => {
+  test('reads Excel serials as numbers and as text', () => {
+    expect(read(45658)).toEqual({ day: [2025, 1, 1], status: 'ok', source: 'serial' });
+    expect(read(45818.75)).toEqual({ day: [2025, 6, 10], status: 'ok', source: 'serial' });
+    expect(read('45818')).toEqual({ day: [2025, 6, 10], status: 'ok', source: 'serial' });
+    expect(day(excelSerialToDate(61))).toEqual([1900, 3, 1]);
+  });
+
+  test('leaves out-of-range numbers in text alone', () => {
+    expect(read('12345').status).toBe('invalid');
+    expect(read(-1)).toEqual({ day: null, status: 'invalid', source: 'serial' });
+  });
+
+  test('reads ISO dates, with or without a time', () => {
+    expect(read('2025-06-10')).toEqual({ day: [2025, 6, 10], status: 'ok', source: 'iso' });
+    expect(read('2025-06-10T14:30:00')).toEqual({ day: [2025, 6, 10], status: 'ok', source: 'iso' });
+    expect(read('2025-02-30')).toEqual({ day: null, status: 'invalid', source: 'iso' });
+  });
+
+  test('reads month names in either order', () => {
+    expect(read('10-Jun-2025').day).toEqual([2025, 6, 10]);
+    expect(read('10 June 2025').day).toEqual([2025, 6, 10]);
+    expect(read('June 10th, 2025').day).toEqual([2025, 6, 10]);
+    expect(read('Sept. 3 2025').day).toEqual([2025, 9, 3]);
+    expect(read('10-Foo-2025').status).toBe('invalid');
+  });
+
+  test('reads an ambiguous date in the given order and says it was ambiguous', () => {
+    expect(read('07/06/2025', { order: 'MDY' })).toEqual({ day: [2025, 7, 6], status: 'ambiguous', source: 'text' });
+    expect(read('07/06/2025', { order: 'DMY' })).toEqual({ day: [2025, 6, 7], status: 'ambiguous', source: 'text' });
+    expect(read('07/07/2025').status).toBe('ok');
+  });
+
+  test('lets the numbers settle the order when only one reading is possible', () => {
+    expect(read('25/03/2025', { order: 'MDY' })).toEqual({ day: [2025, 3, 25], status: 'ok', source: 'text' });
+    expect(read('03/25/2025', { order: 'DMY' })).toEqual({ day: [2025, 3, 25], status: 'ok', source: 'text' });
+    expect(read('6.10.25').day).toEqual([2025, 6, 10]);
+  });
+
+  test('marks impossible and unreadable dates invalid', () => {
+    expect(read('13/45/2025')).toEqual({ day: null, status: 'invalid', source: 'text' });
+    expect(read('02/30/2025')).toEqual({ day: null, status: 'invalid', source: 'text' });
+    expect(read('TBD')).toEqual({ day: null, status: 'invalid', source: 'text' });
+  });
+
+  test('tells empty cells from unreadable ones', () => {
+    expect(read('').status).toBe('empty');
+    expect(read('   ').status).toBe('empty');
+    expect(read(null).status).toBe('empty');
+  });
+
+  test('snaps date cells that land just before midnight', () => {
+    expect(read(new Date(2025, 5, 9, 23, 59, 50))).toEqual({ day: [2025, 6, 10], status: 'ok', source: 'date' });
+    expect(read(new Date('nope')).status).toBe('invalid');
+  });
+});
+
+describe('inferDateOrder', () => {
+  test('infers day-first from a column containing 25/03/2025', () => {
+    expect(inferDateOrder(['07/06/2025', '', '25/03/2025', '01/02/2025'])).toBe('DMY');
+  });
+
+  test('infers month-first from 03/25/2025', () => {
+    expect(inferDateOrder(['07/06/2025', '03/25/2025'])).toBe('MDY');
+  });
+
+  test('stays undecided for ambiguous-only or conflicting columns', () => {
+    expect(inferDateOrder(['07/06/2025', '01/02/2025', 45818, new Date(), null, 'TBD'])).toBeNull();
+    expect(inferDateOrder(['25/03/2025', '03/25/2025'])).toBeNull();
+    expect(inferDateOrder(['13/45/2025'])).toBeNull();
+  });
+});
+
+describe('normalizeUnitDates', () => {
+  test('trusts ambiguous dates once the order was inferred and lists the rest as issues', () => {
+    const raw = { vacantAsOf: '07/06/2025', futureMoveInDate: 'TBD', estimatedReadyDate: '', actualReadyDate: '25/06/2025' };
+    expect(normalizeUnitDates(raw, { order: 'DMY', inferred: true }).dateIssues).toEqual([
+      { field: 'futureMoveInDate', status: 'invalid', raw: 'TBD' }
+    ]);
+    const guessed = normalizeUnitDates(raw, { order: 'DMY', inferred: false });
+    expect(guessed.dateQuality).toEqual({
+      vacantAsOf: 'ambiguous',
+      futureMoveInDate: 'invalid',
+      estimatedReadyDate: 'empty',
+      actualReadyDate: 'ok'
+    });
+    expect(day(guessed.dates.vacantAsOf)).toEqual([2025, 6, 7]);
+  });
+});
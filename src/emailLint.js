@@ -0,0 +1,263 @@
+import { LINK_PATTERN } from './emailMarkup';
+
+// Deliverability and content checks for the email composer. Findings point
+// at a line of the editor text (1-based) so they can be jumped to, and most
+// carry a replacement for that line the user can apply.
+
+export const LINT_RULES = {
+  caps: 'Excessive capitals',
+  punctuation: 'Repeated punctuation',
+  spamPhrase: 'Spam-trigger phrase',
+  link: 'Link problem',
+  placeholder: 'Unfilled placeholder',
+  contact: 'Missing contact info',
+  length: 'Message length'
+};
+
+export const SPAM_PHRASES = [
+  '100% free', 'act now', 'apply now!', 'best price', 'buy now', 'call now', 'cash bonus',
+  'click here', 'congratulations', "don't miss out", 'exclusive deal', 'guaranteed', 'limited time',
+  'lowest price', 'no catch', 'no obligation', 'once in a lifetime', 'order now', 'risk-free',
+  'special promotion', "this won't last", 'urgent', 'while supplies last', 'winner'
+];
+
+const LINK_SHORTENERS = ['bit.ly', 'tinyurl.com', 'goo.gl', 'ow.ly', 't.co', 'is.gd'];
+
+export const MAX_WORDS = 350;
+export const MIN_WORDS = 15;
+// Gmail hides everything after ~102KB of HTML behind "View entire message"
+export const GMAIL_CLIP_BYTES = 102 * 1024;
+
+const PHONE_PATTERN = /\(?\d{3}\)?[\s.-]?\d{3}[\s.-]?\d{4}/;
+const EMAIL_PATTERN = /[\w._%+-]+@[\w.-]+\.[A-Za-z]{2,}/;
+
+// Headings are written in capitals by convention, and tags aren't prose.
+// Short lines without sentence punctuation ("STEP 1: INSURANCE") are headings too.
+const isHeadingLine = (line) => /^(===|---|>>)\s/.test(line.trim()) ||
+  (!/[.!?]/.test(line) && line.trim().split(/\s+/).length <= 6);
+const stripTags = (line) => line.replace(/\[[^\]]*\]/g, '');
+
+const excerpt = (line) => (line.trim().length > 60 ? `${line.trim().slice(0, 57)}...` : line.trim());
+
+// Lower-cases words outside [tags] and starts each sentence with a capital
+export const toSentenceCase = (line) => {
+  let startOfSentence = true;
+  return line.split(/(\[[^\]]*\])/).map(part => {
+    if (part.startsWith('[')) {
+      startOfSentence = false;
+      return part;
+    }
+    return part.replace(/[A-Za-z][A-Za-z']*|[.!?]/g, word => {
+      if (/^[.!?]$/.test(word)) {
+        startOfSentence = true;
+        return word;
+      }
+      const lower = word.toLowerCase();
+      const result = startOfSentence ? lower[0].toUpperCase() + lower.slice(1) : lower;
+      startOfSentence = false;
+      return result;
+    });
+  }).join('');
+};
+
+const capsFinding = (line, index) => {
+  if (isHeadingLine(line)) return null;
+  const letters = stripTags(line).replace(/[^A-Za-z]/g, '');
+  const upper = letters.replace(/[^A-Z]/g, '');
+  if (letters.length < 12 || upper.length / letters.length < 0.7) return null;
+  const fixed = toSentenceCase(line);
+  return {
+    rule: 'caps',
+    severity: 'warning',
+    line: index + 1,
+    excerpt: excerpt(line),
+    message: 'Mostly capital letters read as shouting and score high with spam filters.',
+    suggestion: 'Use sentence case and let a highlight (***** *****) carry the emphasis.',
+    replacement: fixed !== line ? fixed : undefined
+  };
+};
+
+const punctuationFinding = (line, index) => {
+  const repeated = stripTags(line).match(/[!?]{2,}|\${2,}/g);
+  if (!repeated) return null;
+  return {
+    rule: 'punctuation',
+    severity: 'warning',
+    line: index + 1,
+    excerpt: excerpt(line),
+    message: `Runs like "${repeated[0]}" are a classic spam signal.`,
+    suggestion: 'Use a single exclamation or question mark.',
+    replacement: line.replace(/([!?])[!?]+/g, '$1').replace(/\$\$+/g, '$')
+  };
+};
+
+const phrasePattern = (phrase) =>
+  new RegExp(`(^|\\W)${phrase.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?=\\W|$)`, 'i');
+
+const SPAM_PATTERNS = SPAM_PHRASES.map(phrase => ({ phrase, pattern: phrasePattern(phrase) }));
+
+const spamPhraseFindings = (line, index) => SPAM_PATTERNS
+  .filter(({ pattern }) => pattern.test(line))
+  .map(({ phrase }) => ({
+    rule: 'spamPhrase',
+    severity: 'info',
+    line: index + 1,
+    excerpt: excerpt(line),
+    message: `"${phrase}" is on common spam-filter phrase lists.`,
+    suggestion: phrase === 'click here'
+      ? 'Describe where the link goes instead, e.g. "book a viewing online".'
+      : 'Rephrase in plain, specific terms (what, where, until when).'
+  }));
+
+const linkFindings = (line, index) => {
+  const findings = [];
+  const base = { rule: 'link', line: index + 1, excerpt: excerpt(line) };
+
+  [...line.matchAll(new RegExp(LINK_PATTERN.source, 'g'))].forEach(([, url]) => {
+    // Links built from placeholders are covered by the unfilled-placeholder check
+    if (!url || /[[\]]/.test(url)) return;
+    const trailing = url.match(/[.,;:!?)]+$/);
+    const cleanUrl = trailing ? url.slice(0, -trailing[0].length) : url;
+    let parsed = null;
+    try {
+      parsed = new URL(cleanUrl);
+    } catch (err) {
+      parsed = null;
+    }
+
+    if (!parsed || !parsed.hostname.includes('.')) {
+      findings.push({
+        ...base,
+        severity: 'error',
+        message: `${cleanUrl} doesn't look like a complete web address.`,
+        suggestion: 'Check the address opens in a browser before sending.'
+      });
+      return;
+    }
+    if (trailing) {
+      findings.push({
+        ...base,
+        severity: 'warning',
+        message: `The link picks up "${trailing[0]}" from the sentence and may not open.`,
+        suggestion: 'Put a space between the link and the punctuation.',
+        replacement: line.replace(url, `${cleanUrl} ${trailing[0]}`)
+      });
+    }
+    if (parsed.protocol === 'http:') {
+      findings.push({
+        ...base,
+        severity: 'warning',
+        message: `${cleanUrl} is not a secure (https) link.`,
+        suggestion: 'Use the https:// address; most mail clients warn about plain http links.',
+        replacement: line.replace(url, url.replace(/^http:/, 'https:'))
+      });
+    }
+    if (LINK_SHORTENERS.includes(parsed.hostname.replace(/^www\./, ''))) {
+      findings.push({
+        ...base,
+        severity: 'warning',
+        message: `${parsed.hostname} short links are widely used in phishing and often filtered.`,
+        suggestion: 'Link to the full address on the property website instead.'
+      });
+    }
+  });
+
+  const bare = stripTags(line).match(/(^|\s)(www\.[^\s<]+)/);
+  if (bare) {
+    findings.push({
+      ...base,
+      severity: 'info',
+      message: `${bare[2]} won't be turned into a link.`,
+      suggestion: 'Start web addresses with https:// so they become clickable.',
+      replacement: line.replace(bare[2], `https://${bare[2]}`)
+    });
+  }
+
+  return findings;
+};
+
+const placeholderFindings = (lines, unresolved) => unresolved.map(name => {
+  const index = lines.findIndex(line => line.includes(`[${name}]`) || line.includes(`[${name}|`));
+  return {
+    rule: 'placeholder',
+    severity: 'error',
+    line: index === -1 ? null : index + 1,
+    excerpt: index === -1 ? '' : excerpt(lines[index]),
+    message: `[${name}] has no value and would be sent as-is.`,
+    suggestion: `Fill it in under Template Fields, or give it a fallback like [${name}|...].`
+  };
+});
+
+// source: editor text; rendered: the text after template fields are filled
+export const lintEmail = (source, rendered, unresolved = [], html = '') => {
+  if (!source.trim()) return [];
+  const lines = source.split('\n');
+  const findings = [];
+
+  lines.forEach((line, index) => {
+    if (!line.trim()) return;
+    const caps = capsFinding(line, index);
+    const punctuation = punctuationFinding(line, index);
+    if (caps) findings.push(caps);
+    if (punctuation) findings.push(punctuation);
+    findings.push(...spamPhraseFindings(line, index), ...linkFindings(line, index));
+  });
+
+  findings.push(...placeholderFindings(lines, unresolved));
+
+  const contactPlaceholder = /\[(PHONE|EMAIL|CONTACT)[^\]]*\]/.test(source);
+  if (!PHONE_PATTERN.test(rendered) && !EMAIL_PATTERN.test(rendered) && !contactPlaceholder) {
+    findings.push({
+      rule: 'contact',
+      severity: 'warning',
+      line: lines.length,
+      excerpt: '',
+      message: 'There is no phone number or email address for the reader to reply to.',
+      suggestion: 'End with how to reach you.',
+      replacement: `${lines[lines.length - 1]}\n\nContact me at [PHONE] with questions!`
+    });
+  }
+
+  const words = rendered.split(/\s+/).filter(word => /\w/.test(word)).length;
+  if (words > MAX_WORDS) {
+    findings.push({
+      rule: 'length',
+      severity: 'info',
+      line: null,
+      excerpt: '',
+      message: `${words} words; prospects tend to skim past about ${MAX_WORDS}.`,
+      suggestion: 'Keep the offer and next step up top and link to details.'
+    });
+  } else if (words < MIN_WORDS) {
+    findings.push({
+      rule: 'length',
+      severity: 'info',
+      line: null,
+      excerpt: '',
+      message: `Only ${words} words; very short messages with a link look like spam.`,
+      suggestion: 'Add a greeting and a line of context.'
+    });
+  }
+  const htmlBytes = new TextEncoder().encode(html).length;
+  if (htmlBytes > GMAIL_CLIP_BYTES) {
+    findings.push({
+      rule: 'length',
+      severity: 'error',
+      line: null,
+      excerpt: '',
+      message: `The HTML is ${Math.round(htmlBytes / 1024)}KB; Gmail clips messages over 102KB.`,
+      suggestion: 'Shorten long unit lists or split the email.'
+    });
+  }
+
+  return findings
+    .map((finding, index) => ({ ...finding, id: `${finding.rule}-${finding.line}-${index}` }))
+    .sort((a, b) => (a.line === null ? Infinity : a.line) - (b.line === null ? Infinity : b.line));
+};
+
+// Swaps one editor line for a finding's replacement
+export const applyLintFix = (source, finding) => {
+  const lines = source.split('\n');
+  lines[finding.line - 1] = finding.replacement;
+  return lines.join('\n');
+};
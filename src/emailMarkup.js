@@ -0,0 +1,368 @@
+// Parser and HTML renderer for the email composer's markup. Text is parsed
+// into blocks, each block's text into inline nodes, and only then rendered,
+// so markers can nest, lists stay separate and pasted text is escaped.
+//
+// Blocks:  === Header ===   --- Subheader ---   >> Section
+//          • bullet          1. numbered         | table | row |
+// Inline:  ***** highlight *****   **bold**   *italic*   [PLACEHOLDER]
+//          \* or \[ for a literal marker; URLs and emails are linked.
+
+const STYLES = {
+  wrapper: 'font-family: Arial, sans-serif; font-size: 14px; line-height: 1.6; color: #1f2937;',
+  paragraph: 'margin: 10px 0;',
+  heading: 'color: #2563eb; margin: 20px 0 10px 0;',
+  subheading: 'color: #4b5563; margin: 15px 0 8px 0;',
+  section: 'background: #eff6ff; padding: 8px; margin: 10px 0; border-left: 3px solid #2563eb;',
+  list: 'margin: 10px 0; padding-left: 20px;',
+  listItem: 'margin: 5px 0;',
+  table: 'border-collapse: collapse; margin: 10px 0;',
+  tableHeader: 'border: 1px solid #d1d5db; padding: 6px 10px; text-align: left; background: #f3f4f6;',
+  tableCell: 'border: 1px solid #d1d5db; padding: 6px 10px; text-align: left;',
+  highlight: 'color: #dc2626; font-size: 16px;',
+  link: 'color: #2563eb; text-decoration: underline;',
+  placeholder: 'background: #fef3c7; padding: 2px 4px; border-radius: 3px; font-weight: bold;',
+  placeholderName: 'color: #d97706;'
+};
+
+const EMOJI_COLORS = {
+  '✅': '#10b981',
+  '⚠️': '#f59e0b',
+  '💧': '#3b82f6',
+  '📱': '#8b5cf6',
+  '📋': '#6366f1',
+  '🏠': '#059669'
+};
+
+export const escapeHtml = (text) => text
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// ---- Block parsing ----
+
+const HEADING = /^=== (.+) ===$/;
+const SUBHEADING = /^--- (.+) ---$/;
+const SECTION = /^>> (.+)$/;
+const BULLET = /^\s*• (.*)$/;
+const NUMBERED = /^\s*(\d+)[.)] (.*)$/;
+const TABLE_ROW = /^\s*\|.*\|\s*$/;
+const TABLE_SEPARATOR = /^\s*\|(\s*:?-{3,}:?\s*\|)+\s*$/;
+
+const splitTableRow = (line) => {
+  const cells = [];
+  let current = '';
+  const inner = line.trim().slice(1, -1);
+  for (let i = 0; i < inner.length; i++) {
+    if (inner[i] === '\\' && inner[i + 1] === '|') {
+      current += '|';
+      i++;
+    } else if (inner[i] === '|') {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += inner[i];
+    }
+  }
+  cells.push(current.trim());
+  return cells;
+};
+
+export const parseBlocks = (text) => {
+  const lines = text.replace(/\r\n?/g, '\n').split('\n');
+  const blocks = [];
+  let paragraph = null;
+
+  const closeParagraph = () => {
+    paragraph = null;
+  };
+
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+    let match;
+
+    if (!line.trim()) {
+      closeParagraph();
+      continue;
+    }
+
+    if ((match = line.match(HEADING))) {
+      closeParagraph();
+      blocks.push({ type: 'heading', level: 3, content: match[1] });
+    } else if ((match = line.match(SUBHEADING))) {
+      closeParagraph();
+      blocks.push({ type: 'heading', level: 4, content: match[1] });
+    } else if ((match = line.match(SECTION))) {
+      closeParagraph();
+      blocks.push({ type: 'section', content: match[1] });
+    } else if ((match = line.match(BULLET)) || (match = line.match(NUMBERED))) {
+      closeParagraph();
+      const ordered = !line.match(BULLET);
+      const items = [];
+      const start = ordered ? parseInt(match[1]) : 1;
+      // A list is the run of consecutive lines of the same kind
+      while (i < lines.length) {
+        const itemMatch = ordered ? lines[i].match(NUMBERED) : lines[i].match(BULLET);
+        if (!itemMatch) break;
+        items.push(ordered ? itemMatch[2] : itemMatch[1]);
+        i++;
+      }
+      i--;
+      blocks.push({ type: 'list', ordered, start, items });
+    } else if (TABLE_ROW.test(line)) {
+      closeParagraph();
+      const rows = [];
+      while (i < lines.length && TABLE_ROW.test(lines[i])) {
+        rows.push(lines[i]);
+        i++;
+      }
+      i--;
+      const hasHeader = rows.length > 1 && TABLE_SEPARATOR.test(rows[1]);
+      const body = rows.filter((row, index) => !(hasHeader && index === 1)).map(splitTableRow);
+      blocks.push({
+        type: 'table',
+        header: hasHeader ? body[0] : null,
+        rows: hasHeader ? body.slice(1) : body
+      });
+    } else if (paragraph) {
+      paragraph.lines.push(line);
+    } else {
+      paragraph = { type: 'paragraph', lines: [line] };
+      blocks.push(paragraph);
+    }
+  }
+
+  return blocks;
+};
+
+// ---- Inline parsing ----
+
+const HIGHLIGHT_OPEN = '***** ';
+const HIGHLIGHT_CLOSE = ' *****';
+
+const isCloser = (text, i, closer) => {
+  if (!closer) return false;
+  if (closer === '*') return text[i] === '*' && text[i + 1] !== '*' && text[i - 1] !== ' ';
+  return text.startsWith(closer, i);
+};
+
+// Returns { nodes, end, closed }. An opener whose closer never appears is
+// kept as literal text. Results are memoised by position so a run of
+// unmatched markers doesn't rescan the line over and over.
+const parseInlineFrom = (text, start, closer, memo) => {
+  const memoKey = `${start}:${closer}`;
+  if (memo.has(memoKey)) return memo.get(memoKey);
+  const nodes = [];
+  let buffer = '';
+  let i = start;
+
+  const flush = () => {
+    if (buffer) nodes.push({ type: 'text', value: buffer });
+    buffer = '';
+  };
+
+  const tryContainer = (type, open, close) => {
+    const inner = parseInlineFrom(text, i + open.length, close, memo);
+    if (!inner.closed || inner.nodes.length === 0) return false;
+    flush();
+    nodes.push({ type, children: inner.nodes });
+    i = inner.end + close.length;
+    return true;
+  };
+
+  while (i < text.length) {
+    if (isCloser(text, i, closer)) {
+      flush();
+      const result = { nodes, end: i, closed: true };
+      memo.set(memoKey, result);
+      return result;
+    }
+
+    const char = text[i];
+    if (char === '\\' && (text[i + 1] === '*' || text[i + 1] === '[' || text[i + 1] === '\\')) {
+      buffer += text[i + 1];
+      i += 2;
+      continue;
+    }
+
+    if (text.startsWith(HIGHLIGHT_OPEN, i) && tryContainer('highlight', HIGHLIGHT_OPEN, HIGHLIGHT_CLOSE)) continue;
+    if (text.startsWith('**', i) && text[i + 2] !== ' ' && tryContainer('strong', '**', '**')) continue;
+    if (char === '*' && text[i + 1] !== ' ' && text[i + 1] !== '*' && tryContainer('em', '*', '*')) continue;
+
+    if (char === '[') {
+      const placeholder = text.slice(i).match(/^\[([A-Z][A-Z0-9 _]*)\]/);
+      if (placeholder) {
+        flush();
+        nodes.push({ type: 'placeholder', name: placeholder[1] });
+        i += placeholder[0].length;
+        continue;
+      }
+    }
+
+    buffer += char;
+    i += 1;
+  }
+
+  flush();
+  const result = { nodes, end: i, closed: false };
+  memo.set(memoKey, result);
+  return result;
+};
+
+export const parseInline = (text) => parseInlineFrom(text, 0, null, new Map()).nodes;
+
+export const parseEmailMarkup = (text) => parseBlocks(text).map(block => {
+  switch (block.type) {
+    case 'paragraph':
+      return { type: 'paragraph', lines: block.lines.map(parseInline) };
+    case 'list':
+      return { ...block, items: block.items.map(parseInline) };
+    case 'table':
+      return {
+        ...block,
+        header: block.header ? block.header.map(parseInline) : null,
+        rows: block.rows.map(row => row.map(parseInline))
+      };
+    default:
+      return { ...block, content: parseInline(block.content) };
+  }
+});
+
+// ---- HTML rendering ----
+
+export const LINK_PATTERN = /(https?:\/\/[^\s<]+)|([\w._%+-]+@[\w.-]+\.[A-Za-z]{2,})/g;
+const EMOJI_PATTERN = new RegExp(Object.keys(EMOJI_COLORS).join('|'), 'g');
+
+const renderPlainText = (value) => escapeHtml(value)
+  .replace(EMOJI_PATTERN, emoji => `<span style="color: ${EMOJI_COLORS[emoji]};">${emoji}</span>`);
+
+const renderText = (value) => {
+  let html = '';
+  let last = 0;
+  value.replace(LINK_PATTERN, (match, url, email, offset) => {
+    html += renderPlainText(value.slice(last, offset));
+    const href = url ? match : `mailto:${match}`;
+    html += `<a href="${escapeHtml(href)}" style="${STYLES.link}">${escapeHtml(match)}</a>`;
+    last = offset + match.length;
+    return match;
+  });
+  return html + renderPlainText(value.slice(last));
+};
+
+const renderInline = (nodes) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return renderText(node.value);
+    case 'strong':
+      return `<strong>${renderInline(node.children)}</strong>`;
+    case 'em':
+      return `<em>${renderInline(node.children)}</em>`;
+    case 'highlight':
+      return `<strong style="${STYLES.highlight}">${renderInline(node.children)}</strong>`;
+    case 'placeholder':
+      return `<span style="${STYLES.placeholder}">[<span style="${STYLES.placeholderName}">${escapeHtml(node.name)}</span>]</span>`;
+    default:
+      return '';
+  }
+}).join('');
+
+const renderBlock = (block) => {
+  switch (block.type) {
+    case 'heading':
+      return block.level === 3
+        ? `<h3 style="${STYLES.heading}">${renderInline(block.content)}</h3>`
+        : `<h4 style="${STYLES.subheading}">${renderInline(block.content)}</h4>`;
+    case 'section':
+      return `<div style="${STYLES.section}"><strong>${renderInline(block.content)}</strong></div>`;
+    case 'list': {
+      const items = block.items.map(item => `<li style="${STYLES.listItem}">${renderInline(item)}</li>`).join('');
+      return block.ordered
+        ? `<ol${block.start !== 1 ? ` start="${block.start}"` : ''} style="${STYLES.list}">${items}</ol>`
+        : `<ul style="${STYLES.list}">${items}</ul>`;
+    }
+    case 'table': {
+      const header = block.header
+        ? `<thead><tr>${block.header.map(cell => `<th style="${STYLES.tableHeader}">${renderInline(cell)}</th>`).join('')}</tr></thead>`
+        : '';
+      const rows = block.rows
+        .map(row => `<tr>${row.map(cell => `<td style="${STYLES.tableCell}">${renderInline(cell)}</td>`).join('')}</tr>`)
+        .join('');
+      return `<table style="${STYLES.table}">${header}<tbody>${rows}</tbody></table>`;
+    }
+    case 'paragraph':
+      return `<p style="${STYLES.paragraph}">${block.lines.map(renderInline).join('<br>')}</p>`;
+    default:
+      return '';
+  }
+};
+
+export const renderEmailHtml = (blocks) =>
+  `<div style="${STYLES.wrapper}">${blocks.map(renderBlock).join('')}</div>`;
+
+export const formatForRhenti = (text) => renderEmailHtml(parseEmailMarkup(text));
+
+// ---- Plain text rendering ----
+
+const inlineText = (nodes) => nodes.map(node => {
+  switch (node.type) {
+    case 'text':
+      return node.value;
+    case 'placeholder':
+      return `[${node.name}]`;
+    default:
+      return inlineText(node.children);
+  }
+}).join('');
+
+const listItemPrefix = (block, index) => (block.ordered ? `${block.start + index}. ` : '- ');
+
+const textTable = (block) => {
+  const rows = [...(block.header ? [block.header] : []), ...block.rows].map(row => row.map(inlineText));
+  const widths = [];
+  rows.forEach(row => row.forEach((cell, index) => {
+    widths[index] = Math.max(widths[index] || 0, cell.length);
+  }));
+  const line = (row) => widths.map((width, index) => (row[index] || '').padEnd(width)).join(' | ').trimEnd();
+  const lines = rows.map(line);
+  if (block.header) lines.splice(1, 0, widths.map(width => '-'.repeat(width)).join('-+-'));
+  return lines.join('\n');
+};
+
+// Clean text for mail clients without HTML: underlined headings, ASCII
+// bullets and aligned table columns.
+export const renderEmailText = (blocks) => blocks.map(block => {
+  switch (block.type) {
+    case 'heading': {
+      const title = inlineText(block.content);
+      return `${title}\n${(block.level === 3 ? '=' : '-').repeat(title.length)}`;
+    }
+    case 'section':
+      return inlineText(block.content);
+    case 'list':
+      return block.items.map((item, index) => `${listItemPrefix(block, index)}${inlineText(item)}`).join('\n');
+    case 'table':
+      return textTable(block);
+    case 'paragraph':
+      return block.lines.map(inlineText).join('\n');
+    default:
+      return '';
+  }
+}).join('\n\n');
+
+// Compact text for SMS: no blank lines, paragraphs run together and table
+// rows become comma-separated lines.
+export const renderSmsText = (blocks) => blocks.map(block => {
+  switch (block.type) {
+    case 'heading':
+    case 'section':
+      return inlineText(block.content);
+    case 'list':
+      return block.items.map((item, index) => `${listItemPrefix(block, index)}${inlineText(item)}`).join('\n');
+    case 'table':
+      return block.rows.map(row => row.map(inlineText).join(', ')).join('\n');
+    case 'paragraph':
+      return block.lines.map(inlineText).join(' ');
+    default:
+      return '';
+  }
+}).join('\n');
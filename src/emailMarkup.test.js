@@ -0,0 +1,99 @@
+/**
+ * @jest-environment node
+ */
+import { parseEmailMarkup, parseInline, renderEmailHtml } from './emailMarkup';
+
+const render = (text) => renderEmailHtml(parseEmailMarkup(text));
+// The rendered blocks without the inline styles, so assertions read as markup
+const bare = (text) => render(text)
+  .replace(/ style="[^"]*"/g, '')
+  .replace(/^<div>|<\/div>$/g, '');
+
+describe('inline markers', () => {
+  test('nests italic inside bold and bold inside a highlight', () => {
+    expect(bare('**bold *and italic* text**')).toBe('<p><strong>bold <em>and italic</em> text</strong></p>');
+    expect(bare('***** Only **2** left *****')).toBe('<p><strong>Only <strong>2</strong> left</strong></p>');
+  });
+
+  test('keeps adjacent markers apart', () => {
+    expect(bare('**one****two**')).toBe('<p><strong>one</strong><strong>two</strong></p>');
+    expect(bare('*one* *two*')).toBe('<p><em>one</em> <em>two</em></p>');
+    expect(bare('**bold***italic*')).toBe('<p><strong>bold</strong><em>italic</em></p>');
+  });
+
+  test('leaves unmatched and escaped markers as text', () => {
+    expect(bare('2 * 3 = 6 and **open')).toBe('<p>2 * 3 = 6 and **open</p>');
+    expect(bare('\\*not italic\\*')).toBe('<p>*not italic*</p>');
+  });
+
+  test('highlights placeholders', () => {
+    expect(parseInline('Hi [NAME], unit [UNIT_CODE] [lower]')).toEqual([
+      { type: 'text', value: 'Hi ' },
+      { type: 'placeholder', name: 'NAME' },
+      { type: 'text', value: ', unit ' },
+      { type: 'placeholder', name: 'UNIT_CODE' },
+      { type: 'text', value: ' [lower]' }
+    ]);
+    expect(render('[NAME]')).toContain('background: #fef3c7');
+    expect(bare('[NAME]')).toBe('<p><span>[<span>NAME</span>]</span></p>');
+  });
+});
+
+describe('escaping', () => {
+  test('escapes raw < and & in text, lists and tables', () => {
+    expect(bare('Rent < $1,500 & <b>parking</b>')).toBe('<p>Rent &lt; $1,500 &amp; &lt;b&gt;parking&lt;/b&gt;</p>');
+    expect(bare('• A & B')).toBe('<ul><li>A &amp; B</li></ul>');
+    expect(bare('| <x> |')).toBe('<table><tbody><tr><td>&lt;x&gt;</td></tr></tbody></table>');
+  });
+});
+
+describe('lists', () => {
+  test('keeps bullet lists separated by a blank line or text apart', () => {
+    expect(bare('• one\n• two\n\n• three')).toBe('<ul><li>one</li><li>two</li></ul><ul><li>three</li></ul>');
+    expect(bare('• one\nThen:\n• two')).toBe('<ul><li>one</li></ul><p>Then:</p><ul><li>two</li></ul>');
+  });
+
+  test('renders numbered lists and keeps their starting number', () => {
+    expect(bare('1. Apply\n2. Tour')).toBe('<ol><li>Apply</li><li>Tour</li></ol>');
+    expect(bare('3) Sign\n4) Move in')).toBe('<ol start="3"><li>Sign</li><li>Move in</li></ol>');
+  });
+
+  test('does not merge a numbered list into a bullet list', () => {
+    expect(parseEmailMarkup('• a\n1. b').map(block => block.ordered)).toEqual([false, true]);
+  });
+});
+
+describe('tables', () => {
+  test('uses the row above a separator as the header', () => {
+    expect(bare('| Unit | Rent |\n|---|---:|\n| 101 | **$1,450** |')).toBe(
+      '<table><thead><tr><th>Unit</th><th>Rent</th></tr></thead>' +
+      '<tbody><tr><td>101</td><td><strong>$1,450</strong></td></tr></tbody></table>'
+    );
+  });
+
+  test('renders tables without a separator as body rows and keeps escaped pipes', () => {
+    expect(bare('| a \\| b | c |')).toBe('<table><tbody><tr><td>a | b</td><td>c</td></tr></tbody></table>');
+  });
+});
+
+describe('blocks', () => {
+  test('renders headings, subheadings and sections', () => {
+    expect(bare('=== Available Now ===\n--- 2 Bedrooms ---\n>> Parking')).toBe(
+      '<h3>Available Now</h3><h4>2 Bedrooms</h4><div><strong>Parking</strong></div>'
+    );
+  });
+
+  test('renders a ***** highlight ***** line', () => {
+    expect(bare('***** Move-in special *****')).toBe('<p><strong>Move-in special</strong></p>');
+    expect(render('***** Move-in special *****')).toContain('color: #dc2626');
+  });
+
+  test('joins paragraph lines with breaks and splits paragraphs on blank lines', () => {
+    expect(bare('Hello\nthere\n\nBye')).toBe('<p>Hello<br>there</p><p>Bye</p>');
+  });
+
+  test('renders the same markup the same way every time', () => {
+    const text = '=== Units ===\n• **101** [NAME]\n\n| a | b |';
+    expect(render(text)).toBe(render(text));
+  });
+});
@@ -0,0 +1,193 @@
+import { categoryColorHex } from './categoryRules';
+import { RESOLUTION_STATES, resolutionFor } from './issueResolutions';
+import { selectedColumns } from './reportColumns';
+import { SEVERITIES } from './validationRules';
+import { NUM_FMTS, columnLetter } from './xlsxWriter';
+
+// Sheets for the dashboard's Excel export: the units (with the columns picked
+// for the PDF too), a summary per property, a category-by-property pivot and
+// the quality issues. Totals and rates are formulas so they stay right when
+// someone edits the numbers.
+
+const HEADER_STYLE = { bold: true, fill: '#e5e7eb' };
+const TOTAL_STYLE = { bold: true, fill: '#f3f4f6' };
+const FLAGGED_FILL = '#ffebee';
+
+const COLUMN_WIDTHS = { date: 12, currency: 12, number: 10 };
+const WIDE_COLUMNS = { unitDescription: 32, makeReadyNotes: 40, comments: 40, issues: 50, category: 22 };
+
+const header = (labels) => labels.map(label => ({ value: label, style: HEADER_STYLE }));
+
+const unitCell = (column, unit, today) => {
+  const value = column.value(unit, today);
+  if (value === null || value === undefined || value === '') {
+    return column.key === 'category' ? { value: null, style: { fill: categoryColorHex(unit.categoryColor) } } : null;
+  }
+  if (column.key === 'category') return { value, style: { fill: categoryColorHex(unit.categoryColor) } };
+  if (column.key === 'issues') return { value, style: { fill: FLAGGED_FILL, wrap: true } };
+  if (value instanceof Date) return value;
+  if (column.type === 'currency') return { value, style: { numFmt: NUM_FMTS.currency } };
+  if (column.type === 'number' && typeof value === 'number') return { value, style: { numFmt: NUM_FMTS.integer } };
+  return value;
+};
+
+export const unitsSheet = (units, includeColumns, today = new Date()) => {
+  const columns = selectedColumns(includeColumns);
+  return {
+    name: 'Units',
+    columns: columns.map(column => ({ width: WIDE_COLUMNS[column.key] || COLUMN_WIDTHS[column.type] || Math.max(10, column.label.length + 2) })),
+    rows: [
+      header(columns.map(column => column.label)),
+      ...units.map(unit => columns.map(column => unitCell(column, unit, today)))
+    ],
+    freezeRows: 1,
+    autoFilter: true
+  };
+};
+
+const countBy = (units, keyOf) => units.reduce((counts, unit) => {
+  const key = keyOf(unit);
+  counts.set(key, (counts.get(key) || 0) + 1);
+  return counts;
+}, new Map());
+
+// One row per property; the last row totals each column
+export const propertySummarySheet = (units) => {
+  const properties = [...new Set(units.map(unit => unit.property))].sort();
+  const labels = ['Property', 'Units', 'Rent Ready', 'Not Ready', 'Ready Within 30 Days', 'Flagged',
+    'Total Asking Rent', 'Avg Asking Rent', '% Rent Ready'];
+  const first = 2;
+  const last = properties.length + 1;
+
+  const rows = properties.map((property, index) => {
+    const propertyUnits = units.filter(unit => unit.property === property);
+    const row = index + 2;
+    const count = propertyUnits.length;
+    const ready = propertyUnits.filter(unit => unit.rentReady === 'yes').length;
+    const totalRent = propertyUnits.reduce((sum, unit) => sum + (unit.askingRent || 0), 0);
+    return [
+      property || 'Unknown',
+      count,
+      ready,
+      { value: count - ready, formula: `B${row}-C${row}` },
+      propertyUnits.filter(unit => unit.daysUntilReady !== null && unit.daysUntilReady > 0 && unit.daysUntilReady <= 30).length,
+      propertyUnits.filter(unit => unit.hasIssues).length,
+      { value: totalRent, style: { numFmt: NUM_FMTS.currency } },
+      { value: count ? totalRent / count : 0, formula: `IF(B${row}=0,0,G${row}/B${row})`, style: { numFmt: NUM_FMTS.currency } },
+      { value: count ? ready / count : 0, formula: `IF(B${row}=0,0,C${row}/B${row})`, style: { numFmt: NUM_FMTS.percent } }
+    ];
+  });
+
+  const totalRow = properties.length + 2;
+  const sum = (letter, value, numFmt) => ({
+    value,
+    formula: `SUM(${letter}${first}:${letter}${last})`,
+    style: numFmt ? { ...TOTAL_STYLE, numFmt } : TOTAL_STYLE
+  });
+  const totalRent = units.reduce((total, unit) => total + (unit.askingRent || 0), 0);
+  const ready = units.filter(unit => unit.rentReady === 'yes').length;
+  const totals = properties.length === 0 ? [] : [[
+    { value: 'Total', style: TOTAL_STYLE },
+    sum('B', units.length),
+    sum('C', ready),
+    sum('D', units.length - ready),
+    sum('E', rows.reduce((total, row) => total + row[4], 0)),
+    sum('F', units.filter(unit => unit.hasIssues).length),
+    sum('G', totalRent, NUM_FMTS.currency),
+    {
+      value: units.length ? totalRent / units.length : 0,
+      formula: `IF(B${totalRow}=0,0,G${totalRow}/B${totalRow})`,
+      style: { ...TOTAL_STYLE, numFmt: NUM_FMTS.currency }
+    },
+    {
+      value: units.length ? ready / units.length : 0,
+      formula: `IF(B${totalRow}=0,0,C${totalRow}/B${totalRow})`,
+      style: { ...TOTAL_STYLE, numFmt: NUM_FMTS.percent }
+    }
+  ]];
+
+  return {
+    name: 'Property Summary',
+    columns: labels.map((label, index) => ({ width: index === 0 ? 24 : Math.max(10, label.length + 2) })),
+    rows: [header(labels), ...rows, ...totals],
+    freezeRows: 1
+  };
+};
+
+// Categories down the side, properties across, with row and column totals
+export const categoryPivotSheet = (units) => {
+  const properties = [...new Set(units.map(unit => unit.property))].sort();
+  const categories = [...units]
+    .sort((a, b) => a.categoryOrder - b.categoryOrder)
+    .reduce((list, unit) => (list.some(entry => entry.name === unit.category)
+      ? list
+      : [...list, { name: unit.category, fill: categoryColorHex(unit.categoryColor) }]), []);
+  const counts = countBy(units, unit => `${unit.category}::${unit.property}`);
+  const lastPropertyColumn = columnLetter(properties.length);
+  const totalColumn = columnLetter(properties.length + 1);
+
+  const rows = categories.map((category, index) => {
+    const row = index + 2;
+    const values = properties.map(property => counts.get(`${category.name}::${property}`) || 0);
+    return [
+      { value: category.name, style: { fill: category.fill } },
+      ...values,
+      { value: values.reduce((sum, value) => sum + value, 0), formula: `SUM(B${row}:${lastPropertyColumn}${row})`, style: { bold: true } }
+    ];
+  });
+
+  const lastRow = categories.length + 1;
+  const totals = categories.length === 0 ? [] : [[
+    { value: 'Total', style: TOTAL_STYLE },
+    ...properties.map((property, index) => {
+      const letter = columnLetter(index + 1);
+      return {
+        value: units.filter(unit => unit.property === property).length,
+        formula: `SUM(${letter}2:${letter}${lastRow})`,
+        style: TOTAL_STYLE
+      };
+    }),
+    { value: units.length, formula: `SUM(${totalColumn}2:${totalColumn}${lastRow})`, style: TOTAL_STYLE }
+  ]];
+
+  return {
+    name: 'Category Pivot',
+    columns: [{ width: 26 }, ...properties.map(property => ({ width: Math.max(10, (property || 'Unknown').length + 2) })), { width: 10 }],
+    rows: [header(['Category', ...properties.map(property => property || 'Unknown'), 'Total']), ...rows, ...totals],
+    freezeRows: 1
+  };
+};
+
+export const issuesSheet = (units, issueResolutions) => {
+  const labels = ['Unit Code', 'Property', 'Category', 'Severity', 'Rule', 'Message', 'Resolution', 'Note'];
+  const rows = units.flatMap(unit => unit.issues.map(issue => {
+    const resolution = resolutionFor(issueResolutions, unit, issue.ruleId);
+    return [
+      unit.unitCode,
+      unit.property,
+      { value: unit.category, style: { fill: categoryColorHex(unit.categoryColor) } },
+      { value: SEVERITIES[issue.severity].label, style: { fill: SEVERITIES[issue.severity].hex } },
+      issue.name,
+      { value: issue.message, style: { wrap: true } },
+      RESOLUTION_STATES[resolution.state].label,
+      resolution.note || ''
+    ];
+  }));
+
+  return {
+    name: 'Issues',
+    columns: [12, 20, 22, 10, 24, 60, 14, 30].map(width => ({ width })),
+    rows: [header(labels), ...rows],
+    freezeRows: 1,
+    autoFilter: true
+  };
+};
+
+// units: the filtered, sorted rows shown on the dashboard; today: the date
+// day counts are taken at
+export const buildRentReadyWorkbook = ({ units, includeColumns, issueResolutions, today = new Date() }) => [
+  unitsSheet(units, includeColumns, today),
+  propertySummarySheet(units),
+  categoryPivotSheet(units),
+  issuesSheet(units, issueResolutions)
+];
@@ -0,0 +1,117 @@
+import * as XLSX from 'xlsx';
+import { decodeText, detectDelimiter, padRows, parseCsv, parseHtmlTables } from './textReports';
+
+// Turns uploaded reports into "sources": one entry per sheet (or text export)
+// that has any data, each holding its raw rows and a label used to tag the
+// units it produces.
+
+const hasAnyValue = (rows) =>
+  rows.some(row => (row || []).some(cell => cell !== null && cell !== undefined && cell.toString().trim() !== ''));
+
+export const sourceLabel = (fileName, sheetName, sheetCount) =>
+  sheetCount > 1 ? `${fileName} › ${sheetName}` : fileName;
+
+export const workbookToSources = (workbook, fileName) => {
+  const sheetCount = workbook.SheetNames.length;
+
+  return workbook.SheetNames
+    .map(sheetName => {
+      const rows = XLSX.utils.sheet_to_json(workbook.Sheets[sheetName], {
+        header: 1,
+        defval: ''
+      });
+
+      return {
+        fileName,
+        sheetName,
+        label: sourceLabel(fileName, sheetName, sheetCount),
+        rows
+      };
+    })
+    .filter(source => hasAnyValue(source.rows));
+};
+
+// Sniffs the file contents rather than trusting the extension: Yardi happily
+// saves HTML with an .xls extension.
+export const detectReportFormat = (bytes) => {
+  const data = new Uint8Array(bytes);
+
+  if (data[0] === 0x50 && data[1] === 0x4B) return { format: 'xlsx' };
+  if (data[0] === 0xD0 && data[1] === 0xCF && data[2] === 0x11 && data[3] === 0xE0) return { format: 'xls' };
+
+  const { text, encoding } = decodeText(data);
+  const head = text.slice(0, 4096).trim().toLowerCase();
+
+  if (head.startsWith('<?xml') && head.includes('urn:schemas-microsoft-com:office:spreadsheet')) {
+    return { format: 'spreadsheetml', text, encoding };
+  }
+  if (/<table\b/i.test(text)) {
+    return { format: 'html', text, encoding };
+  }
+  return { format: 'csv', text, encoding };
+};
+
+const textSource = (fileName, sheetName, rows) => ({
+  fileName,
+  sheetName,
+  label: fileName,
+  rows: padRows(rows)
+});
+
+export const readFileSources = async (file) => {
+  const buffer = await file.arrayBuffer();
+  const detected = detectReportFormat(buffer);
+
+  if (detected.format === 'html') {
+    const source = textSource(file.name, 'HTML Report', parseHtmlTables(detected.text));
+    return hasAnyValue(source.rows) ? [source] : [];
+  }
+
+  if (detected.format === 'csv') {
+    const delimiter = detectDelimiter(detected.text);
+    const source = textSource(file.name, 'CSV', parseCsv(detected.text, delimiter));
+    return hasAnyValue(source.rows) ? [source] : [];
+  }
+
+  const workbook = detected.format === 'spreadsheetml'
+    ? XLSX.read(detected.text, { type: 'string', cellDates: true })
+    : XLSX.read(buffer, { cellStyles: true, cellDates: true });
+  return workbookToSources(workbook, file.name);
+};
+
+// Text exports carry amounts as "$1,250.00"; workbooks carry plain numbers.
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  if (value === null || value === undefined) return 0;
+  const cleaned = value.toString().replace(/[$,\s]/g, '').replace(/^\((.*)\)$/, '-$1');
+  return parseFloat(cleaned) || 0;
+};
+
+export const unitKey = (unit) => `${unit.property}::${unit.unitCode}`.toLowerCase();
+
+// The same property + unit code showing up in more than one source usually
+// means two exports overlap (or a building was uploaded twice).
+export const findDuplicateUnits = (units) => {
+  const byKey = new Map();
+
+  units.forEach(unit => {
+    const key = unitKey(unit);
+    if (!byKey.has(key)) byKey.set(key, []);
+    byKey.get(key).push(unit);
+  });
+
+  const duplicates = [];
+  byKey.forEach((matches, key) => {
+    const sources = [...new Set(matches.map(unit => unit.source))];
+    if (sources.length > 1) {
+      duplicates.push({
+        key,
+        property: matches[0].property,
+        unitCode: matches[0].unitCode,
+        sources
+      });
+    }
+  });
+
+  return duplicates;
+};
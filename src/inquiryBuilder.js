@@ -0,0 +1,135 @@
+import { extractBedroomCount } from './rrCore';
+
+// Builds the availability & pricing section of the inquiry email from the
+// dashboard's current units, so agents no longer copy prices by hand.
+
+export const AVAILABILITY_HEADER = '=== CURRENT AVAILABILITY & PRICING ===';
+
+const MONTH_NAMES = ['January', 'February', 'March', 'April', 'May', 'June', 'July',
+  'August', 'September', 'October', 'November', 'December'];
+
+export const suiteTypeLabel = (bedrooms) => {
+  if (bedrooms === 0) return 'Bachelor';
+  if (bedrooms === 999) return 'Other';
+  return `${bedrooms}-bedroom`;
+};
+
+// Units an inquiry could actually be offered
+const isAdvertisable = (unit) =>
+  unit.status !== 'Rented' && unit.status !== 'Not Available' && unit.askingRent > 0;
+
+const readyDate = (unit) => (unit.actualReadyDate instanceof Date ? unit.actualReadyDate : unit.estimatedReadyDate);
+
+export const nextMonthName = (today = new Date()) => MONTH_NAMES[(today.getMonth() + 1) % 12];
+
+const lowestRentByBedrooms = (units) => {
+  const groups = {};
+  units.forEach(unit => {
+    const bedrooms = extractBedroomCount(unit.unitDescription);
+    if (!groups[bedrooms]) groups[bedrooms] = { bedrooms, startingAt: unit.askingRent, units: 0 };
+    groups[bedrooms].startingAt = Math.min(groups[bedrooms].startingAt, unit.askingRent);
+    groups[bedrooms].units += 1;
+  });
+  return Object.values(groups).sort((a, b) => a.bedrooms - b.bedrooms);
+};
+
+const isReadyNow = (unit) =>
+  unit.status === 'Ready Now' || (unit.daysUntilReady !== null && unit.daysUntilReady <= 0);
+
+// "Now" is anything ready today or earlier; "next month" runs to the end of
+// next month, since a unit ready later this month is a next-month move-in.
+export const summarizeAvailability = (units, today = new Date()) => {
+  const endOfNextMonth = new Date(today.getFullYear(), today.getMonth() + 2, 0, 23, 59, 59, 999);
+  const advertisable = units.filter(isAdvertisable);
+
+  const availableNow = advertisable.filter(isReadyNow);
+  const nextMonth = advertisable.filter(unit => {
+    if (availableNow.includes(unit)) return false;
+    const date = readyDate(unit);
+    return date instanceof Date && date <= endOfNextMonth;
+  });
+
+  return {
+    month: nextMonthName(today),
+    properties: [...new Set([...availableNow, ...nextMonth].map(unit => unit.property).filter(Boolean))].sort(),
+    buckets: [
+      { key: 'now', title: 'AVAILABLE NOW (Immediate Move-in)', groups: lowestRentByBedrooms(availableNow) },
+      { key: 'nextMonth', title: `${nextMonthName(today).toUpperCase()} MOVE-IN READY`, groups: lowestRentByBedrooms(nextMonth) }
+    ].filter(bucket => bucket.groups.length > 0)
+  };
+};
+
+export const formatAvailabilitySection = (summary) => [
+  AVAILABILITY_HEADER,
+  ...summary.buckets.flatMap(bucket => [
+    '',
+    `>> ${bucket.title}:`,
+    ...bucket.groups.map(group =>
+      `• ${suiteTypeLabel(group.bedrooms)} suites starting at $${Math.round(group.startingAt).toLocaleString()}/month`
+    )
+  ])
+].join('\n');
+
+const joinNames = (names) => (names.length <= 1
+  ? names.join('')
+  : `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`);
+
+// Swaps the template's availability section for the live one and fills in
+// [MONTH] and [PROPERTIES]. If the section was edited away, it's added at the end.
+export const buildInquiryEmail = (template, units, today = new Date()) => {
+  const summary = summarizeAvailability(units, today);
+  const section = formatAvailabilitySection(summary);
+  const headerIndex = template.indexOf(AVAILABILITY_HEADER);
+
+  let email;
+  if (headerIndex === -1) {
+    email = `${template.trimEnd()}\n\n${section}`;
+  } else {
+    // The section runs until the first paragraph that isn't a >> heading or bullet
+    const rest = template.slice(headerIndex + AVAILABILITY_HEADER.length);
+    const paragraphs = rest.split(/\n\s*\n/);
+    const firstOther = paragraphs.findIndex((paragraph, index) =>
+      index > 0 && !/^\s*(>>|•)/.test(paragraph)
+    );
+    const after = firstOther === -1 ? '' : `\n\n${paragraphs.slice(firstOther).join('\n\n')}`;
+    email = `${template.slice(0, headerIndex)}${section}${after}`;
+  }
+
+  email = email.replace(/\[MONTH\]/g, summary.month);
+  if (summary.properties.length > 0) {
+    email = email.replace(/\[PROPERTIES\]/g, joinNames(summary.properties));
+  }
+
+  return { email, summary };
+};
+
+// Unit lists for [#each] loops in email templates, and the fields each item offers
+export const LOOP_ITEM_FIELDS = ['UNIT', 'PROPERTY', 'DESCRIPTION', 'BEDROOMS', 'RENT', 'READY DATE', 'CATEGORY'];
+
+export const unitTemplateItem = (unit) => {
+  const date = readyDate(unit);
+  return {
+    UNIT: unit.unitCode,
+    PROPERTY: unit.property,
+    DESCRIPTION: unit.unitDescription,
+    BEDROOMS: suiteTypeLabel(extractBedroomCount(unit.unitDescription)),
+    RENT: Math.round(unit.askingRent).toLocaleString(),
+    'READY DATE': isReadyNow(unit) || !(date instanceof Date)
+      ? 'now'
+      : date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' }),
+    CATEGORY: unit.category
+  };
+};
+
+export const buildTemplateLists = (units) => {
+  const advertisable = units.filter(isAdvertisable);
+  const upcoming = advertisable
+    .filter(unit => !isReadyNow(unit) && readyDate(unit) instanceof Date)
+    .sort((a, b) => readyDate(a) - readyDate(b));
+
+  return {
+    UNITS: units.map(unitTemplateItem),
+    'AVAILABLE UNITS': advertisable.filter(isReadyNow).map(unitTemplateItem),
+    'UPCOMING UNITS': upcoming.map(unitTemplateItem)
+  };
+};
@@ -0,0 +1,68 @@
+import { unitKey } from './ingestion';
+
+// Triage state for data-quality issues. Resolutions are keyed by property +
+// unit code + rule, so a unit flagged by the same rule in next week's report
+// picks up where the coordinator left off.
+
+export const RESOLUTION_STATES = {
+  open: { label: 'Open', className: 'bg-gray-100 text-gray-800' },
+  acknowledged: { label: 'Acknowledged', className: 'bg-blue-100 text-blue-800' },
+  fixedInYardi: { label: 'Fixed in Yardi', className: 'bg-green-100 text-green-800' },
+  ignored: { label: 'Ignored', className: 'bg-gray-200 text-gray-600' }
+};
+
+const ISSUE_RESOLUTIONS_KEY = 'rrIssueResolutions';
+
+export const issueKey = (unit, ruleId) => `${unitKey(unit)}::${ruleId}`;
+
+export const normalizeIssueResolutions = (saved) => {
+  const resolutions = {};
+  Object.entries(saved || {}).forEach(([key, resolution]) => {
+    if (resolution && RESOLUTION_STATES[resolution.state]) resolutions[key] = resolution;
+  });
+  return resolutions;
+};
+
+export const loadIssueResolutions = () => {
+  try {
+    const raw = window.localStorage.getItem(ISSUE_RESOLUTIONS_KEY);
+    if (!raw) return {};
+    return normalizeIssueResolutions(JSON.parse(raw));
+  } catch (e) {
+    console.warn('Could not read issue resolutions:', e);
+    return {};
+  }
+};
+
+export const saveIssueResolutions = (resolutions) => {
+  try {
+    window.localStorage.setItem(ISSUE_RESOLUTIONS_KEY, JSON.stringify(resolutions));
+  } catch (e) {
+    console.warn('Could not save issue resolutions:', e);
+  }
+};
+
+// Returns a new resolutions map; going back to "open" with no note drops the entry
+export const updateResolution = (resolutions, key, patch) => {
+  const current = resolutions[key] || { state: 'open', note: '' };
+  const next = { ...current, ...patch, updatedAt: new Date().toISOString() };
+  const { [key]: removed, ...remaining } = resolutions;
+  if (next.state === 'open' && !next.note) return remaining;
+  return { ...remaining, [key]: next };
+};
+
+export const resolutionFor = (resolutions, unit, ruleId) =>
+  resolutions[issueKey(unit, ruleId)] || { state: 'open', note: '' };
+
+// One row per unit + rule, with its carried-over resolution attached
+export const collectIssues = (units, resolutions) =>
+  units.flatMap(unit => unit.issues.map(issue => ({
+    ...issue,
+    key: issueKey(unit, issue.ruleId),
+    unit,
+    resolution: resolutionFor(resolutions, unit, issue.ruleId)
+  })));
+
+// Units that still have something nobody has triaged
+export const hasOpenIssues = (unit, resolutions) =>
+  unit.issues.some(issue => resolutionFor(resolutions, unit, issue.ruleId).state === 'open');
@@ -0,0 +1,164 @@
+import * as XLSX from 'xlsx';
+import { escapeHtml } from './emailMarkup';
+import { renderTemplate } from './templateEngine';
+import { renderForTarget } from './outputTargets';
+
+// Mail-merge: every row of an uploaded recipient list becomes one email.
+// Columns are matched to template variables by name ("Tenant Name" fills
+// [TENANT NAME]) and the match can be changed per variable.
+
+export const MERGE_FORMATS = [
+  { id: 'html', label: 'ZIP of .html files' },
+  { id: 'eml', label: 'ZIP of .eml drafts' },
+  { id: 'xlsx', label: 'Spreadsheet (subject/body)' }
+];
+
+export const normalizeFieldName = (header) => header
+  .toString()
+  .toUpperCase()
+  .replace(/[^A-Z0-9 _]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const EMAIL_FIELDS = ['EMAIL', 'E MAIL', 'EMAIL ADDRESS', 'TENANT EMAIL', 'PROSPECT EMAIL'];
+
+const cellText = (value) => {
+  if (value instanceof Date) return value.toLocaleDateString();
+  if (value === null || value === undefined) return '';
+  return value.toString().trim();
+};
+
+// The first row with any value holds the column headers
+export const recipientsFromRows = (rows) => {
+  const headerIndex = rows.findIndex(row => row.some(cell => cellText(cell) !== ''));
+  if (headerIndex === -1) return { columns: [], recipients: [] };
+
+  const columns = rows[headerIndex]
+    .map((header, index) => ({ index, header: cellText(header) }))
+    .filter(column => column.header !== '');
+
+  const recipients = rows.slice(headerIndex + 1)
+    .filter(row => row.some(cell => cellText(cell) !== ''))
+    .map((row, index) => ({
+      row: headerIndex + index + 2,
+      values: Object.fromEntries(columns.map(column => [column.header, cellText(row[column.index])]))
+    }));
+
+  return { columns: columns.map(column => column.header), recipients };
+};
+
+export const guessFieldMapping = (variables, columns) => Object.fromEntries(
+  variables.map(variable => [
+    variable.name,
+    columns.find(column => normalizeFieldName(column) === variable.name) || ''
+  ])
+);
+
+export const guessEmailColumn = (columns) =>
+  columns.find(column => EMAIL_FIELDS.includes(normalizeFieldName(column))) || '';
+
+// Row values win over the values typed into the template fields form
+export const mergeRecipient = (template, subject, recipient, mapping, baseValues = {}, lists = {}) => {
+  const values = { ...baseValues };
+  Object.entries(mapping).forEach(([variable, column]) => {
+    if (column && recipient.values[column] !== '') values[variable] = recipient.values[column];
+  });
+
+  const body = renderTemplate(template, values, lists);
+  const renderedSubject = renderTemplate(subject, values, lists);
+  const { html, text } = renderForTarget(body.text, 'email');
+
+  return {
+    row: recipient.row,
+    subject: renderedSubject.text.replace(/\s+/g, ' ').trim(),
+    html,
+    text,
+    unresolved: [...new Set([...renderedSubject.unresolved, ...body.unresolved])],
+    errors: body.errors
+  };
+};
+
+export const mergeAll = (template, subject, recipients, mapping, emailColumn, baseValues, lists) =>
+  recipients.map(recipient => ({
+    ...mergeRecipient(template, subject, recipient, mapping, baseValues, lists),
+    to: emailColumn ? recipient.values[emailColumn] : ''
+  }));
+
+// ---- Output files ----
+
+const safeFileName = (text) => text.replace(/[^\w\-.@ ]+/g, '').replace(/\s+/g, '_').slice(0, 60) || 'email';
+
+export const messageFileName = (message, index, extension) =>
+  `${String(index + 1).padStart(3, '0')}_${safeFileName(message.to || message.subject)}.${extension}`;
+
+export const htmlDocument = (message) => `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(message.subject)}</title>
+</head>
+<body>
+${message.html}
+</body>
+</html>
+`;
+
+const base64Utf8 = (text) => {
+  const bytes = new TextEncoder().encode(text);
+  let binary = '';
+  bytes.forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const wrapLines = (text, width = 76) => text.match(new RegExp(`.{1,${width}}`, 'g')).join('\r\n');
+
+const encodeHeader = (text) => (/^[\x20-\x7E]*$/.test(text) ? text : `=?UTF-8?B?${base64Utf8(text)}?=`);
+
+// An unsent draft with plain-text and HTML parts; Outlook and Apple Mail
+// open it ready to send when X-Unsent is set.
+export const emlDocument = (message, boundary = 'rr-merge-boundary') => [
+  `To: ${(message.to || '').replace(/[\r\n]+/g, ' ')}`,
+  `Subject: ${encodeHeader(message.subject)}`,
+  'X-Unsent: 1',
+  'MIME-Version: 1.0',
+  `Content-Type: multipart/alternative; boundary="${boundary}"`,
+  '',
+  `--${boundary}`,
+  'Content-Type: text/plain; charset=utf-8',
+  'Content-Transfer-Encoding: base64',
+  '',
+  wrapLines(base64Utf8(message.text || ' ')),
+  '',
+  `--${boundary}`,
+  'Content-Type: text/html; charset=utf-8',
+  'Content-Transfer-Encoding: base64',
+  '',
+  wrapLines(base64Utf8(htmlDocument(message))),
+  '',
+  `--${boundary}--`,
+  ''
+].join('\r\n');
+
+export const mergeFiles = (messages, format) => messages.map((message, index) => ({
+  name: messageFileName(message, index, format),
+  content: format === 'eml' ? emlDocument(message) : htmlDocument(message)
+}));
+
+export const mergeWorkbook = (messages) => {
+  const workbook = XLSX.utils.book_new();
+  const rows = [
+    ['Source Row', 'To', 'Subject', 'Body (Text)', 'Body (HTML)', 'Unfilled Placeholders'],
+    ...messages.map(message => [
+      message.row,
+      message.to,
+      message.subject,
+      message.text,
+      message.html,
+      message.unresolved.map(name => `[${name}]`).join(', ')
+    ])
+  ];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(rows), 'Mail Merge');
+  return workbook;
+};
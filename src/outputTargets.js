@@ -0,0 +1,162 @@
+import { escapeHtml, parseEmailMarkup, renderEmailHtml, renderEmailText, renderSmsText } from './emailMarkup';
+
+// Where a formatted email is going to be pasted. Every target renders the
+// same editor text into an HTML and a plain-text flavour for the preview;
+// only targets with `copiesHtml` put the HTML on the clipboard, the rest
+// paste as plain text.
+export const OUTPUT_TARGETS = [
+  {
+    id: 'rhenti',
+    label: 'Rhenti',
+    icon: '📨',
+    rich: true,
+    description: "Optimized for Rhenti's email system and will display correctly in prospect emails."
+  },
+  {
+    id: 'email',
+    label: 'Outlook / Gmail',
+    icon: '✉️',
+    rich: true,
+    copiesHtml: true,
+    description: 'Inline-styled HTML that keeps its formatting when pasted into Outlook, Gmail or RentCafé messages.'
+  },
+  {
+    id: 'text',
+    label: 'Plain Text',
+    icon: '📝',
+    rich: false,
+    description: 'No formatting: underlined headings, "-" bullets and aligned tables for any text box.'
+  },
+  {
+    id: 'sms',
+    label: 'SMS',
+    icon: '📱',
+    rich: false,
+    description: 'Short text trimmed to the character limit, with emojis removed unless you keep them.'
+  }
+];
+
+export const SMS_LIMITS = [160, 306, 459, 612];
+export const DEFAULT_SMS_OPTIONS = { limit: 306, keepEmoji: false };
+
+// Rhenti's message box takes the markup as pasted text, with explicit breaks
+export const generatePlainTextForRhenti = (html) => {
+  let rhentiFormat = html;
+
+  // 1. Remove wrapping div/p tags
+  rhentiFormat = rhentiFormat.replace(/<\/?(div|p)[^>]*>/g, '');
+
+  // 2. Add newline after breaks, strong, span, headers
+  rhentiFormat = rhentiFormat
+    .replace(/<br\s*\/?>/gi, '<br>\n')
+    .replace(/<\/strong>/gi, '</strong>\n')
+    .replace(/<\/span>/gi, '</span>\n')
+    .replace(/<\/h[1-6]>/gi, match => match + '\n')
+    .replace(/<\/li>/gi, '</li>\n')
+    .replace(/<\/ul>/gi, '</ul>\n');
+
+  // 3. Clean up spacing artifacts (optional)
+  rhentiFormat = rhentiFormat
+    .replace(/\n{2,}/g, '</p>\n<p style="margin: 10px 0;">')
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/<\/strong>\s*<br>/g, '</strong><br><br>')
+    .replace(/<\/ul>/g, '</ul><br>')
+    .replace(/<\/h3>/g, '</h3><br>')
+    .replace(/<\/p>/g, '</p><br>');
+
+  return rhentiFormat.trim();
+};
+
+// ---- SMS ----
+
+const GSM_BASIC = '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM_EXTENDED = '^{}\\[~]|€';
+
+// Typography that would force the whole message into 70-character segments
+const SMS_REPLACEMENTS = [
+  [/[‘’]/g, "'"],
+  [/[“”]/g, '"'],
+  [/[–—]/g, '-'],
+  [/…/g, '...'],
+  [/•/g, '-'],
+  [/\u00a0/g, ' ']
+];
+
+const EMOJI = /\p{Extended_Pictographic}(\uFE0F|\u200D\p{Extended_Pictographic})*/gu;
+
+export const smsStats = (text) => {
+  const chars = [...text];
+  const gsm = chars.every(char => GSM_BASIC.includes(char) || GSM_EXTENDED.includes(char));
+  if (gsm) {
+    const length = chars.reduce((sum, char) => sum + (GSM_EXTENDED.includes(char) ? 2 : 1), 0);
+    return { encoding: 'GSM-7', length, segments: length <= 160 ? 1 : Math.ceil(length / 153) };
+  }
+  // UCS-2 counts UTF-16 code units, so most emojis cost two
+  const length = text.length;
+  return { encoding: 'Unicode', length, segments: length <= 70 ? 1 : Math.ceil(length / 67) };
+};
+
+const truncateSms = (text, limit) => {
+  if (smsStats(text).length <= limit) return { text, truncated: false };
+  let cut = [...text].slice(0, limit - 3).join('');
+  let candidate = `${cut.replace(/\s+\S*$/, '')}...`;
+  while (smsStats(candidate).length > limit && cut.length > 0) {
+    cut = cut.slice(0, -1);
+    candidate = `${cut.replace(/\s+\S*$/, '')}...`;
+  }
+  return { text: candidate, truncated: true };
+};
+
+export const renderSms = (blocks, options = DEFAULT_SMS_OPTIONS) => {
+  let text = renderSmsText(blocks);
+  SMS_REPLACEMENTS.forEach(([pattern, replacement]) => {
+    text = text.replace(pattern, replacement);
+  });
+  if (!options.keepEmoji) {
+    text = text.replace(EMOJI, '').replace(/[ \t]{2,}/g, ' ').replace(/^ +| +$/gm, '');
+  }
+  const { text: limited, truncated } = truncateSms(text.trim(), options.limit);
+  return { text: limited, truncated, stats: smsStats(limited) };
+};
+
+// ---- Targets ----
+
+const textAsHtml = (text) => `<div style="font-family: Arial, sans-serif; font-size: 14px;">${escapeHtml(text).replace(/\n/g, '<br>')}</div>`;
+
+export const renderForTarget = (source, targetId, smsOptions = DEFAULT_SMS_OPTIONS) => {
+  if (!source) return { html: '', text: '' };
+  const blocks = parseEmailMarkup(source);
+
+  switch (targetId) {
+    case 'email':
+      return { html: renderEmailHtml(blocks), text: renderEmailText(blocks) };
+    case 'text': {
+      const text = renderEmailText(blocks);
+      return { html: textAsHtml(text), text };
+    }
+    case 'sms': {
+      const sms = renderSms(blocks, smsOptions);
+      return { html: textAsHtml(sms.text), text: sms.text, sms };
+    }
+    default: {
+      const markup = generatePlainTextForRhenti(renderEmailHtml(blocks));
+      return { html: markup, text: markup, preview: renderEmailHtml(blocks) };
+    }
+  }
+};
+
+// Rendered email goes on the clipboard as HTML with a plain-text fallback.
+// Rhenti's markup, plain text and SMS are copied as text only, so a rich
+// paste target doesn't render or restyle them.
+export const writeToClipboard = ({ html, text }, targetId) => {
+  const target = OUTPUT_TARGETS.find(candidate => candidate.id === targetId);
+  if (target && target.copiesHtml && window.ClipboardItem && navigator.clipboard.write) {
+    return navigator.clipboard.write([
+      new window.ClipboardItem({
+        'text/html': new Blob([html], { type: 'text/html' }),
+        'text/plain': new Blob([text], { type: 'text/plain' })
+      })
+    ]);
+  }
+  return navigator.clipboard.writeText(text);
+};
@@ -0,0 +1,525 @@
+import { createPdfDocument, measureText, truncateText, wrapText } from './pdfWriter';
+import { categoryChartColor, categoryColorHex } from './categoryRules';
+import { CHART_TITLES, buildDashboardCharts, niceCeiling, toInputDate } from './chartData';
+import { selectedColumns } from './reportColumns';
+import { RESOLUTION_STATES, resolutionFor } from './issueResolutions';
+import { SEVERITIES } from './validationRules';
+import { VACANCY_GROUPINGS, analyzeVacancyLoss } from './vacancyAnalytics';
+import { TURN_METRICS, analyzeTurnTimes, formatDays } from './turnTimeMetrics';
+
+// Lays out the PDFs: the dashboard report (a cover page with the summary
+// stats, the charts for the summary format and the unit table) and owner
+// report packages built from sections. Every page gets a header and a
+// "Page X of Y" footer. Dates are written as YYYY-MM-DD and amounts in US
+// format so the file doesn't depend on the browser's locale.
+
+const MARGIN = 36;
+const HEADER_HEIGHT = 30;
+const FOOTER_HEIGHT = 28;
+const CELL_PADDING = 3;
+const TABLE_FONT = 7.5;
+const LINE_HEIGHT = 9.5;
+const MAX_CELL_LINES = 3;
+const FLAGGED_FILL = '#ffebee';
+
+const money = (amount) => `$${Math.round(amount).toLocaleString('en-US')}`;
+const contentTop = () => MARGIN + HEADER_HEIGHT;
+const contentBottom = (pdf) => pdf.height - MARGIN - FOOTER_HEIGHT;
+
+const daysLabel = (days) => (days === null || days === undefined ? '-' : days <= 0 ? 'Ready' : `${days}d`);
+
+const daysColor = (days) => {
+  if (days === null || days === undefined) return null;
+  if (days <= 0) return '#d4edda';
+  return days <= 30 ? '#cce5ff' : '#f8f9fa';
+};
+
+const cellText = (column, unit, today) => {
+  const value = column.value(unit, today);
+  if (value === null || value === undefined || value === '') return '-';
+  if (value instanceof Date) return toInputDate(value);
+  if (column.type === 'currency') return `$${value.toLocaleString('en-US')}`;
+  return String(value);
+};
+
+// weight: share of the spare width; wrap: may take up to MAX_CELL_LINES lines
+const PDF_LAYOUT = {
+  unitCode: { weight: 1, bold: true },
+  property: { weight: 1.2 },
+  category: { weight: 1.6, fill: unit => categoryColorHex(unit.categoryColor) },
+  unitType: { weight: 1 },
+  unitDescription: { weight: 2.2, wrap: true },
+  rentalType: { weight: 1 },
+  askingRent: { weight: 0.9, align: 'right' },
+  rentReady: { weight: 0.7, text: unit => `${unit.rentReady}${unit.hasIssues ? ' (!)' : ''}` },
+  status: { weight: 1 },
+  daysUntilReady: { weight: 0.6, align: 'right', text: unit => daysLabel(unit.daysUntilReady), fill: unit => daysColor(unit.daysUntilReady) },
+  daysVacant: { weight: 0.7, align: 'right' },
+  turnDays: { weight: 0.7, align: 'right' },
+  readySlippage: { weight: 0.7, align: 'right' },
+  makeReadyNotes: { weight: 2.4, wrap: true },
+  comments: { weight: 2.4, wrap: true },
+  issues: { weight: 2.6, wrap: true }
+};
+
+const pdfColumns = (includeColumns, today = new Date()) => selectedColumns(includeColumns).map(column => {
+  const layout = PDF_LAYOUT[column.key] || {};
+  return {
+    ...column,
+    weight: 1,
+    ...layout,
+    label: column.shortLabel || column.label,
+    text: layout.text || (unit => cellText(column, unit, today))
+  };
+});
+
+export const categorySummary = (units) => {
+  const summary = new Map();
+  [...units]
+    .sort((a, b) => a.categoryOrder - b.categoryOrder)
+    .forEach(unit => {
+      const entry = summary.get(unit.category) || {
+        label: unit.category,
+        fill: categoryColorHex(unit.categoryColor),
+        color: categoryChartColor(unit.categoryColor),
+        count: 0
+      };
+      entry.count += 1;
+      summary.set(unit.category, entry);
+    });
+  return [...summary.values()];
+};
+
+const summaryStats = (units) => {
+  const rented = units.filter(unit => unit.askingRent > 0);
+  const averageRent = rented.length > 0
+    ? Math.round(rented.reduce((sum, unit) => sum + unit.askingRent, 0) / rented.length)
+    : 0;
+  return [
+    { label: 'Units in report', value: String(units.length) },
+    { label: 'Rent ready', value: String(units.filter(unit => unit.rentReady === 'yes').length) },
+    { label: 'Ready within 30 days', value: String(units.filter(unit => unit.daysUntilReady !== null && unit.daysUntilReady > 0 && unit.daysUntilReady <= 30).length) },
+    { label: 'Flagged for review', value: String(units.filter(unit => unit.hasIssues).length) },
+    { label: 'Average asking rent', value: rented.length > 0 ? `$${averageRent.toLocaleString('en-US')}` : '-' }
+  ];
+};
+
+// Swatches in rows; returns the y below the last row
+const drawLegend = (pdf, items, x, y, maxWidth, size = 7.5) => {
+  let cursorX = x;
+  let cursorY = y;
+  items.forEach(item => {
+    const label = truncateText(item.count !== undefined ? `${item.label} (${item.count})` : item.label, 160, size);
+    const itemWidth = size + 4 + measureText(label, size) + 10;
+    if (cursorX + itemWidth > x + maxWidth && cursorX > x) {
+      cursorX = x;
+      cursorY += size + 5;
+    }
+    pdf.rect(cursorX, cursorY, size, size, { fill: item.fill || item.color, stroke: '#9ca3af', lineWidth: 0.3 });
+    pdf.text(cursorX + size + 4, cursorY, label, { size, color: '#4b5563' });
+    cursorX += itemWidth;
+  });
+  return items.length > 0 ? cursorY + size + 5 : y;
+};
+
+// A row of boxes with a big number over a label; returns the y below them
+const drawStatBoxes = (pdf, stats, y) => {
+  const gap = 10;
+  const boxWidth = (pdf.width - MARGIN * 2 - gap * (stats.length - 1)) / stats.length;
+  stats.forEach((stat, index) => {
+    const x = MARGIN + index * (boxWidth + gap);
+    pdf.rect(x, y, boxWidth, 60, { fill: '#f9fafb', stroke: '#d1d5db' });
+    pdf.text(x + boxWidth / 2, y + 12, truncateText(stat.value, boxWidth - 8, 20, true), { size: 20, bold: true, color: stat.color || '#2563eb', align: 'center' });
+    pdf.text(x + boxWidth / 2, y + 40, truncateText(stat.label, boxWidth - 8, 8.5), { size: 8.5, color: '#4b5563', align: 'center' });
+  });
+  return y + 60;
+};
+
+// Starts a new page when the next block doesn't fit; returns where to draw it
+const ensureSpace = (pdf, y, height) => {
+  if (y + height <= contentBottom(pdf)) return y;
+  pdf.addPage();
+  return contentTop();
+};
+
+// One bar per category, scaled to the largest; returns the y below the list
+const drawCategoryBars = (pdf, units, y, rowHeight = 16) => {
+  const contentWidth = pdf.width - MARGIN * 2;
+  const categories = categorySummary(units);
+  const maxCount = Math.max(1, ...categories.map(category => category.count));
+  const labelWidth = Math.min(200, contentWidth * 0.35);
+  const barWidth = contentWidth - labelWidth - 60;
+  let cursor = y;
+
+  categories.forEach(category => {
+    cursor = ensureSpace(pdf, cursor, rowHeight);
+    pdf.rect(MARGIN, cursor + 1, 9, 9, { fill: category.fill, stroke: '#9ca3af', lineWidth: 0.3 });
+    pdf.text(MARGIN + 14, cursor, truncateText(category.label, labelWidth - 18, 10), { size: 10 });
+    pdf.rect(MARGIN + labelWidth, cursor, (category.count / maxCount) * barWidth, 10, { fill: category.color });
+    const percent = units.length > 0 ? Math.round((category.count / units.length) * 100) : 0;
+    pdf.text(pdf.width - MARGIN, cursor, `${category.count} (${percent}%)`, { size: 10, color: '#4b5563', align: 'right' });
+    cursor += rowHeight;
+  });
+  if (categories.length === 0) {
+    pdf.text(MARGIN, cursor, 'No units match the current filters.', { size: 10, color: '#6b7280' });
+    cursor += rowHeight;
+  }
+  return cursor;
+};
+
+const drawCover = (pdf, { units, totalUnitCount, generatedAt }) => {
+  let y = 110;
+
+  pdf.text(pdf.width / 2, y, 'RR Report Dashboard', { size: 26, bold: true, align: 'center' });
+  y += 40;
+  pdf.text(pdf.width / 2, y, `Generated ${toInputDate(generatedAt)} at ${generatedAt.toTimeString().slice(0, 5)}`, { size: 11, color: '#4b5563', align: 'center' });
+  y += 18;
+  pdf.text(pdf.width / 2, y, `Showing ${units.length} of ${totalUnitCount} units`, { size: 11, color: '#4b5563', align: 'center' });
+  y += 40;
+
+  y = drawStatBoxes(pdf, summaryStats(units), y) + 30;
+
+  pdf.text(MARGIN, y, 'Units by Category', { size: 13, bold: true });
+  y += 24;
+
+  const categoryCount = Math.max(1, categorySummary(units).length);
+  drawCategoryBars(pdf, units, y, Math.min(22, Math.max(12, (contentBottom(pdf) - y) / categoryCount)));
+};
+
+const drawChart = (pdf, title, chart, x, y, width, height) => {
+  pdf.text(x, y, title, { size: 11, bold: true });
+  const plotTop = drawLegend(pdf, chart.legend, x, y + 18, width) + 6;
+  const plotBottom = y + height - 16;
+  const plotLeft = x + 28;
+  const plotWidth = width - 28;
+  const plotHeight = plotBottom - plotTop;
+
+  if (chart.bars.length === 0 || plotHeight <= 0) {
+    pdf.text(x, plotTop, 'No data for the current filters', { size: 9, color: '#6b7280' });
+    return;
+  }
+
+  const totals = chart.bars.map(bar => bar.segments.reduce((sum, segment) => sum + segment.value, 0));
+  const maxValue = niceCeiling(Math.max(0, ...totals));
+  [0, 0.5, 1].forEach(fraction => {
+    const tickY = plotBottom - plotHeight * fraction;
+    pdf.line(plotLeft, tickY, plotLeft + plotWidth, tickY, { color: '#e5e7eb' });
+    pdf.text(plotLeft - 4, tickY - 3, String(Math.round(maxValue * fraction * 10) / 10), { size: 6.5, color: '#6b7280', align: 'right' });
+  });
+
+  const slot = plotWidth / chart.bars.length;
+  const barWidth = Math.min(36, slot * 0.7);
+  chart.bars.forEach((bar, index) => {
+    const barX = plotLeft + slot * index + (slot - barWidth) / 2;
+    let top = plotBottom;
+    bar.segments.forEach(segment => {
+      const segmentHeight = (segment.value / maxValue) * plotHeight;
+      top -= segmentHeight;
+      pdf.rect(barX, top, barWidth, segmentHeight, { fill: segment.color });
+    });
+    pdf.text(plotLeft + slot * index + slot / 2, plotBottom + 3, truncateText(bar.label, slot - 2, 6.5), { size: 6.5, color: '#4b5563', align: 'center' });
+  });
+  pdf.line(plotLeft, plotBottom, plotLeft + plotWidth, plotBottom, { color: '#9ca3af' });
+};
+
+const drawCharts = (pdf, units, top, generatedAt) => {
+  const charts = buildDashboardCharts(units, generatedAt);
+  const entries = Object.entries(CHART_TITLES);
+  const gap = 16;
+  const height = (pdf.height - FOOTER_HEIGHT - MARGIN - top - gap * (entries.length - 1)) / entries.length;
+  entries.forEach(([key, title], index) => {
+    drawChart(pdf, title, charts[key], MARGIN, top + index * (height + gap), pdf.width - MARGIN * 2, height);
+  });
+};
+
+const columnWidths = (columns, available) => {
+  // Every column gets room for its header; the rest is shared by weight
+  const minimums = columns.map(column => Math.min(available / columns.length, 34 + column.label.length * 2));
+  const spare = Math.max(0, available - minimums.reduce((sum, width) => sum + width, 0));
+  const totalWeight = columns.reduce((sum, column) => sum + column.weight, 0);
+  return columns.map((column, index) => minimums[index] + (spare * column.weight) / totalWeight);
+};
+
+// Draws rows under a header row that repeats on every page. After a page
+// break, pageTop() draws anything that goes above the table and returns where
+// it continues. Returns the y below the last row.
+const drawTable = (pdf, { columns, rows, y: startY, pageTop = contentTop, rowFill = () => null, emptyMessage = '' }) => {
+  const tableWidth = pdf.width - MARGIN * 2;
+  const widths = columnWidths(columns, tableWidth);
+  const headerHeight = LINE_HEIGHT + CELL_PADDING * 2;
+  let y = startY;
+
+  const newPage = () => {
+    pdf.addPage();
+    y = pageTop();
+  };
+
+  const drawHeader = () => {
+    pdf.rect(MARGIN, y, tableWidth, headerHeight, { fill: '#f3f4f6', stroke: '#d1d5db' });
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+      const label = truncateText(column.label, widths[index] - CELL_PADDING * 2, TABLE_FONT, true);
+      const textX = column.align === 'right' ? x + widths[index] - CELL_PADDING : x + CELL_PADDING;
+      pdf.text(textX, y + CELL_PADDING, label, { size: TABLE_FONT, bold: true, align: column.align || 'left' });
+      x += widths[index];
+    });
+    y += headerHeight;
+  };
+
+  // Keep the header with at least one row
+  if (y + headerHeight + LINE_HEIGHT + CELL_PADDING * 2 > contentBottom(pdf)) newPage();
+  drawHeader();
+
+  if (rows.length === 0) {
+    pdf.text(MARGIN, y + 6, emptyMessage, { size: 9, color: '#6b7280' });
+    return y + 24;
+  }
+
+  rows.forEach(row => {
+    const cells = columns.map((column, index) => {
+      const value = column.text(row);
+      const innerWidth = widths[index] - CELL_PADDING * 2;
+      return column.wrap
+        ? wrapText(value, innerWidth, TABLE_FONT, false, MAX_CELL_LINES)
+        : [truncateText(value, innerWidth, TABLE_FONT, column.bold)];
+    });
+    const rowHeight = Math.max(1, ...cells.map(lines => lines.length)) * LINE_HEIGHT + CELL_PADDING * 2;
+    if (y + rowHeight > contentBottom(pdf)) {
+      newPage();
+      drawHeader();
+    }
+
+    const fill = rowFill(row);
+    if (fill) pdf.rect(MARGIN, y, tableWidth, rowHeight, { fill });
+    let x = MARGIN;
+    columns.forEach((column, index) => {
+      const cellFill = column.fill ? column.fill(row) : null;
+      if (cellFill) pdf.rect(x + 1, y + 1, widths[index] - 2, rowHeight - 2, { fill: cellFill });
+      cells[index].forEach((line, lineIndex) => {
+        const textX = column.align === 'right' ? x + widths[index] - CELL_PADDING : x + CELL_PADDING;
+        pdf.text(textX, y + CELL_PADDING + lineIndex * LINE_HEIGHT, line, {
+          size: TABLE_FONT,
+          bold: column.bold,
+          align: column.align || 'left'
+        });
+      });
+      x += widths[index];
+    });
+    pdf.line(MARGIN, y + rowHeight, MARGIN + tableWidth, y + rowHeight, { color: '#e5e7eb' });
+    y += rowHeight;
+  });
+  return y;
+};
+
+// The unit table, with the category legend above it on every page
+const drawUnitTable = (pdf, units, includeColumns, y, generatedAt) => {
+  const legend = categorySummary(units).map(({ label, fill, count }) => ({ label, fill, count }));
+  const pageTop = () => (legend.length > 0 ? drawLegend(pdf, legend, MARGIN, contentTop(), pdf.width - MARGIN * 2, 7) + 4 : contentTop());
+  const start = legend.length > 0 ? drawLegend(pdf, legend, MARGIN, y, pdf.width - MARGIN * 2, 7) + 4 : y;
+
+  return drawTable(pdf, {
+    columns: pdfColumns(includeColumns, generatedAt),
+    rows: units,
+    y: start,
+    pageTop,
+    rowFill: unit => (unit.hasIssues ? FLAGGED_FILL : null),
+    emptyMessage: 'No units match the current filters.'
+  });
+};
+
+const drawPageFrame = (pdf, pageNumber, pageCount, { title, generatedAt }) => {
+  if (pageNumber > 1) {
+    pdf.text(MARGIN, MARGIN - 8, truncateText(title, pdf.width / 2, 9, true), { size: 9, bold: true, color: '#374151' });
+    pdf.text(pdf.width - MARGIN, MARGIN - 8, `Generated ${toInputDate(generatedAt)}`, { size: 8, color: '#6b7280', align: 'right' });
+    pdf.line(MARGIN, MARGIN + 6, pdf.width - MARGIN, MARGIN + 6, { color: '#374151', lineWidth: 0.8 });
+  }
+  const footerY = pdf.height - MARGIN - FOOTER_HEIGHT + 12;
+  pdf.line(MARGIN, footerY, pdf.width - MARGIN, footerY);
+  pdf.text(MARGIN, footerY + 6, 'Data processed from Yardi Rent Ready export. Flagged rows (!) have data quality issues.', { size: 7, color: '#6b7280' });
+  pdf.text(pdf.width - MARGIN, footerY + 6, `Page ${pageNumber} of ${pageCount}`, { size: 8, color: '#374151', align: 'right' });
+};
+
+const finishDocument = (pdf, frame) => {
+  const pageCount = pdf.pageCount();
+  for (let page = 1; page <= pageCount; page++) {
+    pdf.onPage(page, () => drawPageFrame(pdf, page, pageCount, frame));
+  }
+  return pdf.toBytes();
+};
+
+// units: the filtered, sorted rows; includeColumns: the PDF column picks
+export const buildRentReadyPdf = ({
+  units,
+  totalUnitCount,
+  includeColumns,
+  format = 'table',
+  orientation = 'landscape',
+  generatedAt = new Date()
+}) => {
+  const pdf = createPdfDocument({ orientation, title: `RR Report Dashboard - ${toInputDate(generatedAt)}` });
+
+  pdf.addPage();
+  drawCover(pdf, { units, totalUnitCount, generatedAt });
+
+  if (format === 'summary') {
+    pdf.addPage();
+    drawCharts(pdf, units, contentTop(), generatedAt);
+  }
+
+  if (pdfColumns(includeColumns).length > 0) {
+    pdf.addPage();
+    drawUnitTable(pdf, units, includeColumns, contentTop(), generatedAt);
+  }
+
+  return finishDocument(pdf, { title: 'RR Report Dashboard', generatedAt });
+};
+
+// ---- Owner report sections ----
+
+const SECTION_GAP = 24;
+
+const drawSectionHeading = (pdf, y, title, note) => {
+  const top = ensureSpace(pdf, y, 90);
+  pdf.text(MARGIN, top, title, { size: 13, bold: true });
+  pdf.line(MARGIN, top + 17, pdf.width - MARGIN, top + 17, { color: '#d1d5db' });
+  if (!note) return top + 24;
+  pdf.text(MARGIN, top + 22, truncateText(note, pdf.width - MARGIN * 2, 8), { size: 8, color: '#6b7280' });
+  return top + 36;
+};
+
+const drawKpiSection = (pdf, units, y) =>
+  drawStatBoxes(pdf, summaryStats(units), drawSectionHeading(pdf, y, 'KPI Summary'));
+
+const drawCategorySection = (pdf, units, y) =>
+  drawCategoryBars(pdf, units, drawSectionHeading(pdf, y, 'Category Breakdown'));
+
+const drawVacancySection = (pdf, units, y, generatedAt) => {
+  const { totals, groups, projection } = analyzeVacancyLoss(units, 'property', generatedAt);
+  let cursor = drawSectionHeading(pdf, y, 'Vacancy Loss',
+    'Lost rent is annualized asking rent / 365 for every vacant unit without a future move-in; rent at risk runs until each unit\'s ready date.');
+
+  cursor = drawStatBoxes(pdf, [
+    { label: `Unleased vacancies${totals.onNotice > 0 ? ` (${totals.onNotice} on notice)` : ''}`, value: String(totals.units), color: '#111827' },
+    { label: 'Lost rent per day', value: money(totals.dailyLoss), color: '#b91c1c' },
+    { label: 'Lost rent per week', value: money(totals.dailyLoss * 7), color: '#b91c1c' },
+    { label: 'Rent at risk until ready', value: money(totals.lossUntilReady), color: '#c2410c' }
+  ], cursor) + 10;
+
+  cursor = ensureSpace(pdf, cursor, 60);
+  cursor = drawStatBoxes(pdf, projection.map(window => ({
+    label: `Back online within ${window.days} days (${window.units} units)`,
+    value: `${money(window.monthlyRent)}/mo`,
+    color: '#047857'
+  })), cursor) + 10;
+
+  if (groups.length === 0) return cursor;
+  return drawTable(pdf, {
+    columns: [
+      { label: VACANCY_GROUPINGS.property, weight: 3, text: group => group.name },
+      { label: 'Units', weight: 1, align: 'right', text: group => String(group.units) },
+      { label: 'Lost / Day', weight: 1.2, align: 'right', text: group => money(group.dailyLoss) },
+      { label: 'Lost / Month', weight: 1.2, align: 'right', text: group => money((group.dailyLoss * 365) / 12) },
+      { label: 'At Risk Until Ready', weight: 1.5, align: 'right', text: group => money(group.lossUntilReady) }
+    ],
+    rows: groups,
+    y: cursor
+  });
+};
+
+const drawTurnSection = (pdf, units, y, generatedAt) => {
+  const { overall, groups, outliers } = analyzeTurnTimes(units, 'property', generatedAt);
+  const metrics = Object.entries(TURN_METRICS);
+  let cursor = drawSectionHeading(pdf, y, 'Turn Times',
+    `Turn time uses the actual ready date when there is one and the estimate otherwise. ${outliers.length} unit${outliers.length === 1 ? '' : 's'} stand out against the portfolio.`);
+
+  cursor = drawTable(pdf, {
+    columns: [
+      { label: 'Metric', weight: 2, bold: true, text: ([, metric]) => metric.label },
+      { label: 'Measured', weight: 1, align: 'right', text: ([key]) => String(overall[key].count) },
+      { label: 'Average', weight: 1, align: 'right', text: ([key]) => formatDays(overall[key].average) },
+      { label: 'Median', weight: 1, align: 'right', text: ([key]) => formatDays(overall[key].median) },
+      { label: 'Longest', weight: 1, align: 'right', text: ([key]) => formatDays(overall[key].max) }
+    ],
+    rows: metrics,
+    y: cursor
+  }) + 12;
+
+  if (groups.length === 0) return cursor;
+  return drawTable(pdf, {
+    columns: [
+      { label: 'Property', weight: 3, text: group => group.name },
+      { label: 'Units', weight: 1, align: 'right', text: group => String(group.units) },
+      ...metrics.map(([key, metric]) => ({
+        label: `Avg ${metric.shortLabel}`,
+        weight: 1,
+        align: 'right',
+        text: group => formatDays(group[key].average)
+      })),
+      { label: 'Outliers', weight: 1, align: 'right', text: group => String(group.outliers) }
+    ],
+    rows: groups,
+    y: cursor
+  });
+};
+
+const drawIssuesSection = (pdf, units, y, issueResolutions) => {
+  const rows = units.flatMap(unit => unit.issues.map(issue => ({
+    unit,
+    issue,
+    resolution: resolutionFor(issueResolutions, unit, issue.ruleId)
+  })));
+  const cursor = drawSectionHeading(pdf, y, 'Flagged Issues',
+    `${rows.length} issue${rows.length === 1 ? '' : 's'} on ${units.filter(unit => unit.issues.length > 0).length} units.`);
+
+  return drawTable(pdf, {
+    columns: [
+      { label: 'Unit', weight: 1, bold: true, text: row => row.unit.unitCode },
+      { label: 'Property', weight: 1.5, text: row => row.unit.property },
+      { label: 'Severity', weight: 0.9, text: row => SEVERITIES[row.issue.severity].label, fill: row => SEVERITIES[row.issue.severity].hex },
+      { label: 'Rule', weight: 1.6, text: row => row.issue.name },
+      { label: 'Message', weight: 3.5, wrap: true, text: row => row.issue.message },
+      { label: 'Resolution', weight: 1.2, text: row => RESOLUTION_STATES[row.resolution.state].label },
+      { label: 'Note', weight: 2, wrap: true, text: row => row.resolution.note || '' }
+    ],
+    rows,
+    y: cursor,
+    emptyMessage: 'No data quality issues.'
+  });
+};
+
+const drawUnitSection = (pdf, units, y, includeColumns, generatedAt) => {
+  if (pdfColumns(includeColumns).length === 0) return y;
+  return drawUnitTable(pdf, units, includeColumns, drawSectionHeading(pdf, y, 'Unit Table'), generatedAt);
+};
+
+// sections: section ids in the order they should appear
+export const buildOwnerReportPdf = ({
+  title,
+  subtitle,
+  units,
+  sections,
+  includeColumns,
+  issueResolutions = {},
+  orientation = 'portrait',
+  generatedAt = new Date()
+}) => {
+  const pdf = createPdfDocument({ orientation, title: `${title} - ${subtitle}` });
+  pdf.addPage();
+
+  pdf.text(MARGIN, MARGIN, title, { size: 22, bold: true });
+  pdf.text(MARGIN, MARGIN + 30, subtitle, { size: 12, color: '#374151' });
+  pdf.text(MARGIN, MARGIN + 48, `${units.length} unit${units.length === 1 ? '' : 's'} - generated ${toInputDate(generatedAt)} at ${generatedAt.toTimeString().slice(0, 5)}`, { size: 9, color: '#6b7280' });
+  pdf.line(MARGIN, MARGIN + 64, pdf.width - MARGIN, MARGIN + 64, { color: '#374151', lineWidth: 1 });
+
+  const drawers = {
+    kpis: y => drawKpiSection(pdf, units, y),
+    categories: y => drawCategorySection(pdf, units, y),
+    vacancyLoss: y => drawVacancySection(pdf, units, y, generatedAt),
+    turnTimes: y => drawTurnSection(pdf, units, y, generatedAt),
+    issues: y => drawIssuesSection(pdf, units, y, issueResolutions),
+    unitTable: y => drawUnitSection(pdf, units, y, includeColumns, generatedAt)
+  };
+  sections.reduce((y, id) => drawers[id](y) + SECTION_GAP, MARGIN + 84);
+
+  return finishDocument(pdf, { title: `${title} - ${subtitle}`, generatedAt });
+};
@@ -0,0 +1,189 @@
+// A small PDF writer: text in the standard Helvetica fonts, filled/stroked
+// rectangles and lines. Every PDF viewer has these fonts built in, so nothing
+// is embedded and the file comes out byte-for-byte the same in any browser.
+// Coordinates are in points from the top-left corner of the page.
+
+export const PAGE_SIZES = {
+  portrait: { width: 612, height: 792 },
+  landscape: { width: 792, height: 612 }
+};
+
+// Advance widths (per 1000 units of font size) for ASCII 32-126, from the
+// Adobe Helvetica and Helvetica-Bold AFM files.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+
+// WinAnsiEncoding code points outside Latin-1, with their widths
+const WIN_ANSI_EXTRAS = {
+  '€': [0x80, 556], '‚': [0x82, 222], '„': [0x84, 333], '…': [0x85, 1000], '‘': [0x91, 222],
+  '’': [0x92, 222], '“': [0x93, 333], '”': [0x94, 333], '•': [0x95, 350], '–': [0x96, 556],
+  '—': [0x97, 1000], '™': [0x99, 1000]
+};
+
+const EXTRA_WIDTHS = Object.fromEntries(Object.values(WIN_ANSI_EXTRAS).map(([code, width]) => [code, width]));
+
+// Anything the standard fonts can't show (emoji, CJK...) is dropped.
+// Already-encoded text passes through unchanged.
+export const toWinAnsi = (text) => [...String(text)].map(char => {
+  const code = char.codePointAt(0);
+  if (code >= 32 && code <= 126) return char;
+  if (code >= 0xA0 && code <= 0xFF) return char;
+  if (EXTRA_WIDTHS[code]) return char;
+  if (WIN_ANSI_EXTRAS[char]) return String.fromCharCode(WIN_ANSI_EXTRAS[char][0]);
+  if (char === '\t' || char === '\n') return ' ';
+  return '';
+}).join('').replace(/ {2,}/g, ' ');
+
+// Width in points of WinAnsi text
+export const measureText = (text, size, bold = false) => {
+  const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    if (code >= 32 && code <= 126) total += widths[code - 32];
+    else total += EXTRA_WIDTHS[code] || 556;
+  }
+  return (total * size) / 1000;
+};
+
+export const truncateText = (text, maxWidth, size, bold = false) => {
+  const encoded = toWinAnsi(text);
+  if (measureText(encoded, size, bold) <= maxWidth) return encoded;
+  const ellipsis = String.fromCharCode(0x85);
+  let cut = encoded;
+  while (cut.length > 0 && measureText(cut + ellipsis, size, bold) > maxWidth) {
+    cut = cut.slice(0, -1);
+  }
+  return cut.trimEnd() + ellipsis;
+};
+
+// Word-wraps into at most maxLines lines; the last one is truncated
+export const wrapText = (text, maxWidth, size, bold = false, maxLines = Infinity) => {
+  const lines = [];
+  let current = '';
+  toWinAnsi(text).split(' ').filter(Boolean).forEach(word => {
+    const candidate = current ? `${current} ${word}` : word;
+    if (!current || measureText(candidate, size, bold) <= maxWidth) {
+      current = candidate;
+    } else {
+      lines.push(current);
+      current = word;
+    }
+  });
+  if (current) lines.push(current);
+
+  if (lines.length > maxLines) {
+    return [...lines.slice(0, maxLines - 1), truncateText(lines.slice(maxLines - 1).join(' '), maxWidth, size, bold)];
+  }
+  return lines.map(line => truncateText(line, maxWidth, size, bold));
+};
+
+const colorOperands = (hex) => {
+  const value = hex.replace('#', '');
+  const full = value.length === 3 ? value.split('').map(c => c + c).join('') : value;
+  return [0, 2, 4].map(i => (parseInt(full.slice(i, i + 2), 16) / 255).toFixed(3)).join(' ');
+};
+
+const num = (value) => (Math.round(value * 100) / 100).toString();
+
+const escapePdfString = (text) => text.replace(/[\\()]/g, match => `\\${match}`);
+
+export const createPdfDocument = ({ orientation = 'portrait', title = '' } = {}) => {
+  const { width, height } = PAGE_SIZES[orientation] || PAGE_SIZES.portrait;
+  const pages = [];
+  let current = null;
+
+  const addPage = () => {
+    current = [];
+    pages.push(current);
+    return pages.length;
+  };
+
+  const text = (x, y, value, { size = 10, bold = false, color = '#1f2937', align = 'left' } = {}) => {
+    const encoded = toWinAnsi(value);
+    if (!encoded) return;
+    const textWidth = measureText(encoded, size, bold);
+    const left = align === 'right' ? x - textWidth : align === 'center' ? x - textWidth / 2 : x;
+    // y is the top of the line; PDF places text by its baseline
+    const baseline = height - y - size * 0.8;
+    current.push(`BT /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${colorOperands(color)} rg ${num(left)} ${num(baseline)} Td (${escapePdfString(encoded)}) Tj ET`);
+  };
+
+  const rect = (x, y, w, h, { fill = null, stroke = null, lineWidth = 0.5 } = {}) => {
+    const ops = [];
+    if (fill) ops.push(`${colorOperands(fill)} rg`);
+    if (stroke) ops.push(`${colorOperands(stroke)} RG ${num(lineWidth)} w`);
+    ops.push(`${num(x)} ${num(height - y - h)} ${num(w)} ${num(h)} re`);
+    ops.push(fill && stroke ? 'B' : fill ? 'f' : 'S');
+    current.push(ops.join(' '));
+  };
+
+  const line = (x1, y1, x2, y2, { color = '#d1d5db', lineWidth = 0.5 } = {}) => {
+    current.push(`${colorOperands(color)} RG ${num(lineWidth)} w ${num(x1)} ${num(height - y1)} m ${num(x2)} ${num(height - y2)} l S`);
+  };
+
+  // Draws on an already-added page, e.g. footers once the page count is known
+  const onPage = (pageNumber, draw) => {
+    const previous = current;
+    current = pages[pageNumber - 1];
+    draw();
+    current = previous;
+  };
+
+  const toBytes = () => {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalogId = add(null);
+    const pagesId = add(null);
+    const regularFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    const boldFontId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    const infoId = add(`<< /Title (${escapePdfString(toWinAnsi(title))}) /Producer (RR Report Dashboard) >>`);
+
+    const pageIds = pages.map(ops => {
+      const stream = ops.join('\n');
+      const contentId = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+      return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] ` +
+        `/Resources << /Font << /F1 ${regularFontId} 0 R /F2 ${boldFontId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+    });
+
+    objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+    objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+    // Everything is single-byte WinAnsi, so string length equals byte length
+    let output = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    const offsets = objects.map((body, index) => {
+      const offset = output.length;
+      output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+      return offset;
+    });
+    const xrefOffset = output.length;
+    output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    output += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R /Info ${infoId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    const bytes = new Uint8Array(output.length);
+    for (let i = 0; i < output.length; i++) bytes[i] = output.charCodeAt(i) & 0xFF;
+    return bytes;
+  };
+
+  return { width, height, addPage, text, rect, line, onPage, pageCount: () => pages.length, toBytes };
+};
@@ -0,0 +1,129 @@
+import { toInputDate } from './chartData';
+
+// Owner/investor report packages: which sections go in, in what order, and
+// which properties they cover. Layouts are saved by name as report templates.
+
+const REPORT_TEMPLATES_KEY = 'rrReportTemplates';
+
+export const REPORT_SECTIONS = {
+  kpis: { label: 'KPI Summary', description: 'Units, rent ready, ready within 30 days, flagged and average rent' },
+  categories: { label: 'Category Breakdown', description: 'Units per category with their share of the portfolio' },
+  vacancyLoss: { label: 'Vacancy Loss', description: 'Lost rent, rent at risk and rent coming back online' },
+  turnTimes: { label: 'Turn Times', description: 'Days vacant, moveout to ready and slippage by property' },
+  issues: { label: 'Flagged Issues', description: 'Every data quality issue with its resolution' },
+  unitTable: { label: 'Unit Table', description: 'The units, with the columns chosen under PDF & Excel Export Options' }
+};
+
+export const DEFAULT_REPORT_TEMPLATE = {
+  name: '',
+  title: 'Weekly Owner Report',
+  sections: Object.keys(REPORT_SECTIONS).map(id => ({ id, enabled: true })),
+  properties: [],
+  perProperty: false,
+  orientation: 'portrait'
+};
+
+// Keeps known sections in their saved order and adds any new ones at the end,
+// switched off
+export const normalizeReportTemplate = (template = {}) => {
+  const saved = Array.isArray(template.sections)
+    ? template.sections.filter(section => section && REPORT_SECTIONS[section.id])
+    : DEFAULT_REPORT_TEMPLATE.sections;
+  const seen = new Set();
+  const sections = [];
+  saved.forEach(section => {
+    if (seen.has(section.id)) return;
+    seen.add(section.id);
+    sections.push({ id: section.id, enabled: section.enabled !== false });
+  });
+  Object.keys(REPORT_SECTIONS)
+    .filter(id => !seen.has(id))
+    .forEach(id => sections.push({ id, enabled: false }));
+
+  return {
+    name: typeof template.name === 'string' ? template.name : '',
+    title: typeof template.title === 'string' && template.title.trim() ? template.title : DEFAULT_REPORT_TEMPLATE.title,
+    sections,
+    properties: Array.isArray(template.properties) ? template.properties.filter(name => typeof name === 'string') : [],
+    perProperty: template.perProperty === true,
+    orientation: template.orientation === 'landscape' ? 'landscape' : 'portrait'
+  };
+};
+
+export const enabledSections = (template) =>
+  template.sections.filter(section => section.enabled).map(section => section.id);
+
+export const moveSection = (template, index, delta) => {
+  const target = index + delta;
+  if (target < 0 || target >= template.sections.length) return template;
+  const sections = [...template.sections];
+  [sections[index], sections[target]] = [sections[target], sections[index]];
+  return { ...template, sections };
+};
+
+// ---- Saved report templates ----
+
+export const loadReportTemplates = () => {
+  try {
+    const raw = window.localStorage.getItem(REPORT_TEMPLATES_KEY);
+    if (!raw) return [];
+    const saved = JSON.parse(raw);
+    if (!Array.isArray(saved)) return [];
+    return saved
+      .filter(template => template && typeof template.id === 'string' && typeof template.name === 'string')
+      .map(template => ({ id: template.id, savedAt: template.savedAt, ...normalizeReportTemplate(template) }));
+  } catch (e) {
+    console.warn('Could not read report templates:', e);
+    return [];
+  }
+};
+
+export const saveReportTemplates = (templates) => {
+  try {
+    window.localStorage.setItem(REPORT_TEMPLATES_KEY, JSON.stringify(templates));
+  } catch (e) {
+    console.warn('Could not save report templates:', e);
+  }
+};
+
+// Saving under an existing name replaces that template
+export const upsertReportTemplate = (templates, template) => {
+  const name = template.name.trim();
+  const existing = templates.find(candidate => candidate.name.toLowerCase() === name.toLowerCase());
+  const saved = {
+    id: existing ? existing.id : `report-${Date.now().toString(36)}`,
+    savedAt: new Date().toISOString(),
+    ...normalizeReportTemplate({ ...template, name })
+  };
+  return existing
+    ? templates.map(candidate => (candidate.id === existing.id ? saved : candidate))
+    : [...templates, saved].sort((a, b) => a.name.localeCompare(b.name));
+};
+
+// ---- Packages ----
+
+const fileNamePart = (text) => text.replace(/[^\w\-. ]+/g, '').trim().replace(/\s+/g, '_').slice(0, 50) || 'Report';
+
+// One document for the chosen properties, or one per property. No chosen
+// properties means all of them.
+export const reportPackages = (units, template, today = new Date()) => {
+  const allProperties = [...new Set(units.map(unit => unit.property))].sort();
+  const properties = template.properties.length > 0
+    ? allProperties.filter(property => template.properties.includes(property))
+    : allProperties;
+  const date = toInputDate(today);
+
+  if (template.perProperty) {
+    return properties.map(property => ({
+      subtitle: property || 'Unknown property',
+      units: units.filter(unit => unit.property === property),
+      fileName: `${fileNamePart(template.title)}_${fileNamePart(property)}_${date}.pdf`
+    }));
+  }
+
+  return [{
+    subtitle: template.properties.length > 0 ? properties.join(', ') : 'All properties',
+    units: units.filter(unit => properties.includes(unit.property)),
+    fileName: `${fileNamePart(template.title)}_${date}.pdf`
+  }];
+};
@@ -0,0 +1,272 @@
+import { DEFAULT_DATE_LOCALE, DATE_LOCALES } from './dateParsing';
+import { RR_FIELDS } from './columnMapping';
+import { normalizeView, viewFromQuery, viewToQuery } from './dashboardViews';
+import { REPORT_COLUMNS, selectedColumns } from './reportColumns';
+import { hasOpenIssues, resolutionFor } from './issueResolutions';
+import { highestSeverity, SEVERITIES } from './validationRules';
+import { buildRentReadyPdf } from './pdfReport';
+import { buildRentReadyWorkbook } from './excelReport';
+import { createXlsx } from './xlsxWriter';
+import { toInputDate } from './chartData';
+
+// Option handling and outputs for bin/rr-report.js, the headless version of
+// the dashboard. Filters, sort and columns are turned into the same query
+// string a shared dashboard link uses, so `--view <link>` and the individual
+// flags combine the way they would in the browser.
+
+export const CLI_OUTPUTS = ['xlsx', 'json', 'csv', 'pdf'];
+
+export const EXIT_CODES = { ok: 0, flagged: 1, error: 2 };
+
+export const CLI_OPTIONS = {
+  out: { type: 'string', short: 'o' },
+  outputs: { type: 'string' },
+  columns: { type: 'string' },
+  orientation: { type: 'string' },
+  'pdf-format': { type: 'string' },
+  today: { type: 'string' },
+  'date-order': { type: 'string' },
+  view: { type: 'string' },
+  property: { type: 'string', multiple: true },
+  category: { type: 'string' },
+  'rent-ready': { type: 'string' },
+  bedrooms: { type: 'string' },
+  search: { type: 'string' },
+  'rent-min': { type: 'string' },
+  'rent-max': { type: 'string' },
+  'ready-from': { type: 'string' },
+  'ready-to': { type: 'string' },
+  'date-type': { type: 'string' },
+  'flagged-only': { type: 'boolean' },
+  sort: { type: 'string' },
+  'category-rules': { type: 'string' },
+  'quality-rules': { type: 'string' },
+  resolutions: { type: 'string' },
+  mappings: { type: 'string' },
+  quiet: { type: 'boolean', short: 'q' },
+  help: { type: 'boolean', short: 'h' }
+};
+
+export const CLI_USAGE = `Usage: npm run rr-report -- [options] <report files...>
+
+Cleans, categorizes and flags Yardi Rent Ready reports (.xlsx, .xls, .csv or
+the saved HTML view) exactly like the dashboard, then writes the Excel
+workbook, a JSON and CSV dump of the units and the PDF report.
+
+Output
+  -o, --out <dir>           Folder to write to (default: current folder)
+  --outputs <list>          Any of ${CLI_OUTPUTS.join(',')} (default: all)
+  --columns <keys|all>      Unit columns for the workbook, CSV and PDF:
+                            ${REPORT_COLUMNS.map(column => column.key).join(', ')}
+  --orientation <o>         PDF page orientation: landscape (default) or portrait
+  --pdf-format <f>          table (default) or summary
+
+Processing
+  --today <YYYY-MM-DD>      Reference date for categories and day counts (default: today)
+  --date-order <MDY|DMY>    How to read dates a report doesn't settle itself (default: MDY)
+  --category-rules <file>   Category rules JSON, as saved by the dashboard (rrCategoryRules)
+  --quality-rules <file>    Data-quality rules JSON (rrValidationRules)
+  --resolutions <file>      Issue resolutions JSON (rrIssueResolutions); resolved issues don't count as flagged
+  --mappings <file>         Confirmed column mappings JSON (rrColumnMappings)
+
+Filters and sort (applied to every output)
+  --view <link>             Start from a shared dashboard link or its query string
+  --property <codes>        Only these properties, comma-separated (repeatable)
+  --category <name>         Only this category
+  --rent-ready <yes|no>
+  --bedrooms <n>            0 for bachelor/studio
+  --search <text>           Unit, description, type, notes, comments or job code contains text
+  --rent-min <n>, --rent-max <n>
+  --ready-from <YYYY-MM-DD>, --ready-to <YYYY-MM-DD>
+  --date-type <t>           Date the ready range applies to: estimated (default) or actual
+  --flagged-only            Only units with data-quality issues
+  --sort <key>[:asc|desc]   Sort by a column instead of category, bedrooms and rent
+
+  -q, --quiet               Only print errors
+  -h, --help                Show this help
+
+Exit codes: ${EXIT_CODES.ok} no flagged units, ${EXIT_CODES.flagged} flagged units found, ${EXIT_CODES.error} bad options or unreadable reports.`;
+
+const DATE_ORDERS = [...new Set(Object.values(DATE_LOCALES).map(locale => locale.order))];
+const COLUMN_KEYS = REPORT_COLUMNS.map(column => column.key);
+// Derived when exported rather than stored on the unit, so they can't be sorted on
+const SORT_KEYS = COLUMN_KEYS.filter(key => !['daysVacant', 'turnDays', 'readySlippage', 'issues'].includes(key));
+
+const fail = (message) => {
+  throw new Error(message);
+};
+
+const list = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const oneOf = (flag, value, allowed) => {
+  if (value !== undefined && !allowed.includes(value)) {
+    fail(`--${flag} must be one of ${allowed.join(', ')} (got "${value}").`);
+  }
+  return value;
+};
+
+const dayFlag = (flag, value) => {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  const date = match && new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  if (!date || toInputDate(date) !== value) fail(`--${flag} must be a date as YYYY-MM-DD (got "${value}").`);
+  return date;
+};
+
+const numberFlag = (flag, value) => {
+  if (value !== undefined && (value.trim() === '' || !Number.isFinite(Number(value)))) {
+    fail(`--${flag} must be a number (got "${value}").`);
+  }
+  return value;
+};
+
+// Accepts a whole dashboard URL, "?a=b" or just "a=b"
+const queryOf = (link = '') => (link.includes('?') ? link.slice(link.indexOf('?') + 1) : link).split('#')[0];
+
+export const viewFromCliOptions = (values) => {
+  const params = new URLSearchParams(queryOf(values.view));
+  const set = (name, value) => {
+    if (value !== undefined) params.set(name, value);
+  };
+
+  if (values.property) {
+    params.delete('properties');
+    values.property.flatMap(list).forEach(property => params.append('properties', property));
+  }
+  set('category', values.category);
+  set('rentReady', oneOf('rent-ready', values['rent-ready'], ['yes', 'no']));
+  if (values.bedrooms !== undefined && !/^\d+$/.test(values.bedrooms)) {
+    fail(`--bedrooms must be a whole number (got "${values.bedrooms}").`);
+  }
+  set('bedrooms', values.bedrooms);
+  set('q', values.search);
+  set('rentMin', numberFlag('rent-min', values['rent-min']));
+  set('rentMax', numberFlag('rent-max', values['rent-max']));
+
+  ['ready-from', 'ready-to'].forEach(flag => values[flag] !== undefined && dayFlag(flag, values[flag]));
+  set('from', values['ready-from']);
+  set('to', values['ready-to']);
+  if (Boolean(params.get('from')) !== Boolean(params.get('to'))) {
+    fail('--ready-from and --ready-to only filter when both are given.');
+  }
+  set('dateType', oneOf('date-type', values['date-type'], ['estimated', 'actual']));
+  if (values['flagged-only']) params.set('flagged', '1');
+
+  if (values.sort !== undefined) {
+    const [key, direction = 'asc'] = values.sort.split(':');
+    oneOf('sort', key, SORT_KEYS);
+    oneOf('sort direction', direction, ['asc', 'desc']);
+    params.set('sort', `${key}:${direction}`);
+  }
+
+  set('pdf', oneOf('pdf-format', values['pdf-format'], ['table', 'summary']));
+  set('orient', oneOf('orientation', values.orientation, ['landscape', 'portrait']));
+  if (values.columns !== undefined) {
+    const keys = values.columns.trim() === 'all' ? COLUMN_KEYS : list(values.columns);
+    const unknown = keys.filter(key => !COLUMN_KEYS.includes(key));
+    if (unknown.length > 0) fail(`Unknown column ${unknown.join(', ')}. Columns are: ${COLUMN_KEYS.join(', ')}.`);
+    if (keys.length === 0) fail('--columns needs at least one column.');
+    params.set('cols', keys.join(','));
+  }
+
+  return viewFromQuery(params.toString()) || normalizeView();
+};
+
+// Everything except the files to read and the JSON files to load
+export const resolveCliOptions = (values) => {
+  const outputs = values.outputs === undefined ? CLI_OUTPUTS : list(values.outputs);
+  const unknown = outputs.filter(output => !CLI_OUTPUTS.includes(output));
+  if (unknown.length > 0 || outputs.length === 0) {
+    fail(`--outputs takes any of ${CLI_OUTPUTS.join(', ')} (got "${values.outputs}").`);
+  }
+
+  return {
+    view: viewFromCliOptions(values),
+    today: values.today === undefined ? new Date() : dayFlag('today', values.today),
+    dateOrder: oneOf('date-order', values['date-order'], DATE_ORDERS) || DATE_LOCALES[DEFAULT_DATE_LOCALE].order,
+    outputs,
+    outDir: values.out || '.'
+  };
+};
+
+export const unmappedSourceMessage = (source) => {
+  const labels = source.layout.missing.map(key => RR_FIELDS.find(field => field.key === key).label);
+  return source.layout.headerFound
+    ? `"${source.label}": no column matches ${labels.join(', ')}. Rename the headers or confirm the mapping in the dashboard and pass it with --mappings.`
+    : `"${source.label}": no header row was recognised. Export the report with its column headers.`;
+};
+
+// ---- Outputs ----
+
+const plainValue = (value) => (value instanceof Date ? toInputDate(value) : value);
+
+const unitRecord = (unit, issueResolutions) => ({
+  ...Object.fromEntries(Object.entries(unit).map(([key, value]) => [key, plainValue(value)])),
+  issues: unit.issues.map(issue => ({ ...issue, resolution: resolutionFor(issueResolutions, unit, issue.ruleId).state }))
+});
+
+const csvCell = (value) => {
+  const text = value === null || value === undefined ? '' : String(plainValue(value));
+  return /[",\r\n]/.test(text) || text !== text.trim() ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const unitsCsv = (units, includeColumns, today = new Date()) => {
+  const columns = selectedColumns(includeColumns);
+  return [columns.map(column => column.label), ...units.map(unit => columns.map(column => column.value(unit, today)))]
+    .map(row => row.map(csvCell).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+// units: the filtered and sorted units; totalUnitCount: before filtering
+export const buildCliOutputs = ({ units, totalUnitCount, sources, duplicates, view, issueResolutions, outputs, today }) => {
+  const date = toInputDate(today);
+  const { includeColumns, format, orientation } = view.pdfOptions;
+  const build = {
+    xlsx: () => ({
+      name: `RR_Dashboard_${date}.xlsx`,
+      content: createXlsx(buildRentReadyWorkbook({ units, includeColumns, issueResolutions, today }), today)
+    }),
+    json: () => ({
+      name: `RR_Units_${date}.json`,
+      content: `${JSON.stringify({
+        referenceDate: date,
+        sources: sources.map(source => source.label),
+        view: viewToQuery(view),
+        totalUnitCount,
+        unitCount: units.length,
+        duplicates,
+        units: units.map(unit => unitRecord(unit, issueResolutions))
+      }, null, 2)}\n`
+    }),
+    csv: () => ({ name: `RR_Units_${date}.csv`, content: unitsCsv(units, includeColumns, today) }),
+    pdf: () => ({
+      name: `RR_Dashboard_${date}.pdf`,
+      content: buildRentReadyPdf({ units, totalUnitCount, includeColumns, format, orientation, generatedAt: today })
+    })
+  };
+
+  return CLI_OUTPUTS.filter(output => outputs.includes(output)).map(output => build[output]());
+};
+
+export const flaggedUnits = (units, issueResolutions) => units.filter(unit => hasOpenIssues(unit, issueResolutions));
+
+export const exitCodeFor = (units, issueResolutions) =>
+  (flaggedUnits(units, issueResolutions).length > 0 ? EXIT_CODES.flagged : EXIT_CODES.ok);
+
+export const runSummary = ({ units, exported, sources, duplicates, issueResolutions, today }) => {
+  const flagged = flaggedUnits(exported, issueResolutions);
+  const bySeverity = Object.keys(SEVERITIES)
+    .map(severity => [severity, flagged.filter(unit => highestSeverity(unit.issues) === severity).length])
+    .filter(([, count]) => count > 0)
+    .map(([severity, count]) => `${count} ${SEVERITIES[severity].label.toLowerCase()}`);
+  const plural = (count, noun) => `${count} ${noun}${count === 1 ? '' : 's'}`;
+  const unreadableDates = units.filter(unit => unit.dateIssues.some(issue => issue.status === 'invalid')).length;
+
+  return [
+    `Processed ${plural(units.length, 'unit')} from ${sources.length === 1 ? sources[0].label : `${sources.length} sources`} as of ${toInputDate(today)}.`,
+    ...(duplicates.length > 0
+      ? [`Warning: ${plural(duplicates.length, 'unit code')} ${duplicates.length === 1 ? 'appears' : 'appear'} in more than one source (${duplicates.map(duplicate => `${duplicate.property} ${duplicate.unitCode}`).join(', ')}).`]
+      : []),
+    ...(unreadableDates > 0 ? [`Warning: ${plural(unreadableDates, 'unit')} with dates that could not be read.`] : []),
+    `${plural(exported.length, 'unit')} after filters, ${flagged.length} flagged${bySeverity.length > 0 ? ` (by worst issue: ${bySeverity.join(', ')})` : ''}.`
+  ];
+};
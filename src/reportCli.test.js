@@ -0,0 +1,165 @@
+/**
+ * @jest-environment node
+ */
+import { issueKey } from './issueResolutions';
+import {
+  EXIT_CODES,
+  exitCodeFor,
+  flaggedUnits,
+  resolveCliOptions,
+  unitsCsv,
+  viewFromCliOptions
+} from './reportCli';
+
+const day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+describe('viewFromCliOptions', () => {
+  const link = 'https://rr.example.com/?properties=14t&category=Already+Rented&q=paint&sort=askingRent:desc&cols=unitCode,askingRent#top';
+
+  test('starts from a shared link, a query string or bare parameters', () => {
+    const fromLink = viewFromCliOptions({ view: link });
+    expect(fromLink.filters.properties).toEqual(['14t']);
+    expect(fromLink.filters.category).toBe('Already Rented');
+    expect(fromLink.sortConfig).toEqual({ key: 'askingRent', direction: 'desc' });
+    expect(Object.keys(fromLink.pdfOptions.includeColumns).filter(key => fromLink.pdfOptions.includeColumns[key]))
+      .toEqual(['unitCode', 'askingRent']);
+    expect(viewFromCliOptions({ view: '?properties=14t' }).filters.properties).toEqual(['14t']);
+    expect(viewFromCliOptions({ view: 'properties=14t' }).filters.properties).toEqual(['14t']);
+  });
+
+  test('lets individual flags override or add to the link', () => {
+    const view = viewFromCliOptions({
+      view: link,
+      property: ['22w,31r', '40k'],
+      search: 'carpet',
+      'rent-max': '1800',
+      'flagged-only': true,
+      sort: 'unitCode'
+    });
+    expect(view.filters.properties).toEqual(['22w', '31r', '40k']);
+    expect(view.filters.category).toBe('Already Rented');
+    expect(view.filters.search).toBe('carpet');
+    expect(view.filters.rentMax).toBe(1800);
+    expect(view.filters.showFlaggedOnly).toBe(true);
+    expect(view.sortConfig).toEqual({ key: 'unitCode', direction: 'asc' });
+  });
+
+  test('uses the dashboard defaults without any flags', () => {
+    const view = viewFromCliOptions({});
+    expect(view.filters.properties).toEqual([]);
+    expect(view.sortConfig.key).toBeNull();
+  });
+
+  test('takes a ready range only with both ends', () => {
+    const view = viewFromCliOptions({ 'ready-from': '2025-06-01', 'ready-to': '2025-06-30', 'date-type': 'actual' });
+    expect(view.filters.dateRange).toEqual({ start: '2025-06-01', end: '2025-06-30', dateType: 'actual' });
+    expect(() => viewFromCliOptions({ 'ready-from': '2025-06-01' })).toThrow('--ready-from and --ready-to only filter when both are given.');
+    expect(() => viewFromCliOptions({ view: 'to=2025-06-30' })).toThrow('--ready-from and --ready-to');
+    expect(() => viewFromCliOptions({ view: 'to=2025-06-30', 'ready-from': '2025-06-01' })).not.toThrow();
+  });
+
+  test.each([
+    [{ sort: 'rent' }, '--sort must be one of'],
+    [{ sort: 'askingRent:down' }, '--sort direction must be one of asc, desc (got "down")'],
+    [{ sort: 'daysVacant' }, '--sort must be one of'],
+    [{ columns: 'unitCode,rent' }, 'Unknown column rent.'],
+    [{ columns: ' , ' }, '--columns needs at least one column.'],
+    [{ 'ready-from': '2025-02-30', 'ready-to': '2025-03-01' }, '--ready-from must be a date as YYYY-MM-DD (got "2025-02-30").'],
+    [{ 'rent-ready': 'maybe' }, '--rent-ready must be one of yes, no'],
+    [{ bedrooms: 'two' }, '--bedrooms must be a whole number'],
+    [{ 'rent-min': 'lots' }, '--rent-min must be a number']
+  ])('rejects %p', (values, message) => {
+    expect(() => viewFromCliOptions(values)).toThrow(message);
+  });
+});
+
+describe('resolveCliOptions', () => {
+  test('reads the reference date as a local day and defaults the rest', () => {
+    const options = resolveCliOptions({ today: '2025-06-10' });
+    expect(day(options.today)).toEqual([2025, 6, 10]);
+    expect(options.today.getHours()).toBe(0);
+    expect(options.dateOrder).toBe('MDY');
+    expect(options.outputs).toEqual(['xlsx', 'json', 'csv', 'pdf']);
+    expect(options.outDir).toBe('.');
+  });
+
+  test('picks outputs and the date order', () => {
+    const options = resolveCliOptions({ outputs: 'csv, json', 'date-order': 'DMY', out: 'reports' });
+    expect(options.outputs).toEqual(['csv', 'json']);
+    expect(options.dateOrder).toBe('DMY');
+    expect(options.outDir).toBe('reports');
+  });
+
+  test.each([
+    [{ today: '10/06/2025' }, '--today must be a date as YYYY-MM-DD (got "10/06/2025").'],
+    [{ today: '2025-13-01' }, '--today must be a date'],
+    [{ outputs: 'csv,docx' }, '--outputs takes any of xlsx, json, csv, pdf (got "csv,docx").'],
+    [{ outputs: '' }, '--outputs takes any of'],
+    [{ 'date-order': 'YMD' }, '--date-order must be one of MDY, DMY'],
+    [{ sort: 'nope' }, '--sort must be one of']
+  ])('rejects %p', (values, message) => {
+    expect(() => resolveCliOptions(values)).toThrow(message);
+  });
+});
+
+describe('unitsCsv', () => {
+  const unit = {
+    unitCode: '101',
+    unitDescription: '2 Bedroom, corner',
+    makeReadyNotes: 'Replace "Berber" carpet',
+    comments: '  leading and trailing  ',
+    askingRent: 1450,
+    vacantAsOf: new Date(2025, 4, 2),
+    dateIssues: []
+  };
+  const includeColumns = { unitCode: true, unitDescription: true, askingRent: true, vacantAsOf: true, makeReadyNotes: true, comments: true };
+
+  test('quotes commas, quotes and surrounding spaces and writes dates as days', () => {
+    expect(unitsCsv([unit], includeColumns).split('\r\n')).toEqual([
+      'Unit Code,Description,Asking Rent,Vacant As Of,Make Ready Notes,Comments',
+      '101,"2 Bedroom, corner",1450,2025-05-02,"Replace ""Berber"" carpet","  leading and trailing  "',
+      ''
+    ]);
+  });
+
+  test('quotes line breaks and leaves empty values empty', () => {
+    const csv = unitsCsv([{ ...unit, comments: 'one\ntwo', vacantAsOf: null }], { unitCode: true, vacantAsOf: true, comments: true });
+    expect(csv).toBe('Unit Code,Vacant As Of,Comments\r\n101,,"one\ntwo"\r\n');
+  });
+
+  test('counts days at the reference date', () => {
+    const csv = unitsCsv([unit], { unitCode: true, daysVacant: true }, new Date(2025, 5, 10));
+    expect(csv).toBe('Unit Code,Days Vacant\r\n101,39\r\n');
+  });
+});
+
+describe('flaggedUnits and exitCodeFor', () => {
+  const issue = (ruleId) => ({ ruleId, name: ruleId, severity: 'warning', message: ruleId });
+  const units = [
+    { property: '14t', unitCode: '101', issues: [] },
+    { property: '14t', unitCode: '105', issues: [issue('rentedNotReady')] },
+    { property: '22w', unitCode: 'A201', issues: [issue('moveoutEqualsReady'), issue('unscopedMakeReady')] }
+  ];
+
+  test('counts units with any open issue', () => {
+    expect(flaggedUnits(units, {}).map(unit => unit.unitCode)).toEqual(['105', 'A201']);
+    expect(exitCodeFor(units, {})).toBe(EXIT_CODES.flagged);
+  });
+
+  test('skips issues that were acknowledged, fixed or ignored', () => {
+    const resolutions = {
+      [issueKey(units[1], 'rentedNotReady')]: { state: 'fixedInYardi', note: '' },
+      [issueKey(units[2], 'moveoutEqualsReady')]: { state: 'ignored', note: '' }
+    };
+    expect(flaggedUnits(units, resolutions).map(unit => unit.unitCode)).toEqual(['A201']);
+
+    const allResolved = { ...resolutions, [issueKey(units[2], 'unscopedMakeReady')]: { state: 'acknowledged', note: '' } };
+    expect(flaggedUnits(units, allResolved)).toEqual([]);
+    expect(exitCodeFor(units, allResolved)).toBe(EXIT_CODES.ok);
+  });
+
+  test('treats a resolution set back to open as unresolved', () => {
+    const resolutions = { [issueKey(units[1], 'rentedNotReady')]: { state: 'open', note: 'Checking with leasing' } };
+    expect(flaggedUnits([units[1]], resolutions)).toHaveLength(1);
+  });
+});
@@ -0,0 +1,47 @@
+import { calculateTurnMetrics } from './turnTimeMetrics';
+import { SEVERITIES } from './validationRules';
+
+// The unit columns the PDF and Excel exports offer, in report order.
+// value(unit, today) returns the raw value (dates stay Dates; a date that
+// couldn't be parsed is its original text) and each export formats it for
+// itself. Day counts are taken at the export's reference date.
+
+const dateValue = (field) => (unit) => {
+  if (unit[field] instanceof Date) return unit[field];
+  const issue = (unit.dateIssues || []).find(dateIssue => dateIssue.field === field);
+  return issue ? issue.raw : null;
+};
+
+export const REPORT_COLUMNS = [
+  { key: 'unitCode', label: 'Unit Code', shortLabel: 'Unit', type: 'text', value: unit => unit.unitCode },
+  { key: 'property', label: 'Property', type: 'text', value: unit => unit.property },
+  { key: 'category', label: 'Category', type: 'text', value: unit => unit.category },
+  { key: 'unitType', label: 'Unit Type', type: 'text', value: unit => unit.unitType },
+  { key: 'unitDescription', label: 'Description', type: 'text', value: unit => unit.unitDescription },
+  { key: 'rentalType', label: 'Rental Type', shortLabel: 'Type', type: 'text', value: unit => unit.rentalType },
+  { key: 'askingRent', label: 'Asking Rent', shortLabel: 'Rent', type: 'currency', value: unit => unit.askingRent },
+  { key: 'rentReady', label: 'Rent Ready', shortLabel: 'Ready', type: 'text', value: unit => unit.rentReady },
+  { key: 'status', label: 'Status', type: 'text', value: unit => unit.status },
+  { key: 'vacantAsOf', label: 'Vacant As Of', shortLabel: 'Vacant', type: 'date', value: dateValue('vacantAsOf') },
+  { key: 'estimatedReadyDate', label: 'Est. Ready Date', shortLabel: 'Est. Date', type: 'date', value: dateValue('estimatedReadyDate') },
+  { key: 'actualReadyDate', label: 'Actual Ready Date', shortLabel: 'Actual Date', type: 'date', value: dateValue('actualReadyDate') },
+  { key: 'daysUntilReady', label: 'Days Until Ready', shortLabel: 'Days', type: 'number', value: unit => unit.daysUntilReady },
+  { key: 'vacateType', label: 'Vacate Type', shortLabel: 'Vacate', type: 'text', value: unit => unit.vacateType },
+  { key: 'futureMoveInDate', label: 'Move In Date', shortLabel: 'Move In', type: 'date', value: dateValue('futureMoveInDate') },
+  { key: 'daysVacant', label: 'Days Vacant', shortLabel: 'Vacant Days', type: 'number', value: (unit, today) => calculateTurnMetrics(unit, today).daysVacant },
+  { key: 'turnDays', label: 'Moveout to Ready (Days)', shortLabel: 'Turn Days', type: 'number', value: (unit, today) => calculateTurnMetrics(unit, today).turnDays },
+  { key: 'readySlippage', label: 'Ready Date Slippage (Days)', shortLabel: 'Slippage', type: 'number', value: (unit, today) => calculateTurnMetrics(unit, today).readySlippage },
+  { key: 'workOrder', label: 'Work Order', type: 'text', value: unit => unit.workOrder },
+  { key: 'jobCode', label: 'Job Code', type: 'text', value: unit => unit.jobCode },
+  { key: 'makeReadyNotes', label: 'Make Ready Notes', shortLabel: 'Notes', type: 'text', value: unit => unit.makeReadyNotes },
+  { key: 'comments', label: 'Comments', type: 'text', value: unit => unit.comments },
+  { key: 'source', label: 'Source', type: 'text', value: unit => unit.source },
+  {
+    key: 'issues',
+    label: 'Issues',
+    type: 'text',
+    value: unit => unit.issues.map(issue => `${SEVERITIES[issue.severity].label}: ${issue.message}`).join('; ')
+  }
+];
+
+export const selectedColumns = (includeColumns) => REPORT_COLUMNS.filter(column => includeColumns[column.key]);
@@ -0,0 +1,280 @@
+import { DATE_FIELDS, DATE_LOCALES, DEFAULT_DATE_LOCALE, inferDateOrder, normalizeUnitDates } from './dateParsing';
+import { categorizeWithRules, defaultRulesConfig, rulesForProperty } from './categoryRules';
+import { defaultValidationConfig, evaluateValidationRules, resolveValidationRules } from './validationRules';
+import { detectLayout, getMappedCell, matchHeaderToField } from './columnMapping';
+import { findDuplicateUnits, parseAmount, unitKey } from './ingestion';
+
+// The RR report pipeline without React: sheet rows in, classified units out,
+// plus the dashboard's filtering and sorting. Rules are passed as the saved
+// configs (defaults when omitted) and everything date-based takes `today`, so
+// the same rows always give the same units.
+
+// Single cells are read with the same parser the pipeline uses
+export { inferDateOrder, normalizeDate } from './dateParsing';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// No filters and the category/bedrooms/rent order; saved views and shared
+// links are filled in from these
+export const EMPTY_FILTERS = {
+  property: '',
+  properties: [],
+  category: '',
+  rentReady: '',
+  bedrooms: '',
+  search: '',
+  rentMin: 0,
+  rentMax: 5000,
+  dateRange: {
+    start: '',
+    end: '',
+    dateType: 'estimated'
+  },
+  showFlaggedOnly: false
+};
+
+export const DEFAULT_SORT = { key: null, direction: 'asc' };
+
+const resolveOptions = ({ categoryRules, validationRules, today = new Date() } = {}) => ({
+  categoryRules: categoryRules || defaultRulesConfig(),
+  qualityRules: resolveValidationRules(validationRules || defaultValidationConfig()),
+  today
+});
+
+// "0014t11c" → "14t"
+export const extractPropertyFromUnitType = (unitType) => {
+  if (!unitType) return '';
+
+  const trimmed = unitType.toString().trim();
+  const withoutLeadingZeros = trimmed.replace(/^0+/, '');
+  const match = withoutLeadingZeros.match(/^(\d+[a-z]+)/i);
+
+  return match ? match[1] : '';
+};
+
+// "2 Bedroom Apartment" → 2; bachelor and studio units are 0 and anything
+// else sorts last as 999
+export const extractBedroomCount = (description) => {
+  const desc = description.toLowerCase();
+
+  const match = desc.match(/(\d+)[\s-]*bedroom/);
+  if (match) return parseInt(match[1]);
+
+  if (desc.includes('bachelor') || desc.includes('studio') || desc.includes('0 bedroom')) return 0;
+
+  return 999;
+};
+
+// Ready units count from their actual ready date, everything else from the
+// estimate
+export const calculateDaysUntilReady = (unit, today = new Date()) => {
+  if (unit.rentReady === 'yes' && unit.actualReadyDate) {
+    return Math.ceil((unit.actualReadyDate - today) / DAY_MS);
+  }
+
+  if (!unit.estimatedReadyDate) return null;
+  return Math.ceil((unit.estimatedReadyDate - today) / DAY_MS);
+};
+
+// Category, status, days and flags are derived from the raw fields, so they
+// can be recomputed whenever the category or data-quality rules change.
+// Quality rules run last because some of them look at the status.
+const classifyUnit = (unit, { categoryRules, qualityRules, today }) => {
+  const category = categorizeWithRules(unit, rulesForProperty(categoryRules, unit.property), today);
+  const classified = {
+    ...unit,
+    category: category.name,
+    categoryColor: category.color,
+    categoryOrder: category.order,
+    status: category.status
+  };
+  classified.daysUntilReady = calculateDaysUntilReady(classified, today);
+  classified.issues = evaluateValidationRules(classified, qualityRules, today);
+  classified.hasIssues = classified.issues.length > 0;
+
+  return classified;
+};
+
+export const classifyUnits = (units, options) => {
+  const resolved = resolveOptions(options);
+  return units.map(unit => classifyUnit(unit, resolved));
+};
+
+const readUnitRows = (rows, layout, { order, inferred }, resolved) => {
+  const { mapping } = layout;
+  const field = (row, fieldKey) => getMappedCell(row, mapping, fieldKey);
+  const text = (row, fieldKey) => field(row, fieldKey).toString();
+  const units = [];
+
+  for (let i = layout.headerRowIndex + 1; i < rows.length; i++) {
+    const row = rows[i] || [];
+    const firstCell = field(row, 'unitCode').toString().trim();
+
+    if (!row.some(cell => cell && cell.toString().trim() !== '')) continue;
+    if (firstCell.toLowerCase().includes('total')) continue;
+    if (matchHeaderToField(firstCell) === 'unitCode') continue;
+    if (!firstCell.match(/^\s*[A-Z0-9-]+\s*$/i)) continue;
+
+    const unitType = field(row, 'unitType');
+    const unitDescription = field(row, 'unitDescription');
+    const askingRent = field(row, 'askingRent');
+    const hasUnitData = unitType.toString().trim() !== '' &&
+      (unitDescription.toString().trim() !== '' || parseAmount(askingRent) > 0);
+    if (!hasUnitData) continue;
+
+    const { dates, dateQuality, dateIssues } = normalizeUnitDates({
+      vacantAsOf: field(row, 'vacantAsOf'),
+      futureMoveInDate: field(row, 'futureMoveInDate'),
+      estimatedReadyDate: field(row, 'estimatedReadyDate'),
+      actualReadyDate: field(row, 'actualReadyDate')
+    }, { order, inferred });
+
+    units.push(classifyUnit({
+      unitCode: firstCell,
+      unitType: unitType.toString(),
+      unitDescription: unitDescription.toString(),
+      rentalType: text(row, 'rentalType'),
+      vacantAsOf: dates.vacantAsOf,
+      vacateType: text(row, 'vacateType'),
+      futureMoveInDate: dates.futureMoveInDate,
+      workOrder: text(row, 'workOrder'),
+      askingRent: parseAmount(askingRent),
+      makeReadyNotes: text(row, 'makeReadyNotes'),
+      estimatedReadyDate: dates.estimatedReadyDate,
+      rentReady: text(row, 'rentReady').trim().toLowerCase(),
+      actualReadyDate: dates.actualReadyDate,
+      jobCode: text(row, 'jobCode'),
+      comments: text(row, 'comments'),
+      property: extractPropertyFromUnitType(unitType),
+      dateQuality,
+      dateIssues
+    }, resolved));
+  }
+
+  return units;
+};
+
+// Reads the unit rows below the header, skipping blank rows, total rows and
+// the header repeats of multi-page reports. `layout` comes from detectLayout
+// (or a confirmed mapping); `dateOptions` says how to read day/month order.
+export const processRows = (rows, layout, { dateOptions = {}, ...options } = {}) => {
+  const { order = DATE_LOCALES[DEFAULT_DATE_LOCALE].order, inferred = false } = dateOptions;
+  return readUnitRows(rows, layout, { order, inferred }, resolveOptions(options));
+};
+
+// Sources are { label, fileName, sheetName, rows, layout? } as produced by
+// ingestion; a missing layout is detected from the rows. A report that
+// contains 25/03/2025 was written day-first throughout, otherwise dates are
+// read in `dateOrder`. Units appearing in more than one source are marked.
+export const processSources = (sources, { dateOrder = DATE_LOCALES[DEFAULT_DATE_LOCALE].order, ...options } = {}) => {
+  const resolved = resolveOptions(options);
+
+  const units = sources.flatMap(source => {
+    const layout = source.layout || detectLayout(source.rows);
+    const dateColumns = DATE_FIELDS.map(fieldKey => layout.mapping[fieldKey]).filter(index => index !== undefined);
+    const inferredOrder = inferDateOrder(
+      source.rows.slice(layout.headerRowIndex + 1).flatMap(row => dateColumns.map(index => (row || [])[index]))
+    );
+    const dateOptions = { order: inferredOrder || dateOrder, inferred: Boolean(inferredOrder) };
+
+    return readUnitRows(source.rows, layout, dateOptions, resolved)
+      .map(unit => ({
+        ...unit,
+        source: source.label,
+        sourceFile: source.fileName,
+        sourceSheet: source.sheetName
+      }));
+  });
+
+  const duplicates = findDuplicateUnits(units);
+  const duplicateKeys = new Set(duplicates.map(duplicate => duplicate.key));
+  units.forEach(unit => {
+    unit.isDuplicate = duplicateKeys.has(unitKey(unit));
+  });
+
+  return { units, duplicates };
+};
+
+// Filter dates come from <input type="date"> as YYYY-MM-DD; read them as local
+// days so a unit ready on the end date is still included.
+const parseFilterDate = (value, endOfDay = false) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return endOfDay ? new Date(year, month - 1, day, 23, 59, 59, 999) : new Date(year, month - 1, day);
+};
+
+export const filterUnits = (units, filters = EMPTY_FILTERS) => {
+  const active = { ...EMPTY_FILTERS, ...filters, dateRange: { ...EMPTY_FILTERS.dateRange, ...filters.dateRange } };
+  let filtered = [...units];
+
+  if (active.property) {
+    filtered = filtered.filter(unit => unit.property.toLowerCase().includes(active.property.toLowerCase()));
+  }
+  if (active.properties.length > 0) {
+    filtered = filtered.filter(unit => active.properties.includes(unit.property));
+  }
+  if (active.category) {
+    filtered = filtered.filter(unit => unit.category === active.category);
+  }
+  if (active.rentReady) {
+    filtered = filtered.filter(unit => unit.rentReady === active.rentReady);
+  }
+  if (active.bedrooms !== '') {
+    filtered = filtered.filter(unit => String(extractBedroomCount(unit.unitDescription)) === String(active.bedrooms));
+  }
+  if (active.search) {
+    const search = active.search.toLowerCase();
+    filtered = filtered.filter(unit =>
+      ['unitCode', 'unitDescription', 'rentalType', 'makeReadyNotes', 'comments', 'jobCode']
+        .some(key => unit[key].toLowerCase().includes(search))
+    );
+  }
+  if (active.rentMin > 0 || active.rentMax < EMPTY_FILTERS.rentMax) {
+    filtered = filtered.filter(unit => unit.askingRent >= active.rentMin && unit.askingRent <= active.rentMax);
+  }
+  if (active.showFlaggedOnly) {
+    filtered = filtered.filter(unit => unit.hasIssues === true);
+  }
+  if (active.dateRange.start && active.dateRange.end) {
+    const startDate = parseFilterDate(active.dateRange.start);
+    const endDate = parseFilterDate(active.dateRange.end, true);
+    const dateField = active.dateRange.dateType === 'actual' ? 'actualReadyDate' : 'estimatedReadyDate';
+
+    filtered = filtered.filter(unit => {
+      const dateToCheck = unit[dateField];
+      return Boolean(dateToCheck) && dateToCheck >= startDate && dateToCheck <= endDate;
+    });
+  }
+
+  return filtered;
+};
+
+// Without a sort key units follow the category order, then bedrooms, then rent
+export const sortUnits = (units, sortConfig = DEFAULT_SORT) => {
+  const sorted = [...units];
+
+  if (sortConfig.key) {
+    return sorted.sort((a, b) => {
+      const aVal = a[sortConfig.key];
+      const bVal = b[sortConfig.key];
+
+      if (aVal < bVal) return sortConfig.direction === 'asc' ? -1 : 1;
+      if (aVal > bVal) return sortConfig.direction === 'asc' ? 1 : -1;
+      return 0;
+    });
+  }
+
+  return sorted.sort((a, b) => {
+    const categoryA = a.categoryOrder || 999;
+    const categoryB = b.categoryOrder || 999;
+    if (categoryA !== categoryB) return categoryA - categoryB;
+
+    const bedroomsA = extractBedroomCount(a.unitDescription);
+    const bedroomsB = extractBedroomCount(b.unitDescription);
+    if (bedroomsA !== bedroomsB) return bedroomsA - bedroomsB;
+
+    return a.askingRent - b.askingRent;
+  });
+};
+
+export const sortedAndFilteredUnits = (units, filters, sortConfig) =>
+  sortUnits(filterUnits(units, filters), sortConfig);
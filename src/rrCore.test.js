@@ -0,0 +1,296 @@
+/**
+ * @jest-environment node
+ */
+import fs from 'fs';
+import path from 'path';
+import { readFileSources } from './ingestion';
+import { detectLayout } from './columnMapping';
+import { defaultRulesConfig } from './categoryRules';
+import {
+  calculateDaysUntilReady,
+  classifyUnits,
+  extractBedroomCount,
+  extractPropertyFromUnitType,
+  filterUnits,
+  normalizeDate,
+  processRows,
+  processSources,
+  sortUnits,
+  sortedAndFilteredUnits
+} from './rrCore';
+
+// The fixtures are trimmed Yardi Rent Ready exports: a month-first report
+// with title rows, subtotals and a repeated header (also saved as an Excel
+// workbook with typed dates and amounts, and as the HTML print view), and a
+// day-first one with renamed columns that overlaps the first on unit 101.
+const TODAY = new Date(2025, 5, 10);
+
+const loadFixture = (name) => {
+  const bytes = fs.readFileSync(path.join(__dirname, '__fixtures__', name));
+  return readFileSources({
+    name,
+    arrayBuffer: async () => bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.length)
+  });
+};
+
+const byCode = (units) => Object.fromEntries(units.map(unit => [unit.unitCode, unit]));
+const day = (date) => [date.getFullYear(), date.getMonth() + 1, date.getDate()];
+
+let usSources;
+let dmySources;
+
+beforeAll(async () => {
+  usSources = await loadFixture('yardi-rent-ready-us.csv');
+  dmySources = await loadFixture('yardi-rent-ready-dmy.csv');
+});
+
+describe('extractPropertyFromUnitType', () => {
+  test.each([
+    ['0014t11c', '14t'],
+    ['  0022w01c ', '22w'],
+    ['31R21A', '31R'],
+    ['1234', ''],
+    ['', ''],
+    [null, '']
+  ])('%p → %p', (unitType, property) => {
+    expect(extractPropertyFromUnitType(unitType)).toBe(property);
+  });
+});
+
+describe('extractBedroomCount', () => {
+  test.each([
+    ['2 Bedroom Apartment', 2],
+    ['3-bedroom townhouse', 3],
+    ['Bachelor', 0],
+    ['Studio with den', 0],
+    ['Penthouse', 999]
+  ])('%p → %p', (description, bedrooms) => {
+    expect(extractBedroomCount(description)).toBe(bedrooms);
+  });
+});
+
+describe('normalizeDate', () => {
+  test('is the parser the pipeline reads date cells with', () => {
+    const { date, status } = normalizeDate('07/06/2025', { order: 'DMY' });
+    expect(status).toBe('ambiguous');
+    expect(day(date)).toEqual([2025, 6, 7]);
+  });
+});
+
+describe('calculateDaysUntilReady', () => {
+  test('counts ready units from the actual ready date', () => {
+    const unit = { rentReady: 'yes', actualReadyDate: new Date(2025, 5, 1), estimatedReadyDate: new Date(2025, 5, 20) };
+    expect(calculateDaysUntilReady(unit, TODAY)).toBe(-9);
+  });
+
+  test('counts other units from the estimate, or null without one', () => {
+    expect(calculateDaysUntilReady({ rentReady: 'no', estimatedReadyDate: new Date(2025, 5, 20) }, TODAY)).toBe(10);
+    expect(calculateDaysUntilReady({ rentReady: 'no', estimatedReadyDate: null }, TODAY)).toBeNull();
+  });
+});
+
+describe('processSources on a month-first report', () => {
+  let units;
+
+  beforeAll(() => {
+    ({ units } = processSources(usSources, { today: TODAY }));
+  });
+
+  test('skips titles, blank rows, totals, repeated headers and rows without unit data', () => {
+    expect(units.map(unit => unit.unitCode)).toEqual(['101', '102', '103', '104', '105', '106', '107', 'A201', 'A202', 'B301']);
+  });
+
+  test('reads properties, amounts and dates', () => {
+    const unit = byCode(units)['101'];
+    expect(unit.property).toBe('14t');
+    expect(unit.askingRent).toBe(1450);
+    expect(unit.rentReady).toBe('yes');
+    expect(day(unit.vacantAsOf)).toEqual([2025, 5, 2]);
+    expect(day(unit.actualReadyDate)).toEqual([2025, 5, 21]);
+    expect(unit.source).toBe('yardi-rent-ready-us.csv');
+    expect(byCode(units).A201.property).toBe('22w');
+  });
+
+  test('assigns the default categories relative to today', () => {
+    const categories = Object.fromEntries(units.map(unit => [unit.unitCode, unit.category]));
+    expect(categories).toEqual({
+      101: 'Available & Rent Ready',
+      102: 'Available in Next 30 Days',
+      103: 'Available in Next 31-60 Days',
+      104: 'Available in More than 60 Days',
+      105: 'Already Rented',
+      106: 'Down/Hold/Model/Development',
+      107: 'Available & Rent Ready (Flagged)',
+      A201: 'Available in Next 30 Days',
+      A202: 'Already Rented',
+      B301: 'Down/Hold/Model/Development'
+    });
+    expect(byCode(units)['106'].status).toBe('Not Available');
+  });
+
+  test('works out days until ready', () => {
+    const indexed = byCode(units);
+    expect(indexed['101'].daysUntilReady).toBe(-20);
+    expect(indexed['102'].daysUntilReady).toBe(10);
+    expect(indexed['104'].daysUntilReady).toBe(112);
+    expect(indexed.B301.daysUntilReady).toBeNull();
+  });
+
+  test('flags data-quality issues, most severe first', () => {
+    const issues = Object.fromEntries(units.map(unit => [unit.unitCode, unit.issues.map(issue => issue.ruleId)]));
+    expect(issues).toEqual({
+      101: [],
+      102: [],
+      103: [],
+      104: [],
+      105: ['rentedNotReady'],
+      106: ['unavailableMarkedReady'],
+      107: ['rentReadyWithoutActualDate'],
+      A201: ['moveoutEqualsReady', 'unscopedMakeReady'],
+      A202: ['rentedNotReady'],
+      B301: []
+    });
+    expect(units.filter(unit => unit.hasIssues)).toHaveLength(5);
+  });
+
+  test('keeps unreadable dates as date issues', () => {
+    const { A202, B301 } = byCode(units);
+    expect(A202.futureMoveInDate).toBeNull();
+    expect(A202.dateIssues).toEqual([{ field: 'futureMoveInDate', status: 'invalid', raw: 'TBD' }]);
+    expect(B301.dateIssues).toEqual([{ field: 'estimatedReadyDate', status: 'invalid', raw: '13/45/2025' }]);
+  });
+});
+
+describe('processSources across file formats', () => {
+  // Everything but the tags saying which file a unit came from
+  const records = (sources) => processSources(sources, { today: TODAY }).units
+    .map(({ source, sourceFile, sourceSheet, ...unit }) => unit);
+
+  test.each([
+    ['an Excel workbook', 'yardi-rent-ready-us.xlsx'],
+    ['a saved HTML view', 'yardi-rent-ready-us.html']
+  ])('reads %s of the month-first report exactly like the CSV', async (format, name) => {
+    const sources = await loadFixture(name);
+    expect(sources).toHaveLength(1);
+    expect(records(sources)).toEqual(records(usSources));
+  });
+});
+
+describe('processSources on a day-first report', () => {
+  test('maps renamed columns and infers the day-first order', () => {
+    const { units } = processSources(dmySources, { today: TODAY });
+    const unit = byCode(units)['1102'];
+    expect(units.map(candidate => candidate.unitCode)).toEqual(['1101', '1102', '1103', '101']);
+    expect(day(unit.estimatedReadyDate)).toEqual([2025, 6, 3]);
+    expect(day(unit.actualReadyDate)).toEqual([2025, 6, 4]);
+    expect(unit.dateIssues).toEqual([]);
+    expect(unit.category).toBe('Available & Rent Ready');
+    expect(byCode(units)['1103'].category).toBe('Already Rented');
+  });
+
+  test('falls back to the given order when a report does not settle it', () => {
+    const rows = [
+      ['Unit', 'Unit Type', 'Unit Description', 'Asking Rent', 'Estimated Ready Date', 'Rent Ready'],
+      ['1', '0031r11a', '1 Bedroom', 1000, '07/06/2025', 'No']
+    ];
+    const layout = detectLayout(rows);
+    const [monthFirst] = processRows(rows, layout, { today: TODAY });
+    const [dayFirst] = processRows(rows, layout, { today: TODAY, dateOptions: { order: 'DMY' } });
+    expect(day(monthFirst.estimatedReadyDate)).toEqual([2025, 7, 6]);
+    expect(day(dayFirst.estimatedReadyDate)).toEqual([2025, 6, 7]);
+    expect(monthFirst.dateQuality.estimatedReadyDate).toBe('ambiguous');
+  });
+});
+
+describe('processSources across several reports', () => {
+  test('tags units with their source and reports overlapping units', () => {
+    const { units, duplicates } = processSources([...usSources, ...dmySources], { today: TODAY });
+    expect(units).toHaveLength(14);
+    expect(duplicates).toEqual([{
+      key: '14t::101',
+      property: '14t',
+      unitCode: '101',
+      sources: ['yardi-rent-ready-us.csv', 'yardi-rent-ready-dmy.csv']
+    }]);
+    expect(units.filter(unit => unit.isDuplicate).map(unit => unit.source))
+      .toEqual(['yardi-rent-ready-us.csv', 'yardi-rent-ready-dmy.csv']);
+  });
+});
+
+describe('classifyUnits', () => {
+  let units;
+
+  beforeAll(() => {
+    ({ units } = processSources(usSources, { today: TODAY }));
+  });
+
+  test('moves units between categories as today changes', () => {
+    const later = byCode(classifyUnits(units, { today: new Date(2025, 5, 30) }));
+    expect(later['103'].category).toBe('Available in Next 30 Days');
+    expect(later['103'].daysUntilReady).toBe(25);
+    expect(byCode(units)['103'].category).toBe('Available in Next 31-60 Days');
+  });
+
+  test('applies per-property category rules and custom quality rules', () => {
+    const categoryRules = {
+      ...defaultRulesConfig(),
+      properties: {
+        '22w': [{ id: 'leaseUp', name: 'Lease-Up', color: 'teal', status: 'Future', priority: 1, conditions: [{ type: 'always' }] }]
+      }
+    };
+    const validationRules = {
+      builtIn: { unscopedMakeReady: { enabled: false } },
+      custom: [{
+        id: 'rule-low-rent',
+        name: 'Rent under $1,000',
+        severity: 'warning',
+        message: 'Asking rent is under $1,000.',
+        conditions: [{ type: 'askingRent', operator: 'lte', amount: 1000 }]
+      }]
+    };
+
+    const reclassified = byCode(classifyUnits(units, { categoryRules, validationRules, today: TODAY }));
+    expect(reclassified.A201.category).toBe('Lease-Up');
+    expect(reclassified.B301.category).toBe('Lease-Up');
+    expect(reclassified['101'].category).toBe('Available & Rent Ready');
+    expect(reclassified.A201.issues.map(issue => issue.ruleId)).toEqual(['moveoutEqualsReady', 'rule-low-rent']);
+  });
+});
+
+describe('filterUnits and sortUnits', () => {
+  let units;
+
+  beforeAll(() => {
+    ({ units } = processSources(usSources, { today: TODAY }));
+  });
+
+  const codes = (list) => list.map(unit => unit.unitCode);
+
+  test('sorts by category order, then bedrooms, then rent by default', () => {
+    expect(codes(sortUnits(units))).toEqual(['101', '107', 'A201', '102', '103', '104', '105', 'A202', '106', 'B301']);
+  });
+
+  test('sorts by a column in either direction', () => {
+    expect(codes(sortUnits(units, { key: 'askingRent', direction: 'desc' })).slice(0, 3)).toEqual(['104', '103', '102']);
+    expect(codes(sortUnits(units, { key: 'askingRent', direction: 'asc' }))[0]).toBe('A201');
+  });
+
+  test('combines filters', () => {
+    expect(codes(filterUnits(units, { properties: ['22w'] }))).toEqual(['A201', 'A202', 'B301']);
+    expect(codes(filterUnits(units, { search: 'paint' }))).toEqual(['101', '105', '107']);
+    expect(codes(filterUnits(units, { bedrooms: '2', rentReady: 'no' }))).toEqual(['102', '103', 'A202', 'B301']);
+    expect(codes(filterUnits(units, { showFlaggedOnly: true, property: '14' }))).toEqual(['105', '106', '107']);
+    expect(codes(filterUnits(units, { rentMin: 1500, rentMax: 1800 }))).toEqual(['102', '103', 'A202', 'B301']);
+  });
+
+  test('includes units ready on the last day of a date range', () => {
+    const dateRange = { start: '2025-06-01', end: '2025-06-20', dateType: 'estimated' };
+    expect(codes(filterUnits(units, { dateRange }))).toEqual(['102', '105', 'A201', 'A202']);
+    expect(codes(filterUnits(units, { dateRange: { ...dateRange, start: '2025-05-01', dateType: 'actual' } }))).toEqual(['101']);
+  });
+
+  test('filters before sorting', () => {
+    const filters = { rentReady: 'yes' };
+    expect(codes(sortedAndFilteredUnits(units, filters, { key: 'unitCode', direction: 'desc' }))).toEqual(['107', '106', '101']);
+  });
+});
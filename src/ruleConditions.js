@@ -0,0 +1,88 @@
+import { hasDateEntry } from './dateParsing';
+
+// Conditions shared by the category rules and the data-quality rules. A
+// condition is plain data ({ type, ...params }) so rule sets can be saved,
+// edited in the UI and shared between browsers.
+
+export const TEXT_FIELDS = {
+  rentalType: 'Rental Type',
+  comments: 'Comments',
+  makeReadyNotes: 'Make Ready Notes',
+  unitDescription: 'Description',
+  vacateType: 'Vacate Type',
+  jobCode: 'Job Code'
+};
+
+export const RULE_DATE_FIELDS = {
+  futureMoveInDate: 'Future Move In Date',
+  actualReadyDate: 'Actual Ready Date',
+  estimatedReadyDate: 'Estimated Ready Date',
+  vacantAsOf: 'Vacant As Of'
+};
+
+export const RENT_OPERATORS = {
+  lte: 'at most',
+  gte: 'at least',
+  eq: 'exactly'
+};
+
+// `afterCategorization` conditions depend on the unit's category or status,
+// so they only make sense in data-quality rules.
+export const CONDITION_TYPES = {
+  keywords: { label: 'Text contains any of', defaults: { fields: ['rentalType', 'comments'], keywords: [] } },
+  hasDate: { label: 'Date is filled in', defaults: { field: 'futureMoveInDate' } },
+  missingDate: { label: 'Date is empty', defaults: { field: 'actualReadyDate' } },
+  datePast: { label: 'Date is before today', defaults: { field: 'estimatedReadyDate' } },
+  rentReady: { label: 'Rent ready is', defaults: { value: 'yes' } },
+  readyWithinDays: { label: 'Estimated ready within (days)', defaults: { days: 30 } },
+  askingRent: { label: 'Asking rent is', defaults: { operator: 'lte', amount: 0 } },
+  statusIs: { label: 'Unit status is', defaults: { value: 'Not Available' }, afterCategorization: true },
+  always: { label: 'Always (catch-all)', defaults: {} }
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const newCondition = (type = 'keywords') => ({
+  type,
+  ...JSON.parse(JSON.stringify(CONDITION_TYPES[type].defaults))
+});
+
+export const matchesCondition = (unit, condition, today = new Date()) => {
+  switch (condition.type) {
+    case 'keywords': {
+      const keywords = (condition.keywords || []).map(keyword => keyword.toLowerCase().trim()).filter(Boolean);
+      return (condition.fields || []).some(field => {
+        const value = (unit[field] || '').toString().toLowerCase();
+        return keywords.some(keyword => value.includes(keyword));
+      });
+    }
+    case 'hasDate':
+      return hasDateEntry(unit, condition.field);
+    case 'missingDate':
+      return !hasDateEntry(unit, condition.field);
+    case 'datePast':
+      return unit[condition.field] instanceof Date && unit[condition.field] < startOfDay(today);
+    case 'rentReady':
+      return condition.value === 'yes' ? unit.rentReady === 'yes' : unit.rentReady !== 'yes';
+    case 'readyWithinDays': {
+      if (!(unit.estimatedReadyDate instanceof Date)) return false;
+      const diffDays = Math.ceil((unit.estimatedReadyDate - today) / DAY_MS);
+      return diffDays <= Number(condition.days);
+    }
+    case 'askingRent': {
+      const rent = unit.askingRent || 0;
+      const amount = Number(condition.amount) || 0;
+      if (condition.operator === 'gte') return rent >= amount;
+      if (condition.operator === 'eq') return rent === amount;
+      return rent <= amount;
+    }
+    case 'statusIs':
+      return unit.status === condition.value;
+    case 'always':
+      return true;
+    default:
+      return false;
+  }
+};
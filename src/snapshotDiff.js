@@ -0,0 +1,91 @@
+import { hasDateEntry } from './dateParsing';
+import { unitKey } from './ingestion';
+
+// Compares two snapshots unit by unit (matched on property + unit code) and
+// lists what leasing cares about from one week's report to the next.
+
+export const CHANGE_TYPES = {
+  becameReady: { label: 'Became Rent Ready', color: 'bg-green-100 text-green-800' },
+  rented: { label: 'Rented', color: 'bg-orange-100 text-orange-800' },
+  readyDateSlipped: { label: 'Ready Date Slipped', color: 'bg-red-100 text-red-800' },
+  rentChanged: { label: 'Asking Rent Changed', color: 'bg-blue-100 text-blue-800' },
+  added: { label: 'New in Report', color: 'bg-purple-100 text-purple-800' },
+  removed: { label: 'No Longer in Report', color: 'bg-gray-100 text-gray-800' }
+};
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+const formatDate = (date) => (date instanceof Date ? date.toLocaleDateString() : '');
+
+const formatRent = (rent) => `$${(rent || 0).toLocaleString()}`;
+
+const change = (type, unit, before, after, detail) => ({
+  type,
+  property: unit.property,
+  unitCode: unit.unitCode,
+  unitDescription: unit.unitDescription,
+  before,
+  after,
+  detail
+});
+
+const indexUnits = (units) => new Map(units.map(unit => [unitKey(unit), unit]));
+
+const asDate = (value) => (value instanceof Date ? value : value ? new Date(value) : null);
+
+export const diffSnapshots = (olderUnits, newerUnits) => {
+  const older = indexUnits(olderUnits);
+  const newer = indexUnits(newerUnits);
+  const changes = [];
+
+  newer.forEach((after, key) => {
+    const before = older.get(key);
+    if (!before) {
+      changes.push(change('added', after, '', after.category, `Now listed as ${after.category}`));
+      return;
+    }
+
+    if (before.rentReady !== 'yes' && after.rentReady === 'yes') {
+      changes.push(change('becameReady', after, before.category, after.category, 'Marked rent ready'));
+    }
+
+    if (!hasDateEntry(before, 'futureMoveInDate') && hasDateEntry(after, 'futureMoveInDate')) {
+      const moveIn = asDate(after.futureMoveInDate);
+      changes.push(change('rented', after, before.category, after.category,
+        moveIn ? `Move-in ${formatDate(moveIn)}` : 'Move-in date added'));
+    }
+
+    const beforeReady = asDate(before.estimatedReadyDate);
+    const afterReady = asDate(after.estimatedReadyDate);
+    if (beforeReady && afterReady && afterReady > beforeReady) {
+      const slipDays = Math.round((afterReady - beforeReady) / DAY_MS);
+      changes.push(change('readyDateSlipped', after, formatDate(beforeReady), formatDate(afterReady),
+        `Estimated ready date moved out ${slipDays} day${slipDays === 1 ? '' : 's'}`));
+    }
+
+    if ((before.askingRent || 0) !== (after.askingRent || 0)) {
+      const delta = (after.askingRent || 0) - (before.askingRent || 0);
+      changes.push(change('rentChanged', after, formatRent(before.askingRent), formatRent(after.askingRent),
+        `${delta > 0 ? '+' : '-'}${formatRent(Math.abs(delta))}`));
+    }
+  });
+
+  older.forEach((before, key) => {
+    if (!newer.has(key)) {
+      changes.push(change('removed', before, before.category, '', 'Not in the newer report'));
+    }
+  });
+
+  const typeOrder = Object.keys(CHANGE_TYPES);
+  return changes.sort((a, b) =>
+    typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type) ||
+    a.property.localeCompare(b.property) ||
+    a.unitCode.localeCompare(b.unitCode)
+  );
+};
+
+export const countChangesByType = (changes) =>
+  changes.reduce((counts, item) => {
+    counts[item.type] = (counts[item.type] || 0) + 1;
+    return counts;
+  }, {});
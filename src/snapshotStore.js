@@ -0,0 +1,74 @@
+// Every processed RR report is kept as a dated snapshot in IndexedDB so
+// reports can be compared week over week.
+
+const DB_NAME = 'rrDashboard';
+const DB_VERSION = 1;
+const SNAPSHOT_STORE = 'snapshots';
+
+let dbPromise = null;
+
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (dbPromise) return dbPromise;
+
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SNAPSHOT_STORE)) {
+        const store = db.createObjectStore(SNAPSHOT_STORE, { keyPath: 'id', autoIncrement: true });
+        store.createIndex('createdAt', 'createdAt');
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+  // Let a later call retry if opening failed (e.g. storage was blocked)
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+
+  return dbPromise;
+};
+
+const withStore = async (mode, callback) => {
+  const db = await openDb();
+  const transaction = db.transaction(SNAPSHOT_STORE, mode);
+  return callback(transaction.objectStore(SNAPSHOT_STORE));
+};
+
+const snapshotSummary = ({ units, ...summary }) => summary;
+
+export const saveSnapshot = ({ name, units, sources }) =>
+  withStore('readwrite', store => requestToPromise(store.add({
+    name,
+    sources,
+    unitCount: units.length,
+    createdAt: new Date(),
+    units
+  })));
+
+// Newest first, without the unit payloads
+export const listSnapshots = () =>
+  withStore('readonly', async store => {
+    const snapshots = await requestToPromise(store.getAll());
+    return snapshots
+      .map(snapshotSummary)
+      .sort((a, b) => b.createdAt - a.createdAt);
+  });
+
+export const getSnapshot = (id) =>
+  withStore('readonly', store => requestToPromise(store.get(id)));
+
+export const deleteSnapshot = (id) =>
+  withStore('readwrite', store => requestToPromise(store.delete(id)));
@@ -0,0 +1,197 @@
+// A small template language on top of the existing [PLACEHOLDER] syntax:
+//
+//   [NAME]                    variable
+//   [NAME|Jane]               variable with a default value
+//   [#if PROMO] ... [else] ... [/if]
+//   [#if !PROMO] ... [/if]    negated condition
+//   [#each AVAILABLE UNITS] ... [/each]
+//
+// Names are upper-case words (spaces allowed). Inside a loop, the item's
+// fields (e.g. [UNIT], [RENT]) are looked up before the outer variables.
+// Bracketed text that doesn't fit these shapes is left alone.
+
+const NAME = '[A-Z][A-Z0-9 _]*?';
+const VARIABLE_PATTERN = new RegExp(`^(${NAME})\\s*(?:\\|([^\\]]*))?$`);
+const IF_PATTERN = new RegExp(`^#if\\s+(!?)\\s*(${NAME})\\s*$`);
+const EACH_PATTERN = new RegExp(`^#each\\s+(${NAME})\\s*$`);
+
+const classifyTag = (body) => {
+  const trimmed = body.trim();
+  let match;
+  if ((match = trimmed.match(IF_PATTERN))) return { type: 'if', negate: match[1] === '!', name: match[2].trim() };
+  if ((match = trimmed.match(EACH_PATTERN))) return { type: 'each', name: match[1].trim() };
+  if (trimmed === '/if') return { type: 'endif' };
+  if (trimmed === '/each') return { type: 'endeach' };
+  if (trimmed === 'else') return { type: 'else' };
+  if ((match = body.match(VARIABLE_PATTERN))) {
+    return { type: 'var', name: match[1].trim(), defaultValue: match[2] };
+  }
+  return null;
+};
+
+const BLOCK_TAGS = ['if', 'each', 'endif', 'endeach', 'else'];
+
+// Block tags on a line of their own take the whole line with them, so
+// conditionals don't leave blank lines behind.
+export const tokenize = (template) => {
+  const tokens = [];
+  const tagPattern = /\[([^[\]\n]+)\]/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = tagPattern.exec(template))) {
+    const tag = classifyTag(match[1]);
+    if (!tag) continue;
+
+    let start = match.index;
+    let end = tagPattern.lastIndex;
+    if (BLOCK_TAGS.includes(tag.type)) {
+      const lineStart = template.lastIndexOf('\n', start - 1) + 1;
+      const lineEndIndex = template.indexOf('\n', end);
+      const lineEnd = lineEndIndex === -1 ? template.length : lineEndIndex;
+      const standalone = !template.slice(lineStart, start).trim() && !template.slice(end, lineEnd).trim();
+      if (standalone && lineStart >= lastIndex) {
+        start = lineStart;
+        end = lineEndIndex === -1 ? lineEnd : lineEnd + 1;
+        tagPattern.lastIndex = end;
+      }
+    }
+
+    if (start > lastIndex) tokens.push({ type: 'text', value: template.slice(lastIndex, start) });
+    tokens.push({ ...tag, raw: match[0], source: template.slice(start, end) });
+    lastIndex = end;
+  }
+
+  if (lastIndex < template.length) tokens.push({ type: 'text', value: template.slice(lastIndex) });
+  return tokens;
+};
+
+// Builds the block tree. Unbalanced tags become errors and are kept as text.
+export const parseTemplate = (template) => {
+  const root = { type: 'root', children: [] };
+  const stack = [root];
+  const errors = [];
+  const current = () => stack[stack.length - 1];
+  const target = () => {
+    const node = current();
+    return node.type === 'if' && node.inElse ? node.otherwise : node.children;
+  };
+
+  tokenize(template).forEach(token => {
+    switch (token.type) {
+      case 'if':
+        stack.push({ type: 'if', name: token.name, negate: token.negate, children: [], otherwise: [], inElse: false, raw: token.raw });
+        break;
+      case 'each':
+        stack.push({ type: 'each', name: token.name, children: [], raw: token.raw });
+        break;
+      case 'else':
+        if (current().type === 'if' && !current().inElse) {
+          current().inElse = true;
+        } else {
+          errors.push(`${token.raw} without a matching [#if]`);
+          target().push({ type: 'text', value: token.source });
+        }
+        break;
+      case 'endif':
+      case 'endeach': {
+        const expected = token.type === 'endif' ? 'if' : 'each';
+        if (current().type === expected) {
+          const node = stack.pop();
+          target().push(node);
+        } else {
+          errors.push(`${token.raw} without a matching [#${expected}]`);
+          target().push({ type: 'text', value: token.source });
+        }
+        break;
+      }
+      default:
+        target().push(token);
+    }
+  });
+
+  while (stack.length > 1) {
+    const node = stack.pop();
+    errors.push(`${node.raw} is never closed`);
+    target().push(node);
+  }
+
+  return { nodes: root.children, errors };
+};
+
+// Every variable a user could be asked for, in order of first use. Loop item
+// fields are excluded inside their loop; list names are excluded everywhere.
+export const extractVariables = (template, lists = {}, itemFields = []) => {
+  const { nodes } = parseTemplate(template);
+  const variables = new Map();
+
+  const note = (name, patch) => {
+    const existing = variables.get(name) || { name, defaultValue: undefined, conditionOnly: true };
+    variables.set(name, {
+      ...existing,
+      ...patch,
+      defaultValue: existing.defaultValue !== undefined ? existing.defaultValue : patch.defaultValue
+    });
+  };
+
+  const walk = (children, inLoop) => {
+    children.forEach(node => {
+      if (node.type === 'var' && !(inLoop && itemFields.includes(node.name))) {
+        note(node.name, { conditionOnly: false, defaultValue: node.defaultValue });
+      } else if (node.type === 'if') {
+        if (!lists[node.name] && !(inLoop && itemFields.includes(node.name))) note(node.name, {});
+        walk(node.children, inLoop);
+        walk(node.otherwise, inLoop);
+      } else if (node.type === 'each') {
+        walk(node.children, true);
+      }
+    });
+  };
+
+  walk(nodes, false);
+  return [...variables.values()];
+};
+
+const present = (value) => value !== undefined && value !== null && String(value).trim() !== '';
+
+// Renders with the given values. Variables with neither a value nor a
+// default stay in the output as [NAME] and are reported as unresolved.
+export const renderTemplate = (template, values = {}, lists = {}) => {
+  const { nodes, errors } = parseTemplate(template);
+  const unresolved = new Set();
+
+  const lookup = (name, scopes) => {
+    const scope = scopes.find(candidate => present(candidate[name]));
+    return scope ? String(scope[name]) : undefined;
+  };
+
+  const renderNodes = (children, scopes) => children.map(node => {
+    switch (node.type) {
+      case 'text':
+        return node.value;
+      case 'var': {
+        const value = lookup(node.name, scopes);
+        if (value !== undefined) return value;
+        if (node.defaultValue !== undefined) return node.defaultValue;
+        unresolved.add(node.name);
+        return `[${node.name}]`;
+      }
+      case 'if': {
+        const truthy = lists[node.name] ? lists[node.name].length > 0 : lookup(node.name, scopes) !== undefined;
+        return renderNodes(truthy !== node.negate ? node.children : node.otherwise, scopes);
+      }
+      case 'each': {
+        if (!lists[node.name]) {
+          errors.push(`[#each ${node.name}] refers to an unknown list`);
+          return '';
+        }
+        return lists[node.name].map(item => renderNodes(node.children, [item, ...scopes])).join('');
+      }
+      default:
+        return '';
+    }
+  }).join('');
+
+  const text = renderNodes(nodes, [values]);
+  return { text, unresolved: [...unresolved], errors };
+};
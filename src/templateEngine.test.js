@@ -0,0 +1,98 @@
+/**
+ * @jest-environment node
+ */
+import { extractVariables, renderTemplate } from './templateEngine';
+
+const UNITS = [
+  { UNIT: '101', RENT: '$1,450' },
+  { UNIT: '102', RENT: '$1,725' }
+];
+
+describe('variables', () => {
+  test('fills in values and falls back to the default', () => {
+    expect(renderTemplate('Hi [NAME|there], see you [DAY|soon].', { NAME: 'Sam' }).text).toBe('Hi Sam, see you soon.');
+  });
+
+  test('uses the default for blank values and allows an empty default', () => {
+    expect(renderTemplate('Hi [NAME|there]![NOTE|]', { NAME: '  ' }).text).toBe('Hi there!');
+  });
+
+  test('leaves variables without a value or default in place and reports them once', () => {
+    const { text, unresolved, errors } = renderTemplate('[NAME], unit [UNIT] for [NAME]', { UNIT: '101' });
+    expect(text).toBe('[NAME], unit 101 for [NAME]');
+    expect(unresolved).toEqual(['NAME']);
+    expect(errors).toEqual([]);
+  });
+
+  test('leaves bracketed text that is not a tag alone', () => {
+    expect(renderTemplate('[lowercase] [#unknown] [A]', { A: 'x' }).text).toBe('[lowercase] [#unknown] x');
+  });
+});
+
+describe('[#if]', () => {
+  const template = 'Hello[#if PROMO] - [PROMO][else] - no promo[/if]';
+
+  test('picks the branch by whether the value is filled in', () => {
+    expect(renderTemplate(template, { PROMO: '1 month free' }).text).toBe('Hello - 1 month free');
+    expect(renderTemplate(template, { PROMO: '' }).text).toBe('Hello - no promo');
+  });
+
+  test('supports negated conditions and lists as conditions', () => {
+    expect(renderTemplate('[#if !PARKING]No parking.[/if]', {}).text).toBe('No parking.');
+    expect(renderTemplate('[#if UNITS]Some[else]None[/if]', {}, { UNITS: [] }).text).toBe('None');
+    expect(renderTemplate('[#if UNITS]Some[else]None[/if]', {}, { UNITS }).text).toBe('Some');
+  });
+
+  test('drops block tags on their own line without leaving blank lines', () => {
+    const text = 'Hi,\n[#if PROMO]\nPromo: [PROMO]\n[/if]\nThanks';
+    expect(renderTemplate(text, { PROMO: 'Free parking' }).text).toBe('Hi,\nPromo: Free parking\nThanks');
+    expect(renderTemplate(text, {}).text).toBe('Hi,\nThanks');
+  });
+});
+
+describe('[#each]', () => {
+  test('repeats the block for each unit, looking up item fields first', () => {
+    const template = '[#each UNITS]\n• [UNIT] at [RENT] for [NAME]\n[/each]';
+    expect(renderTemplate(template, { NAME: 'Sam', UNIT: 'outer' }, { UNITS }).text)
+      .toBe('• 101 at $1,450 for Sam\n• 102 at $1,725 for Sam\n');
+  });
+
+  test('renders nothing for an empty list and reports unknown lists', () => {
+    expect(renderTemplate('[#each UNITS][UNIT][/each]', {}, { UNITS: [] }).text).toBe('');
+    const { text, errors } = renderTemplate('A[#each PETS][NAME][/each]B');
+    expect(text).toBe('AB');
+    expect(errors).toEqual(['[#each PETS] refers to an unknown list']);
+  });
+
+  test('does not ask for loop item fields or list names as variables', () => {
+    const template = '[NAME|friend][#if UNITS][#each UNITS][UNIT] [RENT][/each][/if][#if PROMO]![/if]';
+    expect(extractVariables(template, { UNITS }, ['UNIT', 'RENT'])).toEqual([
+      { name: 'NAME', defaultValue: 'friend', conditionOnly: false },
+      { name: 'PROMO', defaultValue: undefined, conditionOnly: true }
+    ]);
+  });
+});
+
+describe('malformed blocks', () => {
+  test('reports unclosed blocks but still renders their contents', () => {
+    const { text, errors } = renderTemplate('[#if PROMO]Promo: [PROMO]', { PROMO: 'Yes' });
+    expect(text).toBe('Promo: Yes');
+    expect(errors).toEqual(['[#if PROMO] is never closed']);
+    expect(renderTemplate('[#each UNITS][UNIT]', {}, { UNITS }).errors).toEqual(['[#each UNITS] is never closed']);
+  });
+
+  test('reports stray closing and else tags and keeps them as text', () => {
+    const { text, errors } = renderTemplate('A [/if] B [else] C [/each]');
+    expect(text).toBe('A [/if] B [else] C [/each]');
+    expect(errors).toEqual([
+      '[/if] without a matching [#if]',
+      '[else] without a matching [#if]',
+      '[/each] without a matching [#each]'
+    ]);
+  });
+
+  test('reports blocks closed in the wrong order', () => {
+    const { errors } = renderTemplate('[#if A][#each UNITS]x[/if][/each]', { A: 'y' }, { UNITS: [{}] });
+    expect(errors).toEqual(['[/if] without a matching [#if]', '[#if A] is never closed']);
+  });
+});
@@ -0,0 +1,209 @@
+// The email template library. Templates live in localStorage and can be
+// shared as JSON; the shipped templates can always be restored.
+
+export const DEFAULT_EMAIL_TEMPLATES = [
+  {
+    id: 'inquiry',
+    name: 'Initial Inquiry Response',
+    category: 'Leasing',
+    template: `Thank you for your inquiry!
+
+[#if PROMO]
+***** [PROMO] *****
+(Select units, limited time offer, move in by [DATE] to qualify)
+
+[/if]
+I'm [NAME], the Leasing Consultant for [PROPERTIES].
+
+=== CURRENT AVAILABILITY & PRICING ===
+
+>> AVAILABLE NOW (Immediate Move-in):
+• 1-bedroom suites starting at $[PRICE]/month
+• 2-bedroom suites starting at $[PRICE]/month
+
+>> [MONTH] MOVE-IN READY:
+• Bachelor suites starting at $[PRICE]/month
+• 1-bedroom suites starting at $[PRICE]/month
+• 2-bedroom suites starting at $[PRICE]/month
+
+⚠️ IMPORTANT: Availability depends on units not being leased by the time you contact us.
+💧 UTILITIES: Water and heat included, hydro extra.
+📱 CONTACT: Virtual tours available! Call me directly at [PHONE].
+
+Looking forward to seeing you soon!`
+  },
+  {
+    id: 'approval',
+    name: 'Approval Welcome Email',
+    category: 'Approvals',
+    template: `Dear [TENANT NAME],
+
+🏠 Welcome to Your New Home at Unit [NUMBER], [ADDRESS]!
+
+You have officially been APPROVED! 
+
+📋 PRE-MOVE-IN CHECKLIST
+
+✅ STEP 1: TENANT INSURANCE (Required)
+• $2,000,000 personal liability coverage
+• Effective date must match key pickup date
+• Recommended: Apollo Tenant Insurance
+
+✅ STEP 2: UTILITY SETUP (Required)
+• Provider: [UTILITY PROVIDER]
+• Submit confirmation with name, address, start date
+
+✅ STEP 3: RENT CAFÉ APP
+• Registration code: T-CODE: [CODE]
+
+✅ STEP 4: FINANCIAL REQUIREMENTS
+• Last Month's Rent: $[LAST MONTH RENT]
+• Key/Fob Deposit: $[KEY DEPOSIT]
+• Less Application Deposit: -$500
+• TOTAL DUE: $[TOTAL DUE]
+
+Contact me at [PHONE] with questions!`
+  },
+  {
+    id: 'availableList',
+    name: 'Available Units List',
+    category: 'Leasing',
+    template: `Hi [PROSPECT NAME|there],
+
+Thanks for your interest! Here's what we have right now:
+
+[#if AVAILABLE UNITS]
+>> AVAILABLE NOW:
+[#each AVAILABLE UNITS]
+• [BEDROOMS] suite [UNIT] at [PROPERTY] – $[RENT]/month
+[/each]
+[else]
+Nothing is move-in ready today, but more suites are coming up soon.
+[/if]
+
+[#if UPCOMING UNITS]
+>> COMING SOON:
+[#each UPCOMING UNITS]
+• [BEDROOMS] suite [UNIT] at [PROPERTY] – $[RENT]/month, ready [READY DATE]
+[/each]
+
+[/if]
+📱 CONTACT: Virtual tours available! Call me directly at [PHONE].
+
+[NAME]`
+  },
+  {
+    id: 'custom',
+    name: 'Custom Message',
+    category: 'General',
+    template: ''
+  }
+];
+
+const TEMPLATE_LIBRARY_KEY = 'rrEmailTemplates';
+const EXPORT_FORMAT = 'rr-email-templates';
+
+const cloneTemplates = (templates) => templates.map(template => ({ ...template }));
+
+export const newTemplateId = () => `template-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+const cleanTemplate = (template) => ({
+  id: template.id ? String(template.id) : newTemplateId(),
+  name: String(template.name).trim(),
+  category: template.category ? String(template.category).trim() : '',
+  template: String(template.template)
+});
+
+const isValidTemplate = (template) =>
+  template && typeof template.name === 'string' && template.name.trim() && typeof template.template === 'string';
+
+export const loadTemplateLibrary = () => {
+  try {
+    const raw = window.localStorage.getItem(TEMPLATE_LIBRARY_KEY);
+    if (!raw) return cloneTemplates(DEFAULT_EMAIL_TEMPLATES);
+    const saved = JSON.parse(raw);
+    return Array.isArray(saved) ? saved.filter(isValidTemplate).map(cleanTemplate) : cloneTemplates(DEFAULT_EMAIL_TEMPLATES);
+  } catch (e) {
+    console.warn('Could not read email templates:', e);
+    return cloneTemplates(DEFAULT_EMAIL_TEMPLATES);
+  }
+};
+
+export const saveTemplateLibrary = (templates) => {
+  try {
+    window.localStorage.setItem(TEMPLATE_LIBRARY_KEY, JSON.stringify(templates));
+  } catch (e) {
+    console.warn('Could not save email templates:', e);
+  }
+};
+
+export const defaultTemplateFor = (id) => DEFAULT_EMAIL_TEMPLATES.find(template => template.id === id);
+
+export const isModifiedDefault = (template) => {
+  const original = defaultTemplateFor(template.id);
+  return Boolean(original) && (
+    original.name !== template.name || original.category !== template.category || original.template !== template.template
+  );
+};
+
+// Puts every shipped template back (including deleted ones) and leaves the
+// team's own templates alone
+export const resetDefaultTemplates = (templates) => {
+  const own = templates.filter(template => !defaultTemplateFor(template.id));
+  return [...cloneTemplates(DEFAULT_EMAIL_TEMPLATES), ...own];
+};
+
+export const resetTemplate = (templates, id) =>
+  templates.map(template => (template.id === id && defaultTemplateFor(id) ? { ...defaultTemplateFor(id) } : template));
+
+export const templateCategories = (templates) =>
+  [...new Set(templates.map(template => template.category).filter(Boolean))].sort();
+
+// Templates grouped for <optgroup>s, uncategorized last
+export const groupTemplatesByCategory = (templates) => {
+  const groups = {};
+  templates.forEach(template => {
+    const category = template.category || 'Uncategorized';
+    if (!groups[category]) groups[category] = [];
+    groups[category].push(template);
+  });
+  return Object.entries(groups).sort(([a], [b]) => {
+    if (a === 'Uncategorized') return 1;
+    if (b === 'Uncategorized') return -1;
+    return a.localeCompare(b);
+  });
+};
+
+export const exportTemplateLibrary = (templates) => JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: 1,
+  exportedAt: new Date().toISOString(),
+  templates: templates.map(({ id, name, category, template }) => ({ id, name, category, template }))
+}, null, 2);
+
+// Accepts an exported library or a bare array of templates
+export const parseTemplateImport = (text) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (e) {
+    throw new Error('The file is not valid JSON.');
+  }
+
+  const candidates = Array.isArray(parsed) ? parsed : parsed && parsed.templates;
+  if (!Array.isArray(candidates)) {
+    throw new Error('No templates were found in the file.');
+  }
+
+  const templates = candidates.filter(isValidTemplate).map(cleanTemplate);
+  return { templates, skipped: candidates.length - templates.length };
+};
+
+// Imported templates replace ones with the same id; the rest are added
+export const mergeImportedTemplates = (existing, imported) => {
+  const byId = new Map(imported.map(template => [template.id, template]));
+  return [
+    ...existing.map(template => byId.get(template.id) || template),
+    ...[...byId.values()].filter(template => !existing.some(current => current.id === template.id))
+  ];
+};
@@ -0,0 +1,177 @@
+// Parsers for the text-based ways Yardi users save the Rent Ready report:
+// CSV downloads and the saved HTML "print" view. Both produce the same
+// array-of-rows structure that XLSX.utils.sheet_to_json({ header: 1 }) does,
+// so the rest of the pipeline doesn't care where the rows came from.
+
+const CSV_DELIMITERS = [',', ';', '\t', '|'];
+const DELIMITER_SAMPLE_LINES = 20;
+
+// Honour a byte order mark when there is one; otherwise assume UTF-8 and fall
+// back to Windows-1252, which is what older Yardi installs export.
+export const decodeText = (bytes) => {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+
+  if (data[0] === 0xEF && data[1] === 0xBB && data[2] === 0xBF) {
+    return { text: new TextDecoder('utf-8').decode(data.subarray(3)), encoding: 'utf-8' };
+  }
+  if (data[0] === 0xFF && data[1] === 0xFE) {
+    return { text: new TextDecoder('utf-16le').decode(data.subarray(2)), encoding: 'utf-16le' };
+  }
+  if (data[0] === 0xFE && data[1] === 0xFF) {
+    return { text: new TextDecoder('utf-16be').decode(data.subarray(2)), encoding: 'utf-16be' };
+  }
+
+  try {
+    return { text: new TextDecoder('utf-8', { fatal: true }).decode(data), encoding: 'utf-8' };
+  } catch (e) {
+    return { text: new TextDecoder('windows-1252').decode(data), encoding: 'windows-1252' };
+  }
+};
+
+const countOutsideQuotes = (line, delimiter) => {
+  let count = 0;
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (char === '"') inQuotes = !inQuotes;
+    else if (char === delimiter && !inQuotes) count++;
+  }
+  return count;
+};
+
+// Picks the delimiter that splits the sample lines most consistently. Excel's
+// "sep=;" hint line wins when present.
+export const detectDelimiter = (text) => {
+  const hint = text.match(/^sep=(.)\r?\n/i);
+  if (hint) return hint[1];
+
+  const lines = text.split(/\r?\n/).filter(line => line.trim() !== '').slice(0, DELIMITER_SAMPLE_LINES);
+  let best = ',';
+  let bestScore = 0;
+
+  CSV_DELIMITERS.forEach(delimiter => {
+    const counts = lines.map(line => countOutsideQuotes(line, delimiter)).filter(count => count > 0);
+    if (counts.length === 0) return;
+    // Favour delimiters that appear on many lines with the same count
+    const mostCommon = counts.sort((a, b) => a - b)[Math.floor(counts.length / 2)];
+    const consistentLines = counts.filter(count => count === mostCommon).length;
+    const score = consistentLines * mostCommon;
+    if (score > bestScore) {
+      bestScore = score;
+      best = delimiter;
+    }
+  });
+
+  return best;
+};
+
+export const parseCsv = (text, delimiter = detectDelimiter(text)) => {
+  const body = text.replace(/^sep=.\r?\n/i, '');
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < body.length; i++) {
+    const char = body[i];
+
+    if (inQuotes) {
+      if (char === '"' && body[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && body[i + 1] === '\n') i++;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+const HTML_ENTITIES = {
+  amp: '&',
+  lt: '<',
+  gt: '>',
+  quot: '"',
+  apos: '\'',
+  nbsp: ' '
+};
+
+export const decodeHtmlEntities = (text) =>
+  text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, code) => {
+    if (code[0] === '#') {
+      const value = code[1].toLowerCase() === 'x' ? parseInt(code.slice(2), 16) : parseInt(code.slice(1), 10);
+      // Out-of-range references would make fromCodePoint throw
+      return Number.isNaN(value) || value > 0x10FFFF ? entity : String.fromCodePoint(value);
+    }
+    const named = HTML_ENTITIES[code.toLowerCase()];
+    return named === undefined ? entity : named;
+  });
+
+const cellText = (html) =>
+  decodeHtmlEntities(
+    html
+      .replace(/<br\s*\/?>/gi, ' ')
+      .replace(/<[^>]*>/g, '')
+  )
+    .replace(/\s+/g, ' ')
+    .trim();
+
+// Flattens every table row in the document into one list, expanding colspans
+// so values stay under their headers. Closing </td>/</tr> tags are optional in
+// HTML and the Yardi print view doesn't always emit them.
+export const parseHtmlTables = (html) => {
+  const source = html
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, '');
+  const rows = [];
+  const rowPattern = /<tr\b[^>]*>([\s\S]*?)(?=<tr\b|<\/tr>|<\/table>|$)/gi;
+  const cellPattern = /<(td|th)\b([^>]*)>([\s\S]*?)(?=<(?:td|th)\b|<\/(?:td|th|tr)>|$)/gi;
+  let rowMatch;
+
+  while ((rowMatch = rowPattern.exec(source)) !== null) {
+    const row = [];
+    let cellMatch;
+    cellPattern.lastIndex = 0;
+
+    while ((cellMatch = cellPattern.exec(rowMatch[1])) !== null) {
+      const colspanMatch = cellMatch[2].match(/colspan\s*=\s*["']?(\d+)/i);
+      const colspan = colspanMatch ? Math.max(1, parseInt(colspanMatch[1])) : 1;
+      row.push(cellText(cellMatch[3]));
+      for (let i = 1; i < colspan; i++) row.push('');
+    }
+
+    if (row.length > 0) rows.push(row);
+  }
+
+  return rows;
+};
+
+// Rows from different sources should line up column for column.
+export const padRows = (rows) => {
+  const width = rows.reduce((max, row) => Math.max(max, row.length), 0);
+  return rows.map(row => (row.length < width ? [...row, ...Array(width - row.length).fill('')] : row));
+};
@@ -0,0 +1,20 @@
+/**
+ * @jest-environment node
+ */
+import { decodeHtmlEntities, parseHtmlTables } from './textReports';
+
+describe('decodeHtmlEntities', () => {
+  test('decodes named, decimal and hex entities', () => {
+    expect(decodeHtmlEntities('Maple &amp; Birch &lt;3&gt; &#36;1,450 &#x2014; &QUOT;A&quot;')).toBe('Maple & Birch <3> $1,450 — "A"');
+  });
+
+  test('leaves unknown and out-of-range entities as written', () => {
+    expect(decodeHtmlEntities('&bogus; &#99999999; &#x110000; &#x10FFFF;')).toBe('&bogus; &#99999999; &#x110000; \u{10FFFF}');
+  });
+});
+
+describe('parseHtmlTables', () => {
+  test('keeps importing rows when a cell has a malformed entity', () => {
+    expect(parseHtmlTables('<table><tr><td>101<td>Paint &#99999999;<td>&nbsp;</tr></table>')).toEqual([['101', 'Paint &#99999999;', '']]);
+  });
+});
@@ -0,0 +1,114 @@
+// Make-ready turn-time metrics. Days are whole calendar days; turn time uses
+// the actual ready date when there is one and the estimate otherwise, so
+// units still being turned show their projected turn.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const TURN_METRICS = {
+  daysVacant: { label: 'Days Vacant', shortLabel: 'Vacant' },
+  turnDays: { label: 'Moveout to Ready', shortLabel: 'Turn' },
+  readySlippage: { label: 'Ready Date Slippage', shortLabel: 'Slip' }
+};
+
+export const TURN_GROUPINGS = {
+  property: 'Property',
+  vacateType: 'Vacate Type',
+  jobCode: 'Job Code'
+};
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+const isDate = (value) => value instanceof Date;
+
+export const calculateTurnMetrics = (unit, today = new Date()) => {
+  const movedOut = isDate(unit.vacantAsOf) && unit.vacantAsOf <= today;
+  const readyDate = isDate(unit.actualReadyDate) ? unit.actualReadyDate : unit.estimatedReadyDate;
+
+  return {
+    daysVacant: movedOut ? daysBetween(unit.vacantAsOf, today) : null,
+    turnDays: isDate(unit.vacantAsOf) && isDate(readyDate) ? daysBetween(unit.vacantAsOf, readyDate) : null,
+    turnProjected: !isDate(unit.actualReadyDate),
+    // Positive when the unit was ready later than estimated
+    readySlippage: isDate(unit.actualReadyDate) && isDate(unit.estimatedReadyDate)
+      ? daysBetween(unit.estimatedReadyDate, unit.actualReadyDate)
+      : null
+  };
+};
+
+const quantile = (sorted, q) => {
+  const position = (sorted.length - 1) * q;
+  const base = Math.floor(position);
+  const next = sorted[base + 1] !== undefined ? sorted[base + 1] : sorted[base];
+  return sorted[base] + (position - base) * (next - sorted[base]);
+};
+
+// Average, median and the Tukey fence above which a value is an outlier
+export const summarizeValues = (values) => {
+  const present = values.filter(value => value !== null && value !== undefined);
+  if (present.length === 0) return { count: 0, average: null, median: null, max: null, outlierAbove: null };
+
+  const sorted = [...present].sort((a, b) => a - b);
+  const q1 = quantile(sorted, 0.25);
+  const q3 = quantile(sorted, 0.75);
+
+  return {
+    count: sorted.length,
+    average: sorted.reduce((sum, value) => sum + value, 0) / sorted.length,
+    median: quantile(sorted, 0.5),
+    max: sorted[sorted.length - 1],
+    // Needs a handful of values before "unusual" means anything
+    outlierAbove: sorted.length >= 4 ? q3 + 1.5 * (q3 - q1) : null
+  };
+};
+
+const summarizeUnits = (units) => {
+  const summary = { units: units.length };
+  Object.keys(TURN_METRICS).forEach(metric => {
+    summary[metric] = summarizeValues(units.map(unit => unit.turnMetrics[metric]));
+  });
+  return summary;
+};
+
+export const isOutlier = (value, stats) =>
+  value !== null && stats.outlierAbove !== null && value > stats.outlierAbove;
+
+export const analyzeTurnTimes = (units, groupBy = 'property', today = new Date()) => {
+  const measured = units.map(unit => ({ ...unit, turnMetrics: calculateTurnMetrics(unit, today) }));
+  const overall = summarizeUnits(measured);
+
+  const grouped = {};
+  measured.forEach(unit => {
+    const group = (unit[groupBy] || '').toString().trim() || 'Not set';
+    if (!grouped[group]) grouped[group] = [];
+    grouped[group].push(unit);
+  });
+
+  const groups = Object.entries(grouped)
+    .map(([name, groupUnits]) => {
+      const summary = summarizeUnits(groupUnits);
+      return {
+        name,
+        ...summary,
+        outliers: groupUnits.filter(unit =>
+          Object.keys(TURN_METRICS).some(metric => isOutlier(unit.turnMetrics[metric], overall[metric]))
+        ).length
+      };
+    })
+    .sort((a, b) => (b.turnDays.average || 0) - (a.turnDays.average || 0) || a.name.localeCompare(b.name));
+
+  // Outliers are judged against the whole portfolio, not just their group
+  const outliers = measured
+    .map(unit => ({
+      unit,
+      metrics: Object.keys(TURN_METRICS).filter(metric => isOutlier(unit.turnMetrics[metric], overall[metric]))
+    }))
+    .filter(entry => entry.metrics.length > 0)
+    .sort((a, b) => (b.unit.turnMetrics.turnDays || 0) - (a.unit.turnMetrics.turnDays || 0));
+
+  return { overall, groups, outliers };
+};
+
+export const formatDays = (days) =>
+  (days === null || days === undefined ? '—' : `${Math.round(days * 10) / 10}d`);
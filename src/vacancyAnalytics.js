@@ -0,0 +1,111 @@
+import { extractBedroomCount } from './rrCore';
+
+// Vacancy-loss estimates built from asking rent and days until ready. Daily
+// rent is the annualized asking rent spread over 365 days, which is what the
+// owner reports use.
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+export const PROJECTION_WINDOWS = [30, 60, 90];
+
+export const VACANCY_GROUPINGS = {
+  property: 'Property',
+  category: 'Category',
+  bedrooms: 'Bedrooms'
+};
+
+export const bedroomLabel = (count) => {
+  if (count === 999) return 'Unknown';
+  if (count === 0) return 'Bachelor/Studio';
+  return `${count} Bedroom`;
+};
+
+export const dailyRent = (askingRent) => (askingRent > 0 ? (askingRent * 12) / 365 : 0);
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// Units that are empty (or about to be) and have no lease lined up
+export const isUnleasedVacancy = (unit) =>
+  unit.status !== 'Rented' && !(unit.futureMoveInDate instanceof Date);
+
+// Per-unit estimate. Units still on notice only start losing rent once the
+// resident moves out; units without a ready date have no end to the loss yet.
+export const vacancyLossForUnit = (unit, today = new Date()) => {
+  const perDay = dailyRent(unit.askingRent);
+  const daysUntilVacant = unit.vacantAsOf instanceof Date
+    ? Math.max(0, Math.ceil((startOfDay(unit.vacantAsOf) - startOfDay(today)) / DAY_MS))
+    : 0;
+  const onNotice = daysUntilVacant > 0;
+  const hasReadyDate = unit.daysUntilReady !== null && unit.daysUntilReady !== undefined;
+  const lossDays = hasReadyDate ? Math.max(0, unit.daysUntilReady - daysUntilVacant) : null;
+
+  return {
+    dailyLoss: onNotice ? 0 : perDay,
+    onNotice,
+    hasReadyDate,
+    lossUntilReady: lossDays === null ? 0 : perDay * lossDays
+  };
+};
+
+const groupValue = (unit, groupBy) => {
+  if (groupBy === 'bedrooms') return bedroomLabel(extractBedroomCount(unit.unitDescription));
+  if (groupBy === 'category') return unit.category;
+  return unit.property || 'Unknown';
+};
+
+const emptyTotals = () => ({
+  units: 0,
+  onNotice: 0,
+  withoutReadyDate: 0,
+  withoutRent: 0,
+  dailyLoss: 0,
+  lossUntilReady: 0
+});
+
+const addToTotals = (totals, unit, loss) => {
+  totals.units += 1;
+  if (loss.onNotice) totals.onNotice += 1;
+  if (!loss.hasReadyDate) totals.withoutReadyDate += 1;
+  if (!(unit.askingRent > 0)) totals.withoutRent += 1;
+  totals.dailyLoss += loss.dailyLoss;
+  totals.lossUntilReady += loss.lossUntilReady;
+};
+
+// Monthly asking rent coming back online as units become ready, cumulative
+// per window. Units already ready count in every window.
+export const projectRecoveredRent = (units, windows = PROJECTION_WINDOWS) =>
+  windows.map(days => {
+    const recovering = units.filter(unit =>
+      unit.daysUntilReady !== null && unit.daysUntilReady !== undefined && unit.daysUntilReady <= days
+    );
+    return {
+      days,
+      units: recovering.length,
+      monthlyRent: recovering.reduce((sum, unit) => sum + (unit.askingRent > 0 ? unit.askingRent : 0), 0)
+    };
+  });
+
+export const analyzeVacancyLoss = (units, groupBy = 'property', today = new Date()) => {
+  const vacancies = units.filter(isUnleasedVacancy);
+  const totals = emptyTotals();
+  const groups = {};
+
+  vacancies.forEach(unit => {
+    const loss = vacancyLossForUnit(unit, today);
+    const group = groupValue(unit, groupBy);
+    if (!groups[group]) groups[group] = emptyTotals();
+    addToTotals(groups[group], unit, loss);
+    addToTotals(totals, unit, loss);
+  });
+
+  return {
+    totals,
+    groups: Object.entries(groups)
+      .map(([name, groupTotals]) => ({ name, ...groupTotals }))
+      .sort((a, b) => b.dailyLoss - a.dailyLoss || a.name.localeCompare(b.name)),
+    projection: projectRecoveredRent(vacancies)
+  };
+};
+
+export const formatCurrency = (amount) =>
+  `$${Math.round(amount).toLocaleString()}`;
@@ -0,0 +1,144 @@
+import { hasDateEntry } from './dateParsing';
+import { matchesCondition } from './ruleConditions';
+
+// Data-quality checks as named rules. Built-in rules carry their own check
+// function and can be switched off or re-graded; custom rules are plain data
+// built from the shared rule conditions and fire when all conditions match.
+
+export const SEVERITIES = {
+  error: { label: 'Error', rank: 3, className: 'bg-red-100 text-red-800', iconClass: 'text-red-500', hex: '#f8d7da' },
+  warning: { label: 'Warning', rank: 2, className: 'bg-yellow-100 text-yellow-800', iconClass: 'text-yellow-600', hex: '#fff3cd' },
+  info: { label: 'Info', rank: 1, className: 'bg-blue-100 text-blue-800', iconClass: 'text-blue-500', hex: '#cce5ff' }
+};
+
+export const BUILT_IN_VALIDATION_RULES = [
+  {
+    id: 'rentReadyWithoutActualDate',
+    name: 'Rent ready without actual date',
+    severity: 'error',
+    message: 'Marked rent ready but the actual ready date is empty.',
+    check: (unit) => unit.rentReady === 'yes' && !hasDateEntry(unit, 'actualReadyDate')
+  },
+  {
+    id: 'rentedNotReady',
+    name: 'Rented but not ready',
+    severity: 'warning',
+    message: 'Has a future move-in date but is not marked rent ready.',
+    check: (unit) => hasDateEntry(unit, 'futureMoveInDate') && unit.rentReady !== 'yes'
+  },
+  {
+    id: 'unavailableMarkedReady',
+    name: 'Down/hold marked ready',
+    severity: 'error',
+    message: 'Down/Hold/Model/Development unit is marked rent ready.',
+    check: (unit) => unit.status === 'Not Available' && unit.rentReady === 'yes'
+  },
+  {
+    id: 'moveoutEqualsReady',
+    name: 'Moveout equals ready date',
+    severity: 'warning',
+    message: 'Moveout date equals the estimated ready date, so the in-suite hasn\'t been scoped yet.',
+    check: (unit) => unit.vacantAsOf instanceof Date && unit.estimatedReadyDate instanceof Date &&
+      unit.vacantAsOf.getTime() === unit.estimatedReadyDate.getTime()
+  },
+  {
+    id: 'unscopedMakeReady',
+    name: 'Unscoped make-ready notes',
+    severity: 'info',
+    message: 'Make ready notes still say "New make ready - add notes".',
+    check: (unit) => (unit.makeReadyNotes || '').toLowerCase().includes('new make ready - add notes')
+  }
+];
+
+// Starting points offered in the editor's "Add rule" menu
+export const CUSTOM_RULE_PRESETS = {
+  zeroRent: {
+    name: 'Asking rent is 0',
+    severity: 'warning',
+    message: 'Asking rent is $0, so the unit can\'t be advertised.',
+    conditions: [{ type: 'askingRent', operator: 'lte', amount: 0 }]
+  },
+  estimatedDatePast: {
+    name: 'Estimated ready date in the past',
+    severity: 'warning',
+    message: 'Estimated ready date has passed but the unit isn\'t marked rent ready.',
+    conditions: [{ type: 'datePast', field: 'estimatedReadyDate' }, { type: 'rentReady', value: 'no' }]
+  },
+  blank: {
+    name: 'New rule',
+    severity: 'warning',
+    message: '',
+    conditions: [{ type: 'keywords', fields: ['comments'], keywords: [] }]
+  }
+};
+
+const VALIDATION_RULES_KEY = 'rrValidationRules';
+
+export const defaultValidationConfig = () => ({ builtIn: {}, custom: [] });
+
+export const normalizeValidationConfig = (saved) => ({
+  builtIn: saved && saved.builtIn && typeof saved.builtIn === 'object' ? saved.builtIn : {},
+  custom: saved && Array.isArray(saved.custom)
+    ? saved.custom
+      .filter(rule => rule && rule.id && Array.isArray(rule.conditions))
+      // An unknown severity would break sorting and every issue label
+      .map(rule => (SEVERITIES[rule.severity] ? rule : { ...rule, severity: 'warning' }))
+    : []
+});
+
+export const loadValidationRules = () => {
+  try {
+    const raw = window.localStorage.getItem(VALIDATION_RULES_KEY);
+    if (!raw) return defaultValidationConfig();
+    return normalizeValidationConfig(JSON.parse(raw));
+  } catch (e) {
+    console.warn('Could not read data-quality rules:', e);
+    return defaultValidationConfig();
+  }
+};
+
+export const saveValidationRules = (config) => {
+  try {
+    window.localStorage.setItem(VALIDATION_RULES_KEY, JSON.stringify(config));
+  } catch (e) {
+    console.warn('Could not save data-quality rules:', e);
+  }
+};
+
+export const newValidationRuleId = () => `rule-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+// Built-in rules merged with their saved overrides, followed by custom rules
+export const resolveValidationRules = (config) => [
+  ...BUILT_IN_VALIDATION_RULES.map(rule => {
+    const override = config.builtIn[rule.id] || {};
+    return {
+      ...rule,
+      builtIn: true,
+      enabled: override.enabled !== false,
+      severity: SEVERITIES[override.severity] ? override.severity : rule.severity
+    };
+  }),
+  ...config.custom.map(rule => ({
+    ...rule,
+    builtIn: false,
+    enabled: rule.enabled !== false,
+    check: (unit, today) => rule.conditions.length > 0 &&
+      rule.conditions.every(condition => matchesCondition(unit, condition, today))
+  }))
+];
+
+export const evaluateValidationRules = (unit, rules, today = new Date()) =>
+  rules
+    .filter(rule => rule.enabled && rule.check(unit, today))
+    .map(rule => ({
+      ruleId: rule.id,
+      name: rule.name,
+      severity: rule.severity,
+      message: rule.message || rule.name
+    }))
+    .sort((a, b) => SEVERITIES[b.severity].rank - SEVERITIES[a.severity].rank);
+
+export const highestSeverity = (issues) => (issues.length > 0 ? issues[0].severity : null);
+
+export const describeIssues = (issues) =>
+  issues.map(issue => `[${SEVERITIES[issue.severity].label}] ${issue.message}`).join('\n');
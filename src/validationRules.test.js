@@ -0,0 +1,46 @@
+import {
+  describeIssues,
+  evaluateValidationRules,
+  loadValidationRules,
+  resolveValidationRules
+} from './validationRules';
+
+const lowRentRule = (severity) => ({
+  id: 'rule-low-rent',
+  name: 'Rent under $1,000',
+  severity,
+  message: 'Asking rent is under $1,000.',
+  conditions: [{ type: 'askingRent', operator: 'lte', amount: 1000 }]
+});
+
+const loadSaved = (config) => {
+  window.localStorage.setItem('rrValidationRules', JSON.stringify(config));
+  return loadValidationRules();
+};
+
+afterEach(() => window.localStorage.clear());
+
+describe('loadValidationRules', () => {
+  test('keeps custom rules with a known severity', () => {
+    expect(loadSaved({ custom: [lowRentRule('error')] }).custom[0].severity).toBe('error');
+  });
+
+  test('downgrades an unknown custom severity to a warning', () => {
+    const config = loadSaved({ custom: [lowRentRule('critical'), lowRentRule(undefined)] });
+    expect(config.custom.map(rule => rule.severity)).toEqual(['warning', 'warning']);
+
+    const unit = { askingRent: 900, rentReady: 'no', makeReadyNotes: '' };
+    const issues = evaluateValidationRules(unit, resolveValidationRules(config));
+    expect(issues.map(issue => issue.severity)).toEqual(['warning', 'warning']);
+    expect(describeIssues(issues)).toBe('[Warning] Asking rent is under $1,000.\n[Warning] Asking rent is under $1,000.');
+  });
+
+  test('drops custom rules without an id or conditions', () => {
+    const config = loadSaved({ custom: [null, { id: 'x' }, lowRentRule('info')] });
+    expect(config.custom.map(rule => rule.id)).toEqual(['rule-low-rent']);
+  });
+
+  test('falls back to the defaults when nothing is saved', () => {
+    expect(loadValidationRules()).toEqual({ builtIn: {}, custom: [] });
+  });
+});
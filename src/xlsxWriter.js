@@ -0,0 +1,219 @@
+import { createZip } from './zipArchive';
+
+// A small .xlsx writer for exports that need formatting. The bundled SheetJS
+// build reads styles but can't write fills, fonts or frozen panes, so styled
+// workbooks are assembled here from SpreadsheetML parts and zipped.
+//
+// sheets: [{ name, columns: [{ width }], rows, freezeRows, autoFilter }]
+// where each row is an array of cells. A cell is null, a string, number,
+// boolean or Date, or { value, formula, style } with
+// style: { bold, color, fill, numFmt, wrap, align }.
+
+// Formats Excel shows in the reader's own locale
+export const NUM_FMTS = {
+  date: 14,
+  integer: 1,
+  percent: 9,
+  currency: '"$"#,##0.00'
+};
+
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+const MAIN_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+// Control characters other than tab and line breaks aren't allowed in XML
+const isXmlChar = (char) => char >= ' ' || char === '\t' || char === '\n' || char === '\r';
+
+export const escapeXml = (text) => [...String(text)].filter(isXmlChar).join('')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+export const columnLetter = (index) => {
+  let letters = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((n - 1) % 26)) + letters;
+  }
+  return letters;
+};
+
+export const cellRef = (rowIndex, columnIndex) => `${columnLetter(columnIndex)}${rowIndex + 1}`;
+
+// Excel counts days from 1899-12-30; dates here are local midnights
+export const excelDateSerial = (date) =>
+  (Date.UTC(date.getFullYear(), date.getMonth(), date.getDate()) - Date.UTC(1899, 11, 30)) / 86400000;
+
+// Sheet names are at most 31 characters, unique, and can't contain []:*?/\
+export const safeSheetName = (name, taken = []) => {
+  const base = String(name).replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31) || 'Sheet';
+  const isTaken = (name) => taken.some(existing => existing.toLowerCase() === name.toLowerCase());
+  let candidate = base;
+  for (let n = 2; isTaken(candidate); n++) {
+    candidate = `${base.slice(0, 31 - String(n).length - 1)} ${n}`;
+  }
+  return candidate;
+};
+
+const argb = (hex) => `FF${hex.replace('#', '').toUpperCase()}`;
+
+// Collects the fonts, fills, number formats and cell formats the cells use
+const createStyleTable = () => {
+  const fonts = ['<font><sz val="11"/><name val="Calibri"/><family val="2"/></font>'];
+  const fills = ['<fill><patternFill patternType="none"/></fill>', '<fill><patternFill patternType="gray125"/></fill>'];
+  const numFmts = [];
+  const xfs = ['<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'];
+  const xfIds = new Map([['{}', 0]]);
+
+  const indexOf = (list, entry) => {
+    const existing = list.indexOf(entry);
+    if (existing !== -1) return existing;
+    list.push(entry);
+    return list.length - 1;
+  };
+
+  const styleId = (style) => {
+    if (!style) return 0;
+    const key = JSON.stringify(style);
+    if (xfIds.has(key)) return xfIds.get(key);
+
+    const fontId = style.bold || style.color
+      ? indexOf(fonts, `<font>${style.bold ? '<b/>' : ''}<sz val="11"/>${style.color ? `<color rgb="${argb(style.color)}"/>` : ''}<name val="Calibri"/><family val="2"/></font>`)
+      : 0;
+    const fillId = style.fill
+      ? indexOf(fills, `<fill><patternFill patternType="solid"><fgColor rgb="${argb(style.fill)}"/><bgColor indexed="64"/></patternFill></fill>`)
+      : 0;
+    let numFmtId = 0;
+    if (typeof style.numFmt === 'number') numFmtId = style.numFmt;
+    if (typeof style.numFmt === 'string') numFmtId = 164 + indexOf(numFmts, style.numFmt);
+
+    const alignment = style.wrap || style.align
+      ? `<alignment${style.align ? ` horizontal="${style.align}"` : ''}${style.wrap ? ' vertical="top" wrapText="1"' : ''}/>`
+      : '';
+    const applied = [
+      numFmtId ? ' applyNumberFormat="1"' : '',
+      fontId ? ' applyFont="1"' : '',
+      fillId ? ' applyFill="1"' : '',
+      alignment ? ' applyAlignment="1"' : ''
+    ].join('');
+    xfs.push(`<xf numFmtId="${numFmtId}" fontId="${fontId}" fillId="${fillId}" borderId="0" xfId="0"${applied}>${alignment}</xf>`);
+    xfIds.set(key, xfs.length - 1);
+    return xfs.length - 1;
+  };
+
+  const toXml = () => XML_HEADER +
+    `<styleSheet xmlns="${MAIN_NS}">` +
+    (numFmts.length > 0
+      ? `<numFmts count="${numFmts.length}">${numFmts.map((code, index) => `<numFmt numFmtId="${164 + index}" formatCode="${escapeXml(code)}"/>`).join('')}</numFmts>`
+      : '') +
+    `<fonts count="${fonts.length}">${fonts.join('')}</fonts>` +
+    `<fills count="${fills.length}">${fills.join('')}</fills>` +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    `<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>` +
+    '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+    '</styleSheet>';
+
+  return { styleId, toXml };
+};
+
+const cellXml = (cell, ref, styles) => {
+  const { value, formula, style } = cell !== null && typeof cell === 'object' && !(cell instanceof Date)
+    ? cell
+    : { value: cell };
+  const dateStyle = value instanceof Date ? { numFmt: NUM_FMTS.date, ...style } : style;
+  const s = styles.styleId(dateStyle);
+  const styleAttr = s ? ` s="${s}"` : '';
+  const formulaXml = formula ? `<f>${escapeXml(formula.replace(/^=/, ''))}</f>` : '';
+
+  if (value === null || value === undefined || value === '') {
+    if (formula) return `<c r="${ref}"${styleAttr}>${formulaXml}</c>`;
+    return s ? `<c r="${ref}"${styleAttr}/>` : '';
+  }
+  if (value instanceof Date) return `<c r="${ref}"${styleAttr}>${formulaXml}<v>${excelDateSerial(value)}</v></c>`;
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? `<c r="${ref}"${styleAttr}>${formulaXml}<v>${value}</v></c>` : '';
+  }
+  if (typeof value === 'boolean') return `<c r="${ref}" t="b"${styleAttr}>${formulaXml}<v>${value ? 1 : 0}</v></c>`;
+  if (formula) return `<c r="${ref}" t="str"${styleAttr}>${formulaXml}<v>${escapeXml(value)}</v></c>`;
+  return `<c r="${ref}" t="inlineStr"${styleAttr}><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const sheetXml = (sheet, styles) => {
+  const rows = sheet.rows || [];
+  const width = Math.max(1, (sheet.columns || []).length, ...rows.map(row => row.length));
+  const lastRef = cellRef(Math.max(0, rows.length - 1), width - 1);
+
+  const views = sheet.freezeRows
+    ? `<sheetViews><sheetView workbookViewId="0"><pane ySplit="${sheet.freezeRows}" topLeftCell="A${sheet.freezeRows + 1}" activePane="bottomLeft" state="frozen"/><selection pane="bottomLeft"/></sheetView></sheetViews>`
+    : '<sheetViews><sheetView workbookViewId="0"/></sheetViews>';
+  const cols = (sheet.columns || []).length > 0
+    ? `<cols>${sheet.columns.map((column, index) => `<col min="${index + 1}" max="${index + 1}" width="${column.width || 12}" customWidth="1"/>`).join('')}</cols>`
+    : '';
+  const data = rows.map((row, rowIndex) =>
+    `<row r="${rowIndex + 1}">${row.map((cell, columnIndex) => cellXml(cell, cellRef(rowIndex, columnIndex), styles)).join('')}</row>`
+  ).join('');
+  const filter = sheet.autoFilter && rows.length > 0 ? `<autoFilter ref="A1:${lastRef}"/>` : '';
+
+  return XML_HEADER +
+    `<worksheet xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    `<dimension ref="A1:${lastRef}"/>${views}<sheetFormatPr defaultRowHeight="15"/>${cols}` +
+    `<sheetData>${data}</sheetData>${filter}` +
+    '</worksheet>';
+};
+
+// Returns the .xlsx file bytes
+export const createXlsx = (sheets, modified = new Date()) => {
+  const styles = createStyleTable();
+  const names = [];
+  sheets.forEach(sheet => names.push(safeSheetName(sheet.name, names)));
+  const worksheets = sheets.map(sheet => sheetXml(sheet, styles));
+
+  // Excel keeps auto-filter ranges in a hidden defined name per sheet
+  const filterNames = sheets
+    .map((sheet, index) => {
+      if (!sheet.autoFilter || !(sheet.rows || []).length) return '';
+      const width = Math.max(1, (sheet.columns || []).length, ...sheet.rows.map(row => row.length));
+      const range = `$A$1:$${columnLetter(width - 1)}$${sheet.rows.length}`;
+      return `<definedName name="_xlnm._FilterDatabase" localSheetId="${index}" hidden="1">'${escapeXml(names[index].replace(/'/g, "''"))}'!${range}</definedName>`;
+    })
+    .join('');
+
+  const workbook = XML_HEADER +
+    `<workbook xmlns="${MAIN_NS}" xmlns:r="${REL_NS}">` +
+    '<bookViews><workbookView/></bookViews>' +
+    `<sheets>${names.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')}</sheets>` +
+    (filterNames ? `<definedNames>${filterNames}</definedNames>` : '') +
+    // Formulas are written with their values, but recalculate on open anyway
+    '<calcPr calcId="191029" fullCalcOnLoad="1"/>' +
+    '</workbook>';
+
+  const workbookRels = XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    names.map((name, index) => `<Relationship Id="rId${index + 1}" Type="${REL_NS}/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+    `<Relationship Id="rId${names.length + 1}" Type="${REL_NS}/styles" Target="styles.xml"/>` +
+    '</Relationships>';
+
+  const contentTypes = XML_HEADER +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    names.map((name, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    '</Types>';
+
+  const rootRels = XML_HEADER +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    `<Relationship Id="rId1" Type="${REL_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+    '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', content: contentTypes },
+    { name: '_rels/.rels', content: rootRels },
+    { name: 'xl/workbook.xml', content: workbook },
+    { name: 'xl/_rels/workbook.xml.rels', content: workbookRels },
+    { name: 'xl/styles.xml', content: styles.toXml() },
+    ...worksheets.map((content, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, content }))
+  ], modified);
+};